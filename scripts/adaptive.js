@@ -0,0 +1,149 @@
+// scripts/adaptive.js
+// Adaptive difficulty with an Elo-style model. The student has one overall rating and one per
+// concept (see concepts.js); every template has a rating of its own, starting from its
+// difficulty. Each answer moves the student and the template towards each other, like a game
+// between two players. Rounds then favour templates the student is likely to get wrong, so
+// failed ones come back often while mastered ones fade out, and the difficulty follows the
+// overall rating. DOM-free; the ratings live in the player profile.
+
+import { getWeightedRandomElement, createSeededRandom } from './utils.js';
+import { getTemplatesByDifficulty } from './statementGenerator.js';
+import { findConcepts } from './concepts.js';
+import { createBoard, DEFAULT_BOARD_ID } from './board.js';
+
+export const ADAPTIVE_DIFFICULTY = 'adaptive';
+
+// Where a template's rating starts, and which difficulty suits a student of that rating.
+const DIFFICULTY_RATINGS = { easy: 900, medium: 1100, hard: 1300 };
+const START_RATING = 900;
+// A student only moves to another difficulty once clearly closer to it, so one lucky or
+// unlucky answer near a boundary does not flip the level back and forth.
+const DIFFICULTY_HYSTERESIS = 40;
+
+const STUDENT_K = 32;
+const CONCEPT_K = 32;
+const TEMPLATE_K = 16;
+const HINTED_RESULT = 0.5;
+
+// Templates the student is sure to answer keep a small chance of coming back for review, and
+// the last few templates played sit out for a while so rounds do not repeat back to back.
+const MIN_WEIGHT = 0.05;
+const RECENT_ROUNDS = 3;
+const RECENT_FACTOR = 0.15;
+
+const conceptCache = new Map();
+
+/**
+ * createRatings(): ratings for a new student
+ */
+export function createRatings() {
+  return { student: START_RATING, difficulty: 'easy', rounds: 0, templates: {}, concepts: {} };
+}
+
+/**
+ * expectedScore(rating, opponentRating): the Elo chance, from 0 to 1, that a student with
+ * `rating` answers a template with `opponentRating` correctly
+ */
+export function expectedScore(rating, opponentRating) {
+  return 1 / (1 + 10 ** ((opponentRating - rating) / 400));
+}
+
+function getTemplateRating(ratings, templateId, difficulty) {
+  return ratings.templates[templateId]?.rating ?? DIFFICULTY_RATINGS[difficulty] ?? START_RATING;
+}
+
+// The student's skill on a template: the mean of their ratings for its concepts.
+function getSkill(ratings, concepts) {
+  const known = concepts.map((concept) => ratings.concepts[concept] ?? ratings.student);
+  return known.length > 0 ? known.reduce((sum, rating) => sum + rating, 0) / known.length : ratings.student;
+}
+
+/**
+ * chooseDifficulty(rating, current): the difficulty whose starting rating is nearest, keeping
+ * `current` unless another is nearer by more than the hysteresis margin
+ */
+export function chooseDifficulty(rating, current = 'easy') {
+  const distance = (difficulty) => Math.abs(rating - DIFFICULTY_RATINGS[difficulty]);
+  const nearest = Object.keys(DIFFICULTY_RATINGS).reduce((best, difficulty) =>
+    distance(difficulty) < distance(best) ? difficulty : best
+  );
+  if (!DIFFICULTY_RATINGS[current]) {
+    return nearest;
+  }
+  return distance(current) - distance(nearest) > DIFFICULTY_HYSTERESIS ? nearest : current;
+}
+
+/**
+ * updateRatings(ratings, attempt): applies one answered round, where attempt is
+ * { templateId, difficulty, concepts, correct, hintUsed } as the profile records it.
+ * A correct answer after a hint counts half. Mutates and returns `ratings`.
+ */
+export function updateRatings(ratings, { templateId, difficulty, concepts = [], correct, hintUsed }) {
+  if (!templateId || !DIFFICULTY_RATINGS[difficulty]) {
+    return ratings;
+  }
+  const result = correct ? (hintUsed ? HINTED_RESULT : 1) : 0;
+  const templateRating = getTemplateRating(ratings, templateId, difficulty);
+  const surprise = result - expectedScore(getSkill(ratings, concepts), templateRating);
+
+  concepts.forEach((concept) => {
+    const rating = ratings.concepts[concept] ?? ratings.student;
+    ratings.concepts[concept] = rating + CONCEPT_K * (result - expectedScore(rating, templateRating));
+  });
+  ratings.student += STUDENT_K * (result - expectedScore(ratings.student, templateRating));
+  ratings.rounds += 1;
+  const previous = ratings.templates[templateId] || { attempts: 0 };
+  ratings.templates[templateId] = {
+    rating: templateRating - TEMPLATE_K * surprise,
+    attempts: previous.attempts + 1,
+    lastRound: ratings.rounds
+  };
+  ratings.difficulty = chooseDifficulty(ratings.student, ratings.difficulty);
+  return ratings;
+}
+
+/**
+ * getTemplateConcepts(template, board): the concepts of a template's formula, found once from
+ * a sample statement since placeholders never change which concepts a formula uses
+ */
+export function getTemplateConcepts(template, board) {
+  if (!conceptCache.has(template.id)) {
+    const { formalFOLStatement } = template.generateStatements(createSeededRandom(1), board);
+    conceptCache.set(template.id, findConcepts(formalFOLStatement));
+  }
+  return conceptCache.get(template.id);
+}
+
+// How much a template is worth practising: the chance of getting it wrong, held back for a
+// few rounds after it was played.
+function getTemplateWeight(ratings, template, difficulty, board) {
+  const skill = getSkill(ratings, getTemplateConcepts(template, board));
+  const failChance = 1 - expectedScore(skill, getTemplateRating(ratings, template.id, difficulty));
+  const lastRound = ratings.templates[template.id]?.lastRound;
+  const isRecent = lastRound !== undefined && ratings.rounds - lastRound < RECENT_ROUNDS;
+  return Math.max(MIN_WEIGHT, failChance) * (isRecent ? RECENT_FACTOR : 1);
+}
+
+/**
+ * planAdaptiveRound(ratings, board, random): what the next adaptive round should practise on
+ * `board`, a preset id or createBoard() config.
+ *
+ * Resolves to { difficulty, templateId, templateWeights }, where templateWeights maps every
+ * template id of that difficulty which supports the board to its weight – also useful for
+ * choosing distractors the student tends to confuse.
+ */
+export async function planAdaptiveRound(ratings, boardConfig = DEFAULT_BOARD_ID, random = Math.random) {
+  const board = createBoard(boardConfig);
+  const difficulty = chooseDifficulty(ratings.student, ratings.difficulty);
+  const bank = (await getTemplatesByDifficulty(difficulty)).filter((template) => template.supportsBoard(board));
+  if (bank.length === 0) {
+    throw new Error(`No '${difficulty}' template supports a ${board.rows}x${board.cols} board.`);
+  }
+  const weights = bank.map((template) => getTemplateWeight(ratings, template, difficulty, board));
+  const template = getWeightedRandomElement(bank, weights, random);
+  return {
+    difficulty,
+    templateId: template.id,
+    templateWeights: Object.fromEntries(bank.map((candidate, index) => [candidate.id, weights[index]]))
+  };
+}
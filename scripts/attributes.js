@@ -0,0 +1,183 @@
+// scripts/attributes.js
+// Registry of categorical cell attributes (shape, color, size, fill, ...). Registering an
+// attribute once makes it available to boards, placeholders, `cellProperty` refs, the FOL
+// vocabulary (`Fill(x, striped)` and `Fill(x)`), explanations and the SVG renderer.
+// Numbers are not in the registry: they are ordered and come from the board's number range.
+
+import { colors, getColorName } from './utils.js';
+import { getWord, formatWord, t } from './i18n.js';
+
+const registry = {};
+
+/**
+ * registerAttribute(name, spec): adds or replaces an attribute stored as `cell[name]`.
+ *
+ * spec: { predicate, word, values, defaults?, optional?, accepts?, label?, svg? }
+ *   predicate – FOL name, e.g. 'Fill'
+ *   word      – how explanations refer to it ("fill")
+ *   values    – every value the attribute can take
+ *   defaults  – values a board uses unless it picks its own (all `values` when omitted)
+ *   optional  – when true, boards leave the attribute out unless they enable it
+ *   accepts   – which values a board may use (defaults to membership in `values`)
+ *   label     – display text for a value (defaults to the value itself)
+ *   svg       – per-value rendering hints read by cellPicture.js: { geometry },
+ *               { scale }, { paint } or { pattern } (see PATTERN_MARKS)
+ */
+export function registerAttribute(name, spec) {
+  if (name === 'number' || name === 'position') {
+    throw new Error(`'${name}' is a built-in cell field and cannot be registered as an attribute`);
+  }
+  if (!spec || typeof spec.predicate !== 'string' || !Array.isArray(spec.values) || spec.values.length < 2) {
+    throw new Error(`Attribute '${name}' needs a FOL predicate name and at least two values`);
+  }
+  const clash = Object.keys(registry).find((other) => other !== name && registry[other].predicate === spec.predicate);
+  if (clash) {
+    throw new Error(`Attribute '${name}' reuses the FOL predicate ${spec.predicate} of '${clash}'`);
+  }
+  registry[name] = {
+    word: name,
+    defaults: spec.values,
+    optional: false,
+    accepts: (value) => spec.values.includes(value),
+    label: (value) => String(value),
+    svg: {},
+    ...spec
+  };
+}
+
+export function getAttribute(name) {
+  return registry[name] || null;
+}
+
+/**
+ * getAttributeNames(): registered attribute names in registration order
+ */
+export function getAttributeNames() {
+  return Object.keys(registry);
+}
+
+/**
+ * getRenderHints(cell): the rendering hints registered for each of the cell's values, merged,
+ * e.g. { geometry } from its shape, { scale } from its size, { paint } from its fill and
+ * { pattern } from its color
+ */
+export function getRenderHints(cell) {
+  return getAttributeNames().reduce((hints, name) => {
+    const value = typeof cell[name] === 'string' ? cell[name].toLowerCase() : cell[name];
+    return { ...hints, ...(registry[name].svg[value] || {}) };
+  }, {});
+}
+
+/**
+ * findAttributeByPredicate(predicate): the attribute whose FOL name is `predicate`, or null
+ */
+export function findAttributeByPredicate(predicate) {
+  return getAttributeNames().find((name) => registry[name].predicate === predicate) || null;
+}
+
+/**
+ * formatAttributeValue(name, value): display text, e.g. 'Sky Blue' for '#6ecbff'
+ */
+export function formatAttributeValue(name, value) {
+  const attribute = registry[name];
+  return attribute && value !== undefined ? attribute.label(value) : value;
+}
+
+/**
+ * describeAttributeValue(name, value, form): the value in the current language, e.g. 'rayada'
+ * for a striped star in Spanish; `form` is the plural/gender form as in formatWord(). Formulas
+ * keep using formatAttributeValue(), whose labels are the FOL constants.
+ */
+export function describeAttributeValue(name, value, form = {}) {
+  const word = getWord(name, typeof value === 'string' ? value.toLowerCase() : value);
+  return word === undefined ? String(formatAttributeValue(name, value)) : formatWord(word, form);
+}
+
+/**
+ * describeAttributeName(name, form): what the page calls an attribute, e.g. 'fill'
+ */
+export function describeAttributeName(name, form = {}) {
+  const word = getWord('attribute', name);
+  return word === undefined ? (registry[name]?.word ?? name) : formatWord(word, form);
+}
+
+/**
+ * describeAppearance(cell): the cell's shape, color and any extra attributes in the current
+ * language, e.g. 'small striped Pink star'
+ */
+export function describeAppearance(cell) {
+  const { gender } = getWord('shape', cell.shape) ?? {};
+  const adjectives = getAttributeNames()
+    .filter((name) => name !== 'shape' && name !== 'color' && cell[name] !== undefined)
+    .map((name) => describeAttributeValue(name, cell[name], { gender }));
+  return t('cell.appearance', {
+    adjectives: adjectives.join(' '),
+    color: describeAttributeValue('color', cell.color, { gender }),
+    shape: describeAttributeValue('shape', cell.shape)
+  }).replace(/\s+/g, ' ').trim();
+}
+
+registerAttribute('shape', {
+  predicate: 'Shape',
+  values: ['circle', 'square', 'triangle', 'star', 'hexagon', 'diamond'],
+  defaults: ['circle', 'square', 'triangle'],
+  svg: {
+    circle: { geometry: { tag: 'circle', attrs: { cx: 60, cy: 60, r: 46 } } },
+    square: { geometry: { tag: 'rect', attrs: { x: 12, y: 12, width: 96, height: 96, rx: 22, ry: 22 } } },
+    triangle: { geometry: { tag: 'polygon', attrs: { points: '60,16 106,108 14,108' } } },
+    star: { geometry: { tag: 'polygon', attrs: { points: '60,12 73,46 109,48 81,71 91,106 60,86 29,106 39,71 11,48 47,46' } } },
+    hexagon: { geometry: { tag: 'polygon', attrs: { points: '60,12 102,36 102,84 60,108 18,84 18,36' } } },
+    diamond: { geometry: { tag: 'polygon', attrs: { points: '60,10 108,60 60,110 12,60' } } }
+  }
+});
+
+// The marks of each color pattern, in a 14×14 tile; the patterns tell colors apart without hue
+// for color-blind players and on black-and-white printouts.
+export const PATTERN_MARKS = {
+  dots: [{ tag: 'circle', attrs: { cx: 7, cy: 7, r: 3.5 } }],
+  horizontal: [{ tag: 'rect', attrs: { x: 0, y: 5, width: 14, height: 4 } }],
+  vertical: [{ tag: 'rect', attrs: { x: 5, y: 0, width: 4, height: 14 } }],
+  crosshatch: [
+    { tag: 'rect', attrs: { x: 0, y: 6, width: 14, height: 2.5 } },
+    { tag: 'rect', attrs: { x: 6, y: 0, width: 2.5, height: 14 } }
+  ],
+  checks: [
+    { tag: 'rect', attrs: { x: 0, y: 0, width: 7, height: 7 } },
+    { tag: 'rect', attrs: { x: 7, y: 7, width: 7, height: 7 } }
+  ]
+};
+
+registerAttribute('color', {
+  predicate: 'Color',
+  values: colors,
+  accepts: (value) => /^#[0-9a-f]{6}$/i.test(value),
+  label: getColorName,
+  svg: {
+    '#ff82a9': { pattern: 'dots' },
+    '#7ed957': { pattern: 'horizontal' },
+    '#6ecbff': { pattern: 'vertical' },
+    '#ffd966': { pattern: 'crosshatch' },
+    '#b07bff': { pattern: 'checks' }
+  }
+});
+
+registerAttribute('size', {
+  predicate: 'Size',
+  values: ['small', 'large'],
+  optional: true,
+  svg: {
+    small: { scale: 0.66 },
+    large: { scale: 1 }
+  }
+});
+
+registerAttribute('fill', {
+  predicate: 'Fill',
+  values: ['solid', 'striped', 'hollow'],
+  optional: true,
+  svg: {
+    solid: { paint: 'solid' },
+    striped: { paint: 'striped' },
+    hollow: { paint: 'hollow' }
+  }
+});
@@ -0,0 +1,128 @@
+// scripts/board.js
+// Board configurations: grid dimensions plus the attribute domains (see attributes.js) and
+// number range that cells draw from. A board is created once per round and travels with each
+// statement's details, so generation, verification and rendering all agree on its size.
+
+import { gridSize, numbers } from './utils.js';
+import { getAttribute, getAttributeNames } from './attributes.js';
+
+export const DEFAULT_BOARD_ID = 'standard';
+
+const MIN_SIDE = 2;
+const MAX_SIDE = 10;
+
+// Named boards offered in the UI; `standard` is the classic 5×5 board with numbers 1–10.
+export const BOARD_PRESETS = {
+  standard: { label: 'Standard 5×5' },
+  warmup: { label: 'Warm-up 3×3', rows: 3, cols: 3 },
+  challenge: { label: 'Challenge 7×7', rows: 7, cols: 7 },
+  small: { label: 'Numbers 1–5', numberRange: { min: 1, max: 5 } },
+  extended: { label: 'Extra shapes, sizes & fills', attributes: { shape: true, size: true, fill: true } }
+};
+
+function checkSide(name, value) {
+  if (!Number.isInteger(value) || value < MIN_SIDE || value > MAX_SIDE) {
+    throw new Error(`Board ${name} must be an integer from ${MIN_SIDE} to ${MAX_SIDE}, got ${value}`);
+  }
+}
+
+function checkDomain(name, values) {
+  if (!Array.isArray(values) || new Set(values).size < 2) {
+    throw new Error(`Board ${name} needs at least two distinct values`);
+  }
+  const invalid = values.find((value) => !getAttribute(name).accepts(value));
+  if (invalid !== undefined) {
+    throw new Error(`Board ${name} contains unsupported value '${invalid}'`);
+  }
+}
+
+// `setting` is true (every registered value), false (left out) or an explicit value list.
+function resolveDomain(name, setting) {
+  const attribute = getAttribute(name);
+  if (setting === undefined) {
+    return attribute.optional ? null : [...attribute.defaults];
+  }
+  if (setting === false) {
+    if (!attribute.optional) {
+      throw new Error(`Board cannot leave out the required attribute '${name}'`);
+    }
+    return null;
+  }
+  const values = setting === true ? [...attribute.values] : setting;
+  checkDomain(name, values);
+  return [...values];
+}
+
+/**
+ * createBoard(config): normalizes a preset id or { rows, cols, shapes, colors, numberRange,
+ * attributes } into a board { id, rows, cols, domains, numberRange }. `attributes` maps an
+ * attribute name to true, false or a list of values; `shapes` and `colors` are shorthands.
+ * `domains` holds the values of every attribute in play plus `number`. Missing fields fall
+ * back to the standard board; `id` is null for boards that are not a preset.
+ */
+export function createBoard(config = DEFAULT_BOARD_ID) {
+  let id = null;
+  let settings = config;
+  if (typeof config === 'string') {
+    if (!BOARD_PRESETS[config]) {
+      throw new Error(`Unknown board preset '${config}'`);
+    }
+    id = config;
+    settings = BOARD_PRESETS[config];
+  }
+
+  const rows = settings.rows ?? gridSize;
+  const cols = settings.cols ?? gridSize;
+  const numberRange = settings.numberRange ?? { min: Math.min(...numbers), max: Math.max(...numbers) };
+  checkSide('rows', rows);
+  checkSide('cols', cols);
+  if (!Number.isInteger(numberRange.min) || !Number.isInteger(numberRange.max) || numberRange.min >= numberRange.max) {
+    throw new Error(`Board numberRange must be two integers with min < max, got ${JSON.stringify(numberRange)}`);
+  }
+
+  const attributeSettings = { shape: settings.shapes, color: settings.colors, ...settings.attributes };
+  const unknown = Object.keys(attributeSettings).find((name) => !getAttribute(name));
+  if (unknown) {
+    throw new Error(`Board refers to unknown attribute '${unknown}'`);
+  }
+
+  // Cells draw their values in this order, so required attributes and numbers come first and
+  // boards without optional attributes keep the random stream (and puzzle codes) they always had.
+  const names = getAttributeNames();
+  const domains = {};
+  names.filter((name) => !getAttribute(name).optional).forEach((name) => {
+    domains[name] = resolveDomain(name, attributeSettings[name]);
+  });
+  domains.number = Array.from({ length: numberRange.max - numberRange.min + 1 }, (_, i) => numberRange.min + i);
+  names.filter((name) => getAttribute(name).optional).forEach((name) => {
+    const domain = resolveDomain(name, attributeSettings[name]);
+    if (domain) domains[name] = domain;
+  });
+
+  return {
+    id,
+    rows,
+    cols,
+    domains,
+    numberRange: { min: numberRange.min, max: numberRange.max }
+  };
+}
+
+export const DEFAULT_BOARD = createBoard();
+
+/**
+ * supportsBoard(requirements, board): checks a template's optional `board` declaration,
+ * { minRows, maxRows, minCols, maxCols, minNumbers, attributes }, against a board
+ */
+export function supportsBoard(requirements, board) {
+  if (!requirements) {
+    return true;
+  }
+  const {
+    minRows = 0, maxRows = Infinity, minCols = 0, maxCols = Infinity, minNumbers = 0, attributes = []
+  } = requirements;
+  return board.rows >= minRows && board.rows <= maxRows &&
+    board.cols >= minCols && board.cols <= maxCols &&
+    board.domains.number.length >= minNumbers &&
+    attributes.every((name) => Boolean(board.domains[name]));
+}
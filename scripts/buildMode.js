@@ -0,0 +1,280 @@
+// scripts/buildMode.js
+// "Build the grid" rounds on the page: select a cell, change its attributes in the cell editor
+// and the statement is checked again after every edit. Puzzles come from buildPuzzle.js.
+
+import { displayGrid, highlightCells, clearHighlights, removeHighlight, getColorPattern } from './grid.js';
+import { describeExplanation } from './explanations.js';
+import { describeAttributeName, describeAttributeValue } from './attributes.js';
+import { checkBuildGrid, countEdits, scoreBuildAttempt } from './buildPuzzle.js';
+import { t } from './i18n.js';
+
+let round = null;
+let checkCount = 0;
+let onRoundSolved = null;
+let adjustRoundScore = (score) => score;
+
+let buildPanel = null;
+let statementEl = null;
+let folEl = null;
+let editsEl = null;
+let statusEl = null;
+let cellEditor = null;
+let resetButton = null;
+
+function cloneGrid(grid) {
+    return grid.map((cell) => ({ ...cell, position: { ...cell.position } }));
+}
+
+/**
+ * initBuildMode({ onSolved, adjustScore }): wires the build panel once; onSolved({ edits, par, score })
+ * runs when the student's grid first satisfies the statement. adjustScore(score), e.g. a hint
+ * penalty, turns the edit score into the one shown and reported.
+ */
+export function initBuildMode({ onSolved, adjustScore } = {}) {
+    onRoundSolved = onSolved || null;
+    adjustRoundScore = adjustScore || adjustRoundScore;
+    buildPanel = document.getElementById('build-panel');
+    statementEl = document.getElementById('build-statement');
+    folEl = document.getElementById('build-fol');
+    editsEl = document.getElementById('build-edits');
+    statusEl = document.getElementById('build-status');
+    cellEditor = document.getElementById('cell-editor');
+    resetButton = document.getElementById('build-reset');
+
+    // displayGrid() only replaces the cells, so one listener on the container covers every round
+    const gridContainer = document.getElementById('grid-container');
+    if (gridContainer) {
+        gridContainer.addEventListener('click', (event) => {
+            const cell = event.target.closest('.cell');
+            if (!round || round.solved || !cell) {
+                return;
+            }
+            const [row, col] = cell.dataset.position.split(',').map(Number);
+            selectCell(round.grid.findIndex((item) => item.position.row === row && item.position.col === col));
+        });
+    }
+
+    if (resetButton) {
+        resetButton.addEventListener('click', () => {
+            if (!round || round.solved) {
+                return;
+            }
+            round.grid = cloneGrid(round.puzzle.grid);
+            round.selectedIndex = null;
+            refreshRound();
+        });
+    }
+}
+
+/**
+ * startBuildRound(puzzle): shows a puzzle from generateBuildPuzzle() and unlocks editing
+ */
+export function startBuildRound(puzzle) {
+    round = {
+        puzzle,
+        grid: cloneGrid(puzzle.grid),
+        selectedIndex: null,
+        focusProperty: null, // the editor row to keep keyboard focus in after an edit
+        solved: false
+    };
+    showStatement();
+    if (buildPanel) {
+        buildPanel.hidden = false;
+    }
+    document.getElementById('grid-container').classList.add('grid-editable');
+    refreshRound();
+}
+
+/**
+ * refreshBuildText(): shows the statement, the cell editor and the edit count again, e.g. after
+ * the statement was put into another language
+ */
+export function refreshBuildText() {
+    if (!round) {
+        return;
+    }
+    showStatement();
+    renderCellEditor();
+    updateEditCount();
+}
+
+function showStatement() {
+    if (statementEl) {
+        statementEl.textContent = round.puzzle.statement.naturalLanguageStatement;
+    }
+    if (folEl) {
+        folEl.textContent = round.puzzle.statement.formalFOLStatement || t('game.noFol');
+    }
+}
+
+/**
+ * getBuildGrid(): the grid as the student has edited it so far, or null outside a build round
+ */
+export function getBuildGrid() {
+    return round ? round.grid : null;
+}
+
+/**
+ * stopBuildRound(): hides the build panel; clicks on the grid are ignored again
+ */
+export function stopBuildRound() {
+    round = null;
+    checkCount += 1;
+    if (buildPanel) {
+        buildPanel.hidden = true;
+    }
+    document.getElementById('grid-container').classList.remove('grid-editable');
+    if (cellEditor) {
+        cellEditor.innerHTML = '';
+    }
+}
+
+function refreshRound() {
+    displayGrid(round.grid);
+    markSelectedCell();
+    renderCellEditor();
+    updateEditCount();
+    checkRound().catch(err => console.error('Failed to check the built grid:', err));
+}
+
+function selectCell(index) {
+    round.selectedIndex = index === round.selectedIndex ? null : index;
+    round.focusProperty = null;
+    markSelectedCell();
+    renderCellEditor();
+}
+
+function markSelectedCell() {
+    removeHighlight('cell-selected');
+    if (round.selectedIndex !== null) {
+        highlightCells([round.grid[round.selectedIndex].position], 'cell-selected');
+    }
+}
+
+function editSelectedCell(property, value) {
+    if (!round || round.solved || round.selectedIndex === null) {
+        return;
+    }
+    round.grid[round.selectedIndex][property] = value;
+    round.focusProperty = property;
+    refreshRound();
+}
+
+function getPropertyLabel(property) {
+    const word = describeAttributeName(property);
+    return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+// One row of value buttons per attribute on the board, e.g. shape, color, number.
+function renderCellEditor() {
+    if (!cellEditor) {
+        return;
+    }
+    cellEditor.innerHTML = '';
+    if (round.selectedIndex === null) {
+        const prompt = document.createElement('p');
+        prompt.className = 'cell-editor-prompt';
+        prompt.textContent = t(round.solved ? 'build.solvedPrompt' : 'build.prompt');
+        cellEditor.appendChild(prompt);
+        return;
+    }
+
+    const cell = round.grid[round.selectedIndex];
+    let focusTarget = null;
+    Object.entries(round.puzzle.board.domains).forEach(([property, values]) => {
+        const group = document.createElement('div');
+        group.className = 'cell-editor-group';
+        group.setAttribute('role', 'group');
+        group.setAttribute('aria-label', getPropertyLabel(property));
+
+        const label = document.createElement('span');
+        label.className = 'cell-editor-label';
+        label.textContent = getPropertyLabel(property);
+        group.appendChild(label);
+
+        values.forEach((value) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'cell-editor-value';
+            const text = describeAttributeValue(property, value);
+            if (property === 'color') {
+                button.classList.add('cell-editor-swatch');
+                button.style.backgroundColor = value;
+                button.title = text;
+                button.setAttribute('aria-label', text);
+                button.dataset.pattern = getColorPattern(value) || '';
+            } else {
+                button.textContent = text;
+            }
+            button.setAttribute('aria-pressed', String(cell[property] === value));
+            if (cell[property] === value) {
+                button.classList.add('cell-editor-active');
+                if (property === round.focusProperty) {
+                    focusTarget = button;
+                }
+            }
+            button.addEventListener('click', () => editSelectedCell(property, value));
+            group.appendChild(button);
+        });
+        cellEditor.appendChild(group);
+    });
+    // Re-rendering drops the button that had focus, so keyboard users land on its replacement
+    if (focusTarget) {
+        focusTarget.focus();
+    }
+}
+
+function getEditCount() {
+    return countEdits(round.puzzle.grid, round.grid);
+}
+
+function updateEditCount() {
+    if (editsEl) {
+        const par = round.puzzle.par ?? '—';
+        editsEl.textContent = t('build.edits', { edits: getEditCount(), par });
+    }
+}
+
+// "3 edits (par 2)"; the par is left out when it is unknown
+function describeEdits(edits, par) {
+    const parText = par === null || par === undefined ? '' : t('build.par', { par });
+    return t('build.editCount', { count: edits, par: parText });
+}
+
+function showStatus(message, isSolved) {
+    if (!statusEl) {
+        return;
+    }
+    statusEl.textContent = message;
+    statusEl.classList.toggle('build-status-solved', isSolved);
+}
+
+// Checks run after every edit; a slower earlier check must not overwrite a newer result.
+async function checkRound() {
+    const checkId = ++checkCount;
+    const grid = round.grid;
+    const explanation = await checkBuildGrid(round.puzzle, grid);
+    if (checkId !== checkCount || !round) {
+        return;
+    }
+
+    clearHighlights();
+    if (!explanation.satisfied) {
+        const description = describeExplanation(explanation, grid);
+        highlightCells(description.highlights.counterexamples, 'cell-counterexample');
+        showStatus([description.summary, description.steps[0]].filter(Boolean).join(' '), false);
+        return;
+    }
+
+    const edits = getEditCount();
+    const par = round.puzzle.par;
+    const score = adjustRoundScore(scoreBuildAttempt(edits, par));
+    round.solved = true;
+    round.selectedIndex = null;
+    markSelectedCell();
+    renderCellEditor();
+    showStatus(t('build.solved', { edits: describeEdits(edits, par), score }), true);
+    if (onRoundSolved) {
+        onRoundSolved({ edits, par, score });
+    }
+}
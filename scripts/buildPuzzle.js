@@ -0,0 +1,113 @@
+// scripts/buildPuzzle.js
+// "Build the grid" rounds: one statement plus a grid that violates it. The student edits
+// cells until the statement holds, and fewer edits score more. DOM-free like puzzleGenerator.js.
+
+import { getRandomElement, createSeededRandom, createRandomSeed } from './utils.js';
+import { getTemplatesByDifficulty } from './statementGenerator.js';
+import { createBoard, DEFAULT_BOARD_ID } from './board.js';
+
+const MAX_BUILD_ATTEMPTS = 5;
+
+// Repairs tried when estimating par; the cheapest one that verifies wins.
+const PAR_SAMPLES = 12;
+
+const MAX_BUILD_SCORE = 100;
+const MIN_BUILD_SCORE = 10;
+const POINTS_PER_EXTRA_EDIT = 15;
+
+/**
+ * countEdits(fromGrid, toGrid): number of cell attributes (shape, color, number, ...) that differ
+ */
+export function countEdits(fromGrid, toGrid) {
+  return fromGrid.reduce((total, cell, index) => {
+    const other = toGrid[index];
+    const changed = Object.keys(cell).filter((key) => key !== 'position' && cell[key] !== other[key]);
+    return total + changed.length;
+  }, 0);
+}
+
+/**
+ * scoreBuildAttempt(edits, par): full marks at or under par, then a fixed cost per extra edit.
+ * Without a par (FOL-only templates) a single edit counts as par.
+ */
+export function scoreBuildAttempt(edits, par) {
+  const extra = Math.max(0, edits - (par ?? 1));
+  return Math.max(MIN_BUILD_SCORE, MAX_BUILD_SCORE - POINTS_PER_EXTRA_EDIT * extra);
+}
+
+// An upper bound on the fewest edits: the template's own generators repair copies of the grid.
+function estimatePar(template, grid, details, random) {
+  let par = null;
+  for (let sample = 0; sample < PAR_SAMPLES; sample++) {
+    const repaired = template.repairGrid(grid, details, random);
+    if (repaired) {
+      const edits = countEdits(grid, repaired);
+      par = par === null ? edits : Math.min(par, edits);
+    }
+  }
+  return par;
+}
+
+async function findTemplate(difficulty, templateId) {
+  const templateBank = await getTemplatesByDifficulty(difficulty);
+  const template = templateBank.find((candidate) => candidate.id === templateId);
+  if (!template) {
+    throw new Error(`Unknown template id '${templateId}'.`);
+  }
+  return template;
+}
+
+/**
+ * generateBuildPuzzle(options): a statement and a grid that makes it false, for the student to
+ * repair by editing cells.
+ *
+ * Options: { difficulty = 'easy', templateId?, seed?, board? }. Resolves to { seed, difficulty,
+ * templateId, board, statement: { naturalLanguageStatement, formalFOLStatement, hint, details },
+ * grid, par }, where `par` is the fewest edits the generators found (null when unknown).
+ */
+export async function generateBuildPuzzle(options = {}) {
+  const difficulty = options.difficulty || 'easy';
+  const board = createBoard(options.board ?? DEFAULT_BOARD_ID);
+  const seed = (options.seed ?? createRandomSeed()) >>> 0;
+  const random = createSeededRandom(seed);
+
+  const templateBank = (await getTemplatesByDifficulty(difficulty))
+    .filter((template) => template.supportsBoard(board));
+  const template = options.templateId !== undefined
+    ? templateBank.find((candidate) => candidate.id === options.templateId)
+    : getRandomElement(templateBank, random);
+  if (!template) {
+    throw new Error(`No '${difficulty}' template ${options.templateId ?? ''} supports a ${board.rows}x${board.cols} board.`);
+  }
+
+  const failures = [];
+  for (let attempt = 0; attempt < MAX_BUILD_ATTEMPTS; attempt++) {
+    const statementData = template.generateStatements(random, board);
+    let grid;
+    try {
+      ({ grid } = template.generateGrid(false, statementData.details, random));
+    } catch (error) {
+      failures.push(`attempt ${attempt + 1}: ${error.message}`);
+      continue;
+    }
+    return {
+      seed,
+      difficulty,
+      templateId: template.id,
+      board,
+      statement: statementData,
+      grid,
+      par: estimatePar(template, grid, statementData.details, random)
+    };
+  }
+  throw new Error(`Could not build a starting grid from template ${template.id} (seed ${seed}):\n${failures.join('\n')}`);
+}
+
+/**
+ * checkBuildGrid(puzzle, grid): resolves to the template's explanation of the statement on the
+ * edited grid ({ satisfied, rules }), ready for describeExplanation()
+ */
+export async function checkBuildGrid(puzzle, grid) {
+  const template = await findTemplate(puzzle.difficulty, puzzle.templateId);
+  return template.explainStatementWithGrid(grid, puzzle.statement.details);
+}
@@ -0,0 +1,78 @@
+// scripts/cellPicture.js
+// What a cell looks like, as plain SVG nodes in a 120×120 box: the shape with its size and
+// fill, the color pattern laid over it and the ink its number needs. grid.js turns the nodes
+// into elements and worksheet.js into markup, so the game and printed sheets draw attributes
+// the same way. DOM-free.
+
+import { getAttribute, getRenderHints, PATTERN_MARKS } from './attributes.js';
+
+const PATTERN_TILE = 14;
+const PATTERN_MARK_FILL = 'rgba(45, 25, 70, 0.55)';
+
+/**
+ * createColorPatternNode(id, name): the <pattern> node for a color pattern of PATTERN_MARKS,
+ * e.g. 'dots', as { tag, attrs, children }
+ */
+export function createColorPatternNode(id, name) {
+  return {
+    tag: 'pattern',
+    attrs: { id, patternUnits: 'userSpaceOnUse', width: PATTERN_TILE, height: PATTERN_TILE },
+    children: PATTERN_MARKS[name].map(({ tag, attrs }) => ({ tag, attrs: { ...attrs, fill: PATTERN_MARK_FILL } }))
+  };
+}
+
+function createStripesNode(id, color) {
+  return {
+    tag: 'pattern',
+    attrs: { id, patternUnits: 'userSpaceOnUse', width: PATTERN_TILE, height: PATTERN_TILE, patternTransform: 'rotate(45)' },
+    children: [{ tag: 'rect', attrs: { width: PATTERN_TILE / 2, height: PATTERN_TILE, fill: color } }]
+  };
+}
+
+function getPaintAttrs(paint, color, stripesId) {
+  switch (paint) {
+    case 'hollow':
+      return { fill: 'none', stroke: color, 'stroke-width': 9 };
+    case 'striped':
+      return { fill: `url(#${stripesId})`, stroke: color, 'stroke-width': 5 };
+    default:
+      return { fill: color, stroke: '#f7f7f7', 'stroke-width': 3 };
+  }
+}
+
+/**
+ * describeCellPicture(cell, ids): the nodes ({ tag, attrs, children? }) that draw a cell.
+ * ids: { stripes, colorPattern(name) } – the id to give the cell's stripes pattern, and the id
+ * under which the color pattern `name` is defined (see createColorPatternNode()).
+ * Returns { defs, shape, overlay, pattern, ink }: `defs` are patterns only this cell uses,
+ * `overlay` repeats the shape in the color's `pattern` (both null when the color has none), and
+ * `ink` is 'light' or 'dark' for the number.
+ */
+export function describeCellPicture(cell, { stripes, colorPattern }) {
+  const hints = getRenderHints(cell);
+  const geometry = hints.geometry || getAttribute('shape').svg.circle.geometry;
+  const paint = hints.paint || 'solid';
+  const transform = hints.scale && hints.scale !== 1
+    ? `translate(60 60) scale(${hints.scale}) translate(-60 -60)`
+    : undefined;
+  const shapeAttrs = { ...geometry.attrs, transform };
+
+  const defs = paint === 'striped' ? [createStripesNode(stripes, cell.color)] : [];
+  const shape = {
+    tag: geometry.tag,
+    attrs: { ...shapeAttrs, ...getPaintAttrs(paint, cell.color, stripes), 'stroke-linejoin': 'round' }
+  };
+  let overlay = null;
+  if (hints.pattern) {
+    const fill = `url(#${colorPattern(hints.pattern)})`;
+    overlay = {
+      tag: geometry.tag,
+      attrs: paint === 'hollow'
+        ? { ...shapeAttrs, fill: 'none', stroke: fill, 'stroke-width': 9 }
+        : { ...shapeAttrs, fill }
+    };
+  }
+
+  // Numbers on hollow or striped shapes sit on the pale cell, so they switch to dark ink
+  return { defs, shape, overlay, pattern: hints.pattern || null, ink: paint === 'solid' ? 'light' : 'dark' };
+}
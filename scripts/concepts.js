@@ -0,0 +1,105 @@
+// scripts/concepts.js
+// The logic concepts a statement exercises, read off its formula so every template – including
+// new ones – is tagged without extra JSON. The player profile tracks mastery per concept.
+
+import { parseFormula } from './fol.js';
+
+export const CONCEPTS = {
+  universal: 'All (∀)',
+  existential: 'Some (∃)',
+  counting: 'Counting (exactly, at least, at most)',
+  implication: 'Implication (→)',
+  negation: 'Negation (¬)',
+  disjunction: 'Or (∨)',
+  comparison: 'Number comparisons',
+  parity: 'Even and odd',
+  prime: 'Primes',
+  multiple: 'Multiples',
+  region: 'Regions',
+  neighbor: 'Neighbors and directions',
+  rowColumn: 'Rows and columns',
+  aggregate: 'Sums, maxima and minima',
+  nesting: 'Nested quantifiers'
+};
+
+const PREDICATE_CONCEPTS = {
+  Even: 'parity',
+  Odd: 'parity',
+  Prime: 'prime',
+  MultipleOf: 'multiple',
+  Location: 'region',
+  RightOf: 'neighbor',
+  LeftOf: 'neighbor',
+  Above: 'neighbor',
+  Below: 'neighbor',
+  TopLeftDiagonalOf: 'neighbor',
+  TopRightDiagonalOf: 'neighbor',
+  Adjacent: 'neighbor',
+  Touching: 'neighbor',
+  Diagonal: 'neighbor',
+  WithinDistance: 'neighbor',
+  SameRow: 'rowColumn',
+  SameColumn: 'rowColumn',
+  AnywhereLeftOf: 'rowColumn',
+  AnywhereRightOf: 'rowColumn',
+  AnywhereAbove: 'rowColumn',
+  AnywhereBelow: 'rowColumn'
+};
+
+const FUNCTION_CONCEPTS = { Row: 'rowColumn', Column: 'rowColumn' };
+
+const NODE_CONCEPTS = {
+  forall: 'universal',
+  exists: 'existential',
+  count: 'counting',
+  implies: 'implication',
+  not: 'negation',
+  or: 'disjunction'
+};
+
+const ORDER_OPERATORS = new Set(['<', '>', '≤', '≥']);
+
+/**
+ * findConcepts(formula): concept ids (keys of CONCEPTS) used by a FOL string or AST, in CONCEPTS
+ * order; an unparsable formula has none
+ */
+export function findConcepts(formula) {
+  let ast;
+  try {
+    ast = typeof formula === 'string' ? parseFormula(formula) : formula;
+  } catch (error) {
+    return [];
+  }
+  const found = new Set();
+  const visit = (node, depth) => {
+    if (!node || typeof node !== 'object') {
+      return;
+    }
+    if (Array.isArray(node)) {
+      node.forEach((child) => visit(child, depth));
+      return;
+    }
+    const isQuantifier = node.type === 'forall' || node.type === 'exists' || node.type === 'count';
+    if (NODE_CONCEPTS[node.type]) {
+      found.add(NODE_CONCEPTS[node.type]);
+    }
+    if (isQuantifier && depth > 0) {
+      found.add('nesting');
+    }
+    if (node.type === 'compare' && ORDER_OPERATORS.has(node.operator)) {
+      found.add('comparison');
+    }
+    if (node.type === 'predicate' && PREDICATE_CONCEPTS[node.name]) {
+      found.add(PREDICATE_CONCEPTS[node.name]);
+    }
+    if (node.type === 'function' && FUNCTION_CONCEPTS[node.name]) {
+      found.add(FUNCTION_CONCEPTS[node.name]);
+    }
+    if (node.type === 'aggregate') {
+      found.add(node.name === 'Count' ? 'counting' : 'aggregate');
+    }
+    Object.values(node).forEach((child) => visit(child, isQuantifier ? depth + 1 : depth));
+  };
+  visit(ast, 0);
+  return Object.keys(CONCEPTS).filter((concept) => found.has(concept));
+}
@@ -0,0 +1,395 @@
+// scripts/explanations.js
+// Turns the structured explanations returned by the rule verifiers into sentences plus the
+// cell positions to highlight. Knows nothing about the DOM.
+
+import { describeAttributeName, describeAttributeValue, describeAppearance } from './attributes.js';
+import { t, getWord } from './i18n.js';
+
+// How many satisfied instances to walk through for a true statement.
+const MAX_CONFIRMED_STEPS = 4;
+
+function findCell(grid, position) {
+  return grid.find((cell) => cell.position.row === position.row && cell.position.col === position.col);
+}
+
+// A message from explain.*, or `fallback` for keys a locale cannot know, e.g. a new direction.
+function phrase(key, fallback, params = {}) {
+  const text = t(`explain.${key}`, params);
+  return text === `explain.${key}` ? fallback : text;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+export function formatPosition(position) {
+  return t('explain.position', { row: position.row + 1, col: position.col + 1 });
+}
+
+function propertyWord(property, form) {
+  return describeAttributeName(property, form);
+}
+
+function formatValue(property, value) {
+  return property === 'number' ? String(value) : describeAttributeValue(property, value);
+}
+
+// "Pink circle with value 7"; boards with extra attributes add them up front ("small striped ...").
+export function describeCell(cell) {
+  return t('explain.cell', { appearance: describeAppearance(cell), number: cell.number });
+}
+
+function describeCellAt(grid, position) {
+  return t('explain.cellAt', { cell: describeCell(findCell(grid, position)), position: formatPosition(position) });
+}
+
+function describeDirection(direction) {
+  return phrase(`direction.${direction}`, direction);
+}
+
+function describeRegion(direction, size) {
+  return t(`region.${direction}`, { count: size });
+}
+
+function joinReasons(reasons) {
+  return reasons.join(t('explain.and'));
+}
+
+function describeFailure(failure) {
+  switch (failure.type) {
+    case 'property':
+      return t('explain.failure.property', {
+        property: propertyWord(failure.property),
+        actual: formatValue(failure.property, failure.actual),
+        expected: formatValue(failure.property, failure.expected)
+      });
+    case 'comparison':
+      return t('explain.failure.comparison', {
+        property: propertyWord(failure.property),
+        actual: formatValue(failure.property, failure.actual),
+        operator: phrase(`operator.${failure.operator}`, failure.operator),
+        expected: formatValue(failure.property, failure.expected)
+      });
+    case 'region':
+      return t('explain.failure.region', { region: describeRegion(failure.direction, failure.size) });
+    case 'noNeighbor':
+      return t('explain.failure.noNeighbor', { direction: describeDirection(failure.direction) });
+    default:
+      return t('explain.failure.other', { check: failure.operator || failure.action || failure.type });
+  }
+}
+
+function describeCounterexample(rule, instance, grid) {
+  const subject = capitalize(describeCellAt(grid, instance.position));
+  const reasons = joinReasons(instance.failures.map(describeFailure));
+
+  if (rule.ruleType === 'neighborRequirement' && instance.neighbor) {
+    return t('explain.neighborCounterexample', {
+      subject,
+      neighbor: describeCellAt(grid, instance.neighbor),
+      direction: describeDirection(instance.direction),
+      reasons
+    });
+  }
+  return t('explain.counterexample', { subject, reasons });
+}
+
+function describeConfirmation(rule, instance, grid) {
+  const subject = describeCellAt(grid, instance.position);
+  if (instance.witness) {
+    return t('explain.confirmedWitness', {
+      subject,
+      witness: describeCellAt(grid, instance.witness),
+      direction: describeDirection(instance.direction)
+    });
+  }
+  return t('explain.confirmed', { subject: capitalize(subject) });
+}
+
+function pluralCells(count) {
+  return t('explain.cells', { count });
+}
+
+function listMatches(rule, grid, steps) {
+  rule.instances.slice(0, MAX_CONFIRMED_STEPS).forEach((instance) => {
+    steps.push(t('explain.match', { subject: capitalize(describeCellAt(grid, instance.position)) }));
+  });
+  if (rule.instances.length > MAX_CONFIRMED_STEPS) {
+    steps.push(t('explain.moreMatches', { count: rule.instances.length - MAX_CONFIRMED_STEPS }));
+  }
+}
+
+// ∃ and counting rules: the matching cells are the witnesses, and the count is the verdict.
+function describeMatchRule(rule, grid) {
+  const highlights = { instances: [], witnesses: [], counterexamples: [] };
+  const steps = [];
+  const positions = rule.instances.map((instance) => instance.position);
+  if (rule.satisfied) {
+    highlights.witnesses.push(...positions);
+  } else {
+    highlights.counterexamples.push(...positions);
+  }
+  listMatches(rule, grid, steps);
+
+  let summary;
+  if (rule.ruleType === 'exists') {
+    summary = rule.satisfied
+      ? t('explain.summary.existsTrue', { count: positions.length })
+      : t('explain.summary.existsFalse');
+  } else {
+    summary = t(rule.satisfied ? 'explain.summary.countTrue' : 'explain.summary.countFalse', {
+      count: rule.actual,
+      quantifier: phrase(`quantifier.${rule.quantifier}`, rule.quantifier),
+      expected: rule.expected
+    });
+  }
+  return { satisfied: rule.satisfied, summary, steps, highlights };
+}
+
+// ¬∀: a cell that breaks the universal is the witness that makes the statement true.
+function describeNotAllRule(rule, grid) {
+  const highlights = { instances: [], witnesses: [], counterexamples: [] };
+  const steps = [];
+  const breaking = rule.instances.filter((instance) => !instance.holds);
+
+  if (rule.satisfied) {
+    highlights.witnesses.push(...breaking.map((instance) => instance.position));
+    steps.push(describeCounterexample(rule, breaking[0], grid));
+    return { satisfied: true, summary: t('explain.summary.notAllTrue'), steps, highlights };
+  }
+
+  highlights.counterexamples.push(...rule.instances.map((instance) => instance.position));
+  if (rule.instances.length === 0) {
+    return { satisfied: false, summary: t('explain.summary.notAllVacuous'), steps, highlights };
+  }
+  rule.instances.slice(0, MAX_CONFIRMED_STEPS).forEach((instance) => {
+    steps.push(describeConfirmation(rule, instance, grid));
+  });
+  return {
+    satisfied: false,
+    summary: t('explain.summary.notAllFalse', { count: rule.instances.length, cells: pluralCells(rule.instances.length) }),
+    steps,
+    highlights
+  };
+}
+
+function describeGroup(rule, instance) {
+  switch (rule.scope) {
+    case 'row':
+      return t('explain.group.row', { number: instance.index + 1 });
+    case 'column':
+      return t('explain.group.column', { number: instance.index + 1 });
+    case 'region':
+      return capitalize(t('explain.group.region', { region: describeRegion(rule.region.direction, rule.region.size) }));
+    default:
+      return t('explain.group.grid');
+  }
+}
+
+// The group as it reads mid-sentence: "row 2", "the left 2 columns"
+function describeGroupInSentence(rule, instance) {
+  const group = describeGroup(rule, instance);
+  return group.charAt(0).toLowerCase() + group.slice(1);
+}
+
+function describeScope(scope) {
+  return getWord('scope', scope) ?? scope;
+}
+
+function describeOperand(operand) {
+  if (!operand.fn) return String(operand.value);
+  const aggregate = phrase(`aggregate.${operand.fn}`, operand.fn, {
+    property: operand.property ? propertyWord(operand.property, { plural: true }) : ''
+  });
+  return t('explain.operand', { phrase: aggregate, value: operand.value ?? t('explain.none') });
+}
+
+function describeAggregateComparison(comparison) {
+  return t(comparison.holds ? 'explain.comparisonHolds' : 'explain.comparisonFails', {
+    left: describeOperand(comparison.left),
+    operator: phrase(`operator.${comparison.operator}`, comparison.operator),
+    right: describeOperand(comparison.right)
+  });
+}
+
+// Row, column, region and grid aggregates: each group is one instance of the rule.
+function describeAggregateRule(rule) {
+  const highlights = { instances: [], witnesses: [], counterexamples: [] };
+  const steps = [];
+  const failing = rule.instances.filter((instance) => !instance.holds);
+  const shown = rule.satisfied ? rule.instances.slice(0, MAX_CONFIRMED_STEPS) : failing.slice(0, 1);
+
+  shown.forEach((instance) => {
+    const comparisons = rule.satisfied ? instance.comparisons : instance.failures;
+    const reason = joinReasons(comparisons.map(describeAggregateComparison)) || t('explain.conditionFails');
+    const group = describeGroup(rule, instance);
+    steps.push(t(rule.satisfied ? 'explain.confirmedGroupStep' : 'explain.groupStep', { group, reason }));
+  });
+
+  const scope = describeScope(rule.scope);
+  if (!rule.satisfied) {
+    highlights.counterexamples.push(...failing.flatMap((instance) => instance.cells));
+    if (failing.length > 1) {
+      steps.push(t('explain.otherGroupsFail', { count: failing.length - 1, scope }));
+    }
+    return {
+      satisfied: false,
+      summary: t('explain.summary.groupFails', { group: describeGroupInSentence(rule, failing[0]) }),
+      steps,
+      highlights
+    };
+  }
+
+  highlights.instances.push(...rule.instances.flatMap((instance) => instance.cells));
+  if (rule.instances.length > MAX_CONFIRMED_STEPS) {
+    steps.push(t('explain.moreGroups', { count: rule.instances.length - MAX_CONFIRMED_STEPS, scope }));
+  }
+  const summary = rule.quantifier === 'forall'
+    ? t('explain.summary.allGroups', { count: rule.instances.length, scope })
+    : t('explain.summary.someGroup', { group: describeGroupInSentence(rule, rule.instances[0]) });
+  return { satisfied: true, summary, steps, highlights };
+}
+
+function describeRelation(rule) {
+  if (!rule.relation) return t('explain.relation.anywhere');
+  return phrase(`relation.${rule.relation.type}`, rule.relation.type, { distance: rule.relation.distance });
+}
+
+// Why one outer cell of a quantified rule passes or fails, in terms of the inner variable.
+function describeQuantifiedInstance(rule, instance, grid) {
+  const subject = describeCellAt(grid, instance.position);
+  const where = describeRelation(rule);
+  if (!rule.inner) {
+    return t(instance.holds ? 'explain.quantified.meets' : 'explain.quantified.fails', { subject: capitalize(subject) });
+  }
+  if (instance.witness) {
+    return t('explain.quantified.witness', { subject, other: describeCellAt(grid, instance.witness), where });
+  }
+  if (instance.counterexample) {
+    return t('explain.quantified.counterexample', { subject, other: describeCellAt(grid, instance.counterexample), where });
+  }
+  return t(instance.holds ? 'explain.quantified.every' : 'explain.quantified.none', { subject, where });
+}
+
+// Multi-variable rules: the outer instances carry the witness or counterexample of the inner one.
+function describeQuantifiedRule(rule, grid) {
+  const highlights = { instances: [], witnesses: [], counterexamples: [] };
+  const steps = [];
+  const passing = rule.instances.filter((instance) => instance.holds);
+  const failing = rule.instances.filter((instance) => !instance.holds);
+  const mark = (instances, list) => instances.forEach((instance) => {
+    list.push(instance.position);
+    if (instance.witness) list.push(instance.witness);
+    if (instance.counterexample) list.push(instance.counterexample);
+  });
+
+  if (rule.outer === 'forall') {
+    if (!rule.satisfied) {
+      mark(failing, highlights.counterexamples);
+      steps.push(describeQuantifiedInstance(rule, failing[0], grid));
+      if (failing.length > 1) {
+        steps.push(t('explain.otherCellsFail', { count: failing.length - 1 }));
+      }
+      return { satisfied: false, summary: t('explain.summary.counterexample'), steps, highlights };
+    }
+    passing.forEach((instance) => {
+      highlights.instances.push(instance.position);
+      if (instance.witness) highlights.witnesses.push(instance.witness);
+    });
+    passing.slice(0, MAX_CONFIRMED_STEPS).forEach((instance) => {
+      steps.push(t('explain.confirmedStep', { step: describeQuantifiedInstance(rule, instance, grid) }));
+    });
+    if (passing.length > MAX_CONFIRMED_STEPS) {
+      steps.push(t('explain.moreSatisfied', { count: passing.length - MAX_CONFIRMED_STEPS }));
+    }
+    const summary = passing.length === 0
+      ? t('explain.summary.vacuous')
+      : t('explain.summary.allSatisfy', { count: passing.length, cells: pluralCells(passing.length) });
+    return { satisfied: true, summary, steps, highlights };
+  }
+
+  if (rule.satisfied) {
+    mark(passing.slice(0, 1), highlights.witnesses);
+    steps.push(t('explain.confirmedStep', { step: describeQuantifiedInstance(rule, passing[0], grid) }));
+    return { satisfied: true, summary: t('explain.summary.witness'), steps, highlights };
+  }
+  mark(failing, highlights.counterexamples);
+  failing.slice(0, MAX_CONFIRMED_STEPS).forEach((instance) => {
+    steps.push(describeQuantifiedInstance(rule, instance, grid));
+  });
+  const summary = failing.length === 0
+    ? t('explain.summary.noMatch')
+    : t('explain.summary.noneWorks', { count: failing.length, cells: pluralCells(failing.length) });
+  return { satisfied: false, summary, steps, highlights };
+}
+
+const QUANTITY_DESCRIBERS = {
+  exists: describeMatchRule,
+  count: describeMatchRule,
+  notAll: describeNotAllRule,
+  aggregate: describeAggregateRule,
+  quantified: describeQuantifiedRule
+};
+
+/**
+ * describeExplanation(explanation, grid): { satisfied, summary, steps, highlights } where
+ * highlights = { instances, witnesses, counterexamples } are lists of { row, col }.
+ */
+export function describeExplanation(explanation, grid) {
+  const highlights = { instances: [], witnesses: [], counterexamples: [] };
+  const steps = [];
+
+  if (explanation.rules.length === 0) {
+    return {
+      satisfied: explanation.satisfied,
+      summary: t('explain.summary.formula', { value: t(`truthValue.${explanation.satisfied}`) }),
+      steps,
+      highlights
+    };
+  }
+
+  // Templates with any rule type but implication or neighbor carry exactly that one rule
+  const quantityRule = explanation.rules.find((rule) => QUANTITY_DESCRIBERS[rule.ruleType]);
+  if (quantityRule) {
+    return QUANTITY_DESCRIBERS[quantityRule.ruleType](quantityRule, grid);
+  }
+
+  explanation.rules.forEach((rule) => {
+    rule.instances.forEach((instance) => {
+      if (instance.holds) {
+        highlights.instances.push(instance.position);
+        if (instance.witness) highlights.witnesses.push(instance.witness);
+      } else {
+        highlights.counterexamples.push(instance.position);
+        if (instance.neighbor) highlights.counterexamples.push(instance.neighbor);
+      }
+    });
+  });
+
+  if (!explanation.satisfied) {
+    const rule = explanation.rules.find((candidate) => !candidate.satisfied);
+    const failing = rule.instances.filter((instance) => !instance.holds);
+    steps.push(describeCounterexample(rule, failing[0], grid));
+    if (failing.length > 1) {
+      steps.push(t('explain.otherCellsFailSameWay', { count: failing.length - 1 }));
+    }
+    return { satisfied: false, summary: t('explain.summary.counterexample'), steps, highlights };
+  }
+
+  const instances = explanation.rules.flatMap((rule) => rule.instances.map((instance) => ({ rule, instance })));
+  if (instances.length === 0) {
+    return { satisfied: true, summary: t('explain.summary.vacuous'), steps, highlights };
+  }
+  instances.slice(0, MAX_CONFIRMED_STEPS).forEach(({ rule, instance }) => {
+    steps.push(describeConfirmation(rule, instance, grid));
+  });
+  if (instances.length > MAX_CONFIRMED_STEPS) {
+    steps.push(t('explain.moreSatisfied', { count: instances.length - MAX_CONFIRMED_STEPS }));
+  }
+  return {
+    satisfied: true,
+    summary: t('explain.summary.allInstances', { count: instances.length }),
+    steps,
+    highlights
+  };
+}
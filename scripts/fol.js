@@ -0,0 +1,610 @@
+// scripts/fol.js
+// Parser and model checker for the first-order logic strings shown with each statement.
+//
+// Formulas use the same notation as the template bank:
+//   ∀x ((Shape(x, circle) ∧ Value(x) > 3) → ∃y (Color(y, Sky Blue) ∧ RightOf(y, x)))
+// Counting quantifiers put a bound after ∃: `∃=3x`, `∃≥2x`, `∃≤1x` (exactly/at least/at most).
+// Aggregate terms bind their own variable over the cells matching an optional condition:
+//   Sum[y | Row(y) = Row(x)] Value(y) > 20      Count[y | Shape(y, circle)] ≥ 2
+// `Max`, `Min` and `Distinct` work like `Sum`; `Max[y] Value(y)` ranges over the whole grid.
+// Variables are single lowercase letters (optionally followed by digits) and range over
+// the cells of a grid; `x ≠ y` compares the cells themselves. Any other argument text is read as a constant, so multi-word
+// constants such as `Sky Blue` or `left 2 columns` need no quoting. Cell attributes come from
+// the registry in attributes.js, so `Size(x, small)` and `Fill(x)` work like `Shape` and `Color`.
+
+import { isInRegion, getGridDimensions } from './utils.js';
+import { RELATIONS, relates } from './relations.js';
+import { findAttributeByPredicate, formatAttributeValue, getAttribute, getAttributeNames } from './attributes.js';
+
+const SYMBOLS = {
+  '∀': 'forall',
+  '∃': 'exists',
+  '∧': 'and',
+  '∨': 'or',
+  '¬': 'not',
+  '→': 'implies',
+  '(': 'lparen',
+  ')': 'rparen',
+  ',': 'comma',
+  '[': 'lbracket',
+  ']': 'rbracket',
+  '|': 'bar'
+};
+
+const COMPARISON_OPERATORS = {
+  '=': '=',
+  '≠': '≠',
+  '>': '>',
+  '<': '<',
+  '≥': '≥',
+  '≤': '≤'
+};
+
+const COUNT_OPERATORS = ['=', '≥', '≤'];
+
+const AGGREGATES = ['Sum', 'Count', 'Max', 'Min', 'Distinct'];
+
+const VARIABLE_PATTERN = /^[a-z][0-9]*$/;
+
+// `position` is kept on the error so callers can point at the spot in their own words.
+function syntaxError(message, position) {
+  return Object.assign(new Error(`FOL syntax error at position ${position}: ${message}`), { position });
+}
+
+function tokenize(source) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < source.length) {
+    const char = source[index];
+
+    if (/\s/.test(char)) {
+      index += 1;
+      continue;
+    }
+
+    if (SYMBOLS[char]) {
+      tokens.push({ type: SYMBOLS[char], text: char, position: index });
+      index += 1;
+      continue;
+    }
+
+    if (COMPARISON_OPERATORS[char]) {
+      tokens.push({ type: 'comparison', text: COMPARISON_OPERATORS[char], position: index });
+      index += 1;
+      continue;
+    }
+
+    const number = /^\d+/.exec(source.slice(index));
+    if (number) {
+      tokens.push({ type: 'number', text: number[0], value: Number(number[0]), position: index });
+      index += number[0].length;
+      continue;
+    }
+
+    const word = /^[A-Za-z_][A-Za-z0-9_-]*/.exec(source.slice(index));
+    if (word) {
+      tokens.push({ type: 'word', text: word[0], position: index });
+      index += word[0].length;
+      continue;
+    }
+
+    throw syntaxError(`unexpected character '${char}'`, index);
+  }
+
+  tokens.push({ type: 'end', text: '', position: source.length });
+  return tokens;
+}
+
+function createParser(tokens) {
+  let index = 0;
+  const scope = [];
+
+  const peek = (offset = 0) => tokens[Math.min(index + offset, tokens.length - 1)];
+  const next = () => tokens[index++];
+
+  function expect(type, description) {
+    const token = peek();
+    if (token.type !== type) {
+      throw syntaxError(`expected ${description} but found '${token.text || 'end of input'}'`, token.position);
+    }
+    return next();
+  }
+
+  function parseFormula() {
+    return parseImplication();
+  }
+
+  function parseImplication() {
+    const left = parseDisjunction();
+    if (peek().type === 'implies') {
+      next();
+      const right = parseImplication();
+      return { type: 'implies', left, right };
+    }
+    return left;
+  }
+
+  function parseDisjunction() {
+    let left = parseConjunction();
+    while (peek().type === 'or') {
+      next();
+      left = { type: 'or', left, right: parseConjunction() };
+    }
+    return left;
+  }
+
+  function parseConjunction() {
+    let left = parseUnary();
+    while (peek().type === 'and') {
+      next();
+      left = { type: 'and', left, right: parseUnary() };
+    }
+    return left;
+  }
+
+  function parseUnary() {
+    const token = peek();
+
+    if (token.type === 'not') {
+      next();
+      return { type: 'not', operand: parseUnary() };
+    }
+
+    if (token.type === 'forall' || token.type === 'exists') {
+      next();
+      const bound = token.type === 'exists' ? parseCountBound() : null;
+      const variableToken = expectVariable();
+      scope.push(variableToken.text);
+      const body = parseUnary();
+      scope.pop();
+      if (bound) {
+        return { type: 'count', operator: bound.operator, count: bound.count, variable: variableToken.text, body };
+      }
+      return { type: token.type, variable: variableToken.text, body };
+    }
+
+    if (token.type === 'lparen') {
+      next();
+      const inner = parseFormula();
+      expect('rparen', "')'");
+      return inner;
+    }
+
+    return parseAtom();
+  }
+
+  function expectVariable() {
+    const token = expect('word', 'a variable');
+    if (!VARIABLE_PATTERN.test(token.text)) {
+      throw syntaxError(`'${token.text}' is not a variable name`, token.position);
+    }
+    return token;
+  }
+
+  function parseCountBound() {
+    const token = peek();
+    if (token.type !== 'comparison') {
+      return null;
+    }
+    if (!COUNT_OPERATORS.includes(token.text)) {
+      throw syntaxError(`counting quantifiers take =, ≥ or ≤, not '${token.text}'`, token.position);
+    }
+    next();
+    const count = expect('number', 'a count');
+    return { operator: token.text, count: count.value };
+  }
+
+  function parseAtom() {
+    const start = peek();
+    const left = parseTerm();
+
+    if (peek().type === 'comparison') {
+      const operator = next().text;
+      const right = parseTerm();
+      return { type: 'compare', operator, left, right };
+    }
+
+    if (left.type !== 'function') {
+      throw syntaxError(`expected a predicate but found '${start.text || 'end of input'}'`, start.position);
+    }
+    return { type: 'predicate', name: left.name, args: left.args };
+  }
+
+  function parseTerm() {
+    const token = peek();
+
+    if (token.type === 'word' && peek(1).type === 'lbracket' && AGGREGATES.includes(token.text)) {
+      return parseAggregate();
+    }
+
+    if (token.type === 'word' && peek(1).type === 'lparen') {
+      next();
+      next();
+      const args = [];
+      if (peek().type !== 'rparen') {
+        args.push(parseArgument());
+        while (peek().type === 'comma') {
+          next();
+          args.push(parseArgument());
+        }
+      }
+      expect('rparen', "')'");
+      return { type: 'function', name: token.text, args };
+    }
+
+    if (token.type === 'number') {
+      next();
+      return { type: 'constant', value: token.value };
+    }
+
+    if (token.type === 'word') {
+      next();
+      return createNameTerm(token);
+    }
+
+    throw syntaxError(`expected a term but found '${token.text || 'end of input'}'`, token.position);
+  }
+
+  // Sum[y | φ] Value(y): the variable is bound inside the brackets and the trailing term.
+  function parseAggregate() {
+    const name = next().text;
+    next();
+    const variable = expectVariable().text;
+    scope.push(variable);
+    let condition = null;
+    if (peek().type === 'bar') {
+      next();
+      condition = parseFormula();
+    }
+    expect('rbracket', "']'");
+    const term = name === 'Count' ? null : parseTerm();
+    scope.pop();
+    return { type: 'aggregate', name, variable, condition, term };
+  }
+
+  // Arguments may be multi-word constants, so collect words until the next ',' or ')'.
+  function parseArgument() {
+    const token = peek();
+    if (token.type === 'word' && peek(1).type === 'lparen') {
+      return parseTerm();
+    }
+
+    const parts = [];
+    while (peek().type === 'word' || peek().type === 'number') {
+      parts.push(next());
+    }
+
+    if (parts.length === 0) {
+      throw syntaxError(`expected an argument but found '${token.text || 'end of input'}'`, token.position);
+    }
+    if (parts.length === 1) {
+      return parts[0].type === 'number'
+        ? { type: 'constant', value: parts[0].value }
+        : createNameTerm(parts[0]);
+    }
+    return { type: 'constant', value: parts.map((part) => part.text).join(' ') };
+  }
+
+  function createNameTerm(token) {
+    if (VARIABLE_PATTERN.test(token.text)) {
+      if (!scope.includes(token.text)) {
+        throw syntaxError(`variable '${token.text}' is not bound by a quantifier`, token.position);
+      }
+      return { type: 'variable', name: token.text };
+    }
+    return { type: 'constant', value: token.text };
+  }
+
+  return {
+    parse() {
+      const formula = parseFormula();
+      const trailing = peek();
+      if (trailing.type !== 'end') {
+        throw syntaxError(`unexpected '${trailing.text}'`, trailing.position);
+      }
+      return formula;
+    }
+  };
+}
+
+/**
+ * parseFormula(source): parses a FOL string into an AST, throwing on syntax errors
+ */
+export function parseFormula(source) {
+  return createParser(tokenize(source)).parse();
+}
+
+const CONNECTIVES = { and: '∧', or: '∨', implies: '→' };
+
+function formatTerm(term) {
+  switch (term.type) {
+    case 'variable':
+      return term.name;
+    case 'constant':
+      return String(term.value);
+    case 'function':
+      return `${term.name}(${term.args.map(formatTerm).join(', ')})`;
+    case 'aggregate': {
+      const condition = term.condition ? ` | ${formatFormula(term.condition)}` : '';
+      const body = term.term ? ` ${formatTerm(term.term)}` : '';
+      return `${term.name}[${term.variable}${condition}]${body}`;
+    }
+    default:
+      throw new Error(`Unknown FOL term type '${term.type}'`);
+  }
+}
+
+// Operands are bracketed the way the template bank writes them: binary formulas under a
+// quantifier, ¬ or →, and a chain of the same connective only on the side it does not group.
+function formatOperand(node, parent, side) {
+  const text = formatFormula(node);
+  if (!CONNECTIVES[node.type]) {
+    return text;
+  }
+  const chains = parent.type !== 'implies' && node.type === parent.type && side === 'left';
+  return chains ? text : `(${text})`;
+}
+
+function formatQuantifierBody(body) {
+  const text = formatFormula(body);
+  return CONNECTIVES[body.type] || body.type === 'compare' ? `(${text})` : text;
+}
+
+/**
+ * formatFormula(ast): prints a parsed formula back in the template bank's notation
+ */
+export function formatFormula(node) {
+  switch (node.type) {
+    case 'forall':
+      return `∀${node.variable} ${formatQuantifierBody(node.body)}`;
+    case 'exists':
+      return `∃${node.variable} ${formatQuantifierBody(node.body)}`;
+    case 'count':
+      return `∃${node.operator}${node.count}${node.variable} ${formatQuantifierBody(node.body)}`;
+    case 'not':
+      return `¬${formatOperand(node.operand, node, 'right')}`;
+    case 'and':
+    case 'or':
+    case 'implies':
+      return `${formatOperand(node.left, node, 'left')} ${CONNECTIVES[node.type]} ${formatOperand(node.right, node, 'right')}`;
+    case 'compare':
+      return `${formatTerm(node.left)} ${node.operator} ${formatTerm(node.right)}`;
+    case 'predicate':
+      return `${node.name}(${node.args.map(formatTerm).join(', ')})`;
+    default:
+      throw new Error(`Unknown FOL node type '${node.type}'`);
+  }
+}
+
+function sameText(a, b) {
+  return String(a).toLowerCase() === String(b).toLowerCase();
+}
+
+function offsetOf(target, reference) {
+  return {
+    row: target.position.row - reference.position.row,
+    col: target.position.col - reference.position.col
+  };
+}
+
+function isOffset(target, reference, row, col) {
+  const offset = offsetOf(target, reference);
+  return offset.row === row && offset.col === col;
+}
+
+function isPrime(value) {
+  if (value < 2) return false;
+  if (value === 2) return true;
+  if (value % 2 === 0) return false;
+  for (let i = 3; i <= Math.sqrt(value); i += 2) {
+    if (value % i === 0) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function parseRegionDescription(description) {
+  const match = /^(left|right|top|bottom)\s+(\d+)\s+(columns?|rows?)$/i.exec(String(description).trim());
+  if (!match) {
+    throw new Error(`Unrecognized region description: ${description}`);
+  }
+  return { direction: match[1].toLowerCase(), size: Number(match[2]) };
+}
+
+// Predicate vocabulary. Cell arguments arrive as grid cells, everything else as constants.
+const predicates = {
+  Value: (cell, value) => cell.number === Number(value),
+  Even: (value) => value % 2 === 0,
+  Odd: (value) => value % 2 !== 0,
+  Prime: (value) => isPrime(value),
+  MultipleOf: (value, factor) => value % Number(factor) === 0,
+  RightOf: (y, x) => isOffset(y, x, 0, 1),
+  LeftOf: (y, x) => isOffset(y, x, 0, -1),
+  Above: (y, x) => isOffset(y, x, -1, 0),
+  Below: (y, x) => isOffset(y, x, 1, 0),
+  TopLeftDiagonalOf: (y, x) => isOffset(y, x, -1, -1),
+  TopRightDiagonalOf: (y, x) => isOffset(y, x, -1, 1)
+};
+
+// SameRow(y, x), AnywhereLeftOf(y, x), Touching(y, x), WithinDistance(y, x, 2), ...
+Object.entries(RELATIONS).forEach(([name, relation]) => {
+  predicates[relation.predicate] = (y, x, distance) => relates(name, y, x, distance);
+});
+
+// Predicates that also need the grid, e.g. to know where its right edge lies.
+const gridPredicates = {
+  Location: (grid, cell, description) => {
+    const { direction, size } = parseRegionDescription(description);
+    return isInRegion(cell, direction, size, getGridDimensions(grid));
+  }
+};
+
+const functions = {
+  Value: (cell) => cell.number,
+  Row: (cell) => cell.position.row,
+  Column: (cell) => cell.position.col
+};
+
+// Every registered cell attribute is both a predicate, `Shape(x, circle)` (matching the raw
+// value or its label, so `Color(x, Sky Blue)` works), and a function, `Color(x)`.
+function lookupPredicate(name) {
+  if (predicates[name]) return predicates[name];
+  const attribute = findAttributeByPredicate(name);
+  if (!attribute) return null;
+  return (cell, value) => sameText(cell[attribute], value) || sameText(formatAttributeValue(attribute, cell[attribute]), value);
+}
+
+function lookupFunction(name) {
+  if (functions[name]) return functions[name];
+  const attribute = findAttributeByPredicate(name);
+  return attribute ? (cell) => formatAttributeValue(attribute, cell[attribute]) : null;
+}
+
+// Empty sets have no largest or smallest value; null then fails every ordering comparison.
+const aggregates = {
+  Sum: (values) => values.reduce((total, value) => total + value, 0),
+  Count: (values) => values.length,
+  Max: (values) => (values.length ? Math.max(...values) : null),
+  Min: (values) => (values.length ? Math.min(...values) : null),
+  Distinct: (values) => new Set(values).size
+};
+
+// JavaScript orders null like 0, so an empty Max or Min is ruled out before comparing.
+const isOrdered = (a, b) => a !== null && b !== null;
+
+const comparisons = {
+  '=': (a, b) => a === b,
+  '≠': (a, b) => a !== b,
+  '>': (a, b) => isOrdered(a, b) && a > b,
+  '<': (a, b) => isOrdered(a, b) && a < b,
+  '≥': (a, b) => isOrdered(a, b) && a >= b,
+  '≤': (a, b) => isOrdered(a, b) && a <= b
+};
+
+function evaluateTerm(term, grid, env) {
+  switch (term.type) {
+    case 'variable':
+      return env[term.name];
+    case 'constant':
+      return term.value;
+    case 'function': {
+      const fn = lookupFunction(term.name);
+      if (!fn) {
+        throw new Error(`Unknown FOL function: ${term.name}`);
+      }
+      return fn(...term.args.map((arg) => evaluateTerm(arg, grid, env)));
+    }
+    case 'aggregate': {
+      const members = grid
+        .map((cell) => ({ ...env, [term.variable]: cell }))
+        .filter((scope) => !term.condition || evaluateNode(term.condition, grid, scope));
+      return aggregates[term.name](members.map((scope) => (term.term ? evaluateTerm(term.term, grid, scope) : scope)));
+    }
+    default:
+      throw new Error(`Unsupported FOL term: ${term.type}`);
+  }
+}
+
+function evaluateNode(node, grid, env) {
+  switch (node.type) {
+    case 'forall':
+      return grid.every((cell) => evaluateNode(node.body, grid, { ...env, [node.variable]: cell }));
+    case 'exists':
+      return grid.some((cell) => evaluateNode(node.body, grid, { ...env, [node.variable]: cell }));
+    case 'count': {
+      const matches = grid.filter((cell) => evaluateNode(node.body, grid, { ...env, [node.variable]: cell }));
+      return comparisons[node.operator](matches.length, node.count);
+    }
+    case 'and':
+      return evaluateNode(node.left, grid, env) && evaluateNode(node.right, grid, env);
+    case 'or':
+      return evaluateNode(node.left, grid, env) || evaluateNode(node.right, grid, env);
+    case 'implies':
+      return !evaluateNode(node.left, grid, env) || evaluateNode(node.right, grid, env);
+    case 'not':
+      return !evaluateNode(node.operand, grid, env);
+    case 'compare':
+      return comparisons[node.operator](evaluateTerm(node.left, grid, env), evaluateTerm(node.right, grid, env));
+    case 'predicate': {
+      const args = node.args.map((arg) => evaluateTerm(arg, grid, env));
+      if (gridPredicates[node.name]) {
+        return gridPredicates[node.name](grid, ...args);
+      }
+      const predicate = lookupPredicate(node.name);
+      if (!predicate) {
+        throw new Error(`Unknown FOL predicate: ${node.name}`);
+      }
+      return predicate(...args);
+    }
+    default:
+      throw new Error(`Unsupported FOL node: ${node.type}`);
+  }
+}
+
+/**
+ * evaluateFormula(formula, grid): model-checks a FOL string or parsed AST against a grid
+ */
+export function evaluateFormula(formula, grid) {
+  const ast = typeof formula === 'string' ? parseFormula(formula) : formula;
+  return evaluateNode(ast, grid, {});
+}
+
+function collectUnknownSymbols(node, unknown) {
+  switch (node.type) {
+    case 'forall':
+    case 'exists':
+    case 'count':
+      collectUnknownSymbols(node.body, unknown);
+      break;
+    case 'and':
+    case 'or':
+    case 'implies':
+      collectUnknownSymbols(node.left, unknown);
+      collectUnknownSymbols(node.right, unknown);
+      break;
+    case 'not':
+      collectUnknownSymbols(node.operand, unknown);
+      break;
+    case 'compare':
+      collectUnknownSymbols(node.left, unknown);
+      collectUnknownSymbols(node.right, unknown);
+      break;
+    case 'predicate':
+      if (!lookupPredicate(node.name) && !gridPredicates[node.name]) unknown.add(node.name);
+      node.args.forEach((arg) => collectUnknownSymbols(arg, unknown));
+      break;
+    case 'function':
+      if (!lookupFunction(node.name)) unknown.add(node.name);
+      node.args.forEach((arg) => collectUnknownSymbols(arg, unknown));
+      break;
+    case 'aggregate':
+      if (node.condition) collectUnknownSymbols(node.condition, unknown);
+      if (node.term) collectUnknownSymbols(node.term, unknown);
+      break;
+    default:
+      break;
+  }
+  return unknown;
+}
+
+/**
+ * findUnknownSymbols(formula): predicate/function names outside the vocabulary, for validation
+ */
+export function findUnknownSymbols(formula) {
+  const ast = typeof formula === 'string' ? parseFormula(formula) : formula;
+  return [...collectUnknownSymbols(ast, new Set())];
+}
+
+/**
+ * getVocabulary(): the predicate, function and aggregate names formulas may use, for help texts
+ */
+export function getVocabulary() {
+  const attributePredicates = getAttributeNames().map((name) => getAttribute(name).predicate);
+  return {
+    predicates: [...new Set([...attributePredicates, ...Object.keys(predicates), ...Object.keys(gridPredicates)])],
+    functions: [...new Set([...attributePredicates, ...Object.keys(functions)])],
+    aggregates: [...AGGREGATES]
+  };
+}
@@ -0,0 +1,205 @@
+// scripts/folEquivalence.js
+// Semantic comparison of formulas by model checking: two formulas count as equivalent when they
+// agree on every grid in a sample. Samples mix grids the template generates to satisfy and to
+// violate its statement (close to the boundary where wrong formulas slip), one-edit variants of
+// those around the cells that decide the statement, boundary grids where a constant of the
+// formula no longer occurs, and random grids. A pass is strong evidence, not a proof; a
+// disagreement is a proof.
+
+import { getRandomElement, shuffleArray } from './utils.js';
+import { createRandomGrid } from './templateHandlers.js';
+import { parseFormula, evaluateFormula } from './fol.js';
+import { describeExplanation } from './explanations.js';
+import { findAttributeByPredicate, formatAttributeValue } from './attributes.js';
+
+const MAX_PROBE_GRIDS = 24;
+
+// Cells the statement's truth hangs on: matching cells, witnesses and counterexamples.
+function findFocusPositions(template, grid, details) {
+  const { highlights } = describeExplanation(template.explainStatementWithGrid(grid, details), grid);
+  return [...highlights.instances, ...highlights.witnesses, ...highlights.counterexamples];
+}
+
+/**
+ * findProbeValues(formula): numbers worth trying in variant grids – every numeric constant in a
+ * FOL string or AST and its neighbours, so `Value(y) > 5` is tried against 4, 5 and 6
+ */
+export function findProbeValues(formula) {
+  const values = new Set();
+  const visit = (node) => {
+    if (!node || typeof node !== 'object') {
+      return;
+    }
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+      return;
+    }
+    if (node.type === 'constant' && typeof node.value === 'number') {
+      [node.value - 1, node.value, node.value + 1].forEach((value) => values.add(value));
+    }
+    Object.values(node).forEach(visit);
+  };
+  visit(typeof formula === 'string' ? parseFormula(formula) : formula);
+  return [...values];
+}
+
+/**
+ * findBoundaryConstants(formula): the attribute values and numbers a FOL string or AST tests,
+ * as { attribute, value } with `attribute` 'number' for numbers, e.g. { attribute: 'shape',
+ * value: 'square' } for `Shape(x, square)` or `Shape(x) = square`
+ */
+export function findBoundaryConstants(formula) {
+  const constants = new Map();
+  const add = (attribute, value) => constants.set(`${attribute}:${value}`, { attribute, value });
+  const attributeOf = (term) => (term?.type === 'function' ? findAttributeByPredicate(term.name) : null);
+  const visit = (node) => {
+    if (!node || typeof node !== 'object') {
+      return;
+    }
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+      return;
+    }
+    const attribute = node.type === 'predicate' ? findAttributeByPredicate(node.name) : null;
+    if (attribute && node.args[1]?.type === 'constant') {
+      add(attribute, node.args[1].value);
+    }
+    if (node.type === 'compare') {
+      [[node.left, node.right], [node.right, node.left]].forEach(([term, other]) => {
+        if (attributeOf(term) && other?.type === 'constant') {
+          add(attributeOf(term), other.value);
+        }
+      });
+    }
+    if (node.type === 'constant' && typeof node.value === 'number') {
+      add('number', node.value);
+    }
+    Object.values(node).forEach(visit);
+  };
+  visit(typeof formula === 'string' ? parseFormula(formula) : formula);
+  return [...constants.values()];
+}
+
+function cloneGrid(grid) {
+  return grid.map((cell) => ({ ...cell, position: { ...cell.position } }));
+}
+
+// Every focus cell set to every probe value, which tells thresholds such as `> 5` and `≥ 5`
+// apart; capped so a large focus set cannot flood the sample.
+function createProbeGrids(grid, focus, probeValues, board, random) {
+  const probes = [];
+  focus.forEach(({ row, col }) => {
+    const index = grid.findIndex((cell) => cell.position.row === row && cell.position.col === col);
+    probeValues
+      .filter((value) => board.domains.number.includes(value) && value !== grid[index].number)
+      .forEach((value) => probes.push({ index, value }));
+  });
+  if (probes.length > MAX_PROBE_GRIDS) {
+    shuffleArray(probes, random);
+  }
+  return probes.slice(0, MAX_PROBE_GRIDS).map(({ index, value }) => {
+    const probe = cloneGrid(grid);
+    probe[index].number = value;
+    return probe;
+  });
+}
+
+function matchesConstant(attribute, value, constant) {
+  const same = (text) => String(text).toLowerCase() === String(constant).toLowerCase();
+  return same(value) || same(formatAttributeValue(attribute, value));
+}
+
+// Grids where the class a constant names is empty, so `∀x (Shape(x, square) → ...)` holds
+// vacuously and an added `∃y Shape(y, square)` shows: every cell with the value gets another
+// one, and for a number every cell moves below it or above it.
+function createBoundaryGrids(grid, constants, board, random) {
+  const boundaries = [];
+  constants.forEach(({ attribute, value }) => {
+    const domain = board.domains[attribute];
+    if (!domain) {
+      return;
+    }
+    const sides = attribute === 'number'
+      ? [(number) => number < value, (number) => number > value]
+      : [(candidate) => !matchesConstant(attribute, candidate, value)];
+    sides.forEach((keep) => {
+      const allowed = domain.filter(keep);
+      if (allowed.length === 0 || grid.every((cell) => keep(cell[attribute]))) {
+        return;
+      }
+      const boundary = cloneGrid(grid);
+      boundary
+        .filter((cell) => !keep(cell[attribute]))
+        .forEach((cell) => {
+          cell[attribute] = getRandomElement(allowed, random);
+        });
+      boundaries.push(boundary);
+    });
+  });
+  return boundaries;
+}
+
+// Changes one attribute of one cell, preferring the focus cells.
+function createVariantGrid(grid, focus, board, random) {
+  const variant = cloneGrid(grid);
+  const position = focus.length > 0 && random() < 0.75 ? getRandomElement(focus, random) : null;
+  const cell = position
+    ? variant.find((item) => item.position.row === position.row && item.position.col === position.col)
+    : getRandomElement(variant, random);
+  const property = getRandomElement(Object.keys(board.domains), random);
+  const choices = board.domains[property].filter((value) => value !== cell[property]);
+  cell[property] = getRandomElement(choices, random);
+  return variant;
+}
+
+/**
+ * createSampleGrids(template, details, board, random, options): grids for findDisagreement().
+ * options: { generated = 4, variants = 0, random = 12, probeValues = [], boundaryConstants = [] }
+ * – generated grids per truth value, random one-edit variants per generated grid, uniformly
+ * random grids, numbers to try in the cells that decide each generated grid (see
+ * findProbeValues()) and constants to remove from each generated grid (see
+ * findBoundaryConstants()).
+ */
+export function createSampleGrids(template, details, board, random, options = {}) {
+  const { generated = 4, variants = 0, random: randomCount = 12, probeValues = [], boundaryConstants = [] } = options;
+  const grids = [];
+  [true, false].forEach((satisfies) => {
+    for (let sample = 0; sample < generated; sample++) {
+      let grid;
+      try {
+        ({ grid } = template.generateGrid(satisfies, details, random));
+      } catch (error) {
+        // A rare generation miss only costs one sample grid
+        continue;
+      }
+      grids.push(grid);
+      const focus = variants > 0 || probeValues.length > 0 ? findFocusPositions(template, grid, details) : [];
+      for (let variant = 0; variant < variants; variant++) {
+        grids.push(createVariantGrid(grid, focus, board, random));
+      }
+      if (probeValues.length > 0) {
+        grids.push(...createProbeGrids(grid, focus, probeValues, board, random));
+      }
+      grids.push(...createBoundaryGrids(grid, boundaryConstants, board, random));
+    }
+  });
+  for (let sample = 0; sample < randomCount; sample++) {
+    grids.push(createRandomGrid(board, random));
+  }
+  return grids;
+}
+
+/**
+ * findDisagreement(formulaA, formulaB, grids): the first grid on which the two formulas (strings
+ * or ASTs) have different truth values, as { grid, holdsA, holdsB }, or null when none does
+ */
+export function findDisagreement(formulaA, formulaB, grids) {
+  for (const grid of grids) {
+    const holdsA = evaluateFormula(formulaA, grid);
+    const holdsB = evaluateFormula(formulaB, grid);
+    if (holdsA !== holdsB) {
+      return { grid, holdsA, holdsB };
+    }
+  }
+  return null;
+}
@@ -0,0 +1,100 @@
+// scripts/folMutations.js
+// Plausible wrong translations of a formula: each mutation makes one mistake students often
+// make, e.g. swapping ∀ and ∃ or writing ∧ where → belongs. Works on ASTs from fol.js.
+
+import { parseFormula, formatFormula } from './fol.js';
+
+// Comparisons a student might confuse with each operator.
+const COMPARISON_SWAPS = {
+  '>': ['<', '≥'],
+  '<': ['>', '≤'],
+  '≥': ['>', '≤'],
+  '≤': ['<', '≥'],
+  '=': ['≠'],
+  '≠': ['=']
+};
+
+const COUNT_SWAPS = {
+  '=': ['≥', '≤'],
+  '≥': ['≤', '='],
+  '≤': ['≥', '=']
+};
+
+export const MUTATION_LABELS = {
+  swapQuantifier: 'Swapped ∀ and ∃',
+  flipImplication: 'Reversed the implication',
+  andForImplies: 'Used ∧ instead of →',
+  impliesForAnd: 'Used → instead of ∧',
+  orForAnd: 'Used ∨ instead of ∧',
+  andForOr: 'Used ∧ instead of ∨',
+  wrongComparison: 'Used the wrong comparison',
+  wrongCount: 'Used the wrong count',
+  dropNegation: 'Dropped the negation'
+};
+
+// Mutations of this node alone; its children are handled by collectMutations.
+function mutateNode(node) {
+  switch (node.type) {
+    case 'forall':
+      return [{ kind: 'swapQuantifier', node: { ...node, type: 'exists' } }];
+    case 'exists':
+      return [{ kind: 'swapQuantifier', node: { ...node, type: 'forall' } }];
+    case 'count':
+      return COUNT_SWAPS[node.operator].map((operator) => ({ kind: 'wrongCount', node: { ...node, operator } }));
+    case 'implies':
+      return [
+        { kind: 'flipImplication', node: { ...node, left: node.right, right: node.left } },
+        { kind: 'andForImplies', node: { ...node, type: 'and' } }
+      ];
+    case 'and':
+      return [
+        { kind: 'impliesForAnd', node: { ...node, type: 'implies' } },
+        { kind: 'orForAnd', node: { ...node, type: 'or' } }
+      ];
+    case 'or':
+      return [{ kind: 'andForOr', node: { ...node, type: 'and' } }];
+    case 'compare':
+      return (COMPARISON_SWAPS[node.operator] || []).map((operator) => ({ kind: 'wrongComparison', node: { ...node, operator } }));
+    case 'not':
+      return [{ kind: 'dropNegation', node: node.operand }];
+    default:
+      return [];
+  }
+}
+
+// Child formulas of a node, including aggregate conditions inside comparisons.
+const CHILD_KEYS = ['left', 'right', 'body', 'operand', 'condition', 'term'];
+
+function collectMutations(node) {
+  const mutations = mutateNode(node);
+  CHILD_KEYS.forEach((key) => {
+    const child = node[key];
+    if (!child || typeof child !== 'object') {
+      return;
+    }
+    collectMutations(child).forEach((mutation) => {
+      mutations.push({ kind: mutation.kind, node: { ...node, [key]: mutation.node } });
+    });
+  });
+  return mutations;
+}
+
+/**
+ * mutateFormula(formula): every single-mistake variant of a FOL string or AST, as
+ * [{ kind, label, formula, ast }] with `formula` printed by formatFormula(). Variants that print
+ * the same as the original or as each other are dropped, but some may still be equivalent to it.
+ */
+export function mutateFormula(formula) {
+  const ast = typeof formula === 'string' ? parseFormula(formula) : formula;
+  const seen = new Set([formatFormula(ast)]);
+  const variants = [];
+  collectMutations(ast).forEach(({ kind, node }) => {
+    const text = formatFormula(node);
+    if (seen.has(text)) {
+      return;
+    }
+    seen.add(text);
+    variants.push({ kind, label: MUTATION_LABELS[kind], formula: text, ast: node });
+  });
+  return variants;
+}
@@ -1,47 +1,98 @@
 // scripts/grid.js
+// Renders the grid as an ARIA grid: every cell is a gridcell named after its contents, the
+// arrow keys move between cells, and an optional pattern overlay tells the colors apart
+// without relying on hue.
 
-import { gridSize } from './utils.js';
+import { getGridDimensions } from './utils.js';
+import { getRenderHints, describeAppearance, PATTERN_MARKS } from './attributes.js';
+import { describeCellPicture, createColorPatternNode } from './cellPicture.js';
+import { t } from './i18n.js';
+
+// Read out after a cell's description while it is highlighted, e.g. "...: Pink circle, 7; counterexample".
+// The values are keys under grid.highlight in the locale catalogs.
+const HIGHLIGHT_LABELS = {
+    'cell-instance': 'instance',
+    'cell-witness': 'witness',
+    'cell-counterexample': 'counterexample',
+    'cell-antecedent': 'antecedent',
+    'cell-selected': 'selected'
+};
+
+let shownGrid = [];
+let dimensions = { rows: 0, cols: 0 };
+let focusedPosition = { row: 0, col: 0 };
+let keyboardReady = false;
 
 function clearGrid() {
     const gridContainer = document.getElementById('grid-container');
     gridContainer.innerHTML = '';
 }
 
-function createSvgShape(shape, color, number) {
-    const namespace = 'http://www.w3.org/2000/svg';
-    const svg = document.createElementNS(namespace, 'svg');
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+let stripePatternCount = 0;
+
+// An SVG element for a node of cellPicture.js.
+function createSvgNode({ tag, attrs, children = [] }) {
+    const node = document.createElementNS(SVG_NAMESPACE, tag);
+    Object.entries(attrs)
+        .filter(([, value]) => value !== undefined)
+        .forEach(([name, value]) => node.setAttribute(name, value));
+    children.forEach((child) => node.appendChild(createSvgNode(child)));
+    return node;
+}
+
+// The patterns live in one hidden SVG so every cell can refer to them by id.
+function ensurePatternDefs() {
+    if (document.getElementById('color-pattern-defs')) {
+        return;
+    }
+    const svg = document.createElementNS(SVG_NAMESPACE, 'svg');
+    svg.setAttribute('id', 'color-pattern-defs');
+    svg.setAttribute('aria-hidden', 'true');
+    svg.setAttribute('width', '0');
+    svg.setAttribute('height', '0');
+    svg.style.position = 'absolute';
+    const defs = document.createElementNS(SVG_NAMESPACE, 'defs');
+    Object.keys(PATTERN_MARKS).forEach((name) => {
+        defs.appendChild(createSvgNode(createColorPatternNode(`color-pattern-${name}`, name)));
+    });
+    svg.appendChild(defs);
+    document.body.appendChild(svg);
+}
+
+/**
+ * getColorPattern(color): the name of the pattern standing for a color, e.g. 'dots', or null
+ */
+export function getColorPattern(color) {
+    return getRenderHints({ color }).pattern || null;
+}
+
+function createSvgShape(cell) {
+    const svg = document.createElementNS(SVG_NAMESPACE, 'svg');
     svg.setAttribute('viewBox', '0 0 120 120');
     svg.setAttribute('class', 'shape');
+    // The cell's accessible name says everything the picture shows
+    svg.setAttribute('aria-hidden', 'true');
+    svg.setAttribute('focusable', 'false');
 
-    let shapeElement;
-    const textElement = document.createElementNS(namespace, 'text');
-
-    switch (shape) {
-        case 'circle':
-            shapeElement = document.createElementNS(namespace, 'circle');
-            shapeElement.setAttribute('cx', '60');
-            shapeElement.setAttribute('cy', '60');
-            shapeElement.setAttribute('r', '46');
-            break;
-        case 'square':
-            shapeElement = document.createElementNS(namespace, 'rect');
-            shapeElement.setAttribute('x', '12');
-            shapeElement.setAttribute('y', '12');
-            shapeElement.setAttribute('width', '96');
-            shapeElement.setAttribute('height', '96');
-            shapeElement.setAttribute('rx', '22');
-            shapeElement.setAttribute('ry', '22');
-            break;
-        case 'triangle':
-            shapeElement = document.createElementNS(namespace, 'polygon');
-            shapeElement.setAttribute('points', '60,16 106,108 14,108');
-            break;
+    const picture = describeCellPicture(cell, {
+        stripes: `stripes-${++stripePatternCount}`,
+        colorPattern: (name) => `color-pattern-${name}`
+    });
+    if (picture.defs.length > 0) {
+        svg.appendChild(createSvgNode({ tag: 'defs', attrs: {}, children: picture.defs }));
+    }
+    svg.appendChild(createSvgNode(picture.shape));
+    // CSS only shows the overlay with color patterns on
+    if (picture.overlay) {
+        const overlay = createSvgNode(picture.overlay);
+        overlay.setAttribute('class', 'pattern-overlay');
+        svg.appendChild(overlay);
     }
-
-    shapeElement.setAttribute('fill', color);
-    svg.appendChild(shapeElement);
 
     // Place a number in the center
+    const textElement = document.createElementNS(SVG_NAMESPACE, 'text');
     textElement.setAttribute('x', '50%');
     textElement.setAttribute('y', '50%');
     textElement.setAttribute('dominant-baseline', 'middle');
@@ -49,28 +100,200 @@ function createSvgShape(shape, color, number) {
     textElement.setAttribute('fill', '#fffef8');
     textElement.setAttribute('font-size', '28');
     textElement.setAttribute('font-weight', '700');
-    textElement.setAttribute('class', 'cell-number');
-    textElement.textContent = number;
+    textElement.setAttribute('class', picture.ink === 'light' ? 'cell-number' : 'cell-number cell-number-dark');
+    textElement.textContent = cell.number;
     svg.appendChild(textElement);
 
     return svg;
 }
 
-function populateGrid(gridData) {
+/**
+ * describeCellLabel(cell): the accessible name of a cell, e.g. "row 2, column 3: Pink circle, 7";
+ * boards with extra attributes add them up front ("small striped Pink star, 4")
+ */
+export function describeCellLabel(cell) {
+    return t('grid.cell', {
+        row: cell.position.row + 1,
+        col: cell.position.col + 1,
+        appearance: describeAppearance(cell),
+        number: cell.number
+    });
+}
+
+function updateCellLabel(cellElement) {
+    const states = Object.keys(HIGHLIGHT_LABELS)
+        .filter((className) => cellElement.classList.contains(className))
+        .map((className) => t(`grid.highlight.${HIGHLIGHT_LABELS[className]}`));
+    cellElement.setAttribute('aria-label', [cellElement.dataset.label, ...states].join('; '));
+}
+
+// Cells sit in role="row" wrappers that CSS flattens away, so the layout stays one CSS grid.
+function populateGrid(gridData, rows) {
     const gridContainer = document.getElementById('grid-container');
+    const rowElements = Array.from({ length: rows }, () => {
+        const rowElement = document.createElement('div');
+        rowElement.className = 'grid-row';
+        rowElement.setAttribute('role', 'row');
+        gridContainer.appendChild(rowElement);
+        return rowElement;
+    });
     gridData.forEach(item => {
         const cell = document.createElement('div');
         cell.className = 'cell';
-        const svg = createSvgShape(item.shape, item.color, item.number);
+        cell.setAttribute('role', 'gridcell');
+        cell.tabIndex = -1;
+        cell.dataset.label = describeCellLabel(item);
+        updateCellLabel(cell);
+        const svg = createSvgShape(item);
         cell.appendChild(svg);
 
         // Store row,col in data attribute for potential usage
         cell.setAttribute('data-position', `${item.position.row},${item.position.col}`);
-        gridContainer.appendChild(cell);
+        rowElements[item.position.row].appendChild(cell);
+    });
+}
+
+// The CSS lays the cells out from these variables, so any rows x cols board fits the frame.
+function sizeGrid(gridContainer, rows, cols) {
+    gridContainer.style.setProperty('--grid-rows', rows);
+    gridContainer.style.setProperty('--grid-cols', cols);
+    gridContainer.setAttribute('role', 'grid');
+    gridContainer.setAttribute('aria-label', t('grid.label', { rows, cols }));
+}
+
+function getCellElement(gridContainer, { row, col }) {
+    return gridContainer.querySelector(`[data-position="${row},${col}"]`);
+}
+
+// Only one cell is in the tab order; the arrow keys move it (a roving tabindex).
+function moveFocus(gridContainer, position, focus) {
+    const target = getCellElement(gridContainer, position);
+    if (!target) {
+        return;
+    }
+    gridContainer.querySelectorAll('.cell[tabindex="0"]').forEach((cell) => {
+        cell.tabIndex = -1;
     });
+    target.tabIndex = 0;
+    focusedPosition = position;
+    if (focus) {
+        target.focus();
+    }
+}
+
+function handleGridKey(event) {
+    const cell = event.target.closest('.cell');
+    const gridContainer = event.currentTarget;
+    if (!cell) {
+        return;
+    }
+    const [row, col] = cell.dataset.position.split(',').map(Number);
+    const { rows, cols } = dimensions;
+    const moves = {
+        ArrowUp: { row: Math.max(row - 1, 0), col },
+        ArrowDown: { row: Math.min(row + 1, rows - 1), col },
+        ArrowLeft: { row, col: Math.max(col - 1, 0) },
+        ArrowRight: { row, col: Math.min(col + 1, cols - 1) },
+        Home: { row: event.ctrlKey ? 0 : row, col: 0 },
+        End: { row: event.ctrlKey ? rows - 1 : row, col: cols - 1 }
+    };
+    if (moves[event.key]) {
+        event.preventDefault();
+        moveFocus(gridContainer, moves[event.key], true);
+    } else if (event.key === 'Enter' || event.key === ' ') {
+        // Same as clicking, e.g. selecting the cell to edit in Build the grid
+        event.preventDefault();
+        cell.click();
+    }
 }
 
 export function displayGrid(gridData) {
+    const gridContainer = document.getElementById('grid-container');
+    const hadFocus = gridContainer.contains(document.activeElement);
+    if (!keyboardReady) {
+        gridContainer.addEventListener('keydown', handleGridKey);
+        gridContainer.addEventListener('focusin', (event) => {
+            const cell = event.target.closest('.cell');
+            if (cell) {
+                const [row, col] = cell.dataset.position.split(',').map(Number);
+                moveFocus(gridContainer, { row, col }, false);
+            }
+        });
+        keyboardReady = true;
+    }
+    ensurePatternDefs();
     clearGrid();
-    populateGrid(gridData);
+    shownGrid = gridData;
+    dimensions = getGridDimensions(gridData);
+    const { rows, cols } = dimensions;
+    sizeGrid(gridContainer, rows, cols);
+    populateGrid(gridData, rows);
+    // Boards change size between rounds, so the remembered cell may no longer exist
+    const position = {
+        row: Math.min(focusedPosition.row, rows - 1),
+        col: Math.min(focusedPosition.col, cols - 1)
+    };
+    moveFocus(gridContainer, position, hadFocus);
+}
+
+/**
+ * relabelGrid(): names the grid and its cells again in the current language, keeping the cells,
+ * their highlights and the keyboard focus
+ */
+export function relabelGrid() {
+    const gridContainer = document.getElementById('grid-container');
+    if (shownGrid.length === 0) {
+        return;
+    }
+    gridContainer.setAttribute('aria-label', t('grid.label', dimensions));
+    shownGrid.forEach((item) => {
+        const cell = getCellElement(gridContainer, item.position);
+        if (cell) {
+            cell.dataset.label = describeCellLabel(item);
+            updateCellLabel(cell);
+        }
+    });
+}
+
+/**
+ * setColorPatterns(enabled): shows or hides the patterns that tell colors apart, on the grid
+ * and on the color swatches of the cell editor
+ */
+export function setColorPatterns(enabled) {
+    document.body.classList.toggle('color-patterns', enabled);
+}
+
+const HIGHLIGHT_CLASSES = ['cell-instance', 'cell-witness', 'cell-counterexample', 'cell-antecedent'];
+
+export function clearHighlights() {
+    const gridContainer = document.getElementById('grid-container');
+    gridContainer.querySelectorAll('.cell').forEach((cell) => {
+        cell.classList.remove(...HIGHLIGHT_CLASSES);
+        updateCellLabel(cell);
+    });
+}
+
+/**
+ * highlightCells(positions, className): marks cells by their data-position, e.g. 'cell-witness'
+ */
+export function highlightCells(positions, className) {
+    const gridContainer = document.getElementById('grid-container');
+    positions.forEach((position) => {
+        const cell = getCellElement(gridContainer, position);
+        if (cell) {
+            cell.classList.add(className);
+            updateCellLabel(cell);
+        }
+    });
+}
+
+/**
+ * removeHighlight(className): unmarks every cell carrying one highlight, e.g. 'cell-selected'
+ */
+export function removeHighlight(className) {
+    const gridContainer = document.getElementById('grid-container');
+    gridContainer.querySelectorAll(`.${className}`).forEach((cell) => {
+        cell.classList.remove(className);
+        updateCellLabel(cell);
+    });
 }
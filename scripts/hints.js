@@ -0,0 +1,57 @@
+// scripts/hints.js
+// The hint ladder. Level 1 is the template's hint text, level 2 outlines the cells the
+// statement is about (the antecedent of its rule) and level 3 rules out one wrong option with
+// its counterexample. Every hint shown costs the same part of the puzzle's score, whichever
+// levels the round offers. DOM-free.
+
+import { getTemplatesByDifficulty } from './statementGenerator.js';
+
+export const HINT_TEXT = 1;
+export const HINT_ANTECEDENT = 2;
+export const HINT_ELIMINATE = 3;
+
+// Share of the score kept after using 0, 1, 2 or 3 hints.
+const HINT_SCORE_FACTORS = [1, 0.8, 0.6, 0.4];
+
+/**
+ * getHintScoreFactor(hintsUsed): the share of a puzzle's score kept after `hintsUsed` hints
+ */
+export function getHintScoreFactor(hintsUsed) {
+  return HINT_SCORE_FACTORS[Math.min(Math.max(hintsUsed, 0), HINT_SCORE_FACTORS.length - 1)];
+}
+
+/**
+ * applyHintPenalty(score, hintsUsed): a puzzle's score once the `hintsUsed` hints are paid for
+ */
+export function applyHintPenalty(score, hintsUsed) {
+  return Math.round(score * getHintScoreFactor(hintsUsed));
+}
+
+/**
+ * findHintCells({ templateId, difficulty, details }, grid): positions of the cells matching the
+ * statement's antecedent on `grid`, or null when its template singles out no cells or the
+ * statement has no template (hand-written puzzles in a puzzle set)
+ */
+export async function findHintCells({ templateId, difficulty, details }, grid) {
+  if (!templateId) {
+    return null;
+  }
+  const templateBank = await getTemplatesByDifficulty(difficulty);
+  const template = templateBank.find((candidate) => candidate.id === templateId);
+  if (!template) {
+    throw new Error(`Unknown '${difficulty}' template id '${templateId}'.`);
+  }
+  return template.findAntecedentCells(grid, details);
+}
+
+/**
+ * getHintLevels({ hint, antecedentCells, canEliminate }): the ladder for one round, e.g.
+ * [HINT_TEXT, HINT_ANTECEDENT], skipping levels the round has nothing for
+ */
+export function getHintLevels({ hint, antecedentCells, canEliminate }) {
+  return [
+    hint ? HINT_TEXT : null,
+    antecedentCells ? HINT_ANTECEDENT : null,
+    canEliminate ? HINT_ELIMINATE : null
+  ].filter(Boolean);
+}
@@ -0,0 +1,215 @@
+// scripts/i18n.js
+// The locale layer: message catalogs for everything the game says, words for the values in
+// statements (shapes, colors, parities, ...) and their plural and gender forms. Plural
+// categories come from Intl.PluralRules, so a locale lists only the forms its language has.
+// Formulas are never translated: predicates and constants read the same in every language.
+// DOM-free; main.js applies the catalogs to the page.
+
+import * as en from './locales/en.js';
+import * as es from './locales/es.js';
+
+export const DEFAULT_LOCALE = 'en';
+
+const PLACEHOLDER_PATTERN = /\{([^}]+)\}/g;
+
+const registry = {};
+const listeners = [];
+let currentLocale = DEFAULT_LOCALE;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * registerLocale(code, spec): adds or replaces a language, keyed by its BCP 47 code.
+ *
+ * spec: { name, messages, words, genders? }
+ *   name     – the language's name for itself, shown in the language picker
+ *   messages – nested catalog read by t(), e.g. messages.hint.show
+ *   words    – words for detail values by kind, e.g. words.shape.circle (see formatWord)
+ *   genders  – the grammatical genders, e.g. ['m', 'f']; the first is the default
+ */
+export function registerLocale(code, spec) {
+  if (!spec || typeof spec.name !== 'string' || !isPlainObject(spec.messages) || !isPlainObject(spec.words)) {
+    throw new Error(`Locale '${code}' needs a name, messages and words`);
+  }
+  registry[code] = { genders: [], ...spec, pluralRules: new Intl.PluralRules(code) };
+}
+
+/**
+ * getLocales(): [{ code, name }] for every registered language, in registration order
+ */
+export function getLocales() {
+  return Object.entries(registry).map(([code, { name }]) => ({ code, name }));
+}
+
+export function hasLocale(code) {
+  return Object.hasOwn(registry, code);
+}
+
+export function getLocale() {
+  return currentLocale;
+}
+
+/**
+ * setLocale(code): switches the language and calls every onLocaleChange() listener
+ */
+export function setLocale(code) {
+  if (!hasLocale(code)) {
+    throw new Error(`Unknown locale '${code}'.`);
+  }
+  if (code === currentLocale) {
+    return;
+  }
+  currentLocale = code;
+  listeners.forEach((listener) => listener(code));
+}
+
+/**
+ * onLocaleChange(listener): listener(code) runs after every switch of language
+ */
+export function onLocaleChange(listener) {
+  listeners.push(listener);
+}
+
+function getEntry(locale) {
+  return registry[locale] || registry[DEFAULT_LOCALE];
+}
+
+// Plural forms always include `other`, which tells them apart from a group of messages.
+function isPluralForms(value) {
+  return isPlainObject(value) && typeof value.other === 'string';
+}
+
+function lookupMessage(locale, key) {
+  return key.split('.').reduce((node, part) => (isPlainObject(node) ? node[part] : undefined), getEntry(locale).messages);
+}
+
+/**
+ * selectPlural(count, locale): the plural category of a number, e.g. 'one' or 'other'
+ */
+export function selectPlural(count, locale = currentLocale) {
+  return getEntry(locale).pluralRules.select(count);
+}
+
+/**
+ * getWord(kind, value, locale): the word for a value, e.g. getWord('shape', 'circle') or
+ * getWord('color', '#ff82a9'); English stands in for missing words, undefined when neither has one
+ */
+export function getWord(kind, value, locale = currentLocale) {
+  return getEntry(locale).words[kind]?.[value] ?? registry[DEFAULT_LOCALE].words[kind]?.[value];
+}
+
+/**
+ * formatWord(word, form, locale): one form of a word. A word is plain text, plural forms
+ * { one, other, ... } (nouns also name their `gender`), or forms per gender { m, f } of either
+ * kind for adjectives that agree with their noun.
+ * form: { count, plural, gender } – the form for `count` things, the general plural, and the
+ * gender to agree with; the singular when nothing is given.
+ */
+export function formatWord(word, { count, plural = false, gender } = {}, locale = currentLocale) {
+  if (word === undefined || word === null) {
+    return '';
+  }
+  if (!isPlainObject(word)) {
+    return String(word);
+  }
+  if (!isPluralForms(word)) {
+    const forms = word[gender] ?? word[getEntry(locale).genders[0]] ?? Object.values(word)[0];
+    return formatWord(forms, { count, plural }, locale);
+  }
+  const category = count !== undefined ? selectPlural(count, locale) : (plural ? 'other' : 'one');
+  return word[category] ?? word.other;
+}
+
+function parsePlaceholder(body) {
+  const [key, ...modifiers] = body.split('|');
+  const choices = modifiers.length > 0 && modifiers.every((modifier) => modifier.includes(':'))
+    ? Object.fromEntries(modifiers.map((modifier) => {
+      const separator = modifier.indexOf(':');
+      return [modifier.slice(0, separator), modifier.slice(separator + 1)];
+    }))
+    : null;
+  return { key, modifiers: choices ? [] : modifiers, choices };
+}
+
+/**
+ * getPlaceholderKeys(text, locale): every key a text refers to, including the ones its
+ * modifiers read, e.g. ['count', 'shape1'] for '{count} {shape1|count}'
+ */
+export function getPlaceholderKeys(text, locale = DEFAULT_LOCALE) {
+  const { genders } = getEntry(locale);
+  const keys = [];
+  for (const [, body] of text.matchAll(PLACEHOLDER_PATTERN)) {
+    const { key, modifiers } = parsePlaceholder(body);
+    keys.push(key, ...modifiers.filter((modifier) => modifier !== 'plural' && !genders.includes(modifier)));
+  }
+  return [...new Set(keys)];
+}
+
+/**
+ * fillText(text, lookup, locale): replaces `{key}` with lookup(key), a word or a number;
+ * placeholders whose lookup is undefined stay as they are. Modifiers after '|' pick the form:
+ *   {shape1|plural}           the plural
+ *   {shape1|count}            the form for the number lookup('count')
+ *   {color1Name|shape1}       the gender of the noun lookup('shape1'), or a gender named
+ *                             directly: {color1Name|f}; modifiers combine, as in
+ *                             {color1Name|shape1|count}
+ *   {count|one:is|other:are}  text chosen by the plural category of a number, or by the
+ *                             gender of a noun: {shape1|m:el|f:la}
+ */
+export function fillText(text, lookup, locale = currentLocale) {
+  return text.replace(PLACEHOLDER_PATTERN, (match, body) => {
+    const { key, modifiers, choices } = parsePlaceholder(body);
+    const value = lookup(key);
+    if (value === undefined) {
+      return match;
+    }
+    if (choices) {
+      const choice = typeof value === 'number' ? selectPlural(value, locale) : value?.gender;
+      return choices[choice] ?? choices.other ?? '';
+    }
+    const form = {};
+    modifiers.forEach((modifier) => {
+      if (modifier === 'plural') {
+        form.plural = true;
+        return;
+      }
+      if (getEntry(locale).genders.includes(modifier)) {
+        form.gender = modifier;
+        return;
+      }
+      const other = lookup(modifier);
+      if (typeof other === 'number') {
+        form.count = other;
+      } else if (isPlainObject(other) && other.gender) {
+        form.gender = other.gender;
+      }
+    });
+    return formatWord(value, form, locale);
+  });
+}
+
+/**
+ * t(key, params, locale): the message `key` in the current language, falling back to English
+ * and then to the key itself. Placeholders are filled from `params` as in fillText(), and a
+ * message with plural forms picks the one for params.count.
+ */
+export function t(key, params = {}, locale = currentLocale) {
+  let messageLocale = locale;
+  let message = lookupMessage(locale, key);
+  if (message === undefined && locale !== DEFAULT_LOCALE) {
+    messageLocale = DEFAULT_LOCALE;
+    message = lookupMessage(DEFAULT_LOCALE, key);
+  }
+  if (isPluralForms(message)) {
+    message = formatWord(message, { count: params.count }, messageLocale);
+  }
+  if (typeof message !== 'string') {
+    return key;
+  }
+  return fillText(message, (name) => params[name], messageLocale);
+}
+
+registerLocale('en', en);
+registerLocale('es', es);
@@ -0,0 +1,458 @@
+// scripts/locales/en.js
+// English, the default language and the fallback for anything another locale leaves out.
+// Placeholders and plural forms are described in i18n.js. Concept and mistake names are not
+// repeated here: their English labels live in concepts.js and folMutations.js, and other
+// locales translate them under concept.* and translate.kind.*.
+
+export const name = 'English';
+
+export const words = {
+  shape: {
+    circle: { one: 'circle', other: 'circles' },
+    square: { one: 'square', other: 'squares' },
+    triangle: { one: 'triangle', other: 'triangles' },
+    star: { one: 'star', other: 'stars' },
+    hexagon: { one: 'hexagon', other: 'hexagons' },
+    diamond: { one: 'diamond', other: 'diamonds' }
+  },
+  color: {
+    '#ff82a9': 'Pink',
+    '#7ed957': 'Green',
+    '#6ecbff': 'Sky Blue',
+    '#ffd966': 'Yellow',
+    '#b07bff': 'Purple'
+  },
+  size: { small: 'small', large: 'large' },
+  fill: { solid: 'solid', striped: 'striped', hollow: 'hollow' },
+  parity: { even: 'even', odd: 'odd' },
+  comparison: { greater: 'greater than', less: 'less than' },
+  // What explanations and the cell editor call each property of a cell
+  attribute: {
+    shape: { one: 'shape', other: 'shapes' },
+    color: { one: 'color', other: 'colors' },
+    size: { one: 'size', other: 'sizes' },
+    fill: { one: 'fill', other: 'fills' },
+    number: { one: 'value', other: 'values' }
+  },
+  scope: {
+    row: { one: 'row', other: 'rows' },
+    column: { one: 'column', other: 'columns' },
+    region: { one: 'region', other: 'regions' },
+    grid: { one: 'grid', other: 'grids' }
+  }
+};
+
+export const messages = {
+  page: {
+    title: 'Logic Grid Game',
+    eyebrow: 'First Order Logic Playground',
+    language: 'Language',
+    mode: 'Mode',
+    difficulty: 'Difficulty',
+    board: 'Board',
+    stats: 'Stats',
+    puzzleSet: 'Puzzle Set',
+    worksheet: 'Worksheet',
+    editor: 'Templates',
+    colorPatterns: 'Color patterns',
+    keyboardHelp: 'Keys: arrows move around the grid, 1–4 pick an answer, Enter goes to the next puzzle.',
+    explanationHeading: 'Why? Select a statement to see its cells on the grid.',
+    backToGame: 'Back to the game',
+    exportJson: 'Export JSON'
+  },
+  mode: {
+    choose: 'Pick the statement',
+    build: 'Build the grid',
+    truth: 'True or False (timed)',
+    'translate-fol': 'Translate: sentence → FOL',
+    'translate-sentence': 'Translate: FOL → sentence',
+    write: 'Write the formula'
+  },
+  difficulty: {
+    easy: 'Easy',
+    medium: 'Medium',
+    hard: 'Hard',
+    adaptive: 'Adaptive'
+  },
+  board: {
+    standard: 'Standard 5×5',
+    warmup: 'Warm-up 3×3',
+    challenge: 'Challenge 7×7',
+    small: 'Numbers 1–5',
+    extended: 'Extra shapes, sizes & fills'
+  },
+  stat: {
+    puzzle: 'Puzzle',
+    solved: 'Solved',
+    streak: 'Streak',
+    set: 'Set',
+    level: 'Level',
+    score: 'Score',
+    time: 'Time',
+    highScore: 'High Score',
+    bestStreak: 'Best Streak',
+    code: 'Puzzle Code'
+  },
+  heading: {
+    choose: 'Which statement matches the grid below?',
+    build: 'Change the grid until this statement is true.',
+    truth: 'Does the grid satisfy this statement?',
+    'translate-fol': 'Which formula says the same as this sentence?',
+    'translate-sentence': 'Which sentence says the same as this formula?',
+    write: 'Write this sentence as a first-order logic formula.'
+  },
+  game: {
+    next: 'Next Puzzle',
+    showResults: 'Show Results',
+    generating: 'Generating...',
+    fol: 'FOL',
+    noFol: 'No FOL available',
+    buildError: "Couldn't build a valid puzzle this time. Press Next Puzzle to try another.",
+    announcePuzzle: 'Puzzle {number}. {heading}',
+    correct: 'Correct! "{statement}" matches the grid.',
+    incorrect: 'Not quite. This one matches the grid: {statement}',
+    setFinished: 'Set finished: {correct} of {total} correct, {score} of {maxScore} points.'
+  },
+  hint: {
+    show: 'Show Hint',
+    next: 'Next Hint ({shown}/{total})',
+    none: 'No hint available',
+    noMore: 'No more hints for this puzzle',
+    reveal: "Reveal hint {number} of {total}; this puzzle's score drops to {keep}%",
+    noAntecedent: 'No cell matches the condition of the statement.',
+    antecedent: {
+      one: 'The {count} outlined cell matches the condition of the statement; look at it first.',
+      other: 'The {count} outlined cells match the condition of the statement; look at them first.'
+    },
+    eliminated: 'Not "{statement}": {reason}',
+    crossedOut: 'One wrong option is crossed out: {label}.',
+    nothingLeft: 'No option left to rule out.'
+  },
+  grid: {
+    label: 'Puzzle grid, {rows} rows by {cols} columns',
+    cell: 'row {row}, column {col}: {appearance}, {number}',
+    highlight: {
+      instance: 'matches the statement',
+      witness: 'witness',
+      counterexample: 'counterexample',
+      antecedent: 'hinted',
+      selected: 'selected'
+    }
+  },
+  // "small striped Pink star"; other languages may put the noun first
+  cell: {
+    appearance: '{adjectives} {color} {shape}'
+  },
+  region: {
+    left: { one: 'left column', other: 'left {count} columns' },
+    right: { one: 'right column', other: 'right {count} columns' },
+    top: { one: 'top row', other: 'top {count} rows' },
+    bottom: { one: 'bottom row', other: 'bottom {count} rows' }
+  },
+  build: {
+    edits: 'Edits: {edits} · Par: {par}',
+    reset: 'Reset Grid',
+    prompt: 'Click a cell to edit it, or move to it with the arrow keys and press Enter.',
+    solvedPrompt: 'Solved! Press Next Puzzle for another.',
+    solved: 'The statement is true now! {edits}, {score} points.',
+    editCount: { one: '{count} edit{par}', other: '{count} edits{par}' },
+    par: ' (par {par})'
+  },
+  truth: {
+    true: 'True',
+    false: 'False',
+    correct: 'Correct!',
+    incorrect: 'Not quite.',
+    seconds: '{seconds}s',
+    timeUp: "Time's up! {score} correct{record}. Press Next Puzzle to play again.",
+    newHighScore: ', a new high score',
+    highScore: ', high score {highScore}'
+  },
+  translate: {
+    sentence: 'Sentence',
+    fol: 'FOL',
+    example: 'Example grid: the statement is true here.',
+    correctReview: {
+      formula: 'Correct translation. Select a wrong formula to see a grid that tells it apart.',
+      sentence: 'Correct translation. Select a wrong sentence to see a grid that tells it apart.'
+    },
+    review: {
+      formula: '{label}. On this grid the statement is {statementValue}, but this formula is {optionValue}.',
+      sentence: '{label}. On this grid the statement is {statementValue}, but this sentence is {optionValue}.'
+    }
+  },
+  write: {
+    sentence: 'Sentence',
+    yourFormula: 'Your formula',
+    symbols: 'Logic symbols',
+    showAnswer: 'Show Answer',
+    revealed: 'Answer shown',
+    check: 'Check',
+    example: 'Example grid: the statement is true here.',
+    correct: 'Correct!',
+    correctEquivalent: 'Correct! Your formula means the same as {formula}',
+    notSame: 'Not the same. On this grid the statement is {statementValue}, but your formula is {answerValue}. Edit it and check again.',
+    answer: 'One answer: {formula}',
+    vocabulary: 'Predicates: {predicates}. Functions: {functions}. Aggregates: {aggregates}. ASCII works too: -> & | ! >= <= !=',
+    error: {
+      empty: 'Type a formula first.',
+      syntax: 'The formula cannot be read from "{near}" on. Check the symbols and brackets there.',
+      incomplete: 'The formula stops too early; something is missing at the end.',
+      unknownSymbol: {
+        one: 'Unknown predicate or function: {symbols}.',
+        other: 'Unknown predicates or functions: {symbols}.'
+      },
+      evaluation: 'The formula could not be checked on the sample grids.'
+    }
+  },
+  truthValue: {
+    true: 'true',
+    false: 'false'
+  },
+  explain: {
+    position: 'row {row}, column {col}',
+    cell: '{appearance} with value {number}',
+    cellAt: 'the {cell} at {position}',
+    and: ', and ',
+    failure: {
+      property: 'its {property} is {actual}, not {expected}',
+      comparison: 'its {property} {actual} is not {operator} {expected}',
+      region: 'it is not in the {region}',
+      noNeighbor: 'there is no cell {direction}',
+      other: 'it fails the {check} check'
+    },
+    direction: {
+      right: 'directly to the right of it',
+      left: 'directly to the left of it',
+      above: 'directly above it',
+      below: 'directly below it',
+      topLeft: 'diagonally top-left of it',
+      topRight: 'diagonally top-right of it'
+    },
+    operator: {
+      equals: 'equal to',
+      notEquals: 'different from',
+      greaterThan: 'greater than',
+      lessThan: 'less than',
+      greaterOrEqual: 'at least',
+      lessOrEqual: 'at most'
+    },
+    quantifier: {
+      exactly: 'exactly',
+      atLeast: 'at least',
+      atMost: 'at most'
+    },
+    aggregate: {
+      sum: 'the sum of the values',
+      count: 'the number of matching cells',
+      max: 'the largest value',
+      min: 'the smallest value',
+      distinct: 'the number of different {property}'
+    },
+    relation: {
+      anywhere: 'anywhere on the grid',
+      sameRow: 'in the same row',
+      sameColumn: 'in the same column',
+      leftOf: 'somewhere to the left in the same row',
+      rightOf: 'somewhere to the right in the same row',
+      above: 'somewhere above in the same column',
+      below: 'somewhere below in the same column',
+      adjacent: 'next to it (up, down, left or right)',
+      touching: 'touching it (diagonals included)',
+      diagonal: 'on a diagonal through it',
+      withinDistance: 'within {distance} {distance|one:step|other:steps} (counting rows plus columns)'
+    },
+    group: {
+      row: 'Row {number}',
+      column: 'Column {number}',
+      region: 'The {region}',
+      grid: 'The grid'
+    },
+    cells: { one: '{count} cell', other: '{count} cells' },
+    none: 'none',
+    operand: '{phrase} ({value})',
+    comparisonHolds: '{left} is {operator} {right}',
+    comparisonFails: '{left} is not {operator} {right}',
+    conditionFails: 'the condition fails',
+    counterexample: '{subject} matches the condition, but {reasons}.',
+    neighborCounterexample: '{subject} matches the condition, but {neighbor}, {direction}, does not qualify: {reasons}.',
+    confirmedWitness: '✓ For {subject}, {witness} sits {direction}.',
+    confirmed: '✓ {subject} meets the requirement.',
+    confirmedStep: '✓ {step}',
+    match: '• {subject} matches.',
+    moreMatches: { one: '…and {count} more matching cell.', other: '…and {count} more matching cells.' },
+    moreSatisfied: { one: '…and {count} more matching cell, also satisfied.', other: '…and {count} more matching cells, all satisfied.' },
+    moreGroups: '…and {count} more {scope|count}, all satisfied.',
+    otherCellsFail: { one: '{count} other matching cell fails as well.', other: '{count} other matching cells fail as well.' },
+    otherCellsFailSameWay: { one: '{count} other matching cell fails the same way.', other: '{count} other matching cells fail the same way.' },
+    otherGroupsFail: { one: '{count} other {scope} fails as well.', other: '{count} other {scope|plural} fail as well.' },
+    groupStep: '{group}: {reason}.',
+    confirmedGroupStep: '✓ {group}: {reason}.',
+    quantified: {
+      meets: '{subject} meets the requirement.',
+      fails: '{subject} fails the requirement.',
+      witness: 'For {subject}, {other} qualifies ({where}).',
+      counterexample: 'For {subject}, {other} ({where}) breaks it.',
+      every: 'For {subject}, every cell {where} qualifies.',
+      none: 'For {subject}, no cell {where} qualifies.'
+    },
+    summary: {
+      formula: 'The formula is {value} on this grid.',
+      existsTrue: { one: 'True: {count} cell matches the description.', other: 'True: {count} cells match the description.' },
+      existsFalse: 'False: no cell matches the description.',
+      countTrue: { one: 'True: {count} cell matches, and the statement needs {quantifier} {expected}.', other: 'True: {count} cells match, and the statement needs {quantifier} {expected}.' },
+      countFalse: { one: 'False: {count} cell matches, and the statement needs {quantifier} {expected}.', other: 'False: {count} cells match, and the statement needs {quantifier} {expected}.' },
+      notAllTrue: 'True: this cell shows that not all of them do.',
+      notAllVacuous: 'False: no cell matches the condition, so "all of them" holds vacuously.',
+      notAllFalse: 'False: all {cells} matching the condition satisfy it.',
+      groupFails: 'False: it fails for {group}.',
+      allGroups: 'True: all {count} {scope|count} satisfy it.',
+      someGroup: 'True: it holds for {group}.',
+      counterexample: 'False: this counterexample breaks the statement.',
+      vacuous: 'True: no cell matches the condition, so the statement holds vacuously.',
+      allSatisfy: 'True: all {cells} matching the condition satisfy it.',
+      witness: 'True: this cell is a witness.',
+      noMatch: 'False: no cell matches the condition at all.',
+      noneWorks: 'False: none of the {cells} matching the condition works.',
+      allInstances: { one: 'True: all {count} matching cell satisfy it.', other: 'True: all {count} matching cells satisfy it.' }
+    }
+  },
+  profile: {
+    heading: 'Your progress',
+    masteryHeading: 'Mastery by concept, weakest first',
+    historyHeading: 'Recent attempts',
+    importJson: 'Import JSON',
+    reset: 'Reset Profile',
+    column: {
+      when: 'When',
+      mode: 'Mode',
+      statement: 'Statement',
+      answer: 'Answer',
+      result: 'Result',
+      hint: 'Hint',
+      time: 'Time'
+    },
+    attempts: 'Attempts',
+    correct: 'Correct',
+    accuracy: 'Accuracy',
+    bestStreak: 'Best Streak',
+    hintsUsed: 'Hints Used',
+    rating: 'Rating',
+    adaptiveLevel: 'Adaptive Level',
+    noMastery: 'Answer a few puzzles to see which concepts you have mastered.',
+    masteryNumbers: '{percent} · {correct}/{attempts} correct',
+    hintLevel: 'Level {level}',
+    yes: 'Yes',
+    no: 'No',
+    resultCorrect: 'Correct',
+    resultWrong: 'Wrong',
+    seconds: '{seconds}s',
+    confirmReset: 'Forget every attempt, mastery score and record?',
+    resetDone: 'Profile reset.',
+    imported: 'Imported {file}.',
+    importFailed: 'Could not import {file}: {error}',
+    readFailed: 'Could not read {file}.'
+  },
+  set: {
+    heading: 'Puzzle set',
+    intro: 'Play the puzzles your teacher picked, in order, and hand in the results.',
+    student: 'Your name',
+    loadFile: 'Load Set File',
+    link: 'Link to this set',
+    leave: 'Leave Set',
+    results: 'Results',
+    exportCsv: 'Export CSV',
+    column: {
+      number: '#',
+      statement: 'Statement',
+      answer: 'Answer',
+      hint: 'Hint',
+      result: 'Result',
+      score: 'Score',
+      time: 'Time'
+    },
+    title: { one: '{title} · {count} puzzle', other: '{title} · {count} puzzles' },
+    preparing: { one: 'Preparing {count} puzzle…', other: 'Preparing {count} puzzles…' },
+    loaded: 'Loaded "{title}". Close this screen to start.',
+    loadFailed: 'Could not load the puzzle set: {error}',
+    fileFailed: 'Could not load {file}: {error}',
+    readFailed: 'Could not read {file}.',
+    studentLabel: 'Student',
+    answered: 'Answered',
+    correct: 'Correct',
+    score: 'Score',
+    hintLevel: 'Level {level}',
+    no: 'No',
+    resultCorrect: 'Correct',
+    resultWrong: 'Wrong',
+    skipped: 'Skipped',
+    seconds: '{seconds}s'
+  },
+  worksheet: {
+    heading: 'Printable worksheet',
+    intro: 'Print puzzles for class, with the answer key on a page of its own. To get a PDF, choose Save as PDF in the print dialog.',
+    titleLabel: 'Title',
+    source: 'Puzzles',
+    sourceCurrent: 'The puzzle on screen',
+    sourceNew: 'New puzzles at the chosen difficulty and board',
+    sourceSet: 'The loaded puzzle set',
+    count: 'How many',
+    showFol: 'Show the FOL under each statement',
+    includeKey: 'Add an answer key',
+    patterns: 'Color patterns, for black-and-white printers',
+    print: 'Print',
+    downloadHtml: 'Download HTML',
+    downloadSvg: 'Download SVG',
+    generating: 'Generating the puzzles…',
+    ready: { one: 'Worksheet ready: {count} puzzle.', other: 'Worksheet ready: {count} puzzles.' },
+    failed: 'Could not make the worksheet: {error}',
+    popupBlocked: 'The browser blocked the print window. Download the HTML and print it from there.',
+    // In the printed document
+    title: 'Logic grid worksheet',
+    name: 'Name',
+    date: 'Date',
+    instructions: 'Only one statement is true of each grid. Circle its letter.',
+    puzzle: 'Puzzle {number}',
+    answerKey: 'Answer key'
+  },
+  editor: {
+    heading: 'Template editor',
+    intro: 'Write a statement template, check what it generates, then paste its JSON into scripts/templateBanks/templates.json.',
+    start: 'Start from',
+    load: 'Load',
+    blank: 'A new template',
+    loaded: 'Editing {id}.',
+    basics: 'Template',
+    difficulty: 'difficulty (where it goes in the bank)',
+    key: 'key',
+    placeholders: 'Placeholders',
+    computedFields: 'Computed fields',
+    statement: 'Statement',
+    statementNote: 'Use {key} for a placeholder or computed field, and {key|plural} for its plural.',
+    rules: 'Rules',
+    rulesNote: 'Rules say when a grid makes the statement true. Grids are built from the conditions alone; add actions only to override how.',
+    add: 'Add',
+    remove: 'Remove',
+    include: 'Include',
+    none: '(none)',
+    preview: 'Preview',
+    sample: 'New sample',
+    satisfying: 'A grid that should make it true',
+    violating: 'A grid that should make it false',
+    checkPassed: 'verifyStatementWithGrid says {result}, as it should.',
+    checkFailed: 'verifyStatementWithGrid says {result}: the rules do not build this side correctly.',
+    formulaAgrees: 'The FOL formula agrees with the rules.',
+    formulaDisagrees: 'The FOL formula disagrees with the rules on this grid.',
+    missed: 'No attempt produced the wanted grid; this is the last one tried.',
+    errors: { one: '{count} problem to fix first:', other: '{count} problems to fix first:' },
+    failed: 'The template failed: {error}',
+    unsupportedBoard: 'This template does not run on the chosen board.',
+    json: 'Template JSON',
+    apply: 'Use this JSON',
+    applied: 'The form now shows the JSON.',
+    copy: 'Copy JSON',
+    copied: 'Copied. Paste it into the "{difficulty}" list of templates.json.',
+    copyFailed: 'The browser did not allow copying. Select the JSON and copy it by hand.',
+    download: 'Download JSON'
+  }
+};
@@ -0,0 +1,496 @@
+// scripts/locales/es.js
+// Spanish. Shapes name their gender, and colors, sizes and fills agree with it, as in
+// "estrellas rayadas". Concept and mistake names, which other modules keep in English,
+// are translated under concept.* and translate.kind.*.
+
+export const name = 'Español';
+
+export const genders = ['m', 'f'];
+
+export const words = {
+  shape: {
+    circle: { one: 'círculo', other: 'círculos', gender: 'm' },
+    square: { one: 'cuadrado', other: 'cuadrados', gender: 'm' },
+    triangle: { one: 'triángulo', other: 'triángulos', gender: 'm' },
+    star: { one: 'estrella', other: 'estrellas', gender: 'f' },
+    hexagon: { one: 'hexágono', other: 'hexágonos', gender: 'm' },
+    diamond: { one: 'rombo', other: 'rombos', gender: 'm' }
+  },
+  // "azul celeste" and "rosa" do not change with gender or number
+  color: {
+    '#ff82a9': 'rosa',
+    '#7ed957': { one: 'verde', other: 'verdes' },
+    '#6ecbff': 'azul celeste',
+    '#ffd966': { m: { one: 'amarillo', other: 'amarillos' }, f: { one: 'amarilla', other: 'amarillas' } },
+    '#b07bff': { m: { one: 'morado', other: 'morados' }, f: { one: 'morada', other: 'moradas' } }
+  },
+  size: {
+    small: { m: { one: 'pequeño', other: 'pequeños' }, f: { one: 'pequeña', other: 'pequeñas' } },
+    large: { one: 'grande', other: 'grandes' }
+  },
+  fill: {
+    solid: { m: { one: 'liso', other: 'lisos' }, f: { one: 'lisa', other: 'lisas' } },
+    striped: { m: { one: 'rayado', other: 'rayados' }, f: { one: 'rayada', other: 'rayadas' } },
+    hollow: { m: { one: 'hueco', other: 'huecos' }, f: { one: 'hueca', other: 'huecas' } }
+  },
+  parity: { even: { one: 'par', other: 'pares' }, odd: { one: 'impar', other: 'impares' } },
+  comparison: { greater: 'mayor que', less: 'menor que' },
+  attribute: {
+    shape: { one: 'forma', other: 'formas', gender: 'f' },
+    color: { one: 'color', other: 'colores', gender: 'm' },
+    size: { one: 'tamaño', other: 'tamaños', gender: 'm' },
+    fill: { one: 'relleno', other: 'rellenos', gender: 'm' },
+    number: { one: 'valor', other: 'valores', gender: 'm' }
+  },
+  scope: {
+    row: { one: 'fila', other: 'filas', gender: 'f' },
+    column: { one: 'columna', other: 'columnas', gender: 'f' },
+    region: { one: 'región', other: 'regiones', gender: 'f' },
+    grid: { one: 'tablero', other: 'tableros', gender: 'm' }
+  }
+};
+
+export const messages = {
+  page: {
+    title: 'Juego de la cuadrícula lógica',
+    eyebrow: 'Taller de lógica de primer orden',
+    language: 'Idioma',
+    mode: 'Modo',
+    difficulty: 'Dificultad',
+    board: 'Tablero',
+    stats: 'Estadísticas',
+    puzzleSet: 'Serie de puzles',
+    worksheet: 'Ficha',
+    editor: 'Plantillas',
+    colorPatterns: 'Tramas de color',
+    keyboardHelp: 'Teclas: las flechas recorren la cuadrícula, 1–4 eligen una respuesta y Enter pasa al siguiente puzle.',
+    explanationHeading: '¿Por qué? Elige un enunciado para ver sus casillas en la cuadrícula.',
+    backToGame: 'Volver al juego',
+    exportJson: 'Exportar JSON'
+  },
+  mode: {
+    choose: 'Elige el enunciado',
+    build: 'Construye la cuadrícula',
+    truth: 'Verdadero o falso (contrarreloj)',
+    'translate-fol': 'Traduce: frase → LPO',
+    'translate-sentence': 'Traduce: LPO → frase',
+    write: 'Escribe la fórmula'
+  },
+  difficulty: {
+    easy: 'Fácil',
+    medium: 'Media',
+    hard: 'Difícil',
+    adaptive: 'Adaptativa'
+  },
+  board: {
+    standard: 'Estándar 5×5',
+    warmup: 'Calentamiento 3×3',
+    challenge: 'Desafío 7×7',
+    small: 'Números 1–5',
+    extended: 'Más formas, tamaños y rellenos'
+  },
+  stat: {
+    puzzle: 'Puzle',
+    solved: 'Resueltos',
+    streak: 'Racha',
+    set: 'Serie',
+    level: 'Nivel',
+    score: 'Puntos',
+    time: 'Tiempo',
+    highScore: 'Récord',
+    bestStreak: 'Mejor racha',
+    code: 'Código del puzle'
+  },
+  heading: {
+    choose: '¿Qué enunciado describe la cuadrícula de abajo?',
+    build: 'Cambia la cuadrícula hasta que este enunciado sea verdadero.',
+    truth: '¿Cumple la cuadrícula este enunciado?',
+    'translate-fol': '¿Qué fórmula dice lo mismo que esta frase?',
+    'translate-sentence': '¿Qué frase dice lo mismo que esta fórmula?',
+    write: 'Escribe esta frase como fórmula de lógica de primer orden.'
+  },
+  game: {
+    next: 'Siguiente puzle',
+    showResults: 'Ver resultados',
+    generating: 'Generando...',
+    fol: 'LPO',
+    noFol: 'Sin fórmula',
+    buildError: 'Esta vez no se pudo crear un puzle válido. Pulsa Siguiente puzle para probar otro.',
+    announcePuzzle: 'Puzle {number}. {heading}',
+    correct: '¡Correcto! «{statement}» describe la cuadrícula.',
+    incorrect: 'No exactamente. El que describe la cuadrícula es: {statement}',
+    setFinished: 'Serie terminada: {correct} de {total} correctos, {score} de {maxScore} puntos.'
+  },
+  hint: {
+    show: 'Ver pista',
+    next: 'Otra pista ({shown}/{total})',
+    none: 'No hay pistas',
+    noMore: 'No quedan más pistas para este puzle',
+    reveal: 'Ver la pista {number} de {total}; la puntuación del puzle baja al {keep} %',
+    noAntecedent: 'Ninguna casilla cumple la condición del enunciado.',
+    antecedent: {
+      one: 'La casilla marcada cumple la condición del enunciado; mírala primero.',
+      other: 'Las {count} casillas marcadas cumplen la condición del enunciado; míralas primero.'
+    },
+    eliminated: 'No es «{statement}»: {reason}',
+    crossedOut: 'Se ha tachado una opción incorrecta: {label}.',
+    nothingLeft: 'No queda ninguna opción que descartar.'
+  },
+  grid: {
+    label: 'Cuadrícula del puzle, {rows} filas por {cols} columnas',
+    cell: 'fila {row}, columna {col}: {appearance}, {number}',
+    highlight: {
+      instance: 'cumple el enunciado',
+      witness: 'testigo',
+      counterexample: 'contraejemplo',
+      antecedent: 'pista',
+      selected: 'seleccionada'
+    }
+  },
+  // "estrella rosa rayada": the noun comes first
+  cell: {
+    appearance: '{shape} {color} {adjectives}'
+  },
+  region: {
+    left: { one: 'la columna de la izquierda', other: 'las {count} columnas de la izquierda' },
+    right: { one: 'la columna de la derecha', other: 'las {count} columnas de la derecha' },
+    top: { one: 'la fila de arriba', other: 'las {count} filas de arriba' },
+    bottom: { one: 'la fila de abajo', other: 'las {count} filas de abajo' }
+  },
+  build: {
+    edits: 'Cambios: {edits} · Par: {par}',
+    reset: 'Restablecer',
+    prompt: 'Haz clic en una casilla para cambiarla, o llega a ella con las flechas y pulsa Enter.',
+    solvedPrompt: '¡Resuelto! Pulsa Siguiente puzle para jugar otro.',
+    solved: '¡Ahora el enunciado es verdadero! {edits}, {score} puntos.',
+    editCount: { one: '{count} cambio{par}', other: '{count} cambios{par}' },
+    par: ' (par {par})'
+  },
+  truth: {
+    true: 'Verdadero',
+    false: 'Falso',
+    correct: '¡Correcto!',
+    incorrect: 'No exactamente.',
+    seconds: '{seconds} s',
+    timeUp: '¡Se acabó el tiempo! {score} aciertos{record}. Pulsa Siguiente puzle para volver a jugar.',
+    newHighScore: ', un nuevo récord',
+    highScore: ', récord {highScore}'
+  },
+  translate: {
+    sentence: 'Frase',
+    fol: 'LPO',
+    example: 'Cuadrícula de ejemplo: aquí el enunciado es verdadero.',
+    correctReview: {
+      formula: 'Traducción correcta. Elige una fórmula incorrecta para ver una cuadrícula que las distingue.',
+      sentence: 'Traducción correcta. Elige una frase incorrecta para ver una cuadrícula que las distingue.'
+    },
+    review: {
+      formula: '{label}. En esta cuadrícula el enunciado es {statementValue}, pero esta fórmula es {optionValue}.',
+      sentence: '{label}. En esta cuadrícula el enunciado es {statementValue}, pero esta frase es {optionValue}.'
+    },
+    kind: {
+      correct: 'Traducción correcta',
+      otherDetails: 'El mismo patrón con otros detalles',
+      otherStatement: 'Otro enunciado',
+      swapQuantifier: 'Se intercambiaron ∀ y ∃',
+      flipImplication: 'Se invirtió la implicación',
+      andForImplies: 'Se usó ∧ en lugar de →',
+      impliesForAnd: 'Se usó → en lugar de ∧',
+      orForAnd: 'Se usó ∨ en lugar de ∧',
+      andForOr: 'Se usó ∧ en lugar de ∨',
+      wrongComparison: 'Se usó la comparación equivocada',
+      wrongCount: 'Se usó la cantidad equivocada',
+      dropNegation: 'Se quitó la negación'
+    }
+  },
+  write: {
+    sentence: 'Frase',
+    yourFormula: 'Tu fórmula',
+    symbols: 'Símbolos lógicos',
+    showAnswer: 'Ver respuesta',
+    revealed: 'Respuesta mostrada',
+    check: 'Comprobar',
+    example: 'Cuadrícula de ejemplo: aquí el enunciado es verdadero.',
+    correct: '¡Correcto!',
+    correctEquivalent: '¡Correcto! Tu fórmula significa lo mismo que {formula}',
+    notSame: 'No es lo mismo. En esta cuadrícula el enunciado es {statementValue}, pero tu fórmula es {answerValue}. Corrígela y vuelve a comprobarla.',
+    answer: 'Una respuesta: {formula}',
+    vocabulary: 'Predicados: {predicates}. Funciones: {functions}. Agregados: {aggregates}. También vale ASCII: -> & | ! >= <= !=',
+    error: {
+      empty: 'Escribe primero una fórmula.',
+      syntax: 'La fórmula no se puede leer a partir de «{near}». Revisa los símbolos y los paréntesis en ese punto.',
+      incomplete: 'La fórmula se acaba antes de tiempo; falta algo al final.',
+      unknownSymbol: {
+        one: 'Predicado o función desconocido: {symbols}.',
+        other: 'Predicados o funciones desconocidos: {symbols}.'
+      },
+      evaluation: 'No se pudo comprobar la fórmula en las cuadrículas de ejemplo.'
+    }
+  },
+  truthValue: {
+    true: 'verdadero',
+    false: 'falso'
+  },
+  explain: {
+    position: 'fila {row}, columna {col}',
+    cell: '{appearance} con valor {number}',
+    cellAt: 'la casilla de la {position} ({cell})',
+    and: ', y ',
+    failure: {
+      property: 'su {property} es {actual}, no {expected}',
+      comparison: 'su {property} {actual} no es {operator} {expected}',
+      region: 'no está en {region}',
+      noNeighbor: 'no hay ninguna casilla {direction}',
+      other: 'no supera la comprobación {check}'
+    },
+    direction: {
+      right: 'justo a su derecha',
+      left: 'justo a su izquierda',
+      above: 'justo encima',
+      below: 'justo debajo',
+      topLeft: 'en diagonal arriba a la izquierda',
+      topRight: 'en diagonal arriba a la derecha'
+    },
+    operator: {
+      equals: 'igual a',
+      notEquals: 'distinto de',
+      greaterThan: 'mayor que',
+      lessThan: 'menor que',
+      greaterOrEqual: 'al menos',
+      lessOrEqual: 'como mucho'
+    },
+    quantifier: {
+      exactly: 'exactamente',
+      atLeast: 'al menos',
+      atMost: 'como mucho'
+    },
+    aggregate: {
+      sum: 'la suma de los valores',
+      count: 'el número de casillas que cumplen',
+      max: 'el valor más alto',
+      min: 'el valor más bajo',
+      distinct: 'el número de {property} distintos'
+    },
+    relation: {
+      anywhere: 'en cualquier lugar de la cuadrícula',
+      sameRow: 'en la misma fila',
+      sameColumn: 'en la misma columna',
+      leftOf: 'en algún lugar a la izquierda en la misma fila',
+      rightOf: 'en algún lugar a la derecha en la misma fila',
+      above: 'en algún lugar por encima en la misma columna',
+      below: 'en algún lugar por debajo en la misma columna',
+      adjacent: 'a su lado (arriba, abajo, a la izquierda o a la derecha)',
+      touching: 'tocándola (diagonales incluidas)',
+      diagonal: 'en una diagonal que pasa por ella',
+      withinDistance: 'a {distance} {distance|one:paso|other:pasos} como mucho (filas más columnas)'
+    },
+    group: {
+      row: 'La fila {number}',
+      column: 'La columna {number}',
+      region: '{region}',
+      grid: 'El tablero'
+    },
+    cells: { one: '{count} casilla', other: '{count} casillas' },
+    none: 'ninguno',
+    operand: '{phrase} ({value})',
+    comparisonHolds: '{left} es {operator} {right}',
+    comparisonFails: '{left} no es {operator} {right}',
+    conditionFails: 'la condición no se cumple',
+    counterexample: '{subject} cumple la condición, pero {reasons}.',
+    neighborCounterexample: '{subject} cumple la condición, pero {neighbor}, {direction}, no sirve: {reasons}.',
+    confirmedWitness: '✓ Para {subject}, {witness} está {direction}.',
+    confirmed: '✓ {subject} cumple el requisito.',
+    confirmedStep: '✓ {step}',
+    match: '• {subject} cumple.',
+    moreMatches: { one: '…y {count} casilla más que cumple.', other: '…y {count} casillas más que cumplen.' },
+    moreSatisfied: { one: '…y {count} casilla más que cumple, también satisfecha.', other: '…y {count} casillas más que cumplen, todas satisfechas.' },
+    moreGroups: '…y {count} {scope|count} más, que también lo cumplen.',
+    otherCellsFail: { one: 'Otra casilla que cumple la condición también falla.', other: 'Otras {count} casillas que cumplen la condición también fallan.' },
+    otherCellsFailSameWay: { one: 'Otra casilla que cumple la condición falla de la misma manera.', other: 'Otras {count} casillas que cumplen la condición fallan de la misma manera.' },
+    otherGroupsFail: { one: '{scope|m:Otro|f:Otra} {scope} también falla.', other: '{scope|m:Otros|f:Otras} {count} {scope|plural} también fallan.' },
+    groupStep: '{group}: {reason}.',
+    confirmedGroupStep: '✓ {group}: {reason}.',
+    quantified: {
+      meets: '{subject} cumple el requisito.',
+      fails: '{subject} no cumple el requisito.',
+      witness: 'Para {subject}, {other} sirve ({where}).',
+      counterexample: 'Para {subject}, {other} ({where}) lo incumple.',
+      every: 'Para {subject}, todas las casillas {where} sirven.',
+      none: 'Para {subject}, ninguna casilla {where} sirve.'
+    },
+    summary: {
+      formula: 'La fórmula es {value} en esta cuadrícula.',
+      existsTrue: { one: 'Verdadero: {count} casilla cumple la descripción.', other: 'Verdadero: {count} casillas cumplen la descripción.' },
+      existsFalse: 'Falso: ninguna casilla cumple la descripción.',
+      countTrue: { one: 'Verdadero: cumple {count} casilla, y el enunciado pide {quantifier} {expected}.', other: 'Verdadero: cumplen {count} casillas, y el enunciado pide {quantifier} {expected}.' },
+      countFalse: { one: 'Falso: cumple {count} casilla, y el enunciado pide {quantifier} {expected}.', other: 'Falso: cumplen {count} casillas, y el enunciado pide {quantifier} {expected}.' },
+      notAllTrue: 'Verdadero: esta casilla muestra que no todas lo hacen.',
+      notAllVacuous: 'Falso: ninguna casilla cumple la condición, así que «todas» se cumple trivialmente.',
+      notAllFalse: 'Falso: {count|one:la|other:las} {cells} que {count|one:cumple|other:cumplen} la condición lo {count|one:satisface|other:satisfacen}.',
+      groupFails: 'Falso: no se cumple en {group}.',
+      allGroups: 'Verdadero: {count|one:la|other:las} {count} {scope|count} lo {count|one:cumple|other:cumplen}.',
+      someGroup: 'Verdadero: se cumple en {group}.',
+      counterexample: 'Falso: este contraejemplo incumple el enunciado.',
+      vacuous: 'Verdadero: ninguna casilla cumple la condición, así que el enunciado se cumple trivialmente.',
+      allSatisfy: 'Verdadero: {count|one:la|other:las} {cells} que {count|one:cumple|other:cumplen} la condición lo {count|one:satisface|other:satisfacen}.',
+      witness: 'Verdadero: esta casilla es un testigo.',
+      noMatch: 'Falso: ninguna casilla cumple la condición.',
+      noneWorks: 'Falso: ninguna de {count|one:la|other:las} {cells} que {count|one:cumple|other:cumplen} la condición sirve.',
+      allInstances: { one: 'Verdadero: la casilla que cumple lo satisface.', other: 'Verdadero: las {count} casillas que cumplen lo satisfacen.' }
+    }
+  },
+  profile: {
+    heading: 'Tu progreso',
+    masteryHeading: 'Dominio por concepto, de menor a mayor',
+    historyHeading: 'Intentos recientes',
+    importJson: 'Importar JSON',
+    reset: 'Borrar perfil',
+    column: {
+      when: 'Cuándo',
+      mode: 'Modo',
+      statement: 'Enunciado',
+      answer: 'Respuesta',
+      result: 'Resultado',
+      hint: 'Pista',
+      time: 'Tiempo'
+    },
+    attempts: 'Intentos',
+    correct: 'Aciertos',
+    accuracy: 'Precisión',
+    bestStreak: 'Mejor racha',
+    hintsUsed: 'Pistas usadas',
+    rating: 'Puntuación Elo',
+    adaptiveLevel: 'Nivel adaptativo',
+    noMastery: 'Responde algunos puzles para ver qué conceptos dominas.',
+    masteryNumbers: '{percent} · {correct}/{attempts} aciertos',
+    hintLevel: 'Nivel {level}',
+    yes: 'Sí',
+    no: 'No',
+    resultCorrect: 'Acierto',
+    resultWrong: 'Fallo',
+    seconds: '{seconds} s',
+    confirmReset: '¿Olvidar todos los intentos, el dominio de cada concepto y los récords?',
+    resetDone: 'Perfil borrado.',
+    imported: 'Se importó {file}.',
+    importFailed: 'No se pudo importar {file}: {error}',
+    readFailed: 'No se pudo leer {file}.'
+  },
+  set: {
+    heading: 'Serie de puzles',
+    intro: 'Juega los puzles que eligió tu profesor, en orden, y entrega los resultados.',
+    student: 'Tu nombre',
+    loadFile: 'Cargar archivo de serie',
+    link: 'Enlace a esta serie',
+    leave: 'Salir de la serie',
+    results: 'Resultados',
+    exportCsv: 'Exportar CSV',
+    column: {
+      number: 'N.º',
+      statement: 'Enunciado',
+      answer: 'Respuesta',
+      hint: 'Pista',
+      result: 'Resultado',
+      score: 'Puntos',
+      time: 'Tiempo'
+    },
+    title: { one: '{title} · {count} puzle', other: '{title} · {count} puzles' },
+    preparing: { one: 'Preparando {count} puzle…', other: 'Preparando {count} puzles…' },
+    loaded: 'Se cargó «{title}». Cierra esta pantalla para empezar.',
+    loadFailed: 'No se pudo cargar la serie de puzles: {error}',
+    fileFailed: 'No se pudo cargar {file}: {error}',
+    readFailed: 'No se pudo leer {file}.',
+    studentLabel: 'Alumno',
+    answered: 'Respondidos',
+    correct: 'Aciertos',
+    score: 'Puntos',
+    hintLevel: 'Nivel {level}',
+    no: 'No',
+    resultCorrect: 'Acierto',
+    resultWrong: 'Fallo',
+    skipped: 'Sin responder',
+    seconds: '{seconds} s'
+  },
+  worksheet: {
+    heading: 'Ficha para imprimir',
+    intro: 'Imprime puzles para la clase, con las soluciones en una página aparte. Para obtener un PDF, elige Guardar como PDF en el cuadro de impresión.',
+    titleLabel: 'Título',
+    source: 'Puzles',
+    sourceCurrent: 'El puzle de la pantalla',
+    sourceNew: 'Puzles nuevos con la dificultad y el tablero elegidos',
+    sourceSet: 'La serie de puzles cargada',
+    count: 'Cuántos',
+    showFol: 'Mostrar la LPO debajo de cada enunciado',
+    includeKey: 'Añadir las soluciones',
+    patterns: 'Tramas de color, para impresoras en blanco y negro',
+    print: 'Imprimir',
+    downloadHtml: 'Descargar HTML',
+    downloadSvg: 'Descargar SVG',
+    generating: 'Generando los puzles…',
+    ready: { one: 'Ficha lista: {count} puzle.', other: 'Ficha lista: {count} puzles.' },
+    failed: 'No se pudo crear la ficha: {error}',
+    popupBlocked: 'El navegador bloqueó la ventana de impresión. Descarga el HTML e imprímelo desde allí.',
+    title: 'Ficha de cuadrículas lógicas',
+    name: 'Nombre',
+    date: 'Fecha',
+    instructions: 'En cada cuadrícula solo un enunciado es verdadero. Rodea su letra.',
+    puzzle: 'Puzle {number}',
+    answerKey: 'Soluciones'
+  },
+  editor: {
+    heading: 'Editor de plantillas',
+    intro: 'Escribe una plantilla de enunciado, comprueba lo que genera y pega su JSON en scripts/templateBanks/templates.json.',
+    start: 'Empezar desde',
+    load: 'Cargar',
+    blank: 'Una plantilla nueva',
+    loaded: 'Editando {id}.',
+    basics: 'Plantilla',
+    difficulty: 'dificultad (dónde va en el banco)',
+    key: 'clave',
+    placeholders: 'Marcadores',
+    computedFields: 'Campos calculados',
+    statement: 'Enunciado',
+    statementNote: 'Usa {key} para un marcador o campo calculado, y {key|plural} para su plural.',
+    rules: 'Reglas',
+    rulesNote: 'Las reglas dicen cuándo una cuadrícula hace verdadero el enunciado. Las cuadrículas se construyen solo con las condiciones; añade acciones únicamente para cambiar cómo.',
+    add: 'Añadir',
+    remove: 'Quitar',
+    include: 'Incluir',
+    none: '(ninguno)',
+    preview: 'Vista previa',
+    sample: 'Otro ejemplo',
+    satisfying: 'Una cuadrícula que debería hacerlo verdadero',
+    violating: 'Una cuadrícula que debería hacerlo falso',
+    checkPassed: 'verifyStatementWithGrid dice {result}, como debe.',
+    checkFailed: 'verifyStatementWithGrid dice {result}: las reglas no construyen bien este lado.',
+    formulaAgrees: 'La fórmula de LPO coincide con las reglas.',
+    formulaDisagrees: 'La fórmula de LPO no coincide con las reglas en esta cuadrícula.',
+    missed: 'Ningún intento dio la cuadrícula buscada; esta es la última probada.',
+    errors: { one: '{count} problema que corregir antes:', other: '{count} problemas que corregir antes:' },
+    failed: 'La plantilla falló: {error}',
+    unsupportedBoard: 'Esta plantilla no funciona en el tablero elegido.',
+    json: 'JSON de la plantilla',
+    apply: 'Usar este JSON',
+    applied: 'El formulario muestra ahora el JSON.',
+    copy: 'Copiar JSON',
+    copied: 'Copiado. Pégalo en la lista "{difficulty}" de templates.json.',
+    copyFailed: 'El navegador no permitió copiar. Selecciona el JSON y cópialo a mano.',
+    download: 'Descargar JSON'
+  },
+  concept: {
+    universal: 'Todos (∀)',
+    existential: 'Alguno (∃)',
+    counting: 'Contar (exactamente, al menos, como mucho)',
+    implication: 'Implicación (→)',
+    negation: 'Negación (¬)',
+    disjunction: 'O (∨)',
+    comparison: 'Comparaciones de números',
+    parity: 'Pares e impares',
+    prime: 'Primos',
+    multiple: 'Múltiplos',
+    region: 'Regiones',
+    neighbor: 'Vecinos y direcciones',
+    rowColumn: 'Filas y columnas',
+    aggregate: 'Sumas, máximos y mínimos',
+    nesting: 'Cuantificadores anidados'
+  }
+};
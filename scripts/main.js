@@ -1,45 +1,154 @@
 // scripts/main.js
 
-import { shuffleArray, getRandomElement } from './utils.js';
-import { getTemplatesByDifficulty } from './statementGenerator.js';
-import { displayGrid } from './grid.js';
+import { generatePuzzle } from './puzzleGenerator.js';
+import { generateBuildPuzzle } from './buildPuzzle.js';
+import { initBuildMode, startBuildRound, stopBuildRound, getBuildGrid, refreshBuildText } from './buildMode.js';
+import { generateTruthPuzzle, createTruthDeck } from './truthPuzzle.js';
+import {
+    initTruthMode, startTruthSession, isTruthSessionRunning, stopTruthSession, stopTruthMode, showTruthRound,
+    refreshTruthText
+} from './truthMode.js';
+import { generateTranslatePuzzle } from './translatePuzzle.js';
+import {
+    initTranslateMode, showTranslateRound, stopTranslateMode, eliminateTranslateOption, refreshTranslateText,
+    describeKind
+} from './translateMode.js';
+import { generateWritePuzzle } from './writePuzzle.js';
+import { initWriteMode, showWriteRound, stopWriteMode, refreshWriteText } from './writeMode.js';
+import { displayGrid, highlightCells, clearHighlights, setColorPatterns, relabelGrid } from './grid.js';
+import { describeExplanation } from './explanations.js';
+import { decodePuzzleCode } from './puzzleCode.js';
+import { getRandomElement } from './utils.js';
+import { recordAttempt, getProfile, REVEALED_ANSWER } from './profile.js';
+import { ADAPTIVE_DIFFICULTY, planAdaptiveRound } from './adaptive.js';
+import { initProfileView, refreshProfileView } from './profileView.js';
+import { createSetResults, recordSetAnswer, summarizeSetResults } from './puzzleSet.js';
+import {
+    initPuzzleSetView, loadPuzzleSetFromHash, showPuzzleSetResults, refreshPuzzleSetView
+} from './puzzleSetView.js';
+import { initWorksheetView } from './worksheetView.js';
+import { initTemplateEditorView } from './templateEditorView.js';
+import { findTemplate } from './statementGenerator.js';
+import { t, getLocales, getLocale, setLocale, hasLocale, onLocaleChange, DEFAULT_LOCALE } from './i18n.js';
+import {
+    HINT_TEXT, HINT_ANTECEDENT, HINT_ELIMINATE, getHintLevels, findHintCells, applyHintPenalty, getHintScoreFactor
+} from './hints.js';
 
-const DEFAULT_PROMPT = 'Pick the statement that matches the grid.';
-const NEXT_BUTTON_DEFAULT_TEXT = 'Next Puzzle';
+const TRUTH_NEXT_DELAY_MS = 1400;
+// Points for a correct answer in every mode but build, which scores its edits.
+const ROUND_POINTS = 100;
+const COLOR_PATTERNS_STORAGE_KEY = 'fol-game-color-patterns';
+const LOCALE_STORAGE_KEY = 'fol-game-locale';
+// Number keys pick the answer buttons of any mode in order; Enter stands for Next Puzzle.
+const ANSWER_KEYS = ['1', '2', '3', '4', '5', '6', '7', '8', '9'];
+
+// Translate modes and the direction of translatePuzzle.js they ask for
+const TRANSLATE_DIRECTIONS = { 'translate-fol': 'toFol', 'translate-sentence': 'toNatural' };
 
 let currentState = {
     grid: null,
     correctStatement: null,
     options: [],
     correctIndex: null,
-    value: null,
-    difficulty: 'easy', // default
+    mode: 'choose', // 'choose' picks a statement, 'build' edits the grid, 'truth' is timed True/False,
+                    // 'translate-fol' and 'translate-sentence' match sentences and formulas,
+                    // 'write' grades a typed formula
+    difficulty: 'easy', // default; 'adaptive' lets adaptive.js choose the level and template
+    roundDifficulty: 'easy', // the level the current round was generated at
+    board: 'standard', // board preset id, see board.js
     hint: '',
+    hintLevels: [], // the hint ladder for this round, see hints.js
+    hintsShown: [], // the levels revealed this round, e.g. [1, 3]; each one costs points
+    hintsLocked: false, // hints close once the round has been answered
+    templateId: null,
+    roundStartedAt: 0,
+    puzzleCode: '',
     puzzleNumber: 0,
     correctCount: 0,
     currentStreak: 0,
+    score: 0,
+    truthDeck: null, // deals balanced True/False answers for the current timed session
+    truthNextTimer: null,
+    puzzleSet: null, // { set, puzzles, index, results } while a teacher's set is played, see puzzleSet.js
     isLocked: false
 };
 
 let hintButton = null;
 let hintText = null;
+let modeSelect = null;
 let difficultySelect = null;
+let boardSelect = null;
 let nextButton = null;
 let puzzleStatEl = null;
 let solvedStatEl = null;
 let streakStatEl = null;
+let scoreStatEl = null;
+let setCardEl = null;
+let setStatEl = null;
+let levelCardEl = null;
+let levelStatEl = null;
+let truthStatCards = [];
+let codeStatEl = null;
+let puzzleErrorEl = null;
+let explanationPanel = null;
+let explanationList = null;
+let statementHeading = null;
+let optionsPanel = null;
+let announcerEl = null;
+let isLoading = false;
 
 document.addEventListener('DOMContentLoaded', () => {
+    modeSelect = document.getElementById('mode-select');
     difficultySelect = document.getElementById('difficulty-select');
+    boardSelect = document.getElementById('board-select');
     nextButton = document.getElementById('next-question');
     hintButton = document.getElementById('hint-button');
     hintText = document.getElementById('hint-text');
     puzzleStatEl = document.getElementById('stat-puzzle');
     solvedStatEl = document.getElementById('stat-correct');
     streakStatEl = document.getElementById('stat-streak');
+    scoreStatEl = document.getElementById('stat-score');
+    setCardEl = document.getElementById('stat-set-card');
+    setStatEl = document.getElementById('stat-set');
+    levelCardEl = document.getElementById('stat-level-card');
+    levelStatEl = document.getElementById('stat-level');
+    truthStatCards = Array.from(document.querySelectorAll('.truth-stat'));
+    codeStatEl = document.getElementById('stat-code');
+    puzzleErrorEl = document.getElementById('puzzle-error');
+    explanationPanel = document.getElementById('explanation-panel');
+    explanationList = document.getElementById('explanation-list');
+    statementHeading = document.getElementById('statement-heading');
+    optionsPanel = document.getElementById('options-panel');
+    announcerEl = document.getElementById('announcer');
 
+    initBuildMode({
+        onSolved: recordBuildResult,
+        adjustScore: (score) => applyHintPenalty(score, currentState.hintsShown.length)
+    });
+    initTruthMode({ onAnswer: recordTruthAnswer });
+    initTranslateMode({ onAnswer: recordAnswer });
+    initWriteMode({ onAnswer: (isCorrect, answer) => recordAnswer(isCorrect, answer ?? REVEALED_ANSWER) });
+    initProfileView();
+    initPuzzleSetView({ onStart: startPuzzleSet, onLeave: leavePuzzleSet });
+    initWorksheetView({
+        getCurrentPuzzle: getWorksheetPuzzle,
+        getSettings: () => ({
+            difficulty: currentState.difficulty === ADAPTIVE_DIFFICULTY ? currentState.roundDifficulty : currentState.difficulty,
+            board: currentState.board
+        }),
+        getPuzzleSet: () => currentState.puzzleSet?.set ?? null
+    });
+    initTemplateEditorView();
     resetStats();
 
+    if (modeSelect) {
+        modeSelect.addEventListener('change', (event) => {
+            currentState.mode = event.target.value;
+            resetStats();
+            initializeGame().catch(err => console.error('Failed to reinitialize after mode change:', err));
+        });
+    }
+
     if (difficultySelect) {
         difficultySelect.addEventListener('change', (event) => {
             currentState.difficulty = event.target.value;
@@ -48,6 +157,14 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    if (boardSelect) {
+        boardSelect.addEventListener('change', (event) => {
+            currentState.board = event.target.value;
+            resetStats();
+            initializeGame().catch(err => console.error('Failed to reinitialize after board change:', err));
+        });
+    }
+
     if (nextButton) {
         nextButton.addEventListener('click', () => {
             initializeGame().catch(err => console.error('Failed to initialize next question:', err));
@@ -56,31 +173,216 @@ document.addEventListener('DOMContentLoaded', () => {
 
     if (hintButton) {
         hintButton.addEventListener('click', () => {
-            if (!hintText || !currentState.hint) {
-                return;
-            }
-            const isHidden = hintText.hasAttribute('hidden');
-            if (isHidden) {
-                hintText.textContent = currentState.hint;
-                hintText.hidden = false;
-                hintButton.textContent = 'Hide Hint';
-            } else {
-                hintText.hidden = true;
-                hintText.textContent = '';
-                hintButton.textContent = 'Show Hint';
-            }
+            showNextHint().catch(err => console.error('Failed to show the next hint:', err));
         });
     }
 
+    initColorPatternToggle();
+    initLanguageSelect();
+    document.addEventListener('keydown', handleShortcutKey);
 
-    // Init on load
-    initializeGame().catch(err => console.error('Failed to initialize game:', err));
+    // Init on load, replaying the shared puzzle if the URL carries a code
+    const sharedCode = new URLSearchParams(window.location.search).get('puzzle');
+    const sharedPuzzle = sharedCode ? decodePuzzleCode(sharedCode) : null;
+    if (sharedCode && !sharedPuzzle) {
+        console.warn("Ignoring malformed puzzle code:", sharedCode);
+    }
+    if (sharedPuzzle) {
+        // Puzzle codes always describe a pick-the-statement round
+        currentState.mode = 'choose';
+        if (modeSelect) {
+            modeSelect.value = 'choose';
+        }
+        currentState.difficulty = sharedPuzzle.difficulty;
+        if (difficultySelect) {
+            difficultySelect.value = sharedPuzzle.difficulty;
+        }
+        currentState.board = sharedPuzzle.boardId;
+        if (boardSelect) {
+            boardSelect.value = sharedPuzzle.boardId;
+        }
+    }
+    // A puzzle set in the URL hash takes over; it starts its first round itself
+    loadPuzzleSetFromHash()
+        .then((started) => (started ? null : initializeGame(sharedPuzzle ? sharedCode : null)))
+        .catch(err => console.error('Failed to initialize game:', err));
 });
 
+// Screen readers read whatever lands in the live region; clearing it first makes them repeat a
+// message that happens to equal the previous one.
+function announce(message) {
+    if (!announcerEl) {
+        return;
+    }
+    announcerEl.textContent = '';
+    window.setTimeout(() => {
+        announcerEl.textContent = message;
+    }, 50);
+}
+
+// The stored choice wins, then the browser's language when the game speaks it.
+function getInitialLocale() {
+    let stored = null;
+    try {
+        stored = window.localStorage.getItem(LOCALE_STORAGE_KEY);
+    } catch (error) {
+        console.warn('Could not read the language setting:', error);
+    }
+    if (stored && hasLocale(stored)) {
+        return stored;
+    }
+    const browserLocale = (navigator.language || '').split('-')[0];
+    return hasLocale(browserLocale) ? browserLocale : DEFAULT_LOCALE;
+}
+
+function initLanguageSelect() {
+    const select = document.getElementById('language-select');
+    onLocaleChange(() => {
+        translatePage();
+        refreshRoundText().catch(err => console.error('Failed to translate the round:', err));
+    });
+    setLocale(getInitialLocale());
+    translatePage();
+    if (!select) {
+        return;
+    }
+    getLocales().forEach(({ code, name }) => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.textContent = name;
+        select.appendChild(option);
+    });
+    select.value = getLocale();
+    select.addEventListener('change', () => {
+        setLocale(select.value);
+        try {
+            window.localStorage.setItem(LOCALE_STORAGE_KEY, select.value);
+        } catch (error) {
+            console.warn('Could not save the language setting:', error);
+        }
+    });
+}
+
+// Static text in index.html names its message with data-i18n (text), data-i18n-title,
+// data-i18n-aria-label or data-i18n-placeholder.
+function translatePage() {
+    document.documentElement.lang = getLocale();
+    document.title = t('page.title');
+    document.querySelectorAll('[data-i18n]').forEach((element) => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    document.querySelectorAll('[data-i18n-title]').forEach((element) => {
+        element.title = t(element.dataset.i18nTitle);
+    });
+    document.querySelectorAll('[data-i18n-aria-label]').forEach((element) => {
+        element.setAttribute('aria-label', t(element.dataset.i18nAriaLabel));
+    });
+    document.querySelectorAll('[data-i18n-placeholder]').forEach((element) => {
+        element.placeholder = t(element.dataset.i18nPlaceholder);
+    });
+}
+
+// Writes a statement's sentence and hint again in the current language; the object is updated in
+// place because the mode modules hold on to it.
+async function relocalizeStatement(statement, templateId) {
+    const found = await findTemplate(templateId);
+    if (found) {
+        Object.assign(statement, found.template.describeStatement(statement.details));
+    }
+}
+
+// Switching language rewrites the round on screen: statements, options, headings and labels.
+// Feedback and explanations already shown keep their language until they are shown again.
+async function refreshRoundText() {
+    updateStatsDisplay();
+    updateModeHeading();
+    updateNextButtonText();
+    updateHintButton();
+    relabelGrid();
+    refreshProfileView();
+    refreshPuzzleSetView();
+    if (!currentState.correctStatement || isLoading) {
+        return;
+    }
+    // Options that are statements name their template; translate formulas do not
+    const options = currentState.options.filter((option) => option.templateId && option.details);
+    await Promise.all([
+        relocalizeStatement(currentState.correctStatement, currentState.templateId),
+        ...options.map((option) => relocalizeStatement(option, option.templateId))
+    ]);
+    currentState.hint = currentState.correctStatement.hint;
+
+    if (currentState.mode === 'choose') {
+        refreshOptionText();
+    } else if (currentState.mode === 'build') {
+        refreshBuildText();
+    } else if (currentState.mode === 'truth') {
+        refreshTruthText();
+    } else if (TRANSLATE_DIRECTIONS[currentState.mode]) {
+        refreshTranslateText();
+    } else if (currentState.mode === 'write') {
+        refreshWriteText();
+    }
+}
+
+function initColorPatternToggle() {
+    const toggle = document.getElementById('pattern-toggle');
+    let enabled = false;
+    try {
+        enabled = window.localStorage.getItem(COLOR_PATTERNS_STORAGE_KEY) === 'on';
+    } catch (error) {
+        console.warn('Could not read the color pattern setting:', error);
+    }
+    setColorPatterns(enabled);
+    if (!toggle) {
+        return;
+    }
+    toggle.checked = enabled;
+    toggle.addEventListener('change', () => {
+        setColorPatterns(toggle.checked);
+        try {
+            window.localStorage.setItem(COLOR_PATTERNS_STORAGE_KEY, toggle.checked ? 'on' : 'off');
+        } catch (error) {
+            console.warn('Could not save the color pattern setting:', error);
+        }
+    });
+}
+
+// The answer buttons of whichever mode is showing: statements, formulas, or True and False.
+function getAnswerButtons() {
+    return Array.from(document.querySelectorAll('.board-panel .option-button'))
+        .filter((button) => !button.closest('[hidden]'));
+}
+
+function handleShortcutKey(event) {
+    if (event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey) {
+        return;
+    }
+    // Typing, and the stats and puzzle set screens, keep their keys
+    if (event.target.closest('input, textarea, select') || document.querySelector('.profile-panel:not([hidden])')) {
+        return;
+    }
+    if (ANSWER_KEYS.includes(event.key)) {
+        const button = getAnswerButtons()[ANSWER_KEYS.indexOf(event.key)];
+        if (button && !button.disabled) {
+            event.preventDefault();
+            button.click();
+        }
+    } else if (event.key === 'Enter' && !event.target.closest('button, a, [role="gridcell"]')) {
+        if (nextButton && !nextButton.disabled) {
+            event.preventDefault();
+            nextButton.click();
+        }
+    }
+}
+
 function resetStats() {
+    // Changing mode, difficulty or board ends a timed session; the next round starts a new one
+    stopTruthSession();
     currentState.puzzleNumber = 0;
     currentState.correctCount = 0;
     currentState.currentStreak = 0;
+    currentState.score = 0;
     updateStatsDisplay();
 }
 
@@ -94,120 +396,337 @@ function updateStatsDisplay() {
     if (streakStatEl) {
         streakStatEl.textContent = currentState.currentStreak.toString();
     }
+    if (scoreStatEl) {
+        scoreStatEl.textContent = currentState.score.toString();
+    }
+    if (levelCardEl) {
+        levelCardEl.hidden = currentState.difficulty !== ADAPTIVE_DIFFICULTY;
+    }
+    if (levelStatEl) {
+        const { student } = getProfile().ratings;
+        levelStatEl.textContent = `${t(`difficulty.${currentState.roundDifficulty}`)} · ${Math.round(student)}`;
+    }
+    truthStatCards.forEach((card) => {
+        card.hidden = currentState.mode !== 'truth';
+    });
+    if (codeStatEl) {
+        codeStatEl.textContent = currentState.puzzleCode || '—';
+    }
+    if (setCardEl) {
+        setCardEl.hidden = !currentState.puzzleSet;
+    }
+    if (setStatEl && currentState.puzzleSet) {
+        const { index, puzzles } = currentState.puzzleSet;
+        setStatEl.textContent = `${Math.max(index + 1, 1)} / ${puzzles.length}`;
+    }
+}
+
+// Only pick-the-statement rounds have the lettered options a worksheet prints.
+function getWorksheetPuzzle() {
+    if (currentState.mode !== 'choose' || currentState.options.length === 0 || isLoading) {
+        return null;
+    }
+    return {
+        grid: currentState.grid,
+        options: currentState.options,
+        correctIndex: currentState.correctIndex,
+        code: currentState.puzzleCode || null
+    };
+}
+
+// Build rounds have no puzzle code, so their URL drops the parameter
+function updatePuzzleCodeInUrl(code) {
+    const url = new URL(window.location.href);
+    if (code) {
+        url.searchParams.set('puzzle', code);
+    } else {
+        url.searchParams.delete('puzzle');
+    }
+    window.history.replaceState(null, '', url);
+}
+
+function showPuzzleError(message) {
+    if (!puzzleErrorEl) {
+        return;
+    }
+    puzzleErrorEl.textContent = message;
+    puzzleErrorEl.hidden = !message;
+}
+
+function isLastSetPuzzle() {
+    const puzzleSet = currentState.puzzleSet;
+    return Boolean(puzzleSet) && puzzleSet.index + 1 >= puzzleSet.puzzles.length;
+}
+
+function updateNextButtonText() {
+    if (nextButton) {
+        nextButton.textContent = t(isLoading ? 'game.generating' : (isLastSetPuzzle() ? 'game.showResults' : 'game.next'));
+    }
 }
 
-function toggleControlsDuringLoad(isLoading) {
+// A puzzle set fixes mode, difficulty and board until the student leaves it.
+function toggleControlsDuringLoad(loading) {
+    const isSetActive = Boolean(currentState.puzzleSet);
+    isLoading = loading;
     if (nextButton) {
         nextButton.disabled = isLoading;
-        nextButton.textContent = isLoading ? 'Generating...' : NEXT_BUTTON_DEFAULT_TEXT;
+    }
+    updateNextButtonText();
+    if (modeSelect) {
+        modeSelect.disabled = isLoading || isSetActive;
     }
     if (difficultySelect) {
-        difficultySelect.disabled = isLoading;
+        difficultySelect.disabled = isLoading || isSetActive;
+    }
+    if (boardSelect) {
+        boardSelect.disabled = isLoading || isSetActive;
     }
 }
 
-async function initializeGame() {
-    console.log("Initializing game with difficulty:", currentState.difficulty);
+/**
+ * initializeGame(sharedCode): builds a new round; pass a puzzle code to replay a specific puzzle
+ */
+async function initializeGame(sharedCode = null) {
+    if (isLastSetPuzzle()) {
+        finishPuzzleSet();
+        return;
+    }
+    console.log("Initializing", currentState.mode, "game with difficulty:", currentState.difficulty, "on board:", currentState.board);
     toggleControlsDuringLoad(true);
     currentState.isLocked = true;
+    window.clearTimeout(currentState.truthNextTimer);
 
     try {
-        // 1. Grab all templates for the difficulty
-        const templateBank = await getTemplatesByDifficulty(currentState.difficulty);
-        if (!templateBank || templateBank.length === 0) {
-            throw new Error("No templates found for this difficulty.");
-        }
-
-        // 2. Pick one random template as the "correct" template
-        const correctTemplate = getRandomElement(templateBank);
-
-        // 3. Generate statement (NL + FOL + details + hint)
-        const statementData = correctTemplate.generateStatements();
-        console.log("Correct statement data:", statementData);
-
-        // 4. Generate a grid that satisfies the correct statement
-        const gridResult = correctTemplate.generateGrid(true, statementData.details);
-        console.log("Generated grid:", gridResult);
-
-        currentState.grid = gridResult.grid;
-        currentState.correctStatement = {
-            naturalLanguageStatement: statementData.naturalLanguageStatement,
-            formalFOLStatement: statementData.formalFOLStatement,
-            details: statementData.details,
-            hint: statementData.hint || ''
-        };
-        currentState.value = gridResult.satisfies; // or any extra data you want
-        currentState.hint = statementData.hint || '';
-
-        // 5. Build some incorrect statements
-        const incorrectOptions = generateIncorrectStatements(templateBank, correctTemplate);
-
-        // 6. Combine correct + incorrect, remove duplicates, shuffle
-        currentState.options = [currentState.correctStatement, ...incorrectOptions];
-        const uniqueOptions = Array.from(new Set(currentState.options.map(o => o.naturalLanguageStatement)))
-            .map(nl => currentState.options.find(o => o.naturalLanguageStatement === nl));
-        currentState.options = uniqueOptions;
-
-        shuffleArray(currentState.options);
-        currentState.correctIndex = currentState.options.findIndex(
-            (opt) => opt.naturalLanguageStatement === currentState.correctStatement.naturalLanguageStatement
-        );
-
-        // 7. Display the grid + options + statement
-        displayGrid(currentState.grid);
-        if (hintText) {
-            hintText.hidden = true;
-            hintText.textContent = '';
-        }
-        if (hintButton) {
-            hintButton.textContent = 'Show Hint';
-            hintButton.disabled = !currentState.hint;
-            hintButton.title = currentState.hint ? 'Reveal a hint' : 'No hint available';
+        if (currentState.puzzleSet) {
+            await loadSetRound();
+        } else if (currentState.mode === 'build') {
+            await loadBuildRound();
+        } else if (currentState.mode === 'truth') {
+            await loadTruthRound();
+        } else if (TRANSLATE_DIRECTIONS[currentState.mode]) {
+            await loadTranslateRound();
+        } else if (currentState.mode === 'write') {
+            await loadWriteRound();
+        } else {
+            await loadChooseRound(sharedCode);
         }
-        displayOptions(currentState.options);
+        hideExplanations();
+        await resetHints();
+        currentState.roundStartedAt = Date.now();
         currentState.isLocked = false;
         currentState.puzzleNumber += 1;
         updateStatsDisplay();
+        updatePuzzleCodeInUrl(currentState.puzzleCode);
+        announce(t('game.announcePuzzle', {
+            number: currentState.puzzleNumber,
+            heading: statementHeading ? statementHeading.textContent : ''
+        }));
 
         console.log("Game initialized successfully.");
     } catch (error) {
         console.error("Error in initializeGame:", error);
-        currentState.isLocked = false;
+        // Never leave a half-built round on screen; the old options stay locked until Next.
+        displayOptions([]);
+        stopBuildRound();
+        stopTruthMode();
+        stopTranslateMode();
+        stopWriteMode();
+        lockHints();
+        showPuzzleError(t('game.buildError'));
     } finally {
         toggleControlsDuringLoad(false);
     }
 }
 
-function generateIncorrectStatements(templateBank, correctTemplate) {
-    const incorrectStatements = [];
-    const usedTemplates = new Set([correctTemplate]);
+// Adaptive rounds take their level and template from the student's ratings; the template
+// weights also steer choose rounds towards distractors the student tends to fall for.
+async function getRoundOptions() {
+    if (currentState.difficulty !== ADAPTIVE_DIFFICULTY) {
+        return { difficulty: currentState.difficulty, board: currentState.board };
+    }
+    const plan = await planAdaptiveRound(getProfile().ratings, currentState.board);
+    return {
+        difficulty: plan.difficulty,
+        board: currentState.board,
+        templateId: plan.templateId,
+        distractorWeights: plan.templateWeights
+    };
+}
+
+async function loadChooseRound(sharedCode) {
+    // 1. Generate the puzzle headlessly (template, grid, options)
+    const puzzle = await generatePuzzle(sharedCode ? { code: sharedCode } : await getRoundOptions());
+    console.log("Generated puzzle:", puzzle);
+    showChoosePuzzle(puzzle);
+}
 
-    // We'll attempt to gather 3 unique incorrect statements
-    while (incorrectStatements.length < 3) {
-        const randomTemplate = getRandomElement(templateBank);
-        if (usedTemplates.has(randomTemplate)) {
-            // Already used (or is the correct one)
-            continue;
-        }
+function showChoosePuzzle(puzzle) {
+    showPuzzleError('');
 
-        // Generate the statement
-        const statementData = randomTemplate.generateStatements();
-        // Check if it is satisfied by the *correct* grid
-        const isSatisfied = randomTemplate.verifyStatementWithGrid(currentState.grid, statementData.details);
-
-        if (!isSatisfied) {
-            // Perfect: this statement does NOT match the current grid -> an incorrect option
-            incorrectStatements.push({
-                naturalLanguageStatement: statementData.naturalLanguageStatement,
-                formalFOLStatement: statementData.formalFOLStatement,
-                details: statementData.details
-            });
-            usedTemplates.add(randomTemplate);
-        } else {
-            console.log("Skipping statement that also satisfies the grid:", statementData.naturalLanguageStatement);
+    currentState.grid = puzzle.grid;
+    currentState.correctStatement = puzzle.correctStatement;
+    currentState.options = puzzle.options;
+    currentState.correctIndex = puzzle.correctIndex;
+    currentState.hint = puzzle.hint;
+    currentState.templateId = puzzle.templateId;
+    currentState.roundDifficulty = puzzle.difficulty;
+    currentState.puzzleCode = puzzle.code || '';
+
+    // 2. Display the grid + options + statement
+    showModePanels();
+    displayGrid(currentState.grid);
+    displayOptions(currentState.options);
+}
+
+// Puzzle sets are built when they load; each round shows the next puzzle in the teacher's order,
+// in the language chosen by then.
+async function loadSetRound() {
+    const puzzleSet = currentState.puzzleSet;
+    puzzleSet.index += 1;
+    const puzzle = puzzleSet.puzzles[puzzleSet.index];
+    await Promise.all(puzzle.options.map((option) => relocalizeStatement(option, option.templateId)));
+    puzzle.hint = puzzle.correctStatement.hint;
+    if (puzzle.board.id) {
+        currentState.board = puzzle.board.id;
+        if (boardSelect) {
+            boardSelect.value = puzzle.board.id;
         }
     }
-    return incorrectStatements;
+    showChoosePuzzle(puzzle);
+}
+
+function startPuzzleSet({ set, puzzles, student }) {
+    currentState.puzzleSet = { set, puzzles, index: -1, results: createSetResults(set, student, ROUND_POINTS) };
+    currentState.mode = 'choose';
+    if (modeSelect) {
+        modeSelect.value = 'choose';
+    }
+    resetStats();
+    initializeGame().catch(err => console.error('Failed to start the puzzle set:', err));
+}
+
+function leavePuzzleSet() {
+    currentState.puzzleSet = null;
+    resetStats();
+    initializeGame().catch(err => console.error('Failed to initialize after leaving the puzzle set:', err));
+}
+
+// Next on the last puzzle closes the set; an unanswered last puzzle counts as skipped.
+function finishPuzzleSet() {
+    const { results } = currentState.puzzleSet;
+    currentState.isLocked = true;
+    lockHints();
+    results.finishedAt = results.finishedAt || new Date().toISOString();
+    showPuzzleSetResults(results);
+    const { total, correct, score, maxScore } = summarizeSetResults(results);
+    announce(t('game.setFinished', { correct, total, score, maxScore }));
+}
+
+// Build, True/False and translate rounds revolve around one statement and have no puzzle code.
+function prepareStatementRound(puzzle) {
+    showPuzzleError('');
+    currentState.grid = puzzle.grid;
+    currentState.correctStatement = puzzle.statement;
+    currentState.options = [];
+    currentState.correctIndex = null;
+    currentState.hint = puzzle.statement.hint;
+    currentState.templateId = puzzle.templateId;
+    currentState.roundDifficulty = puzzle.difficulty;
+    currentState.puzzleCode = '';
+    showModePanels();
+    displayOptions([]);
+}
+
+async function loadBuildRound() {
+    const { difficulty, board, templateId } = await getRoundOptions();
+    const puzzle = await generateBuildPuzzle({ difficulty, board, templateId });
+    prepareStatementRound(puzzle);
+    startBuildRound(puzzle);
+}
+
+// A timed session starts with the first round after a mode or settings change, or after time is up.
+async function loadTruthRound() {
+    if (!isTruthSessionRunning()) {
+        resetStats();
+        currentState.truthDeck = createTruthDeck();
+        startTruthSession(`${currentState.difficulty}:${currentState.board}`);
+    }
+    const { difficulty, board, templateId } = await getRoundOptions();
+    const puzzle = await generateTruthPuzzle({
+        difficulty,
+        board,
+        templateId,
+        satisfies: currentState.truthDeck()
+    });
+    prepareStatementRound(puzzle);
+    displayGrid(currentState.grid);
+    showTruthRound(puzzle);
+}
+
+async function loadTranslateRound() {
+    const { difficulty, board, templateId } = await getRoundOptions();
+    const puzzle = await generateTranslatePuzzle({
+        difficulty,
+        board,
+        templateId,
+        direction: TRANSLATE_DIRECTIONS[currentState.mode]
+    });
+    prepareStatementRound(puzzle);
+    // Kept so that a change of language can write the sentence options again
+    currentState.options = puzzle.options;
+    showTranslateRound(puzzle);
+}
+
+async function loadWriteRound() {
+    const { difficulty, board, templateId } = await getRoundOptions();
+    const puzzle = await generateWritePuzzle({ difficulty, board, templateId });
+    prepareStatementRound(puzzle);
+    showWriteRound(puzzle);
+}
+
+// Each mode owns a panel; the ones for other modes are closed before a round is shown.
+function showModePanels() {
+    if (currentState.mode !== 'build') {
+        stopBuildRound();
+    }
+    if (currentState.mode !== 'truth') {
+        stopTruthMode();
+    }
+    if (!TRANSLATE_DIRECTIONS[currentState.mode]) {
+        stopTranslateMode();
+    }
+    if (currentState.mode !== 'write') {
+        stopWriteMode();
+    }
+    updateModeHeading();
+    if (optionsPanel) {
+        optionsPanel.hidden = currentState.mode !== 'choose';
+    }
+}
+
+function updateModeHeading() {
+    if (statementHeading) {
+        statementHeading.textContent = t(`heading.${currentState.mode}`);
+    }
+}
+
+// Solving a build round always counts; the streak only grows while the student stays on par.
+function recordBuildResult({ edits, par, score }) {
+    currentState.correctCount += 1;
+    currentState.currentStreak = edits <= (par ?? edits) ? currentState.currentStreak + 1 : 0;
+    currentState.score += score;
+    saveAttempt(true, `${edits} edits${par ? ` (par ${par})` : ''}`, score);
+    updateStatsDisplay();
+}
+
+// Answers count towards Puzzle/Solved/Streak like any round; the next one follows automatically.
+function recordTruthAnswer(isCorrect, picked) {
+    recordAnswer(isCorrect, picked ? 'True' : 'False');
+    if (isTruthSessionRunning()) {
+        currentState.truthNextTimer = window.setTimeout(() => {
+            initializeGame().catch(err => console.error('Failed to initialize next True/False round:', err));
+        }, TRUTH_NEXT_DELAY_MS);
+    }
 }
 
 function displayOptions(options) {
@@ -224,6 +743,7 @@ function displayOptions(options) {
         button.type = 'button';
         button.className = 'option-button';
         button.dataset.statement = option.naturalLanguageStatement;
+        button.setAttribute('aria-keyshortcuts', String(newContainer.children.length + 1));
 
         const headline = document.createElement('div');
         headline.className = 'option-headline';
@@ -234,11 +754,11 @@ function displayOptions(options) {
 
         const folLabel = document.createElement('div');
         folLabel.className = 'fol-label';
-        folLabel.textContent = 'FOL';
+        folLabel.textContent = t('game.fol');
 
         const folTextContent = document.createElement('div');
         folTextContent.className = 'fol-text';
-        folTextContent.textContent = option.formalFOLStatement || 'No FOL available';
+        folTextContent.textContent = option.formalFOLStatement || t('game.noFol');
 
         folWrapper.appendChild(folLabel);
         folWrapper.appendChild(folTextContent);
@@ -250,6 +770,19 @@ function displayOptions(options) {
     });
 }
 
+// The option buttons keep their order, so a new language only swaps their sentences.
+function refreshOptionText() {
+    const container = document.getElementById('option-buttons');
+    if (!container) {
+        return;
+    }
+    container.querySelectorAll('.option-button').forEach((button, index) => {
+        const option = currentState.options[index];
+        button.dataset.statement = option.naturalLanguageStatement;
+        button.querySelector('.option-headline').textContent = option.naturalLanguageStatement;
+    });
+}
+
 function evaluateGuess(userGuess) {
     if (currentState.isLocked) {
         return;
@@ -261,7 +794,11 @@ function evaluateGuess(userGuess) {
     );
     const isCorrect = (selectedIndex === currentState.correctIndex);
     lockOptionButtons(userGuess);
-    displayResult(isCorrect);
+    recordAnswer(isCorrect, userGuess);
+    showExplanations(selectedIndex);
+    announce(isCorrect
+        ? t('game.correct', { statement: userGuess })
+        : t('game.incorrect', { statement: currentState.correctStatement.naturalLanguageStatement }));
 }
 
 function lockOptionButtons(selectedStatement) {
@@ -288,6 +825,48 @@ function lockOptionButtons(selectedStatement) {
     });
 }
 
+// Every answered round lands in the profile with what was asked, what was answered and how long it
+// took, and on the score sheet when it belongs to a puzzle set.
+function saveAttempt(isCorrect, chosen, score) {
+    const statement = currentState.correctStatement;
+    lockHints();
+    const entry = recordAttempt({
+        mode: currentState.mode,
+        difficulty: currentState.roundDifficulty,
+        board: currentState.board,
+        templateId: currentState.templateId,
+        details: statement?.details ?? null,
+        statement: statement?.naturalLanguageStatement ?? '',
+        fol: statement?.formalFOLStatement ?? '',
+        chosen,
+        correct: isCorrect,
+        hintUsed: currentState.hintsShown.length > 0,
+        hintsShown: [...currentState.hintsShown],
+        score,
+        timeMs: Date.now() - currentState.roundStartedAt,
+        puzzleSet: currentState.puzzleSet?.set.title ?? null
+    });
+    if (currentState.puzzleSet) {
+        recordSetAnswer(currentState.puzzleSet.results, currentState.puzzleSet.index, {
+            statement: entry.statement,
+            templateId: entry.templateId,
+            chosen,
+            correct: isCorrect,
+            hintsShown: entry.hintsShown,
+            score,
+            timeMs: entry.timeMs
+        });
+    }
+}
+
+// Correct answers earn ROUND_POINTS, less whatever the hints cost.
+function recordAnswer(isCorrect, chosen) {
+    const score = isCorrect ? applyHintPenalty(ROUND_POINTS, currentState.hintsShown.length) : 0;
+    currentState.score += score;
+    saveAttempt(isCorrect, chosen, score);
+    displayResult(isCorrect);
+}
+
 function displayResult(isCorrect) {
     if (isCorrect) {
         currentState.correctCount += 1;
@@ -297,3 +876,186 @@ function displayResult(isCorrect) {
     }
     updateStatsDisplay();
 }
+
+// The ladder is fixed when the round loads: level 2 needs a template that singles out cells,
+// level 3 a round with wrong options to rule out.
+async function resetHints() {
+    const statement = currentState.correctStatement;
+    const antecedentCells = statement
+        ? await findHintCells(
+            { templateId: currentState.templateId, difficulty: currentState.roundDifficulty, details: statement.details },
+            currentState.grid
+        )
+        : null;
+    currentState.hintLevels = getHintLevels({
+        hint: currentState.hint,
+        antecedentCells,
+        canEliminate: currentState.mode === 'choose' || Boolean(TRANSLATE_DIRECTIONS[currentState.mode])
+    });
+    currentState.hintsShown = [];
+    currentState.hintsLocked = false;
+    if (hintText) {
+        hintText.hidden = true;
+        hintText.innerHTML = '';
+    }
+    updateHintButton();
+}
+
+function updateHintButton() {
+    if (!hintButton) {
+        return;
+    }
+    const shown = currentState.hintsShown.length;
+    const total = currentState.hintLevels.length;
+    const nextLevel = currentState.hintLevels[shown];
+    hintButton.disabled = currentState.hintsLocked || nextLevel === undefined;
+    hintButton.textContent = shown === 0 ? t('hint.show') : t('hint.next', { shown, total });
+    if (total === 0) {
+        hintButton.title = t('hint.none');
+    } else if (nextLevel === undefined) {
+        hintButton.title = t('hint.noMore');
+    } else {
+        const keep = Math.round(getHintScoreFactor(shown + 1) * 100);
+        hintButton.title = t('hint.reveal', { number: shown + 1, total, keep });
+    }
+}
+
+function lockHints() {
+    currentState.hintsLocked = true;
+    updateHintButton();
+}
+
+function addHintStep(message) {
+    if (!hintText) {
+        return;
+    }
+    const step = document.createElement('div');
+    step.className = 'hint-step';
+    step.textContent = message;
+    hintText.appendChild(step);
+    hintText.hidden = false;
+}
+
+// Climbs one rung of the ladder; the round's score pays for every rung climbed.
+async function showNextHint() {
+    const level = currentState.hintLevels[currentState.hintsShown.length];
+    if (currentState.hintsLocked || level === undefined) {
+        return;
+    }
+    currentState.hintsShown.push(level);
+    updateHintButton();
+
+    if (level === HINT_TEXT) {
+        addHintStep(currentState.hint);
+    } else if (level === HINT_ANTECEDENT) {
+        const grid = (currentState.mode === 'build' && getBuildGrid()) || currentState.grid;
+        const statement = currentState.correctStatement;
+        const cells = await findHintCells(
+            { templateId: currentState.templateId, difficulty: currentState.roundDifficulty, details: statement.details },
+            grid
+        ) || [];
+        highlightCells(cells, 'cell-antecedent');
+        addHintStep(cells.length === 0
+            ? t('hint.noAntecedent')
+            : t('hint.antecedent', { count: cells.length }));
+    } else if (level === HINT_ELIMINATE) {
+        addHintStep(currentState.mode === 'choose' ? eliminateChooseOption() : describeEliminatedTranslation());
+    }
+}
+
+// Rules out a random wrong statement and shows why on the grid.
+function eliminateChooseOption() {
+    const container = document.getElementById('option-buttons');
+    const candidates = currentState.options
+        .map((option, index) => ({ option, index }))
+        .filter(({ index }) => index !== currentState.correctIndex);
+    const { option, index } = getRandomElement(candidates);
+    const button = container ? container.querySelectorAll('.option-button')[index] : null;
+    if (button) {
+        button.disabled = true;
+        button.classList.add('option-eliminated');
+    }
+    const description = describeExplanation(option.explanation, currentState.grid);
+    highlightCells(description.highlights.counterexamples, 'cell-counterexample');
+    return t('hint.eliminated', { statement: option.naturalLanguageStatement, reason: description.summary });
+}
+
+function describeEliminatedTranslation() {
+    const option = eliminateTranslateOption();
+    return option ? t('hint.crossedOut', { label: describeKind(option).toLowerCase() }) : t('hint.nothingLeft');
+}
+
+function hideExplanations() {
+    if (explanationPanel) {
+        explanationPanel.hidden = true;
+    }
+    if (explanationList) {
+        explanationList.innerHTML = '';
+    }
+}
+
+function highlightExplanation(description) {
+    clearHighlights();
+    highlightCells(description.highlights.instances, 'cell-instance');
+    highlightCells(description.highlights.witnesses, 'cell-witness');
+    highlightCells(description.highlights.counterexamples, 'cell-counterexample');
+}
+
+// After a guess, walk through every option: the counterexample for each false one and the
+// satisfied instances for the true one. Selecting an entry highlights its cells on the grid.
+function showExplanations(selectedIndex) {
+    if (!explanationPanel || !explanationList) {
+        return;
+    }
+    explanationList.innerHTML = '';
+    const entries = [];
+
+    currentState.options.forEach((option, index) => {
+        if (!option.explanation) {
+            return;
+        }
+        const description = describeExplanation(option.explanation, currentState.grid);
+
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'explanation-item';
+        button.classList.add(description.satisfied ? 'explanation-true' : 'explanation-false');
+
+        const statement = document.createElement('div');
+        statement.className = 'explanation-statement';
+        statement.textContent = option.naturalLanguageStatement;
+
+        const summary = document.createElement('div');
+        summary.className = 'explanation-summary';
+        summary.textContent = description.summary;
+
+        const steps = document.createElement('ul');
+        steps.className = 'explanation-steps';
+        description.steps.forEach((step) => {
+            const stepItem = document.createElement('li');
+            stepItem.textContent = step;
+            steps.appendChild(stepItem);
+        });
+
+        button.appendChild(statement);
+        button.appendChild(summary);
+        button.appendChild(steps);
+        button.addEventListener('click', () => {
+            entries.forEach((entry) => entry.classList.remove('explanation-active'));
+            button.classList.add('explanation-active');
+            highlightExplanation(description);
+        });
+
+        item.appendChild(button);
+        explanationList.appendChild(item);
+        entries.push(button);
+
+        if (index === selectedIndex) {
+            button.classList.add('explanation-active');
+            highlightExplanation(description);
+        }
+    });
+
+    explanationPanel.hidden = entries.length === 0;
+}
@@ -0,0 +1,38 @@
+// scripts/node/cliArgs.js
+// Argument handling shared by the command-line tools in scripts/tools.
+
+const HELP_FLAGS = ['--help', '-h'];
+
+function exitWithUsage(usage) {
+  console.log(usage);
+  process.exit(0);
+}
+
+/**
+ * exitWithUsageIfAsked(argv, usage): prints `usage` and exits 0 when the first argument is
+ * --help or -h, for tools that take positional arguments
+ */
+export function exitWithUsageIfAsked(argv, usage) {
+  if (HELP_FLAGS.includes(argv[0])) {
+    exitWithUsage(usage);
+  }
+}
+
+/**
+ * parseArgs(argv, usage): reads `--flag value` pairs into { flag: value }. --help or -h prints
+ * `usage` and exits; anything else that is not a flag with a value throws.
+ */
+export function parseArgs(argv, usage) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    const flag = argv[i];
+    if (HELP_FLAGS.includes(flag)) {
+      exitWithUsage(usage);
+    }
+    if (!flag.startsWith('--') || argv[i + 1] === undefined) {
+      throw new Error(`Unexpected argument '${flag}'; run with --help for the supported flags.`);
+    }
+    args[flag.slice(2)] = argv[i + 1];
+  }
+  return args;
+}
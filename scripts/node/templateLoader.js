@@ -0,0 +1,14 @@
+// scripts/node/templateLoader.js
+// File-system template loader for running generation outside the browser.
+
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+
+export const DEFAULT_TEMPLATE_PATH = fileURLToPath(new URL('../templateBanks/templates.json', import.meta.url));
+
+/**
+ * createFileTemplateLoader(filePath): loader for setTemplateLoader() that reads a bank from disk
+ */
+export function createFileTemplateLoader(filePath = DEFAULT_TEMPLATE_PATH) {
+  return async () => JSON.parse(await readFile(filePath, 'utf8'));
+}
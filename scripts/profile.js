@@ -0,0 +1,225 @@
+// scripts/profile.js
+// The player profile kept in localStorage: every attempt with what was asked and answered,
+// mastery per concept (see concepts.js), the adaptive ratings (see adaptive.js), lifetime
+// totals and the True/False records. It can be exported and imported as JSON to move between
+// browsers.
+
+import { CONCEPTS, findConcepts } from './concepts.js';
+import { createRatings, updateRatings } from './adaptive.js';
+
+const PROFILE_STORAGE_KEY = 'fol-game-profile';
+// True/False records were kept on their own before there was a profile; they move in on first load.
+const LEGACY_TRUTH_RECORDS_KEY = 'fol-game-truth-records';
+const PROFILE_VERSION = 1;
+const MAX_HISTORY = 500;
+
+// `chosen` of a Write round whose answer was shown before any attempt. It is stored as this
+// marker, not as text, so histories and results read in whatever language views them.
+export const REVEALED_ANSWER = 'reveal';
+
+// Mastery is a moving average of results, so recent attempts weigh more than old ones. A fresh
+// concept starts halfway; a correct answer after a hint counts half.
+const MASTERY_WEIGHT = 0.25;
+const MASTERY_START = 0.5;
+const HINTED_RESULT = 0.5;
+
+let profile = null;
+
+function createEmptyProfile() {
+  return {
+    version: PROFILE_VERSION,
+    createdAt: new Date().toISOString(),
+    totals: { attempts: 0, correct: 0, hintsUsed: 0, streak: 0, bestStreak: 0 },
+    mastery: {},
+    ratings: createRatings(),
+    history: [],
+    truthRecords: {}
+  };
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Accepts anything JSON.parse returns and keeps only well-formed parts, so a hand-edited or
+// older export cannot break the game.
+function normalizeProfile(data) {
+  if (!isPlainObject(data) || !Array.isArray(data.history)) {
+    throw new Error('Not a Logic Grid Game profile: expected an object with a history list.');
+  }
+  const empty = createEmptyProfile();
+  const totals = isPlainObject(data.totals) ? data.totals : {};
+  Object.keys(empty.totals).forEach((key) => {
+    if (Number.isFinite(totals[key])) {
+      empty.totals[key] = totals[key];
+    }
+  });
+  if (isPlainObject(data.mastery)) {
+    Object.entries(data.mastery).forEach(([concept, entry]) => {
+      if (CONCEPTS[concept] && isPlainObject(entry) && Number.isFinite(entry.score)) {
+        empty.mastery[concept] = {
+          attempts: Number(entry.attempts) || 0,
+          correct: Number(entry.correct) || 0,
+          score: Math.min(1, Math.max(0, entry.score))
+        };
+      }
+    });
+  }
+  if (isPlainObject(data.ratings) && Number.isFinite(data.ratings.student)) {
+    const ratings = { ...empty.ratings, ...data.ratings };
+    if (isPlainObject(ratings.templates) && isPlainObject(ratings.concepts)) {
+      empty.ratings = ratings;
+    }
+  }
+  if (isPlainObject(data.truthRecords)) {
+    empty.truthRecords = data.truthRecords;
+  }
+  empty.createdAt = typeof data.createdAt === 'string' ? data.createdAt : empty.createdAt;
+  empty.history = data.history.filter((attempt) => isPlainObject(attempt)).slice(-MAX_HISTORY);
+  return empty;
+}
+
+function readStoredProfile() {
+  try {
+    const stored = window.localStorage.getItem(PROFILE_STORAGE_KEY);
+    if (stored) {
+      return normalizeProfile(JSON.parse(stored));
+    }
+  } catch (error) {
+    console.warn('Could not read the player profile, starting a new one:', error);
+    return createEmptyProfile();
+  }
+  const fresh = createEmptyProfile();
+  try {
+    fresh.truthRecords = JSON.parse(window.localStorage.getItem(LEGACY_TRUTH_RECORDS_KEY)) || {};
+  } catch (error) {
+    console.warn('Could not read old True/False records:', error);
+  }
+  return fresh;
+}
+
+function saveProfile() {
+  try {
+    window.localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(profile));
+  } catch (error) {
+    console.warn('Could not save the player profile:', error);
+  }
+}
+
+/**
+ * getProfile(): the current profile, read from localStorage on first use
+ */
+export function getProfile() {
+  if (!profile) {
+    profile = readStoredProfile();
+  }
+  return profile;
+}
+
+function updateMastery(concept, result, isCorrect) {
+  const entry = profile.mastery[concept] || { attempts: 0, correct: 0, score: MASTERY_START };
+  entry.attempts += 1;
+  entry.correct += isCorrect ? 1 : 0;
+  entry.score += MASTERY_WEIGHT * (result - entry.score);
+  profile.mastery[concept] = entry;
+}
+
+/**
+ * recordAttempt(attempt): adds one answered round to the history and updates totals, mastery
+ * and ratings.
+ *
+ * attempt: { mode, difficulty, board, templateId, details, statement, fol, chosen, correct,
+ * hintUsed, hintsShown, score, timeMs }, with the difficulty the round was actually played at.
+ * `fol` is the statement's formula, from which the concepts are found; `chosen` is the answer
+ * as text (the picked option, 'True', the typed formula, REVEALED_ANSWER, ...); hintsShown lists the levels of
+ * the hint ladder revealed, e.g. [1, 3] (see hints.js), and score the points earned after their penalty.
+ * Returns the stored entry, which also carries `at` and `concepts`.
+ */
+export function recordAttempt(attempt) {
+  getProfile();
+  const { fol, ...rest } = attempt;
+  // The board is recorded by id; the copy of its domains inside the details would only bloat
+  // every entry.
+  const { board: boardDetails, ...details } = attempt.details || {};
+  const entry = {
+    at: new Date().toISOString(),
+    ...rest,
+    details,
+    correct: Boolean(attempt.correct),
+    hintUsed: Boolean(attempt.hintUsed),
+    concepts: findConcepts(fol || '')
+  };
+
+  const totals = profile.totals;
+  totals.attempts += 1;
+  totals.correct += entry.correct ? 1 : 0;
+  totals.hintsUsed += entry.hintUsed ? 1 : 0;
+  totals.streak = entry.correct ? totals.streak + 1 : 0;
+  totals.bestStreak = Math.max(totals.bestStreak, totals.streak);
+
+  const result = entry.correct ? (entry.hintUsed ? HINTED_RESULT : 1) : 0;
+  entry.concepts.forEach((concept) => updateMastery(concept, result, entry.correct));
+  updateRatings(profile.ratings, entry);
+
+  profile.history.push(entry);
+  if (profile.history.length > MAX_HISTORY) {
+    profile.history.splice(0, profile.history.length - MAX_HISTORY);
+  }
+  saveProfile();
+  return entry;
+}
+
+/**
+ * describeMastery(): one row per practised concept, weakest first:
+ * [{ concept, label, score, attempts, correct }]
+ */
+export function describeMastery() {
+  return Object.entries(getProfile().mastery)
+    .map(([concept, entry]) => ({ concept, label: CONCEPTS[concept], ...entry }))
+    .sort((a, b) => a.score - b.score || b.attempts - a.attempts);
+}
+
+/**
+ * getTruthRecord(key) / updateTruthRecord(key, changes): True/False high score and best streak
+ * per difficulty and board, e.g. key 'easy:standard'
+ */
+export function getTruthRecord(key) {
+  return { highScore: 0, bestStreak: 0, ...getProfile().truthRecords[key] };
+}
+
+export function updateTruthRecord(key, changes) {
+  getProfile().truthRecords[key] = { ...getTruthRecord(key), ...changes };
+  saveProfile();
+}
+
+/**
+ * exportProfile(): the profile as pretty-printed JSON, for download
+ */
+export function exportProfile() {
+  return JSON.stringify(getProfile(), null, 2);
+}
+
+/**
+ * importProfile(text): replaces the profile with an exported one; throws on anything that is
+ * not a profile, leaving the current one untouched
+ */
+export function importProfile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not valid JSON: ${error.message}`);
+  }
+  profile = normalizeProfile(data);
+  saveProfile();
+  return profile;
+}
+
+/**
+ * resetProfile(): forgets every attempt, mastery score and record
+ */
+export function resetProfile() {
+  profile = createEmptyProfile();
+  saveProfile();
+  return profile;
+}
@@ -0,0 +1,247 @@
+// scripts/profileView.js
+// The stats screen: lifetime totals, mastery per concept and recent attempts from the player
+// profile, with export, import and reset.
+
+import { getProfile, describeMastery, exportProfile, importProfile, resetProfile, REVEALED_ANSWER } from './profile.js';
+import { t, getLocale } from './i18n.js';
+
+const RECENT_ATTEMPTS = 20;
+
+let profilePanel = null;
+let summaryEl = null;
+let masteryEl = null;
+let historyEl = null;
+let messageEl = null;
+let importInput = null;
+
+/**
+ * initProfileView(): wires the Stats button and the stats screen once
+ */
+export function initProfileView() {
+    profilePanel = document.getElementById('profile-panel');
+    summaryEl = document.getElementById('profile-summary');
+    masteryEl = document.getElementById('profile-mastery');
+    historyEl = document.getElementById('profile-history');
+    messageEl = document.getElementById('profile-message');
+    importInput = document.getElementById('profile-import');
+
+    const openButton = document.getElementById('profile-button');
+    if (openButton) {
+        openButton.addEventListener('click', showProfileView);
+    }
+    const closeButton = document.getElementById('profile-close');
+    if (closeButton) {
+        closeButton.addEventListener('click', hideProfileView);
+    }
+    const exportButton = document.getElementById('profile-export');
+    if (exportButton) {
+        exportButton.addEventListener('click', downloadProfile);
+    }
+    if (importInput) {
+        importInput.addEventListener('change', () => {
+            const [file] = importInput.files;
+            if (file) {
+                readImportFile(file);
+            }
+        });
+    }
+    const resetButton = document.getElementById('profile-reset');
+    if (resetButton) {
+        resetButton.addEventListener('click', () => {
+            if (!window.confirm(t('profile.confirmReset'))) {
+                return;
+            }
+            resetProfile();
+            renderProfile();
+            showMessage(t('profile.resetDone'), null);
+        });
+    }
+}
+
+/**
+ * showProfileView(): opens the stats screen with fresh numbers
+ */
+export function showProfileView() {
+    renderProfile();
+    showMessage('', null);
+    if (profilePanel) {
+        profilePanel.hidden = false;
+    }
+}
+
+/**
+ * refreshProfileView(): renders the open stats screen again, e.g. in another language
+ */
+export function refreshProfileView() {
+    if (profilePanel && !profilePanel.hidden) {
+        renderProfile();
+    }
+}
+
+export function hideProfileView() {
+    if (profilePanel) {
+        profilePanel.hidden = true;
+    }
+}
+
+function showMessage(message, isError) {
+    if (!messageEl) {
+        return;
+    }
+    messageEl.textContent = message;
+    messageEl.hidden = !message;
+    messageEl.classList.toggle('truth-feedback-incorrect', isError === true);
+    messageEl.classList.toggle('truth-feedback-correct', isError === false);
+}
+
+function createStatCard(label, value) {
+    const card = document.createElement('div');
+    card.className = 'stat-card';
+    const labelEl = document.createElement('span');
+    labelEl.className = 'stat-label';
+    labelEl.textContent = label;
+    const valueEl = document.createElement('span');
+    valueEl.className = 'stat-value';
+    valueEl.textContent = value;
+    card.appendChild(labelEl);
+    card.appendChild(valueEl);
+    return card;
+}
+
+function formatPercent(fraction) {
+    return `${Math.round(fraction * 100)}%`;
+}
+
+// Mode names come from the mode selector so the two never disagree.
+function getModeLabel(mode) {
+    const option = document.querySelector(`#mode-select option[value="${mode}"]`);
+    return option ? option.textContent : mode;
+}
+
+function renderProfile() {
+    const { totals, history, ratings } = getProfile();
+    if (summaryEl) {
+        summaryEl.innerHTML = '';
+        const accuracy = totals.attempts > 0 ? formatPercent(totals.correct / totals.attempts) : '—';
+        [
+            [t('profile.attempts'), totals.attempts.toString()],
+            [t('profile.correct'), totals.correct.toString()],
+            [t('profile.accuracy'), accuracy],
+            [t('profile.bestStreak'), totals.bestStreak.toString()],
+            [t('profile.hintsUsed'), totals.hintsUsed.toString()],
+            [t('profile.rating'), Math.round(ratings.student).toString()],
+            [t('profile.adaptiveLevel'), t(`difficulty.${ratings.difficulty}`)]
+        ].forEach(([label, value]) => summaryEl.appendChild(createStatCard(label, value)));
+    }
+    renderMastery();
+    renderHistory(history.slice(-RECENT_ATTEMPTS).reverse());
+}
+
+function renderMastery() {
+    if (!masteryEl) {
+        return;
+    }
+    masteryEl.innerHTML = '';
+    const rows = describeMastery();
+    if (rows.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'cell-editor-prompt';
+        empty.textContent = t('profile.noMastery');
+        masteryEl.appendChild(empty);
+        return;
+    }
+    rows.forEach(({ concept, label, score, attempts, correct }) => {
+        const item = document.createElement('li');
+        item.className = 'mastery-row';
+
+        const name = document.createElement('span');
+        name.className = 'mastery-label';
+        name.textContent = describeConcept(concept, label);
+
+        const bar = document.createElement('span');
+        bar.className = 'mastery-bar';
+        const fill = document.createElement('span');
+        fill.className = 'mastery-fill';
+        fill.style.width = formatPercent(score);
+        bar.appendChild(fill);
+
+        const numbers = document.createElement('span');
+        numbers.className = 'mastery-numbers';
+        numbers.textContent = t('profile.masteryNumbers', { percent: formatPercent(score), correct, attempts });
+
+        item.appendChild(name);
+        item.appendChild(bar);
+        item.appendChild(numbers);
+        masteryEl.appendChild(item);
+    });
+}
+
+// concepts.js names every concept in English; other languages translate them under concept.*
+function describeConcept(concept, label) {
+    const key = `concept.${concept}`;
+    const text = t(key);
+    return text === key ? label : text;
+}
+
+// Attempts recorded before the hint ladder only know whether a hint was used.
+function describeHints(attempt) {
+    if (attempt.hintsShown?.length > 0) {
+        return attempt.hintsShown.map((level) => t('profile.hintLevel', { level })).join(', ');
+    }
+    return t(attempt.hintUsed ? 'profile.yes' : 'profile.no');
+}
+
+function renderHistory(attempts) {
+    if (!historyEl) {
+        return;
+    }
+    historyEl.innerHTML = '';
+    attempts.forEach((attempt) => {
+        const row = document.createElement('tr');
+        row.classList.add(attempt.correct ? 'history-correct' : 'history-incorrect');
+        const seconds = Number.isFinite(attempt.timeMs)
+            ? t('profile.seconds', { seconds: Math.round(attempt.timeMs / 1000) })
+            : '—';
+        [
+            new Date(attempt.at).toLocaleString(getLocale()),
+            getModeLabel(attempt.mode),
+            attempt.statement || attempt.templateId || '',
+            attempt.chosen === REVEALED_ANSWER ? t('write.revealed') : (attempt.chosen ?? '—'),
+            t(attempt.correct ? 'profile.resultCorrect' : 'profile.resultWrong'),
+            describeHints(attempt),
+            seconds
+        ].forEach((text) => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        historyEl.appendChild(row);
+    });
+}
+
+function downloadProfile() {
+    const blob = new Blob([exportProfile()], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `fol-game-profile-${new Date().toISOString().slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(link.href);
+}
+
+function readImportFile(file) {
+    const reader = new FileReader();
+    reader.addEventListener('load', () => {
+        try {
+            importProfile(reader.result);
+            renderProfile();
+            showMessage(t('profile.imported', { file: file.name }), false);
+        } catch (error) {
+            showMessage(t('profile.importFailed', { file: file.name, error: error.message }), true);
+        }
+        importInput.value = '';
+    });
+    reader.addEventListener('error', () => showMessage(t('profile.readFailed', { file: file.name }), true));
+    reader.readAsText(file);
+}
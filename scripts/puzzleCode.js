@@ -0,0 +1,78 @@
+// scripts/puzzleCode.js
+// Short shareable codes that pin down a puzzle: difficulty, template, random seed and board.
+// Example: `M-q0w3-1x9k2f` is the medium template whose id hashes to `q0w3`, generated from seed
+// parseInt('1x9k2f', 36) on the standard board; `M-q0w3-1x9k2f-C` is the same draw on the 7×7
+// challenge board. Naming the template by id keeps codes valid when the bank is reordered.
+
+import { DEFAULT_BOARD_ID } from './board.js';
+
+const DIFFICULTY_PREFIXES = {
+  easy: 'E',
+  medium: 'M',
+  hard: 'H'
+};
+
+// Board presets other than the standard one append a suffix; custom boards have no code.
+const BOARD_SUFFIXES = {
+  warmup: 'W',
+  challenge: 'C',
+  small: 'S',
+  extended: 'X'
+};
+
+const CODE_PATTERN = /^([A-Z])-([0-9a-z]{4})-([0-9a-z]+)(?:-([A-Z]))?$/i;
+// Codes from before templates were named by id carry the template's index in the bank instead.
+const INDEX_CODE_PATTERN = /^([A-Z])(\d+)-([0-9a-z]+)(?:-([A-Z]))?$/i;
+
+const TEMPLATE_KEY_LENGTH = 4;
+const TEMPLATE_KEY_RANGE = 36 ** TEMPLATE_KEY_LENGTH;
+
+/**
+ * getTemplateCodeKey(templateId): the four base-36 characters that name a template in a code,
+ * a 32-bit FNV-1a hash of its id. The validator rejects banks where two ids share a key.
+ */
+export function getTemplateCodeKey(templateId) {
+  let hash = 0x811C9DC5;
+  for (const char of String(templateId)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return ((hash >>> 0) % TEMPLATE_KEY_RANGE).toString(36).padStart(TEMPLATE_KEY_LENGTH, '0');
+}
+
+export function encodePuzzleCode({ difficulty, templateId, seed, boardId = DEFAULT_BOARD_ID }) {
+  const prefix = DIFFICULTY_PREFIXES[difficulty];
+  if (!prefix) {
+    throw new Error(`Cannot encode puzzle code for difficulty '${difficulty}'`);
+  }
+  if (boardId !== DEFAULT_BOARD_ID && !BOARD_SUFFIXES[boardId]) {
+    throw new Error(`Cannot encode puzzle code for board '${boardId}'`);
+  }
+  const suffix = boardId === DEFAULT_BOARD_ID ? '' : `-${BOARD_SUFFIXES[boardId]}`;
+  return `${prefix}-${getTemplateCodeKey(templateId)}-${(seed >>> 0).toString(36)}${suffix}`;
+}
+
+/**
+ * decodePuzzleCode(code): returns { difficulty, templateKey, seed, boardId } or null when the
+ * code is malformed. Older index codes decode to { difficulty, templateIndex, seed, boardId }.
+ */
+export function decodePuzzleCode(code) {
+  const text = String(code || '').trim();
+  const match = CODE_PATTERN.exec(text);
+  const indexMatch = match ? null : INDEX_CODE_PATTERN.exec(text);
+  if (!match && !indexMatch) {
+    return null;
+  }
+  const [, prefix, template, seedText, suffix] = match ?? indexMatch;
+  const difficulty = Object.keys(DIFFICULTY_PREFIXES)
+    .find((key) => DIFFICULTY_PREFIXES[key] === prefix.toUpperCase());
+  const boardId = suffix
+    ? Object.keys(BOARD_SUFFIXES).find((key) => BOARD_SUFFIXES[key] === suffix.toUpperCase())
+    : DEFAULT_BOARD_ID;
+  const seed = parseInt(seedText.toLowerCase(), 36);
+  if (!difficulty || !boardId || !Number.isSafeInteger(seed) || seed > 0xFFFFFFFF) {
+    return null;
+  }
+  const templateRef = match ? { templateKey: template.toLowerCase() } : { templateIndex: Number(template) };
+  return { difficulty, ...templateRef, seed, boardId };
+}
@@ -0,0 +1,232 @@
+// scripts/puzzleGenerator.js
+// Headless puzzle generation: picks a template, builds the grid and the answer options.
+// Never touches the DOM, so it runs the same in the browser, in Node and in tests.
+
+import { shuffleArray, getRandomElement, getWeightedRandomElement, createSeededRandom, createRandomSeed } from './utils.js';
+import { getTemplatesByDifficulty } from './statementGenerator.js';
+import { encodePuzzleCode, decodePuzzleCode, getTemplateCodeKey } from './puzzleCode.js';
+import { createBoard, DEFAULT_BOARD_ID } from './board.js';
+
+const OPTION_COUNT = 4;
+
+// Budgets that keep a thin template bank from hanging the round.
+const MAX_DISTRACTOR_DRAWS = 60;
+const MAX_ASSEMBLY_ATTEMPTS = 5;
+
+// The rule tree decides correctness; warn whenever the displayed FOL would disagree with it.
+function crossCheckFormula(template, grid, statementData) {
+  try {
+    const ruleResult = template.verifyStatementWithGrid(grid, statementData.details);
+    const formulaResult = template.evaluateFormulaWithGrid(grid, statementData.details);
+    if (ruleResult !== formulaResult) {
+      console.warn('FOL disagrees with template rules:', statementData.formalFOLStatement, { ruleResult, formulaResult });
+    }
+  } catch (error) {
+    console.warn('Could not evaluate FOL:', statementData.formalFOLStatement, error);
+  }
+}
+
+function toOption(template, statementData) {
+  return {
+    templateId: template.id,
+    naturalLanguageStatement: statementData.naturalLanguageStatement,
+    formalFOLStatement: statementData.formalFOLStatement,
+    details: statementData.details,
+    hint: statementData.hint || ''
+  };
+}
+
+// Draws distractors that are false on `grid` and read differently from every option so far,
+// favouring heavier templates when `weights` (template id to weight) is given.
+// Returns null when the budget runs out so the caller can retry with a fresh grid.
+function generateIncorrectStatements(templateBank, correctTemplate, grid, board, takenStatements, random, weights = null) {
+  const incorrectStatements = [];
+  const usedTemplates = new Set([correctTemplate]);
+  const bankWeights = weights ? templateBank.map((template) => weights[template.id] ?? 1) : null;
+
+  for (let draw = 0; draw < MAX_DISTRACTOR_DRAWS; draw++) {
+    if (incorrectStatements.length === OPTION_COUNT - 1) {
+      return incorrectStatements;
+    }
+    const randomTemplate = bankWeights
+      ? getWeightedRandomElement(templateBank, bankWeights, random)
+      : getRandomElement(templateBank, random);
+    if (usedTemplates.has(randomTemplate)) {
+      // Already used (or is the correct one)
+      continue;
+    }
+
+    const statementData = randomTemplate.generateStatements(random, board);
+    if (takenStatements.has(statementData.naturalLanguageStatement)) {
+      continue;
+    }
+    // Check if it is satisfied by the *correct* grid
+    const isSatisfied = randomTemplate.verifyStatementWithGrid(grid, statementData.details);
+    crossCheckFormula(randomTemplate, grid, statementData);
+
+    if (!isSatisfied) {
+      // Perfect: this statement does NOT match the current grid -> an incorrect option
+      incorrectStatements.push(toOption(randomTemplate, statementData));
+      takenStatements.add(statementData.naturalLanguageStatement);
+      usedTemplates.add(randomTemplate);
+    }
+  }
+  return incorrectStatements.length === OPTION_COUNT - 1 ? incorrectStatements : null;
+}
+
+// Re-verifies every option against the final grid: exactly one true, all distinct.
+function checkPuzzleInvariants(options, correctStatement) {
+  const problems = [];
+  if (options.length !== OPTION_COUNT) {
+    problems.push(`expected ${OPTION_COUNT} options but built ${options.length}`);
+  }
+  const distinct = new Set(options.map((option) => option.naturalLanguageStatement));
+  if (distinct.size !== options.length) {
+    problems.push('two options read the same');
+  }
+  const trueOptions = options.filter((option) => option.explanation.satisfied);
+  if (trueOptions.length !== 1 || trueOptions[0] !== correctStatement) {
+    problems.push(`${trueOptions.length} options are true on the grid instead of exactly the correct one`);
+  }
+  return problems;
+}
+
+// Codes name the template by the key of its id (older codes by its index in the whole bank);
+// random draws skip templates that do not support the board.
+function resolveTemplateIndex(templateBank, board, { templateId, templateKey, templateIndex }, random) {
+  let index;
+  if (templateId !== undefined) {
+    index = templateBank.findIndex((template) => template.id === templateId);
+    if (index === -1) {
+      throw new Error(`Unknown template id '${templateId}'.`);
+    }
+  } else if (templateKey !== undefined) {
+    index = templateBank.findIndex((template) => getTemplateCodeKey(template.id) === templateKey);
+    if (index === -1) {
+      throw new Error(`Puzzle code refers to a missing template (${templateKey}).`);
+    }
+  } else if (templateIndex !== undefined) {
+    if (!templateBank[templateIndex]) {
+      throw new Error(`Puzzle code refers to missing template #${templateIndex}.`);
+    }
+    index = templateIndex;
+  } else {
+    const eligible = templateBank.filter((template) => template.supportsBoard(board));
+    return templateBank.indexOf(getRandomElement(eligible, random));
+  }
+  if (!templateBank[index].supportsBoard(board)) {
+    throw new Error(`Template ${templateBank[index].id} does not support a ${board.rows}x${board.cols} board.`);
+  }
+  return index;
+}
+
+/**
+ * generatePuzzle(options): builds one complete puzzle without touching the DOM.
+ *
+ * Options: { difficulty = 'easy', templateId?, seed?, code?, board?, distractorWeights?, details? },
+ * where `board` is a preset id or a createBoard() config, `distractorWeights` maps template
+ * ids to how often they should be drawn as distractors (see adaptive.js) and `details` pins
+ * placeholders of the template named by `templateId`, e.g. { shape1: 'circle' }. A puzzle code
+ * overrides the other options. Resolves to { code, seed, difficulty, templateId, board, grid,
+ * options, correctIndex, correctStatement, hint, fol }; every option carries the `explanation`
+ * returned by its template's explainStatementWithGrid(). `code` is null on custom boards, which
+ * codes cannot name, and with distractor weights or fixed details, which codes cannot replay.
+ */
+export async function generatePuzzle(options = {}) {
+  const decoded = options.code ? decodePuzzleCode(options.code) : null;
+  if (options.code && !decoded) {
+    throw new Error(`Malformed puzzle code '${options.code}'.`);
+  }
+
+  const difficulty = decoded ? decoded.difficulty : (options.difficulty || 'easy');
+  const board = createBoard(decoded ? decoded.boardId : (options.board ?? DEFAULT_BOARD_ID));
+  const templateBank = await getTemplatesByDifficulty(difficulty);
+  if (!templateBank || templateBank.length === 0) {
+    throw new Error('No templates found for this difficulty.');
+  }
+  const eligibleBank = templateBank.filter((template) => template.supportsBoard(board));
+  if (eligibleBank.length < OPTION_COUNT) {
+    throw new Error(
+      `Cannot build a puzzle: '${difficulty}' has ${eligibleBank.length} template(s) for a ${board.rows}x${board.cols} board ` +
+      `but ${OPTION_COUNT} distinct ones are needed.`
+    );
+  }
+
+  // The template draw uses its own stream so a code (which names the template) replays
+  // exactly the same generation stream as the puzzle it was taken from.
+  const seed = decoded ? decoded.seed : (options.seed ?? createRandomSeed()) >>> 0;
+  const distractorWeights = decoded ? null : (options.distractorWeights ?? null);
+  const fixedDetails = decoded ? null : (options.details ?? null);
+  if (fixedDetails && options.templateId === undefined) {
+    throw new Error('Fixed details need a templateId to apply to.');
+  }
+  const templateIndex = resolveTemplateIndex(
+    templateBank,
+    board,
+    decoded ?? { templateId: options.templateId },
+    createSeededRandom(seed)
+  );
+  const correctTemplate = templateBank[templateIndex];
+  const random = createSeededRandom(seed);
+
+  // Statement first, then a grid that satisfies it, then distractors that the grid falsifies.
+  // A fresh statement and grid are drawn whenever distractors run out or an invariant fails.
+  let assembled = null;
+  const failures = [];
+  for (let attempt = 0; attempt < MAX_ASSEMBLY_ATTEMPTS && !assembled; attempt++) {
+    const statementData = correctTemplate.generateStatements(random, board, fixedDetails ?? {});
+    let grid;
+    try {
+      ({ grid } = correctTemplate.generateGrid(true, statementData.details, random));
+    } catch (error) {
+      failures.push(`attempt ${attempt + 1}: ${error.message}`);
+      continue;
+    }
+    crossCheckFormula(correctTemplate, grid, statementData);
+
+    const correctStatement = toOption(correctTemplate, statementData);
+    const taken = new Set([correctStatement.naturalLanguageStatement]);
+    const incorrectOptions = generateIncorrectStatements(
+      eligibleBank, correctTemplate, grid, board, taken, random, distractorWeights
+    );
+    if (!incorrectOptions) {
+      failures.push(`attempt ${attempt + 1}: not enough false, distinct distractors`);
+      continue;
+    }
+
+    const puzzleOptions = [correctStatement, ...incorrectOptions];
+    shuffleArray(puzzleOptions, random);
+    // Each option carries its explanation (witnesses, counterexamples) for the answer review
+    puzzleOptions.forEach((option) => {
+      const template = templateBank.find((candidate) => candidate.id === option.templateId);
+      option.explanation = template.explainStatementWithGrid(grid, option.details);
+    });
+    const problems = checkPuzzleInvariants(puzzleOptions, correctStatement);
+    if (problems.length > 0) {
+      failures.push(`attempt ${attempt + 1}: ${problems.join('; ')}`);
+      continue;
+    }
+    assembled = { grid, puzzleOptions, correctStatement };
+  }
+
+  if (!assembled) {
+    throw new Error(
+      `Could not assemble a puzzle from template ${correctTemplate.id} (seed ${seed}):\n${failures.join('\n')}`
+    );
+  }
+  const { grid, puzzleOptions, correctStatement } = assembled;
+
+  return {
+    code: board.id && !distractorWeights && !fixedDetails ? encodePuzzleCode({ difficulty, templateId: correctTemplate.id, seed, boardId: board.id }) : null,
+    seed,
+    difficulty,
+    templateId: correctTemplate.id,
+    board,
+    grid,
+    options: puzzleOptions,
+    correctIndex: puzzleOptions.indexOf(correctStatement),
+    correctStatement,
+    hint: correctStatement.hint,
+    fol: correctStatement.formalFOLStatement
+  };
+}
@@ -0,0 +1,376 @@
+// scripts/puzzleSet.js
+// Teacher-authored puzzle sets: a JSON file listing pick-the-statement puzzles to play in a
+// fixed order, and the results of one student playing it, exportable as JSON or CSV for
+// grading. A set can travel as a file, a URL or inside the page's URL hash. DOM-free.
+//
+// {
+//   "title": "Week 3: implications",
+//   "difficulty": "easy",            (default for entries that draw their template by seed)
+//   "board": "standard",             (default board preset for every entry)
+//   "puzzles": [
+//     { "code": "E-inoj-1x9k2f" },
+//     { "templateId": "easy_all_shapes_have_value", "seed": 7 },
+//     { "templateId": "easy_all_shapes_have_value", "details": { "shape1": "circle", "number1": 3 } },
+//     { "difficulty": "medium", "seed": 42 },
+//     { "grid": [[{ "shape": "circle", "color": "Pink", "number": 3 }, ...], ...],
+//       "options": [{ "text": "Every circle is Pink.", "fol": "∀x (Shape(x, circle) → Color(x, Pink))" }, ...],
+//       "hint": "Look at the circles." }
+//   ]
+// }
+
+import { generatePuzzle } from './puzzleGenerator.js';
+import { findTemplate } from './statementGenerator.js';
+import { evaluateFormula } from './fol.js';
+import { createBoard, DEFAULT_BOARD_ID, BOARD_PRESETS } from './board.js';
+import { getColorName } from './utils.js';
+import { getAttribute, formatAttributeValue } from './attributes.js';
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const MIN_EXPLICIT_OPTIONS = 2;
+const HASH_KEY = 'set';
+const HASH_URL_KEY = 'set-url';
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkBoardId(boardId, where) {
+  if (!BOARD_PRESETS[boardId]) {
+    throw new Error(`${where}: unknown board '${boardId}'.`);
+  }
+}
+
+function checkDifficulty(difficulty, where) {
+  if (!DIFFICULTIES.includes(difficulty)) {
+    throw new Error(`${where}: difficulty must be one of ${DIFFICULTIES.join(', ')}, got '${difficulty}'.`);
+  }
+}
+
+function normalizeExplicitEntry(entry, where) {
+  if (!Array.isArray(entry.grid) || entry.grid.length === 0 || !entry.grid.every(Array.isArray)) {
+    throw new Error(`${where}: grid must be a list of rows, each a list of cells.`);
+  }
+  if (!Array.isArray(entry.options) || entry.options.length < MIN_EXPLICIT_OPTIONS) {
+    throw new Error(`${where}: give at least ${MIN_EXPLICIT_OPTIONS} options.`);
+  }
+  entry.options.forEach((option, index) => {
+    if (!isPlainObject(option) || typeof option.text !== 'string' || typeof option.fol !== 'string') {
+      throw new Error(`${where}: option ${index + 1} needs a "text" and a "fol".`);
+    }
+  });
+  if (new Set(entry.options.map((option) => option.text)).size !== entry.options.length) {
+    throw new Error(`${where}: two options read the same.`);
+  }
+  return {
+    kind: 'explicit',
+    grid: entry.grid,
+    options: entry.options.map(({ text, fol }) => ({ text, fol })),
+    hint: typeof entry.hint === 'string' ? entry.hint : ''
+  };
+}
+
+// Every entry is one of four kinds; anything else is a mistake in the file.
+function normalizeEntry(entry, index, defaults) {
+  const where = `Puzzle ${index + 1}`;
+  if (!isPlainObject(entry)) {
+    throw new Error(`${where}: expected an object.`);
+  }
+  const board = entry.board ?? defaults.board;
+  const difficulty = entry.difficulty ?? defaults.difficulty;
+  checkBoardId(board, where);
+  checkDifficulty(difficulty, where);
+  if (entry.seed !== undefined && (!Number.isInteger(entry.seed) || entry.seed < 0)) {
+    throw new Error(`${where}: seed must be a non-negative integer.`);
+  }
+  // Entries without a seed use their position, so every student gets the same puzzles.
+  const seed = entry.seed ?? index + 1;
+
+  if (typeof entry.code === 'string') {
+    return { kind: 'code', code: entry.code };
+  }
+  if (entry.grid !== undefined) {
+    return { ...normalizeExplicitEntry(entry, where), board, difficulty };
+  }
+  if (typeof entry.templateId === 'string') {
+    if (entry.details != null && !isPlainObject(entry.details)) {
+      throw new Error(`${where}: details must be an object of placeholder values.`);
+    }
+    return { kind: 'template', templateId: entry.templateId, details: entry.details ?? null, seed, board };
+  }
+  if (entry.seed !== undefined) {
+    return { kind: 'seed', difficulty, seed, board };
+  }
+  throw new Error(`${where}: give a code, a templateId, a seed, or a grid with options.`);
+}
+
+/**
+ * parsePuzzleSet(source): checks a set given as JSON text or a parsed object and returns it
+ * normalized to { title, difficulty, board, puzzles }; throws an Error naming the first
+ * broken entry
+ */
+export function parsePuzzleSet(source) {
+  let data = source;
+  if (typeof source === 'string') {
+    try {
+      data = JSON.parse(source);
+    } catch (error) {
+      throw new Error(`Not valid JSON: ${error.message}`);
+    }
+  }
+  if (!isPlainObject(data) || !Array.isArray(data.puzzles) || data.puzzles.length === 0) {
+    throw new Error('Not a puzzle set: expected an object with a non-empty "puzzles" list.');
+  }
+  const defaults = { difficulty: data.difficulty ?? 'easy', board: data.board ?? DEFAULT_BOARD_ID };
+  checkDifficulty(defaults.difficulty, 'Set');
+  checkBoardId(defaults.board, 'Set');
+  return {
+    title: typeof data.title === 'string' && data.title.trim() ? data.title.trim() : 'Untitled set',
+    difficulty: defaults.difficulty,
+    board: defaults.board,
+    puzzles: data.puzzles.map((entry, index) => normalizeEntry(entry, index, defaults))
+  };
+}
+
+// Colors may be written as a name ("Sky Blue") or as the hex code the templates use.
+function resolveColor(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  const byName = getAttribute('color').values.find(
+    (hex) => getColorName(hex).toLowerCase() === value.toLowerCase()
+  );
+  return byName ?? value.toLowerCase();
+}
+
+function buildExplicitGrid(rows, board, where) {
+  if (rows.length !== board.rows || rows.some((row) => row.length !== board.cols)) {
+    throw new Error(`${where}: the grid must be ${board.rows}x${board.cols} to fit the '${board.id}' board.`);
+  }
+  return rows.flatMap((row, rowIndex) => row.map((cell, colIndex) => {
+    if (!isPlainObject(cell)) {
+      throw new Error(`${where}: the cell in row ${rowIndex + 1}, column ${colIndex + 1} is not an object.`);
+    }
+    const built = { position: { row: rowIndex, col: colIndex } };
+    Object.entries(board.domains).forEach(([property, domain]) => {
+      const value = property === 'color' ? resolveColor(cell[property]) : cell[property];
+      if (!domain.includes(value)) {
+        throw new Error(
+          `${where}: the cell in row ${rowIndex + 1}, column ${colIndex + 1} needs a ${property} out of ` +
+          `${domain.map((item) => formatAttributeValue(property, item)).join(', ')}.`
+        );
+      }
+      built[property] = value;
+    });
+    return built;
+  }));
+}
+
+// Hand-written puzzles are checked like generated ones: exactly one option may be true.
+function buildExplicitPuzzle(entry, where) {
+  const board = createBoard(entry.board);
+  const grid = buildExplicitGrid(entry.grid, board, where);
+  const options = entry.options.map(({ text, fol }, index) => {
+    let satisfied;
+    try {
+      satisfied = evaluateFormula(fol, grid);
+    } catch (error) {
+      throw new Error(`${where}: option ${index + 1} has an invalid formula: ${error.message}`);
+    }
+    return {
+      templateId: null,
+      naturalLanguageStatement: text,
+      formalFOLStatement: fol,
+      details: { board },
+      hint: '',
+      explanation: { satisfied, rules: [] }
+    };
+  });
+  const trueOptions = options.filter((option) => option.explanation.satisfied);
+  if (trueOptions.length !== 1) {
+    throw new Error(`${where}: exactly one option must be true on the grid, but ${trueOptions.length} are.`);
+  }
+  const [correctStatement] = trueOptions;
+  correctStatement.hint = entry.hint;
+  return {
+    code: null,
+    seed: null,
+    difficulty: entry.difficulty,
+    templateId: null,
+    board,
+    grid,
+    options,
+    correctIndex: options.indexOf(correctStatement),
+    correctStatement,
+    hint: entry.hint,
+    fol: correctStatement.formalFOLStatement
+  };
+}
+
+async function generateEntryPuzzle(entry, where) {
+  switch (entry.kind) {
+    case 'code':
+      return generatePuzzle({ code: entry.code });
+    case 'seed':
+      return generatePuzzle({ difficulty: entry.difficulty, seed: entry.seed, board: entry.board });
+    case 'template': {
+      const found = await findTemplate(entry.templateId);
+      if (!found) {
+        throw new Error(`${where}: unknown template id '${entry.templateId}'.`);
+      }
+      return generatePuzzle({
+        difficulty: found.difficulty,
+        templateId: entry.templateId,
+        seed: entry.seed,
+        board: entry.board,
+        ...(entry.details ? { details: entry.details } : {})
+      });
+    }
+    default:
+      return buildExplicitPuzzle(entry, where);
+  }
+}
+
+/**
+ * generatePuzzleSet(set): builds every puzzle of a parsed set up front, in order, so a broken
+ * entry is reported when the set is loaded rather than halfway through. Resolves to a list of
+ * puzzles shaped like generatePuzzle()'s.
+ */
+export async function generatePuzzleSet(set) {
+  const puzzles = [];
+  for (const [index, entry] of set.puzzles.entries()) {
+    const where = `Puzzle ${index + 1}`;
+    try {
+      puzzles.push(await generateEntryPuzzle(entry, where));
+    } catch (error) {
+      throw new Error(error.message.startsWith(where) ? error.message : `${where}: ${error.message}`);
+    }
+  }
+  return puzzles;
+}
+
+/**
+ * fetchPuzzleSet(url): downloads and parses a set file
+ */
+export async function fetchPuzzleSet(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Could not download ${url}: ${response.status}`);
+  }
+  return parsePuzzleSet(await response.text());
+}
+
+function toBase64Url(text) {
+  const binary = Array.from(new TextEncoder().encode(text), (byte) => String.fromCharCode(byte)).join('');
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(encoded) {
+  const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, (char) => char.charCodeAt(0)));
+}
+
+/**
+ * encodePuzzleSetHash(set): a URL hash, '#set=…', that carries the whole set
+ */
+export function encodePuzzleSetHash(set) {
+  return `#${HASH_KEY}=${toBase64Url(JSON.stringify(set))}`;
+}
+
+/**
+ * readPuzzleSetHash(hash): what a URL hash points at, { set } for '#set=…' or { url } for
+ * '#set-url=…', or null when it names no set; throws when an embedded set is broken
+ */
+export function readPuzzleSetHash(hash) {
+  const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+  if (params.has(HASH_URL_KEY)) {
+    return { url: params.get(HASH_URL_KEY) };
+  }
+  if (!params.has(HASH_KEY)) {
+    return null;
+  }
+  let text;
+  try {
+    text = fromBase64Url(params.get(HASH_KEY));
+  } catch (error) {
+    throw new Error('The puzzle set in the link is damaged.');
+  }
+  return { set: parsePuzzleSet(text) };
+}
+
+/**
+ * createSetResults(set, student, puzzlePoints): an empty score sheet for one student playing
+ * `set`, where every puzzle is worth `puzzlePoints`
+ */
+export function createSetResults(set, student, puzzlePoints) {
+  return {
+    title: set.title,
+    student: student || '',
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    puzzlePoints,
+    answers: set.puzzles.map(() => null)
+  };
+}
+
+/**
+ * recordSetAnswer(results, index, answer): stores the answer to puzzle `index`, where answer is
+ * { statement, templateId, chosen, correct, hintsShown, score, timeMs }, with hintsShown the
+ * hint levels revealed, e.g. [1, 3]
+ */
+export function recordSetAnswer(results, index, answer) {
+  results.answers[index] = { ...answer, correct: Boolean(answer.correct) };
+  return results;
+}
+
+/**
+ * summarizeSetResults(results): { total, answered, correct, score, maxScore }
+ */
+export function summarizeSetResults(results) {
+  const answered = results.answers.filter(Boolean);
+  return {
+    total: results.answers.length,
+    answered: answered.length,
+    correct: answered.filter((answer) => answer.correct).length,
+    score: answered.reduce((sum, answer) => sum + (answer.score || 0), 0),
+    maxScore: results.answers.length * results.puzzlePoints
+  };
+}
+
+/**
+ * formatResultsJson(results): the score sheet and its summary as pretty-printed JSON
+ */
+export function formatResultsJson(results) {
+  return JSON.stringify({ ...results, summary: summarizeSetResults(results) }, null, 2);
+}
+
+// Spreadsheets run a cell starting with =, +, -, @, tab or CR as a formula, and the student's
+// name and typed answers can start with anything; a leading ' keeps such text as text.
+const CSV_FORMULA_START = /^[=+\-@\t\r]/;
+
+function toCsvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && CSV_FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * formatResultsCsv(results): one row per puzzle, skipped ones included, for spreadsheets
+ */
+export function formatResultsCsv(results) {
+  const header = ['student', 'set', 'puzzle', 'statement', 'template', 'answer', 'correct', 'hint_levels', 'score', 'seconds'];
+  const rows = results.answers.map((answer, index) => [
+    results.student,
+    results.title,
+    index + 1,
+    answer?.statement,
+    answer?.templateId,
+    answer?.chosen,
+    answer ? (answer.correct ? 'yes' : 'no') : 'skipped',
+    answer?.hintsShown?.join(' ') ?? '',
+    answer?.score ?? 0,
+    Number.isFinite(answer?.timeMs) ? Math.round(answer.timeMs / 1000) : ''
+  ]);
+  return [header, ...rows].map((row) => row.map(toCsvField).join(',')).join('\n') + '\n';
+}
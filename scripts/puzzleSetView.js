@@ -0,0 +1,302 @@
+// scripts/puzzleSetView.js
+// The puzzle set screen: load a teacher's set from a file or the URL hash, share it as a link,
+// and after the last puzzle review the results and export them as JSON or CSV. Sets and
+// results are handled by puzzleSet.js; main.js plays the puzzles.
+
+import {
+    parsePuzzleSet, generatePuzzleSet, fetchPuzzleSet, encodePuzzleSetHash, readPuzzleSetHash,
+    summarizeSetResults, formatResultsJson, formatResultsCsv
+} from './puzzleSet.js';
+import { t } from './i18n.js';
+import { REVEALED_ANSWER } from './profile.js';
+
+let callbacks = {};
+let activeSet = null;
+let finishedResults = null;
+
+let setPanel = null;
+let studentInput = null;
+let fileInput = null;
+let messageEl = null;
+let statusEl = null;
+let titleEl = null;
+let linkInput = null;
+let resultsEl = null;
+let summaryEl = null;
+let answersEl = null;
+
+/**
+ * initPuzzleSetView({ onStart, onLeave }): wires the Puzzle Set button and screen once.
+ * onStart({ set, puzzles, student }) runs once a set has loaded and all its puzzles were built;
+ * onLeave() when the student leaves the set to play freely again.
+ */
+export function initPuzzleSetView({ onStart, onLeave } = {}) {
+    callbacks = { onStart, onLeave };
+    setPanel = document.getElementById('set-panel');
+    studentInput = document.getElementById('set-student');
+    fileInput = document.getElementById('set-file');
+    messageEl = document.getElementById('set-message');
+    statusEl = document.getElementById('set-status');
+    titleEl = document.getElementById('set-title');
+    linkInput = document.getElementById('set-link');
+    resultsEl = document.getElementById('set-results');
+    summaryEl = document.getElementById('set-summary');
+    answersEl = document.getElementById('set-answers');
+
+    if (studentInput) {
+        studentInput.addEventListener('input', () => {
+            if (finishedResults) {
+                finishedResults.student = studentInput.value.trim();
+                renderResults();
+            }
+        });
+    }
+    const openButton = document.getElementById('set-button');
+    if (openButton) {
+        openButton.addEventListener('click', showPuzzleSetView);
+    }
+    const closeButton = document.getElementById('set-close');
+    if (closeButton) {
+        closeButton.addEventListener('click', hidePuzzleSetView);
+    }
+    if (fileInput) {
+        fileInput.addEventListener('change', () => {
+            const [file] = fileInput.files;
+            if (file) {
+                readSetFile(file);
+            }
+        });
+    }
+    const leaveButton = document.getElementById('set-leave');
+    if (leaveButton) {
+        leaveButton.addEventListener('click', leavePuzzleSet);
+    }
+    const jsonButton = document.getElementById('set-export-json');
+    if (jsonButton) {
+        jsonButton.addEventListener('click', () => downloadResults(formatResultsJson(finishedResults), 'json', 'application/json'));
+    }
+    const csvButton = document.getElementById('set-export-csv');
+    if (csvButton) {
+        csvButton.addEventListener('click', () => downloadResults(formatResultsCsv(finishedResults), 'csv', 'text/csv'));
+    }
+}
+
+export function showPuzzleSetView() {
+    renderStatus();
+    if (setPanel) {
+        setPanel.hidden = false;
+    }
+}
+
+export function hidePuzzleSetView() {
+    if (setPanel) {
+        setPanel.hidden = true;
+    }
+}
+
+/**
+ * refreshPuzzleSetView(): renders the set's title and results again, e.g. in another language
+ */
+export function refreshPuzzleSetView() {
+    renderStatus();
+    renderResults();
+}
+
+/**
+ * loadPuzzleSetFromHash(): starts the set named by the page's URL hash, '#set=…' or
+ * '#set-url=…', if there is one; resolves to true when a set was started
+ */
+export async function loadPuzzleSetFromHash() {
+    let target;
+    try {
+        target = readPuzzleSetHash(window.location.hash);
+    } catch (error) {
+        showPuzzleSetView();
+        showMessage(error.message, true);
+        return false;
+    }
+    if (!target) {
+        return false;
+    }
+    showPuzzleSetView();
+    try {
+        return await startSet(target.set ?? await fetchPuzzleSet(target.url));
+    } catch (error) {
+        showMessage(t('set.loadFailed', { error: error.message }), true);
+        return false;
+    }
+}
+
+/**
+ * showPuzzleSetResults(results): opens the screen on the results of the finished set. The name is
+ * read from the name field again here and on every edit, so a set started from a link before
+ * the student typed a name still hands in one.
+ */
+export function showPuzzleSetResults(results) {
+    const student = studentInput ? studentInput.value.trim() : '';
+    if (student) {
+        results.student = student;
+    } else if (studentInput) {
+        studentInput.value = results.student;
+    }
+    finishedResults = results;
+    renderResults();
+    showPuzzleSetView();
+}
+
+function showMessage(message, isError) {
+    if (!messageEl) {
+        return;
+    }
+    messageEl.textContent = message;
+    messageEl.hidden = !message;
+    messageEl.classList.toggle('truth-feedback-incorrect', isError === true);
+    messageEl.classList.toggle('truth-feedback-correct', isError === false);
+}
+
+function readSetFile(file) {
+    const reader = new FileReader();
+    reader.addEventListener('load', () => {
+        fileInput.value = '';
+        let set;
+        try {
+            set = parsePuzzleSet(reader.result);
+        } catch (error) {
+            showMessage(t('set.fileFailed', { file: file.name, error: error.message }), true);
+            return;
+        }
+        startSet(set).catch((error) => showMessage(t('set.fileFailed', { file: file.name, error: error.message }), true));
+    });
+    reader.addEventListener('error', () => showMessage(t('set.readFailed', { file: file.name }), true));
+    reader.readAsText(file);
+}
+
+// Every puzzle is built before the first one is shown, so a broken entry stops the set here.
+async function startSet(set) {
+    showMessage(t('set.preparing', { count: set.puzzles.length }), null);
+    const puzzles = await generatePuzzleSet(set);
+    activeSet = set;
+    finishedResults = null;
+    renderResults();
+    renderStatus();
+    showMessage(t('set.loaded', { title: set.title }), false);
+    if (callbacks.onStart) {
+        callbacks.onStart({ set, puzzles, student: studentInput ? studentInput.value.trim() : '' });
+    }
+    return true;
+}
+
+function leavePuzzleSet() {
+    activeSet = null;
+    finishedResults = null;
+    renderResults();
+    renderStatus();
+    showMessage('', null);
+    // Reloading the page should not start the set again
+    const url = new URL(window.location.href);
+    url.hash = '';
+    window.history.replaceState(null, '', url);
+    hidePuzzleSetView();
+    if (callbacks.onLeave) {
+        callbacks.onLeave();
+    }
+}
+
+function renderStatus() {
+    if (statusEl) {
+        statusEl.hidden = !activeSet;
+    }
+    if (!activeSet) {
+        return;
+    }
+    if (titleEl) {
+        titleEl.textContent = t('set.title', { title: activeSet.title, count: activeSet.puzzles.length });
+    }
+    if (linkInput) {
+        const url = new URL(window.location.href);
+        url.search = '';
+        url.hash = encodePuzzleSetHash(activeSet);
+        linkInput.value = url.toString();
+    }
+}
+
+function createStatCard(label, value) {
+    const card = document.createElement('div');
+    card.className = 'stat-card';
+    const labelEl = document.createElement('span');
+    labelEl.className = 'stat-label';
+    labelEl.textContent = label;
+    const valueEl = document.createElement('span');
+    valueEl.className = 'stat-value';
+    valueEl.textContent = value;
+    card.appendChild(labelEl);
+    card.appendChild(valueEl);
+    return card;
+}
+
+function renderResults() {
+    if (resultsEl) {
+        resultsEl.hidden = !finishedResults;
+    }
+    if (!finishedResults) {
+        return;
+    }
+    const { total, answered, correct, score, maxScore } = summarizeSetResults(finishedResults);
+    if (summaryEl) {
+        summaryEl.innerHTML = '';
+        [
+            [t('set.studentLabel'), finishedResults.student || '—'],
+            [t('set.answered'), `${answered} / ${total}`],
+            [t('set.correct'), correct.toString()],
+            [t('set.score'), `${score} / ${maxScore}`]
+        ].forEach(([label, value]) => summaryEl.appendChild(createStatCard(label, value)));
+    }
+    if (answersEl) {
+        answersEl.innerHTML = '';
+        finishedResults.answers.forEach((answer, index) => {
+            const row = document.createElement('tr');
+            if (answer) {
+                row.classList.add(answer.correct ? 'history-correct' : 'history-incorrect');
+            }
+            const seconds = Number.isFinite(answer?.timeMs)
+                ? t('set.seconds', { seconds: Math.round(answer.timeMs / 1000) })
+                : '—';
+            [
+                (index + 1).toString(),
+                answer?.statement ?? '—',
+                answer?.chosen === REVEALED_ANSWER ? t('write.revealed') : (answer?.chosen ?? '—'),
+                answer?.hintsShown?.length
+                    ? answer.hintsShown.map((level) => t('set.hintLevel', { level })).join(', ')
+                    : t('set.no'),
+                answer ? t(answer.correct ? 'set.resultCorrect' : 'set.resultWrong') : t('set.skipped'),
+                (answer?.score ?? 0).toString(),
+                seconds
+            ].forEach((text) => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            answersEl.appendChild(row);
+        });
+    }
+}
+
+function downloadResults(text, extension, type) {
+    if (!finishedResults) {
+        return;
+    }
+    const name = [finishedResults.title, finishedResults.student]
+        .filter(Boolean)
+        .join('-')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '');
+    const blob = new Blob([text], { type });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${name || 'puzzle-set'}-results.${extension}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(link.href);
+}
@@ -0,0 +1,65 @@
+// scripts/relations.js
+// Binary relations between two cells, shared by the rule engine and the FOL evaluator so a
+// template's rules and its formula always agree. `relates(name, y, x)` reads "y is <name> x",
+// and no relation ever holds between a cell and itself. Explanations describe a relation with
+// the explain.relation.<name> message of the locale catalogs.
+
+export const RELATIONS = {
+  sameRow: {
+    predicate: 'SameRow',
+    test: (dr) => dr === 0
+  },
+  sameColumn: {
+    predicate: 'SameColumn',
+    test: (dr, dc) => dc === 0
+  },
+  leftOf: {
+    predicate: 'AnywhereLeftOf',
+    test: (dr, dc) => dr === 0 && dc < 0
+  },
+  rightOf: {
+    predicate: 'AnywhereRightOf',
+    test: (dr, dc) => dr === 0 && dc > 0
+  },
+  above: {
+    predicate: 'AnywhereAbove',
+    test: (dr, dc) => dc === 0 && dr < 0
+  },
+  below: {
+    predicate: 'AnywhereBelow',
+    test: (dr, dc) => dc === 0 && dr > 0
+  },
+  adjacent: {
+    predicate: 'Adjacent',
+    test: (dr, dc) => Math.abs(dr) + Math.abs(dc) === 1
+  },
+  touching: {
+    predicate: 'Touching',
+    test: (dr, dc) => Math.max(Math.abs(dr), Math.abs(dc)) === 1
+  },
+  diagonal: {
+    predicate: 'Diagonal',
+    test: (dr, dc) => Math.abs(dr) === Math.abs(dc)
+  },
+  withinDistance: {
+    predicate: 'WithinDistance',
+    test: (dr, dc, distance) => Math.abs(dr) + Math.abs(dc) <= distance,
+    takesDistance: true
+  }
+};
+
+/**
+ * relates(name, y, x, distance): true when cell y stands in relation `name` to cell x
+ */
+export function relates(name, y, x, distance) {
+  const relation = RELATIONS[name];
+  if (!relation) {
+    throw new Error(`Unknown cell relation: ${name}`);
+  }
+  const dr = y.position.row - x.position.row;
+  const dc = y.position.col - x.position.col;
+  if (dr === 0 && dc === 0) {
+    return false;
+  }
+  return relation.test(dr, dc, Number(distance));
+}
@@ -0,0 +1,94 @@
+// scripts/soundness.js
+// Statistical soundness checks: how often does a template's generator produce a grid whose
+// truth value differs from what was requested?
+
+import { createTemplateFromDefinition, stripRuleActions } from './templateHandlers.js';
+import { createSeededRandom, getColorName } from './utils.js';
+import { createBoard, DEFAULT_BOARD_ID } from './board.js';
+import { getAttributeNames, formatAttributeValue } from './attributes.js';
+
+function createOutcome() {
+  return { attempts: 0, failures: 0, generationErrors: 0, examples: [] };
+}
+
+/**
+ * checkTemplateSoundness(definition, options): samples `samples` statements and, for each,
+ * one satisfying and one violating candidate grid (single pass, no retries). Also counts how
+ * often generateGrid() gives up entirely after its retries.
+ *
+ * Options: { samples = 1000, seed = 1, maxExamples = 3, board = 'standard', derived = false },
+ * where `board` is a preset id or a createBoard() config. With `derived` the rules' hand-written
+ * actions are left out (see stripRuleActions()), which checks the generators the engine derives
+ * from the conditions instead.
+ */
+export function checkTemplateSoundness(definition, options = {}) {
+  const { samples = 1000, seed = 1, maxExamples = 3, derived = false } = options;
+  const board = createBoard(options.board ?? DEFAULT_BOARD_ID);
+  const template = createTemplateFromDefinition(derived ? stripRuleActions(definition) : definition);
+  const random = createSeededRandom(seed);
+  const outcomes = { satisfies: createOutcome(), violates: createOutcome() };
+
+  for (let i = 0; i < samples; i++) {
+    const statement = template.generateStatements(random, board);
+    [true, false].forEach((satisfies) => {
+      const outcome = satisfies ? outcomes.satisfies : outcomes.violates;
+      outcome.attempts += 1;
+
+      const grid = template.generateCandidateGrid(satisfies, statement.details, random);
+      if (template.verifyStatementWithGrid(grid, statement.details) !== satisfies) {
+        outcome.failures += 1;
+        if (outcome.examples.length < maxExamples) {
+          outcome.examples.push({
+            statement: statement.naturalLanguageStatement,
+            fol: statement.formalFOLStatement,
+            details: statement.details,
+            grid
+          });
+        }
+      }
+
+      try {
+        template.generateGrid(satisfies, statement.details, random);
+      } catch (error) {
+        outcome.generationErrors += 1;
+      }
+    });
+  }
+
+  return { templateId: definition.id, samples, ...outcomes };
+}
+
+/**
+ * checkBankSoundness(bank, options): runs checkTemplateSoundness for every template in the bank
+ * that supports the requested board
+ */
+export function checkBankSoundness(bank, options = {}) {
+  const board = createBoard(options.board ?? DEFAULT_BOARD_ID);
+  return Object.entries(bank).flatMap(([difficulty, definitions]) =>
+    definitions
+      .filter((definition) => createTemplateFromDefinition(definition).supportsBoard(board))
+      .map((definition) => ({ difficulty, ...checkTemplateSoundness(definition, options) }))
+  );
+}
+
+/**
+ * formatGridAscii(grid): compact text rendering, one row per line, e.g. `circle Pink 7`;
+ * optional attributes such as size and fill are appended when the board uses them
+ */
+export function formatGridAscii(grid) {
+  const extras = getAttributeNames().filter((name) => name !== 'shape' && name !== 'color');
+  const labels = grid.map((cell) => [
+    cell.shape,
+    getColorName(cell.color),
+    cell.number,
+    ...extras.filter((name) => cell[name] !== undefined).map((name) => formatAttributeValue(name, cell[name]))
+  ].join(' '));
+  const width = Math.max(...labels.map((label) => label.length));
+  const rows = [];
+  grid.forEach((cell, index) => {
+    const { row, col } = cell.position;
+    rows[row] = rows[row] || [];
+    rows[row][col] = labels[index].padEnd(width);
+  });
+  return rows.map((cells) => cells.join(' | ')).join('\n');
+}
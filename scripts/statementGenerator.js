@@ -1,20 +1,45 @@
 // scripts/statementGenerator.js
 
 import { createTemplateFromDefinition } from './templateHandlers.js';
+import { validateTemplateBank, formatValidationErrors } from './templateValidator.js';
 
 let cachedTemplates = null;
+let cachedDefinitions = null;
+
+// Browser default: fetch the bank relative to index.html.
+async function fetchTemplateDefinitions() {
+  const response = await fetch('./scripts/templateBanks/templates.json');
+  if (!response.ok) {
+    throw new Error(`Failed to load templates.json: ${response.status}`);
+  }
+  return response.json();
+}
+
+let templateLoader = fetchTemplateDefinitions;
+
+/**
+ * setTemplateLoader(loader): swap how the raw bank is read, e.g. from the file system in Node.
+ * The loader is an async function resolving to the parsed templates.json object.
+ */
+export function setTemplateLoader(loader) {
+  templateLoader = loader;
+  cachedTemplates = null;
+  cachedDefinitions = null;
+}
 
 async function loadTemplateDefinitions() {
   if (cachedTemplates) {
     return cachedTemplates;
   }
 
-  const response = await fetch('./scripts/templateBanks/templates.json');
-  if (!response.ok) {
-    throw new Error(`Failed to load templates.json: ${response.status}`);
+  const definitions = await templateLoader();
+  const errors = validateTemplateBank(definitions);
+  if (errors.length > 0) {
+    throw new Error(`templates.json failed validation:\n${formatValidationErrors(errors)}`);
   }
 
-  const definitions = await response.json();
+  cachedDefinitions = definitions;
+
   cachedTemplates = Object.fromEntries(
     Object.entries(definitions).map(([difficulty, templateDefs]) => [
       difficulty,
@@ -33,3 +58,27 @@ export async function getTemplatesByDifficulty(difficulty) {
   }
   return templatesByDifficulty[difficulty];
 }
+
+/**
+ * findTemplate(templateId): { difficulty, template } for the template with that id in any
+ * difficulty, or null when there is none
+ */
+export async function findTemplate(templateId) {
+  const templatesByDifficulty = await loadTemplateDefinitions();
+  for (const [difficulty, templates] of Object.entries(templatesByDifficulty)) {
+    const template = templates.find((candidate) => candidate.id === templateId);
+    if (template) {
+      return { difficulty, template };
+    }
+  }
+  return null;
+}
+
+/**
+ * getTemplateDefinitions(): the validated bank as JSON, { difficulty: [definitions] }, e.g. for
+ * the template editor to start from. Callers must copy a definition before changing it.
+ */
+export async function getTemplateDefinitions() {
+  await loadTemplateDefinitions();
+  return cachedDefinitions;
+}
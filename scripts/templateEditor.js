@@ -0,0 +1,334 @@
+// scripts/templateEditor.js
+// The model behind the template editor: starting points for every part of a template
+// (placeholders, computed fields, rules, conditions, value refs, actions), the live preview of
+// a draft and the JSON to paste into templates.json. A preview fills the statement once and
+// generates a satisfying and a violating grid, each checked with verifyStatementWithGrid and
+// against the formula. DOM-free; templateEditorView.js draws the forms.
+
+import { createTemplateFromDefinition } from './templateHandlers.js';
+import { validateTemplate, CONDITION_OPERANDS, COMPUTED_FIELD_KEYS } from './templateValidator.js';
+import { createBoard, DEFAULT_BOARD_ID } from './board.js';
+import { createSeededRandom, createRandomSeed } from './utils.js';
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * createBlankTemplate(): a small working template to start from, "All {shape1|plural} are
+ * {color1Name}."
+ */
+export function createBlankTemplate() {
+  return {
+    id: 'new_template',
+    placeholders: {
+      shape1: { type: 'shape' },
+      color1: { type: 'color' }
+    },
+    computedFields: [
+      { key: 'color1Name', type: 'colorName', source: 'color1' }
+    ],
+    statement: {
+      text: 'All {shape1|plural} are {color1Name}.',
+      fol: '∀x (Shape(x, {shape1}) → Color(x, {color1Name}))',
+      hint: 'Check the color on every {shape1}.'
+    },
+    rules: [createRule('implication', ['shape1', 'color1'])]
+  };
+}
+
+/**
+ * getDefinedKeys(definition): the placeholder and computed keys a statement or rule can use,
+ * in the order they are defined
+ */
+export function getDefinedKeys(definition) {
+  const placeholders = isPlainObject(definition?.placeholders) ? Object.keys(definition.placeholders) : [];
+  const computed = Array.isArray(definition?.computedFields)
+    ? definition.computedFields.map((field) => field?.key).filter(Boolean)
+    : [];
+  return [...placeholders, ...computed];
+}
+
+// The key a new ref to `property` should use: the first one named after it (color1 for
+// color), else the first key.
+function pickKey(keys, property) {
+  return keys.find((key) => property && key.startsWith(property)) ?? keys[0] ?? '';
+}
+
+/**
+ * createPlaceholder(type): a placeholder definition of `type` with the settings it needs
+ */
+export function createPlaceholder(type) {
+  switch (type) {
+    case 'int':
+      return { type, min: 1, max: 3 };
+    case 'choice':
+      return { type, options: ['left', 'right'] };
+    case 'factor':
+      return { type, options: [2, 3] };
+    default:
+      return { type };
+  }
+}
+
+/**
+ * createComputedField(type, key, keys): a computed field reading the first of `keys`
+ */
+export function createComputedField(type, key, keys = []) {
+  if (type === 'stringTemplate') {
+    return { key, type, template: keys.length ? `{${keys[0]}}` : '' };
+  }
+  const field = { key, type };
+  (COMPUTED_FIELD_KEYS[type] || []).forEach((refField, index) => {
+    field[refField] = keys[index] ?? keys[0] ?? '';
+  });
+  return field;
+}
+
+/**
+ * createValueRef(kind, keys, property): a value ref of `kind`; placeholder refs point at the key
+ * named after `property`, or the first of `keys`
+ */
+export function createValueRef(kind, keys = [], property = null) {
+  switch (kind) {
+    case 'placeholder':
+    case 'placeholderName':
+      return { kind, key: pickKey(keys, property) };
+    case 'cellProperty':
+      return { kind, property: 'shape' };
+    case 'neighborProperty':
+      return { kind, property: 'number' };
+    case 'boundProperty':
+      return { kind, variable: 'x', property: 'number' };
+    case 'constant':
+      return { kind, value: '' };
+    case 'number':
+      return { kind, value: 1 };
+    case 'aggregate':
+      return { kind, fn: 'sum', property: 'number' };
+    default:
+      throw new Error(`Unsupported value ref kind: ${kind}`);
+  }
+}
+
+// What a new operand of a comparison starts as, by its field name. `property` is what the
+// left operand reads, so the right one can pick a matching placeholder.
+function createOperand(field, keys, property) {
+  switch (field) {
+    case 'left':
+      return createValueRef('cellProperty', keys);
+    case 'right':
+      return keys.length ? createValueRef('placeholder', keys, property) : createValueRef('constant', keys);
+    case 'value':
+      return { kind: 'cellProperty', property: 'number' };
+    case 'min':
+      return { kind: 'number', value: 1 };
+    case 'max':
+      return { kind: 'number', value: 5 };
+    case 'parity':
+      return { kind: 'constant', value: 'even' };
+    case 'factor':
+      return { kind: 'number', value: 2 };
+    case 'direction':
+      return { kind: 'constant', value: 'left' };
+    case 'size':
+      return { kind: 'number', value: 2 };
+    default:
+      return createValueRef('constant', keys);
+  }
+}
+
+/**
+ * createCondition(operator, previous, keys): a condition with `operator`. Operands the previous
+ * condition already had are kept, and `all`/`any`/`not` wrap it, so switching the operator
+ * does not throw work away.
+ */
+export function createCondition(operator, previous = null, keys = []) {
+  const inner = previous?.operator === 'not' ? previous.condition : previous;
+  const isLeaf = Boolean(inner) && !['all', 'any', 'not'].includes(inner.operator);
+  switch (operator) {
+    case 'all':
+    case 'any':
+      return {
+        operator,
+        conditions: previous?.conditions ?? [inner ?? createCondition('equals', null, keys)]
+      };
+    case 'not':
+      return { operator, condition: previous ?? createCondition('equals', null, keys) };
+    default: {
+      const operands = CONDITION_OPERANDS[operator];
+      if (!operands) {
+        throw new Error(`Unsupported condition operator: ${operator}`);
+      }
+      const condition = { operator };
+      operands.forEach((field) => {
+        condition[field] = (isLeaf && inner[field]) || createOperand(field, keys, condition.left?.property);
+      });
+      return condition;
+    }
+  }
+}
+
+/**
+ * createAction(name, keys): a cell or neighbor action; placeholders point at the color key, or
+ * the first of `keys`
+ */
+export function createAction(name, keys = []) {
+  switch (name) {
+    case 'setCellProperty':
+    case 'setNeighborProperty':
+      return { action: name, property: 'color', value: createValueRef('placeholder', keys, 'color') };
+    case 'setCellPropertyDistinct':
+    case 'setNeighborPropertyDistinct':
+      return { action: name, property: 'color', fromPlaceholder: pickKey(keys, 'color') };
+    case 'requireRegion':
+      return { action: name, direction: createOperand('direction', keys), size: createOperand('size', keys) };
+    case 'ensureNeighborNumber':
+    case 'setNeighborNumberBreaking':
+      return { action: name, comparison: 'greaterThan', placeholder: pickKey(keys, 'number') };
+    default:
+      throw new Error(`Unsupported action: ${name}`);
+  }
+}
+
+const VARIABLE_NAMES = ['x', 'y', 'z'];
+
+/**
+ * createVariable(index): the variable bound at `index` of a quantified rule; inner ones relate
+ * to the one before
+ */
+export function createVariable(index) {
+  const name = VARIABLE_NAMES[index] ?? `y${index}`;
+  if (index === 0) {
+    return { name, quantifier: 'forall' };
+  }
+  return { name, quantifier: 'exists', relation: { type: 'sameRow' } };
+}
+
+/**
+ * createRule(type, keys): a rule of `type` with the conditions it needs; the engine derives
+ * the actions
+ */
+export function createRule(type, keys = []) {
+  const when = createCondition('equals', null, keys);
+  switch (type) {
+    case 'implication':
+    case 'notAll': {
+      const left = { kind: 'cellProperty', property: 'color' };
+      return { type, when, then: { operator: 'equals', left, right: createOperand('right', keys, 'color') } };
+    }
+    case 'neighborRequirement':
+      return {
+        type,
+        when,
+        neighbor: {
+          direction: { kind: 'constant', value: 'right' },
+          conditions: [{
+            operator: 'greaterThan',
+            left: { kind: 'neighborProperty', property: 'number' },
+            right: { kind: 'cellProperty', property: 'number' }
+          }]
+        }
+      };
+    case 'exists':
+      return { type, where: when };
+    case 'count':
+      return { type, comparison: 'exactly', count: { kind: 'number', value: 2 }, where: when };
+    case 'aggregate':
+      return {
+        type,
+        scope: 'row',
+        condition: {
+          operator: 'greaterThan',
+          left: { kind: 'aggregate', fn: 'sum', property: 'number' },
+          right: { kind: 'number', value: 20 }
+        }
+      };
+    case 'quantified':
+      return {
+        type,
+        variables: [{ ...createVariable(0), where: when }, createVariable(1)],
+        condition: {
+          operator: 'greaterThan',
+          left: { kind: 'cellProperty', property: 'number' },
+          right: { kind: 'boundProperty', variable: 'x', property: 'number' }
+        }
+      };
+    default:
+      throw new Error(`Unsupported rule type: ${type}`);
+  }
+}
+
+// The grid for one side of the preview. When every attempt misses, the last candidate is
+// shown anyway so the author can see what the rules produced.
+function previewGrid(template, details, satisfies, random) {
+  let grid;
+  let generated = true;
+  try {
+    ({ grid } = template.generateGrid(satisfies, details, random));
+  } catch {
+    grid = template.generateCandidateGrid(satisfies, details, random);
+    generated = false;
+  }
+  const explanation = template.explainStatementWithGrid(grid, details);
+  return {
+    satisfies,
+    grid,
+    generated,
+    explanation,
+    verified: template.verifyStatementWithGrid(grid, details) === satisfies,
+    formulaAgrees: template.evaluateFormulaWithGrid(grid, details) === explanation.satisfied
+  };
+}
+
+/**
+ * previewTemplate(definition, { board, seed }): what the draft produces on a board preset:
+ *   { errors, seed, unsupportedBoard, failure, statement, grids: [satisfying, violating] }
+ * `errors` are the validator's; each grid reports whether it was generated within the usual
+ * attempts, whether verifyStatementWithGrid gives the wanted answer (`verified`) and whether
+ * the filled formula agrees with the rules (`formulaAgrees`). `failure` is the message of
+ * anything that threw.
+ */
+export function previewTemplate(definition, { board: boardId = DEFAULT_BOARD_ID, seed = createRandomSeed() } = {}) {
+  const preview = { errors: validateTemplate(definition), seed, unsupportedBoard: false, failure: null, statement: null, grids: [] };
+  if (preview.errors.length > 0) {
+    return preview;
+  }
+  try {
+    const template = createTemplateFromDefinition(definition);
+    const board = createBoard(boardId);
+    if (!template.supportsBoard(board)) {
+      preview.unsupportedBoard = true;
+      return preview;
+    }
+    const random = createSeededRandom(seed);
+    preview.statement = template.generateStatements(random, board);
+    preview.grids = [true, false].map((satisfies) => previewGrid(template, preview.statement.details, satisfies, random));
+  } catch (error) {
+    preview.failure = error.message;
+  }
+  return preview;
+}
+
+/**
+ * formatTemplateJson(definition): the template as it is written in templates.json
+ */
+export function formatTemplateJson(definition) {
+  return JSON.stringify(definition, null, 2);
+}
+
+/**
+ * parseTemplateJson(text): a template from JSON text; throws when it is not a JSON object
+ */
+export function parseTemplateJson(text) {
+  let definition;
+  try {
+    definition = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`The template JSON does not parse: ${error.message}`);
+  }
+  if (!isPlainObject(definition)) {
+    throw new Error('A template must be a JSON object.');
+  }
+  return definition;
+}
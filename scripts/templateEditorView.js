@@ -0,0 +1,955 @@
+// scripts/templateEditorView.js
+// The template editor screen: forms for a template's placeholders, computed fields, statement
+// and rules, a live preview of what the draft generates, and the JSON to paste into
+// templates.json. The forms edit one plain JSON draft in place; every control knows its path
+// inside it. Defaults and the preview come from templateEditor.js.
+
+import {
+    createBlankTemplate, getDefinedKeys, createPlaceholder, createComputedField, createValueRef,
+    createCondition, createAction, createVariable, createRule, previewTemplate, formatTemplateJson,
+    parseTemplateJson
+} from './templateEditor.js';
+import {
+    PLACEHOLDER_TYPES, COMPUTED_FIELD_KEYS, CONDITION_OPERANDS, VALUE_REF_KINDS, RULE_TYPES, QUANTIFIERS,
+    CELL_ACTIONS, NEIGHBOR_ACTIONS, AGGREGATE_FUNCTIONS, AGGREGATE_REF_SCOPES, AGGREGATE_RULE_SCOPES,
+    COMPARISONS, COUNT_COMPARISONS
+} from './templateValidator.js';
+import { getTemplateDefinitions } from './statementGenerator.js';
+import { getAttribute, getAttributeNames } from './attributes.js';
+import { RELATIONS } from './relations.js';
+import { BOARD_PRESETS, DEFAULT_BOARD_ID } from './board.js';
+import { describeExplanation } from './explanations.js';
+import { renderGridSvg } from './worksheet.js';
+import { createRandomSeed } from './utils.js';
+import { t, getLocales, DEFAULT_LOCALE } from './i18n.js';
+
+const STORAGE_KEY = 'fol-game-template-draft';
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const PREVIEW_DELAY_MS = 400;
+const PREVIEW_CELL_SIZE = 30;
+
+// How each rule type is laid out: [field path, editor, shown for this rule?]. Editors are
+// named below in renderRuleField(); a plain array is a choice between those values. Actions
+// are optional everywhere: the engine derives whatever a rule leaves out from its conditions.
+const IMPLICATION_FIELDS = [
+    ['when', 'condition'], ['then', 'optionalCondition'], ['actions', 'optionalCellActions'],
+    ['breakAntecedent', 'optionalCellAction'], ['violation', 'optionalCellAction']
+];
+
+const RULE_FIELDS = {
+    implication: IMPLICATION_FIELDS,
+    neighborRequirement: [
+        ['when', 'condition'], ['breakAntecedent', 'optionalCellAction'], ['neighbor.direction', 'valueRef'],
+        ['neighbor.conditions', 'conditions'], ['neighbor.satisfy', 'optionalNeighborActions'],
+        ['neighbor.violation', 'optionalNeighborAction']
+    ],
+    exists: [['where', 'condition'], ['falsify', 'optionalCellAction']],
+    count: [
+        ['comparison', COUNT_COMPARISONS], ['count', 'valueRef'], ['where', 'condition'],
+        ['falsify', 'optionalCellAction']
+    ],
+    notAll: IMPLICATION_FIELDS,
+    aggregate: [
+        ['scope', 'aggregateScope'],
+        ['direction', 'valueRef', (rule) => rule.scope === 'region'],
+        ['size', 'valueRef', (rule) => rule.scope === 'region'],
+        ['condition', 'condition'], ['falsify', 'optionalCellAction']
+    ],
+    quantified: [['variables', 'variables'], ['condition', 'condition']]
+};
+
+let draft = null;
+let difficulty = DIFFICULTIES[0];
+let previewSeed = createRandomSeed();
+let previewTimer = null;
+let bank = null;
+let nextControlId = 0;
+
+let editorPanel = null;
+let formEl = null;
+let startSelect = null;
+let boardSelect = null;
+let previewEl = null;
+let jsonInput = null;
+let messageEl = null;
+
+/**
+ * initTemplateEditorView(): wires the Templates button and the editor screen once
+ */
+export function initTemplateEditorView() {
+    editorPanel = document.getElementById('editor-panel');
+    formEl = document.getElementById('editor-form');
+    startSelect = document.getElementById('editor-start');
+    boardSelect = document.getElementById('editor-board');
+    previewEl = document.getElementById('editor-preview');
+    jsonInput = document.getElementById('editor-json');
+    messageEl = document.getElementById('editor-message');
+
+    const handlers = {
+        'editor-button': showTemplateEditorView,
+        'editor-close': hideTemplateEditorView,
+        'editor-load': loadStartingPoint,
+        'editor-sample': () => {
+            previewSeed = createRandomSeed();
+            renderPreview();
+        },
+        'editor-apply': applyJson,
+        'editor-copy': copyJson,
+        'editor-download': downloadJson
+    };
+    Object.entries(handlers).forEach(([id, handler]) => {
+        const button = document.getElementById(id);
+        if (button) {
+            button.addEventListener('click', handler);
+        }
+    });
+    if (boardSelect) {
+        boardSelect.addEventListener('change', renderPreview);
+    }
+}
+
+/**
+ * showTemplateEditorView(): opens the editor on the draft from last time, or a small example
+ */
+export async function showTemplateEditorView() {
+    if (!draft) {
+        loadSavedDraft();
+    }
+    renderBoardOptions();
+    renderForm();
+    showJson();
+    renderPreview();
+    showMessage('', null);
+    if (editorPanel) {
+        editorPanel.hidden = false;
+    }
+    await renderStartOptions();
+}
+
+export function hideTemplateEditorView() {
+    if (editorPanel) {
+        editorPanel.hidden = true;
+    }
+    clearTimeout(previewTimer);
+}
+
+function loadSavedDraft() {
+    try {
+        const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+        if (saved && saved.definition && typeof saved.definition === 'object') {
+            draft = saved.definition;
+            difficulty = DIFFICULTIES.includes(saved.difficulty) ? saved.difficulty : difficulty;
+            return;
+        }
+    } catch (error) {
+        console.warn('Ignoring the saved template draft:', error);
+    }
+    draft = createBlankTemplate();
+}
+
+function saveDraft() {
+    try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ difficulty, definition: draft }));
+    } catch (error) {
+        console.warn('Could not save the template draft:', error);
+    }
+}
+
+function showMessage(message, isError) {
+    if (!messageEl) {
+        return;
+    }
+    messageEl.textContent = message;
+    messageEl.hidden = !message;
+    messageEl.classList.toggle('truth-feedback-incorrect', isError === true);
+    messageEl.classList.toggle('truth-feedback-correct', isError === false);
+}
+
+// Rebuilt on every open: the language may have changed since
+function renderBoardOptions() {
+    if (!boardSelect) {
+        return;
+    }
+    const selected = boardSelect.value || DEFAULT_BOARD_ID;
+    boardSelect.innerHTML = '';
+    Object.keys(BOARD_PRESETS).forEach((id) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = t(`board.${id}`);
+        boardSelect.appendChild(option);
+    });
+    boardSelect.value = selected;
+}
+
+// "Start from": an empty example or any template of the bank, grouped by difficulty.
+async function renderStartOptions() {
+    if (!startSelect) {
+        return;
+    }
+    try {
+        bank = bank || await getTemplateDefinitions();
+    } catch (error) {
+        console.error('Could not load the template bank:', error);
+        bank = {};
+    }
+    const selected = startSelect.value;
+    startSelect.innerHTML = '';
+    const blank = document.createElement('option');
+    blank.value = '';
+    blank.textContent = t('editor.blank');
+    startSelect.appendChild(blank);
+    Object.entries(bank).forEach(([level, definitions]) => {
+        const group = document.createElement('optgroup');
+        group.label = t(`difficulty.${level}`);
+        definitions.forEach((definition) => {
+            const option = document.createElement('option');
+            option.value = `${level}/${definition.id}`;
+            option.textContent = definition.id;
+            group.appendChild(option);
+        });
+        startSelect.appendChild(group);
+    });
+    startSelect.value = selected;
+}
+
+function loadStartingPoint() {
+    const [level, id] = (startSelect ? startSelect.value : '').split('/');
+    const definition = id ? bank[level]?.find((candidate) => candidate.id === id) : null;
+    draft = definition ? structuredClone(definition) : createBlankTemplate();
+    difficulty = definition ? level : difficulty;
+    draftChanged(true);
+    showMessage(t('editor.loaded', { id: draft.id }), false);
+}
+
+// Paths -------------------------------------------------------------------------------------
+
+function getAt(path) {
+    return path.reduce((node, key) => (node === undefined || node === null ? undefined : node[key]), draft);
+}
+
+function setAt(path, value) {
+    let node = draft;
+    path.slice(0, -1).forEach((key, index) => {
+        if (node[key] === undefined || node[key] === null) {
+            node[key] = typeof path[index + 1] === 'number' ? [] : {};
+        }
+        node = node[key];
+    });
+    node[path[path.length - 1]] = value;
+}
+
+function removeAt(path) {
+    const parent = getAt(path.slice(0, -1));
+    const key = path[path.length - 1];
+    if (Array.isArray(parent)) {
+        parent.splice(key, 1);
+    } else if (parent) {
+        delete parent[key];
+    }
+}
+
+/**
+ * changeDraft(path, value, rebuild): stores one edit; undefined removes the field. Structural
+ * edits (another operator, rule type, an added item) rebuild the form.
+ */
+function changeDraft(path, value, rebuild = false) {
+    if (value === undefined) {
+        removeAt(path);
+    } else {
+        setAt(path, value);
+    }
+    draftChanged(rebuild);
+}
+
+function draftChanged(rebuild) {
+    if (rebuild) {
+        renderForm();
+    }
+    saveDraft();
+    showJson();
+    clearTimeout(previewTimer);
+    previewTimer = setTimeout(renderPreview, PREVIEW_DELAY_MS);
+}
+
+// Controls ----------------------------------------------------------------------------------
+
+function createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) {
+        element.className = className;
+    }
+    if (text !== undefined) {
+        element.textContent = text;
+    }
+    return element;
+}
+
+function createCode(text) {
+    return createElement('code', 'editor-key', text);
+}
+
+// Constants hold words ('even', 'left', '#ff82a9') or numbers.
+function parseScalar(text) {
+    return /^-?\d+(\.\d+)?$/.test(text.trim()) ? Number(text) : text;
+}
+
+function textControl(path, { numeric = false, optional = false, parse = parseScalar, format = String } = {}) {
+    const input = createElement('input', 'write-input editor-input');
+    input.type = numeric ? 'number' : 'text';
+    input.id = `editor-control-${nextControlId++}`;
+    input.dataset.path = path.join('.');
+    const value = getAt(path);
+    input.value = value === undefined ? '' : format(value);
+    input.addEventListener('input', () => {
+        if (input.value === '' && optional) {
+            changeDraft(path, undefined);
+        } else if (numeric) {
+            changeDraft(path, input.value === '' ? '' : Number(input.value));
+        } else {
+            changeDraft(path, parse(input.value));
+        }
+    });
+    return input;
+}
+
+// A comma-separated list, e.g. the options of a choice placeholder.
+function listControl(path, { optional = false } = {}) {
+    return textControl(path, {
+        optional,
+        parse: (text) => text.split(',').map((item) => parseScalar(item.trim())).filter((item) => item !== ''),
+        format: (value) => (Array.isArray(value) ? value.join(', ') : String(value))
+    });
+}
+
+// `onSelect(value)` replaces the default of storing the value; '' means "leave it out" when
+// `optional` is set. A value missing from `values` (typed into the JSON) is still shown.
+function selectControl(path, values, { onSelect, optional = false } = {}) {
+    const select = createElement('select', 'control-select editor-select');
+    select.id = `editor-control-${nextControlId++}`;
+    select.dataset.path = path.join('.');
+    const current = getAt(path);
+    const choices = [...(optional ? [''] : []), ...values];
+    if (current !== undefined && !choices.includes(current)) {
+        choices.push(current);
+    }
+    choices.forEach((value) => {
+        const option = createElement('option', null, value === '' ? t('editor.none') : String(value));
+        option.value = String(value);
+        select.appendChild(option);
+    });
+    select.value = current === undefined ? '' : String(current);
+    select.addEventListener('change', () => {
+        const value = choices.find((choice) => String(choice) === select.value);
+        if (onSelect) {
+            onSelect(value);
+        } else {
+            changeDraft(path, value === '' ? undefined : value);
+        }
+    });
+    return select;
+}
+
+function checkboxControl(checked, onToggle) {
+    const input = createElement('input');
+    input.type = 'checkbox';
+    input.checked = checked;
+    input.addEventListener('change', () => onToggle(input.checked));
+    return input;
+}
+
+// A named single control: <label><code>name</code> control</label>
+function field(name, control) {
+    const label = createElement('label', 'editor-field');
+    label.htmlFor = control.id;
+    label.append(createCode(name), control);
+    return label;
+}
+
+// A named nested part of the template, e.g. a condition or a list of actions.
+function group(name, ...content) {
+    const fieldset = createElement('fieldset', 'editor-group');
+    const legend = createElement('legend');
+    legend.appendChild(createCode(name));
+    fieldset.append(legend, ...content);
+    return fieldset;
+}
+
+function row(...controls) {
+    const element = createElement('div', 'editor-row');
+    element.append(...controls);
+    return element;
+}
+
+function button(text, onClick, className = 'hint-button editor-button') {
+    const element = createElement('button', className, text);
+    element.type = 'button';
+    element.addEventListener('click', onClick);
+    return element;
+}
+
+// The items of a list the author can add to and remove from; `create(index)` makes a new item.
+function listItems(path, render, create) {
+    const items = getAt(path) || [];
+    const box = createElement('div', 'editor-node');
+    items.forEach((item, index) => {
+        const entry = createElement('div', 'editor-entry');
+        entry.append(render([...path, index]), button(t('editor.remove'), () => {
+            removeAt([...path, index]);
+            draftChanged(true);
+        }));
+        box.appendChild(entry);
+    });
+    box.appendChild(button(t('editor.add'), () => {
+        changeDraft(path, [...items, create(items.length)], true);
+    }));
+    return box;
+}
+
+function listEditor(name, path, render, create) {
+    return group(name, listItems(path, render, create));
+}
+
+// A part the template may leave out, such as `breakAntecedent`.
+function optionalEditor(name, path, render, create) {
+    const present = getAt(path) !== undefined;
+    const toggle = createElement('label', 'pattern-toggle');
+    toggle.append(
+        checkboxControl(present, (checked) => changeDraft(path, checked ? create() : undefined, true)),
+        createElement('span', null, t('editor.include'))
+    );
+    const fieldset = group(name, toggle);
+    if (present) {
+        fieldset.appendChild(render(path));
+    }
+    return fieldset;
+}
+
+// Form sections -----------------------------------------------------------------------------
+
+function renderForm() {
+    if (!formEl) {
+        return;
+    }
+    const focusedPath = document.activeElement?.dataset?.path;
+    formEl.innerHTML = '';
+    formEl.append(renderBasics(), renderPlaceholders(), renderComputedFields(), renderStatement(), renderRules());
+    // Rebuilding replaces every control, so focus goes back to the one that was being edited
+    if (focusedPath) {
+        const control = Array.from(formEl.querySelectorAll('[data-path]'))
+            .find((candidate) => candidate.dataset.path === focusedPath);
+        if (control) {
+            control.focus();
+        }
+    }
+}
+
+function section(headingKey, ...content) {
+    const element = createElement('section', 'editor-section');
+    element.append(createElement('h3', 'editor-heading', t(headingKey)), ...content);
+    return element;
+}
+
+function getCellProperties() {
+    return ['number', ...getAttributeNames()];
+}
+
+function renderBasics() {
+    const difficultySelect = createElement('select', 'control-select editor-select');
+    difficultySelect.id = `editor-control-${nextControlId++}`;
+    DIFFICULTIES.forEach((level) => {
+        const option = createElement('option', null, t(`difficulty.${level}`));
+        option.value = level;
+        difficultySelect.appendChild(option);
+    });
+    difficultySelect.value = difficulty;
+    difficultySelect.addEventListener('change', () => {
+        difficulty = difficultySelect.value;
+        saveDraft();
+    });
+
+    // Optional attributes (size, fill) must be listed so the template stays off other boards
+    const attributes = getAttributeNames().filter((name) => getAttribute(name).optional).map((name) => {
+        const toggle = createElement('label', 'pattern-toggle');
+        const listed = (draft.board?.attributes || []).includes(name);
+        toggle.append(
+            checkboxControl(listed, (checked) => {
+                const others = (draft.board?.attributes || []).filter((attribute) => attribute !== name);
+                const next = checked ? [...others, name] : others;
+                if (next.length > 0) {
+                    changeDraft(['board', 'attributes'], next);
+                } else {
+                    removeAt(['board', 'attributes']);
+                    changeDraft(['board'], Object.keys(draft.board || {}).length ? draft.board : undefined);
+                }
+            }),
+            createCode(name)
+        );
+        return toggle;
+    });
+
+    return section(
+        'editor.basics',
+        row(field('id', textControl(['id'])), field(t('editor.difficulty'), difficultySelect)),
+        group('board.attributes', row(...attributes))
+    );
+}
+
+function renamePlaceholder(from, to) {
+    if (!to || to === from || Object.hasOwn(draft.placeholders, to)) {
+        return false;
+    }
+    draft.placeholders = Object.fromEntries(
+        Object.entries(draft.placeholders).map(([key, definition]) => [key === from ? to : key, definition])
+    );
+    draftChanged(true);
+    return true;
+}
+
+function renderPlaceholderSettings(key, definition, earlierKeys) {
+    const path = ['placeholders', key];
+    switch (definition.type) {
+        case 'number':
+        case 'int':
+            return [
+                row(
+                    field('min', textControl([...path, 'min'], { numeric: true, optional: true })),
+                    field('max', textControl([...path, 'max'], { numeric: true, optional: true }))
+                ),
+                row(
+                    field('minRef', selectControl([...path, 'minRef'], earlierKeys, { optional: true })),
+                    field('minOffset', textControl([...path, 'minOffset'], { numeric: true, optional: true })),
+                    field('maxRef', selectControl([...path, 'maxRef'], earlierKeys, { optional: true })),
+                    field('maxOffset', textControl([...path, 'maxOffset'], { numeric: true, optional: true }))
+                )
+            ];
+        case 'choice':
+        case 'comparison':
+        case 'factor':
+            return [field('options', listControl([...path, 'options'], { optional: definition.type !== 'choice' }))];
+        case 'parity':
+            return [];
+        default:
+            return [field('excludePlaceholders', listControl([...path, 'excludePlaceholders'], { optional: true }))];
+    }
+}
+
+function renderPlaceholders() {
+    const placeholders = draft.placeholders || {};
+    const keys = Object.keys(placeholders);
+    const types = [...getAttributeNames(), ...PLACEHOLDER_TYPES];
+    const entries = keys.map((key, index) => {
+        const definition = placeholders[key];
+        const keyInput = createElement('input', 'write-input editor-input');
+        keyInput.type = 'text';
+        keyInput.id = `editor-control-${nextControlId++}`;
+        keyInput.dataset.path = `placeholders.${key}`;
+        keyInput.value = key;
+        // Renamed when the author leaves the box, not on every keystroke
+        keyInput.addEventListener('change', () => {
+            if (!renamePlaceholder(key, keyInput.value.trim())) {
+                keyInput.value = key;
+            }
+        });
+        const entry = createElement('div', 'editor-entry');
+        entry.append(
+            row(
+                field(t('editor.key'), keyInput),
+                field('type', selectControl(['placeholders', key, 'type'], types, {
+                    onSelect: (type) => changeDraft(['placeholders', key], createPlaceholder(type), true)
+                }))
+            ),
+            ...renderPlaceholderSettings(key, definition, keys.slice(0, index)),
+            button(t('editor.remove'), () => {
+                removeAt(['placeholders', key]);
+                draftChanged(true);
+            })
+        );
+        return entry;
+    });
+    const add = button(t('editor.add'), () => {
+        let number = keys.length + 1;
+        while (Object.hasOwn(placeholders, `value${number}`)) {
+            number += 1;
+        }
+        changeDraft(['placeholders'], { ...placeholders, [`value${number}`]: createPlaceholder('number') }, true);
+    });
+    return section('editor.placeholders', ...entries, add);
+}
+
+function getOtherLocales() {
+    return getLocales().map(({ code }) => code).filter((code) => code !== DEFAULT_LOCALE);
+}
+
+function renderComputedFields() {
+    const fields = draft.computedFields || [];
+    const placeholderKeys = Object.keys(draft.placeholders || {});
+    const editor = listEditor('computedFields', ['computedFields'], (path) => {
+        const index = path[path.length - 1];
+        const computed = fields[index];
+        const earlierKeys = [...placeholderKeys, ...fields.slice(0, index).map((item) => item.key).filter(Boolean)];
+        const parts = [row(
+            field('key', textControl([...path, 'key'])),
+            field('type', selectControl([...path, 'type'], Object.keys(COMPUTED_FIELD_KEYS), {
+                onSelect: (type) => changeDraft(path, createComputedField(type, computed.key, earlierKeys), true)
+            }))
+        )];
+        if (computed.type === 'stringTemplate') {
+            parts.push(field('template', textControl([...path, 'template'])));
+            getOtherLocales().forEach((locale) => {
+                parts.push(field(`translations.${locale}`, textControl([...path, 'translations', locale], { optional: true })));
+            });
+        } else {
+            parts.push(row(...(COMPUTED_FIELD_KEYS[computed.type] || []).map((refField) =>
+                field(refField, selectControl([...path, refField], earlierKeys)))));
+        }
+        const box = createElement('div', 'editor-node');
+        box.append(...parts);
+        return box;
+    }, (index) => createComputedField('colorName', `computed${index + 1}`, placeholderKeys));
+    return section('editor.computedFields', editor);
+}
+
+function renderStatement() {
+    const texts = ['text', 'fol', 'hint'].map((name) =>
+        field(name, textControl(['statement', name], { optional: name === 'hint', parse: String })));
+    const translations = getOtherLocales().map((locale) => group(
+        `translations.${locale}`,
+        ...['text', 'hint'].map((name) =>
+            field(name, textControl(['statement', 'translations', locale, name], { optional: true, parse: String })))
+    ));
+    return section('editor.statement', createElement('p', 'editor-note', t('editor.statementNote')), ...texts, ...translations);
+}
+
+function renderRules() {
+    return section(
+        'editor.rules',
+        createElement('p', 'editor-note', t('editor.rulesNote')),
+        listEditor('rules', ['rules'], (path) => ruleEditor(path), () => createRule('implication', getDefinedKeys(draft)))
+    );
+}
+
+// Rules, conditions, value refs and actions -------------------------------------------------
+
+function ruleEditor(path) {
+    const keys = getDefinedKeys(draft);
+    const rule = getAt(path);
+    const box = createElement('div', 'editor-node');
+    box.appendChild(field('type', selectControl([...path, 'type'], RULE_TYPES, {
+        onSelect: (type) => changeDraft(path, createRule(type, keys), true)
+    })));
+    (RULE_FIELDS[rule.type] || []).forEach(([name, editor, shown]) => {
+        if (!shown || shown(rule)) {
+            box.appendChild(renderRuleField(name, [...path, ...name.split('.')], editor, keys));
+        }
+    });
+    return box;
+}
+
+function renderRuleField(name, path, editor, keys) {
+    const newCondition = () => createCondition('equals', null, keys);
+    switch (editor) {
+        case 'condition':
+            return group(name, conditionEditor(path, keys));
+        case 'conditions':
+            return listEditor(name, path, (itemPath) => conditionEditor(itemPath, keys), newCondition);
+        case 'valueRef':
+            return group(name, valueRefEditor(path, keys));
+        case 'optionalCondition':
+            return optionalEditor(name, path, (itemPath) => conditionEditor(itemPath, keys), newCondition);
+        case 'optionalCellActions':
+            return optionalEditor(name, path,
+                (itemPath) => listItems(itemPath, (actionPath) => actionEditor(actionPath, CELL_ACTIONS, keys),
+                    () => createAction(CELL_ACTIONS[0], keys)),
+                () => [createAction(CELL_ACTIONS[0], keys)]);
+        case 'optionalNeighborActions':
+            return optionalEditor(name, path,
+                (itemPath) => listItems(itemPath, (actionPath) => actionEditor(actionPath, NEIGHBOR_ACTIONS, keys),
+                    () => createAction(NEIGHBOR_ACTIONS[0], keys)),
+                () => [createAction(NEIGHBOR_ACTIONS[0], keys)]);
+        case 'optionalCellAction':
+            return optionalEditor(name, path, (itemPath) => actionEditor(itemPath, CELL_ACTIONS, keys),
+                () => createAction('setCellPropertyDistinct', keys));
+        case 'optionalNeighborAction':
+            return optionalEditor(name, path, (itemPath) => actionEditor(itemPath, NEIGHBOR_ACTIONS, keys),
+                () => createAction('setNeighborNumberBreaking', keys));
+        case 'variables':
+            return listEditor(name, path, (itemPath) => variableEditor(itemPath, keys), createVariable);
+        case 'aggregateScope':
+            return field(name, selectControl(path, AGGREGATE_RULE_SCOPES, {
+                // Only region aggregates have a direction and size
+                onSelect: (scope) => {
+                    const rule = getAt(path.slice(0, -1));
+                    const { direction, size } = createCondition('inRegion', null, keys);
+                    rule.scope = scope;
+                    if (scope === 'region') {
+                        rule.direction = rule.direction ?? direction;
+                        rule.size = rule.size ?? size;
+                    } else {
+                        delete rule.direction;
+                        delete rule.size;
+                    }
+                    draftChanged(true);
+                }
+            }));
+        default:
+            return field(name, selectControl(path, editor));
+    }
+}
+
+function conditionEditor(path, keys) {
+    const condition = getAt(path) || {};
+    const box = createElement('div', 'editor-node');
+    box.appendChild(field('operator', selectControl([...path, 'operator'], ['all', 'any', 'not', ...Object.keys(CONDITION_OPERANDS)], {
+        onSelect: (operator) => changeDraft(path, createCondition(operator, condition, keys), true)
+    })));
+    switch (condition.operator) {
+        case 'all':
+        case 'any':
+            box.appendChild(listEditor('conditions', [...path, 'conditions'],
+                (itemPath) => conditionEditor(itemPath, keys), () => createCondition('equals', null, keys)));
+            break;
+        case 'not':
+            box.appendChild(group('condition', conditionEditor([...path, 'condition'], keys)));
+            break;
+        default:
+            (CONDITION_OPERANDS[condition.operator] || []).forEach((operand) => {
+                box.appendChild(group(operand, valueRefEditor([...path, operand], keys)));
+            });
+    }
+    return box;
+}
+
+function valueRefEditor(path, keys) {
+    const ref = getAt(path) || {};
+    const kindSelect = field('kind', selectControl([...path, 'kind'], VALUE_REF_KINDS, {
+        onSelect: (kind) => changeDraft(path, createValueRef(kind, keys), true)
+    }));
+    const properties = getCellProperties();
+    const box = createElement('div', 'editor-node editor-ref');
+    switch (ref.kind) {
+        case 'placeholder':
+        case 'placeholderName':
+            box.appendChild(row(kindSelect, field('key', selectControl([...path, 'key'], keys))));
+            break;
+        case 'cellProperty':
+        case 'neighborProperty':
+            box.appendChild(row(kindSelect, field('property', selectControl([...path, 'property'], properties))));
+            break;
+        case 'boundProperty':
+            box.appendChild(row(
+                kindSelect,
+                field('variable', textControl([...path, 'variable'], { parse: String })),
+                field('property', selectControl([...path, 'property'], properties))
+            ));
+            break;
+        case 'constant':
+            box.appendChild(row(kindSelect, field('value', textControl([...path, 'value']))));
+            break;
+        case 'number':
+            box.appendChild(row(kindSelect, field('value', textControl([...path, 'value'], { numeric: true }))));
+            break;
+        case 'aggregate':
+            box.append(
+                row(
+                    kindSelect,
+                    field('fn', selectControl([...path, 'fn'], AGGREGATE_FUNCTIONS)),
+                    field('property', selectControl([...path, 'property'], properties, { optional: true })),
+                    field('scope', selectControl([...path, 'scope'], AGGREGATE_REF_SCOPES, { optional: true }))
+                ),
+                optionalEditor('where', [...path, 'where'], (wherePath) => conditionEditor(wherePath, keys),
+                    () => createCondition('equals', null, keys))
+            );
+            break;
+        default:
+            box.appendChild(kindSelect);
+    }
+    return box;
+}
+
+function actionEditor(path, actions, keys) {
+    const action = getAt(path) || {};
+    const properties = getCellProperties();
+    const box = createElement('div', 'editor-node');
+    const name = field('action', selectControl([...path, 'action'], actions, {
+        onSelect: (value) => changeDraft(path, createAction(value, keys), true)
+    }));
+    switch (action.action) {
+        case 'setCellProperty':
+        case 'setNeighborProperty':
+            box.append(
+                row(name, field('property', selectControl([...path, 'property'], properties))),
+                group('value', valueRefEditor([...path, 'value'], keys))
+            );
+            break;
+        case 'setCellPropertyDistinct':
+        case 'setNeighborPropertyDistinct':
+            box.appendChild(row(
+                name,
+                field('property', selectControl([...path, 'property'], properties)),
+                field('fromPlaceholder', selectControl([...path, 'fromPlaceholder'], keys))
+            ));
+            break;
+        case 'requireRegion':
+            box.append(
+                name,
+                group('direction', valueRefEditor([...path, 'direction'], keys)),
+                group('size', valueRefEditor([...path, 'size'], keys))
+            );
+            break;
+        case 'ensureNeighborNumber':
+        case 'setNeighborNumberBreaking':
+            box.appendChild(row(
+                name,
+                field('comparison', selectControl([...path, 'comparison'], COMPARISONS)),
+                field('placeholder', selectControl([...path, 'placeholder'], keys))
+            ));
+            break;
+        default:
+            box.appendChild(name);
+    }
+    return box;
+}
+
+function variableEditor(path, keys) {
+    const index = path[path.length - 1];
+    const variables = getAt(path.slice(0, -1));
+    const variable = variables[index];
+    const box = createElement('div', 'editor-node');
+    box.appendChild(row(
+        field('name', textControl([...path, 'name'], { parse: String })),
+        field('quantifier', selectControl([...path, 'quantifier'], QUANTIFIERS))
+    ));
+    // The outermost variable has nothing to relate to
+    if (index > 0) {
+        const earlierNames = variables.slice(0, index).map((item) => item.name);
+        const relationPath = [...path, 'relation'];
+        const relationRow = row(field('relation.type', selectControl([...relationPath, 'type'], Object.keys(RELATIONS), {
+            optional: true,
+            onSelect: (type) => {
+                const distance = RELATIONS[type]?.takesDistance ? { kind: 'number', value: 1 } : undefined;
+                changeDraft(relationPath, type ? { type, ...(distance ? { distance } : {}) } : undefined, true);
+            }
+        })));
+        if (variable.relation) {
+            relationRow.appendChild(field('relation.of', selectControl([...relationPath, 'of'], earlierNames, { optional: true })));
+        }
+        box.appendChild(relationRow);
+        if (RELATIONS[variable.relation?.type]?.takesDistance) {
+            box.appendChild(group('relation.distance', valueRefEditor([...relationPath, 'distance'], keys)));
+        }
+    }
+    box.appendChild(optionalEditor('where', [...path, 'where'], (wherePath) => conditionEditor(wherePath, keys),
+        () => createCondition('equals', null, keys)));
+    return box;
+}
+
+// Preview and JSON --------------------------------------------------------------------------
+
+function renderCheck(passed, message) {
+    return createElement('li', passed ? 'editor-check-passed' : 'editor-check-failed', message);
+}
+
+function renderPreviewGrid(side) {
+    const figure = createElement('figure', 'editor-preview-grid');
+    const caption = createElement('figcaption', 'fol-label', t(side.satisfies ? 'editor.satisfying' : 'editor.violating'));
+    const picture = createElement('div', 'editor-preview-svg');
+    picture.innerHTML = renderGridSvg(side.grid, {
+        idPrefix: `editor-${side.satisfies}`,
+        cellSize: PREVIEW_CELL_SIZE,
+        patterns: document.body.classList.contains('color-patterns')
+    });
+    const checks = createElement('ul', 'editor-checks');
+    const result = t(`truthValue.${side.verified ? side.satisfies : !side.satisfies}`);
+    checks.append(
+        renderCheck(side.verified, t(side.verified ? 'editor.checkPassed' : 'editor.checkFailed', { result })),
+        renderCheck(side.formulaAgrees, t(side.formulaAgrees ? 'editor.formulaAgrees' : 'editor.formulaDisagrees'))
+    );
+    if (!side.generated) {
+        checks.appendChild(renderCheck(false, t('editor.missed')));
+    }
+    const { summary, steps } = describeExplanation(side.explanation, side.grid);
+    figure.append(caption, picture, checks, createElement('p', 'editor-note', [summary, steps[0]].filter(Boolean).join(' ')));
+    return figure;
+}
+
+function renderPreview() {
+    clearTimeout(previewTimer);
+    if (!previewEl || !draft) {
+        return;
+    }
+    const preview = previewTemplate(draft, { board: boardSelect?.value || DEFAULT_BOARD_ID, seed: previewSeed });
+    previewEl.innerHTML = '';
+    if (preview.errors.length > 0) {
+        const list = createElement('ul', 'editor-errors');
+        preview.errors.forEach(({ path, message }) => {
+            list.appendChild(createElement('li', 'editor-check-failed', `${path}: ${message}`));
+        });
+        previewEl.append(createElement('p', 'statement-heading', t('editor.errors', { count: preview.errors.length })), list);
+        return;
+    }
+    if (preview.unsupportedBoard || preview.failure) {
+        const message = preview.failure
+            ? t('editor.failed', { error: preview.failure })
+            : t('editor.unsupportedBoard');
+        previewEl.appendChild(createElement('p', 'truth-feedback truth-feedback-incorrect', message));
+        return;
+    }
+
+    const { naturalLanguageStatement, formalFOLStatement, hint } = preview.statement;
+    const statement = createElement('div', 'editor-preview-statement');
+    statement.append(
+        createElement('p', 'statement-display', naturalLanguageStatement),
+        createElement('p', 'editor-fol', formalFOLStatement)
+    );
+    if (hint) {
+        statement.appendChild(createElement('p', 'editor-note', hint));
+    }
+    const grids = createElement('div', 'editor-preview-grids');
+    try {
+        grids.append(...preview.grids.map(renderPreviewGrid));
+    } catch (error) {
+        // e.g. a rule that wrote a number into a color
+        grids.appendChild(createElement('p', 'truth-feedback truth-feedback-incorrect', t('editor.failed', { error: error.message })));
+    }
+    previewEl.append(statement, grids);
+}
+
+// The JSON box follows the form, except while the author is typing in it
+function showJson() {
+    if (jsonInput && document.activeElement !== jsonInput) {
+        jsonInput.value = formatTemplateJson(draft);
+    }
+}
+
+function applyJson() {
+    try {
+        draft = parseTemplateJson(jsonInput ? jsonInput.value : '');
+    } catch (error) {
+        showMessage(error.message, true);
+        return;
+    }
+    draftChanged(true);
+    showMessage(t('editor.applied'), false);
+}
+
+async function copyJson() {
+    const json = formatTemplateJson(draft);
+    try {
+        await navigator.clipboard.writeText(json);
+        showMessage(t('editor.copied', { difficulty }), false);
+    } catch (error) {
+        console.error('Could not copy the template:', error);
+        showMessage(t('editor.copyFailed'), true);
+    }
+}
+
+function downloadJson() {
+    const blob = new Blob([`${formatTemplateJson(draft)}\n`], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${draft.id || 'template'}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(link.href);
+}
@@ -4,12 +4,15 @@
 import {
   getRandomElement,
   randomIntFromInterval,
+  shuffleArray,
   getColorName,
-  shapes,
-  colors,
-  numbers,
-  gridSize
+  isInRegion
 } from './utils.js';
+import { evaluateFormula } from './fol.js';
+import { relates } from './relations.js';
+import { DEFAULT_BOARD, supportsBoard } from './board.js';
+import { getAttribute } from './attributes.js';
+import { getLocale, getWord, fillText, t, DEFAULT_LOCALE } from './i18n.js';
 
 function fillTemplate(template, details) {
   return template.replace(/\{([^}]+)\}/g, (_, key) => {
@@ -18,43 +21,47 @@ function fillTemplate(template, details) {
   });
 }
 
-function createRandomGrid() {
-  return Array.from({ length: gridSize * gridSize }, (_, idx) => ({
-    shape: getRandomElement(shapes),
-    color: getRandomElement(colors),
-    number: getRandomElement(numbers),
-    position: {
-      row: Math.floor(idx / gridSize),
-      col: idx % gridSize
-    }
-  }));
+// Statements carry the board they were generated for; hand-built details fall back to 5x5.
+function getBoard(details) {
+  return details?.board ?? DEFAULT_BOARD;
+}
+
+/**
+ * createRandomGrid(board, random): a grid of cells with every attribute drawn uniformly
+ */
+export function createRandomGrid(board, random) {
+  return Array.from({ length: board.rows * board.cols }, (_, idx) => {
+    const cell = {};
+    Object.entries(board.domains).forEach(([property, domain]) => {
+      cell[property] = getRandomElement(domain, random);
+    });
+    cell.position = {
+      row: Math.floor(idx / board.cols),
+      col: idx % board.cols
+    };
+    return cell;
+  });
 }
 
 function clamp(value, min, max) {
   return Math.min(Math.max(value, min), max);
 }
 
-function getDomain(property) {
-  switch (property) {
-    case 'shape':
-      return shapes;
-    case 'color':
-      return colors;
-    case 'number':
-      return numbers;
-    default:
-      throw new Error(`Unknown property domain requested for ${property}`);
+function getDomain(property, board) {
+  const domain = board.domains[property];
+  if (!domain) {
+    throw new Error(`Unknown property domain requested for ${property}`);
   }
+  return domain;
 }
 
-function pickDistinct(property, excludeValue) {
-  const domain = getDomain(property).filter((value) => value !== excludeValue);
-  return getRandomElement(domain.length ? domain : getDomain(property));
+function pickDistinct(property, excludeValue, board, random) {
+  const domain = getDomain(property, board).filter((value) => value !== excludeValue);
+  return getRandomElement(domain.length ? domain : getDomain(property, board), random);
 }
 
-function ensureBounds(min, max) {
-  const floor = Math.min(...numbers);
-  const ceiling = Math.max(...numbers);
+function ensureBounds(min, max, board) {
+  const { min: floor, max: ceiling } = board.numberRange;
   return [clamp(min, floor, ceiling), clamp(max, floor, ceiling)];
 }
 
@@ -63,10 +70,53 @@ const valueResolvers = {
   placeholderName: ({ key }, context) => context.details[key],
   cellProperty: ({ property }, context) => context.cell?.[property],
   neighborProperty: ({ property }, context) => context.neighbor?.[property],
+  boundProperty: ({ variable, property }, context) => context.bindings?.[variable]?.[property],
   constant: ({ value }) => value,
-  number: ({ value }) => value
+  number: ({ value }) => value,
+  aggregate: (ref, context) => computeAggregate(ref, context)
+};
+
+// Aggregates fold one cell property over a set of cells. Empty sets have no max or min,
+// which matches the null the FOL evaluator returns for `Max[y | ...]` over no cells.
+const aggregateFunctions = {
+  sum: (values) => values.reduce((total, value) => total + value, 0),
+  count: (values) => values.length,
+  max: (values) => (values.length ? Math.max(...values) : null),
+  min: (values) => (values.length ? Math.min(...values) : null),
+  distinct: (values) => new Set(values).size
 };
 
+// `scope` picks the cells: the group an aggregate rule is checking (the default), the
+// row or column of the current cell, or the whole grid. `where` filters them further.
+function getAggregateCells(ref, context) {
+  const { cell, grid } = context;
+  switch (ref.scope || 'group') {
+    case 'group':
+      return context.group || [];
+    case 'grid':
+      return grid;
+    case 'row':
+      return grid.filter((candidate) => candidate.position.row === cell.position.row);
+    case 'column':
+      return grid.filter((candidate) => candidate.position.col === cell.position.col);
+    default:
+      throw new Error(`Unsupported aggregate scope: ${ref.scope}`);
+  }
+}
+
+function getAggregateMatches(ref, context) {
+  const { details, grid } = context;
+  return getAggregateCells(ref, context).filter((cell) => evaluateCondition(ref.where, { cell, details, grid }));
+}
+
+function computeAggregate(ref, context) {
+  const fn = aggregateFunctions[ref.fn];
+  if (!fn) {
+    throw new Error(`Unsupported aggregate: ${ref.fn}`);
+  }
+  return fn(getAggregateMatches(ref, context).map((cell) => cell[ref.property]));
+}
+
 function resolveValue(ref, context) {
   if (!ref) return undefined;
   const resolver = valueResolvers[ref.kind];
@@ -76,6 +126,31 @@ function resolveValue(ref, context) {
   return resolver(ref, context);
 }
 
+// An empty max or min is null, which JavaScript would order like 0; like the FOL evaluator,
+// it fails every ordering comparison.
+const isOrdered = (left, right) => left !== null && right !== null;
+
+const COMPARATORS = {
+  equals: (left, right) => left === right,
+  notEquals: (left, right) => left !== right,
+  greaterThan: (left, right) => isOrdered(left, right) && left > right,
+  lessThan: (left, right) => isOrdered(left, right) && left < right,
+  greaterOrEqual: (left, right) => isOrdered(left, right) && left >= right,
+  lessOrEqual: (left, right) => isOrdered(left, right) && left <= right
+};
+
+function isPrime(value) {
+  if (value < 2) return false;
+  if (value === 2) return true;
+  if (value % 2 === 0) return false;
+  for (let i = 3; i <= Math.sqrt(value); i += 2) {
+    if (value % i === 0) {
+      return false;
+    }
+  }
+  return true;
+}
+
 function evaluateCondition(condition, context) {
   if (!condition) {
     return true;
@@ -89,59 +164,26 @@ function evaluateCondition(condition, context) {
       return condition.conditions.some((c) => evaluateCondition(c, context));
     case 'not':
       return !evaluateCondition(condition.condition, context);
-    case 'equals': {
-      const left = resolveValue(condition.left, context);
-      const right = resolveValue(condition.right, context);
-      return left === right;
-    }
-    case 'notEquals': {
-      const left = resolveValue(condition.left, context);
-      const right = resolveValue(condition.right, context);
-      return left !== right;
-    }
-    case 'greaterThan': {
-      const left = resolveValue(condition.left, context);
-      const right = resolveValue(condition.right, context);
-      return left > right;
-    }
-    case 'lessThan': {
-      const left = resolveValue(condition.left, context);
-      const right = resolveValue(condition.right, context);
-      return left < right;
-    }
-    case 'greaterOrEqual': {
-      const left = resolveValue(condition.left, context);
-      const right = resolveValue(condition.right, context);
-      return left >= right;
-    }
-    case 'lessOrEqual': {
-      const left = resolveValue(condition.left, context);
-      const right = resolveValue(condition.right, context);
-      return left <= right;
-    }
+    case 'equals':
+    case 'notEquals':
+    case 'greaterThan':
+    case 'lessThan':
+    case 'greaterOrEqual':
+    case 'lessOrEqual':
+      return COMPARATORS[op](resolveValue(condition.left, context), resolveValue(condition.right, context));
     case 'between': {
       const value = resolveValue(condition.value, context);
       const min = resolveValue(condition.min, context);
       const max = resolveValue(condition.max, context);
-      return value >= min && value <= max;
+      return COMPARATORS.greaterOrEqual(value, min) && COMPARATORS.lessOrEqual(value, max);
     }
     case 'parity': {
       const value = resolveValue(condition.value, context);
       const parity = resolveValue(condition.parity, context);
       return parity === 'even' ? value % 2 === 0 : value % 2 !== 0;
     }
-    case 'prime': {
-      const value = resolveValue(condition.value, context);
-      if (value < 2) return false;
-      if (value === 2) return true;
-      if (value % 2 === 0) return false;
-      for (let i = 3; i <= Math.sqrt(value); i += 2) {
-        if (value % i === 0) {
-          return false;
-        }
-      }
-      return true;
-    }
+    case 'prime':
+      return isPrime(resolveValue(condition.value, context));
     case 'multipleOf': {
       const value = resolveValue(condition.value, context);
       const factor = resolveValue(condition.factor, context);
@@ -152,29 +194,14 @@ function evaluateCondition(condition, context) {
       if (!cell) return false;
       const direction = resolveValue(condition.direction, context);
       const size = resolveValue(condition.size, context);
-      return isInRegion(cell, direction, size);
+      return isInRegion(cell, direction, size, getBoard(context.details));
     }
     default:
       throw new Error(`Unsupported condition operator: ${op}`);
   }
 }
 
-function isInRegion(cell, direction, numUnits) {
-  switch (direction) {
-    case 'left':
-      return cell.position.col < numUnits;
-    case 'right':
-      return cell.position.col >= (gridSize - numUnits);
-    case 'top':
-      return cell.position.row < numUnits;
-    case 'bottom':
-      return cell.position.row >= (gridSize - numUnits);
-    default:
-      return false;
-  }
-}
-
-function applyCellAction(action, cell, details) {
+function applyCellAction(action, cell, details, random) {
   switch (action.action) {
     case 'setCellProperty': {
       const value = resolveValue(action.value, { cell, details });
@@ -183,13 +210,13 @@ function applyCellAction(action, cell, details) {
     }
     case 'setCellPropertyDistinct': {
       const exclude = details[action.fromPlaceholder];
-      cell[action.property] = pickDistinct(action.property, exclude);
+      cell[action.property] = pickDistinct(action.property, exclude, getBoard(details), random);
       return { status: 'applied' };
     }
     case 'requireRegion': {
       const direction = resolveValue(action.direction, { cell, details });
       const size = resolveValue(action.size, { cell, details });
-      if (isInRegion(cell, direction, size)) {
+      if (isInRegion(cell, direction, size, getBoard(details))) {
         return { status: 'applied' };
       }
       return { status: 'needsBreak' };
@@ -199,37 +226,39 @@ function applyCellAction(action, cell, details) {
   }
 }
 
-function getValueMeetingComparison(comparison, threshold) {
+function getValueMeetingComparison(comparison, threshold, board) {
+  const { min, max } = board.numberRange;
   switch (comparison) {
     case 'greaterThan':
-      return clamp(threshold + 1, Math.min(...numbers), Math.max(...numbers));
+      return clamp(threshold + 1, min, max);
     case 'greaterOrEqual':
-      return clamp(threshold, Math.min(...numbers), Math.max(...numbers));
+      return clamp(threshold, min, max);
     case 'lessThan':
-      return clamp(threshold - 1, Math.min(...numbers), Math.max(...numbers));
+      return clamp(threshold - 1, min, max);
     case 'lessOrEqual':
-      return clamp(threshold, Math.min(...numbers), Math.max(...numbers));
+      return clamp(threshold, min, max);
     default:
       return threshold;
   }
 }
 
-function getValueBreakingComparison(comparison, threshold) {
+function getValueBreakingComparison(comparison, threshold, board) {
+  const { min, max } = board.numberRange;
   switch (comparison) {
     case 'greaterThan':
-      return clamp(threshold, Math.min(...numbers), Math.max(...numbers));
+      return clamp(threshold, min, max);
     case 'greaterOrEqual':
-      return clamp(threshold - 1, Math.min(...numbers), Math.max(...numbers));
+      return clamp(threshold - 1, min, max);
     case 'lessThan':
-      return clamp(threshold + 1, Math.min(...numbers), Math.max(...numbers));
+      return clamp(threshold + 1, min, max);
     case 'lessOrEqual':
-      return clamp(threshold + 1, Math.min(...numbers), Math.max(...numbers));
+      return clamp(threshold + 1, min, max);
     default:
       return threshold;
   }
 }
 
-function ensureNeighbor(action, neighbor, details) {
+function ensureNeighbor(action, neighbor, details, random) {
   switch (action.action) {
     case 'setNeighborProperty': {
       const value = resolveValue(action.value, { neighbor, details });
@@ -238,17 +267,17 @@ function ensureNeighbor(action, neighbor, details) {
     }
     case 'setNeighborPropertyDistinct': {
       const exclude = details[action.fromPlaceholder];
-      neighbor[action.property] = pickDistinct(action.property, exclude);
+      neighbor[action.property] = pickDistinct(action.property, exclude, getBoard(details), random);
       return;
     }
     case 'ensureNeighborNumber': {
       const threshold = details[action.placeholder];
-      neighbor.number = getValueMeetingComparison(action.comparison, threshold);
+      neighbor.number = getValueMeetingComparison(action.comparison, threshold, getBoard(details));
       return;
     }
     case 'setNeighborNumberBreaking': {
       const threshold = details[action.placeholder];
-      neighbor.number = getValueBreakingComparison(action.comparison, threshold);
+      neighbor.number = getValueBreakingComparison(action.comparison, threshold, getBoard(details));
       return;
     }
     default:
@@ -285,49 +314,62 @@ function getNeighborCells(grid, cell, direction) {
     .filter(Boolean);
 }
 
-function generateDetails(definition) {
+// Teachers may pin placeholders to fixed values (see puzzleSet.js); attribute values must
+// come from the board so the grid generators can realize them.
+function checkFixedDetails(definition, fixed, board) {
+  const { placeholders = {} } = definition;
+  Object.entries(fixed).forEach(([key, value]) => {
+    const def = placeholders[key];
+    if (!def) {
+      throw new Error(`Template ${definition.id} has no placeholder '${key}'.`);
+    }
+    if (getAttribute(def.type) && !getDomain(def.type, board).includes(value)) {
+      throw new Error(`Placeholder '${key}' of template ${definition.id} cannot be '${value}' on this board.`);
+    }
+    if ((def.type === 'number' || def.type === 'int') && !Number.isInteger(value)) {
+      throw new Error(`Placeholder '${key}' of template ${definition.id} must be an integer, got ${JSON.stringify(value)}.`);
+    }
+  });
+}
+
+function generateDetails(definition, board, random, fixed = {}) {
   const { placeholders = {}, computedFields = [] } = definition;
-  const details = {};
+  const details = { board };
+  checkFixedDetails(definition, fixed, board);
 
   for (const [key, def] of Object.entries(placeholders)) {
     const generatorType = def.type;
+    if (Object.hasOwn(fixed, key)) {
+      details[key] = fixed[key];
+      continue;
+    }
+    // Attribute placeholders ('shape', 'color', 'fill', ...) draw from the board's domain.
+    if (getAttribute(generatorType)) {
+      const excluded = (def.excludePlaceholders || [])
+        .map((placeholderKey) => details[placeholderKey])
+        .filter(Boolean);
+      const fullDomain = getDomain(generatorType, board);
+      const domain = fullDomain.filter((value) => !excluded.includes(value));
+      details[key] = getRandomElement(domain.length ? domain : fullDomain, random);
+      continue;
+    }
     switch (generatorType) {
-      case 'shape':
-        const excludedShapeKeys = def.excludePlaceholders || [];
-        const excludedShapes = excludedShapeKeys
-          .map((placeholderKey) => details[placeholderKey])
-          .filter(Boolean);
-        {
-          const domain = shapes.filter((shape) => !excludedShapes.includes(shape));
-          details[key] = getRandomElement(domain.length ? domain : shapes);
-        }
-        break;
-      case 'color':
-        const excludedColorKeys = def.excludePlaceholders || [];
-        const excludedColors = excludedColorKeys
-          .map((placeholderKey) => details[placeholderKey])
-          .filter(Boolean);
-        {
-          const domain = colors.filter((color) => !excludedColors.includes(color));
-          details[key] = getRandomElement(domain.length ? domain : colors);
-        }
-        break;
       case 'number': {
-        let min = def.min ?? Math.min(...numbers);
-        let max = def.max ?? Math.max(...numbers);
+        let min = def.min ?? board.numberRange.min;
+        let max = def.max ?? board.numberRange.max;
         if (def.minRef) {
           min = details[def.minRef] + (def.minOffset ?? 0);
         }
         if (def.maxRef) {
           max = details[def.maxRef] + (def.maxOffset ?? 0);
         }
-        [min, max] = ensureBounds(min, max);
-        details[key] = randomIntFromInterval(min, max);
+        [min, max] = ensureBounds(min, max, board);
+        details[key] = randomIntFromInterval(min, max, random);
         break;
       }
       case 'int': {
         let min = def.min ?? 0;
-        let max = def.max ?? gridSize;
+        let max = def.max ?? Math.min(board.rows, board.cols);
         if (def.minRef) {
           min = details[def.minRef] + (def.minOffset ?? 0);
         }
@@ -337,20 +379,20 @@ function generateDetails(definition) {
         if (min > max) {
           [min, max] = [max, min];
         }
-        details[key] = randomIntFromInterval(min, max);
+        details[key] = randomIntFromInterval(min, max, random);
         break;
       }
       case 'choice':
-        details[key] = getRandomElement(def.options);
+        details[key] = getRandomElement(def.options, random);
         break;
       case 'comparison':
-        details[key] = getRandomElement(def.options || ['greater', 'less']);
+        details[key] = getRandomElement(def.options || ['greater', 'less'], random);
         break;
       case 'parity':
-        details[key] = getRandomElement(['even', 'odd']);
+        details[key] = getRandomElement(['even', 'odd'], random);
         break;
       case 'factor':
-        details[key] = getRandomElement(def.options || [2, 3]);
+        details[key] = getRandomElement(def.options || [2, 3], random);
         break;
       default:
         throw new Error(`Unsupported placeholder type: ${generatorType}`);
@@ -395,146 +437,356 @@ function generateDetails(definition) {
   return details;
 }
 
-function applyBreakAntecedent(rule, cell, details) {
-  if (!rule.breakAntecedent) {
-    return;
-  }
-  applyCellAction(rule.breakAntecedent, cell, details);
+// Kinds of placeholder whose values have a word in every locale, besides the attributes.
+const WORD_PLACEHOLDER_TYPES = ['parity'];
+
+// The words a statement's text is filled with in `locale`. `details` keep the English values
+// the formula is filled with; here attribute values, parities and the computed phrases are
+// looked up again in the locale, with their plural and gender forms left to fillText().
+function createWordLookup(definition, details, locale) {
+  const { placeholders = {}, computedFields = [] } = definition;
+  const words = {};
+  const lookup = (key) => (Object.hasOwn(words, key) ? words[key] : details[key]);
+
+  Object.entries(placeholders).forEach(([key, def]) => {
+    const value = details[key];
+    if (value !== undefined && (getAttribute(def.type) || WORD_PLACEHOLDER_TYPES.includes(def.type))) {
+      words[key] = getWord(def.type, typeof value === 'string' ? value.toLowerCase() : value, locale) ?? value;
+    }
+  });
+
+  computedFields.forEach((field) => {
+    const value = details[field.source];
+    switch (field.type) {
+      case 'colorName':
+        words[field.key] = getWord('color', String(value).toLowerCase(), locale) ?? details[field.key];
+        break;
+      case 'regionDescription':
+        words[field.key] = t(`region.${details[field.directionKey]}`, { count: details[field.sizeKey] }, locale);
+        break;
+      case 'comparisonWord':
+        words[field.key] = getWord('comparison', value, locale) ?? details[field.key];
+        break;
+      case 'stringTemplate':
+        words[field.key] = fillText(field.translations?.[locale] ?? field.template, lookup, locale);
+        break;
+      default:
+        break;
+    }
+  });
+  return lookup;
 }
 
-function ensureCellSatisfiesCondition(condition, cell, details) {
-  if (!condition) return;
+/**
+ * describeStatement(definition, details, locale): { naturalLanguageStatement, hint } in `locale`,
+ * read from `statement.translations[locale]` and falling back to the English text per field
+ */
+function describeStatement(definition, details, locale) {
+  const { text, hint = '', translations = {} } = definition.statement;
+  const translation = translations[locale] ?? {};
+  const describe = (localized, english) => (localized !== undefined
+    ? fillText(localized, createWordLookup(definition, details, locale), locale)
+    : fillText(english, createWordLookup(definition, details, DEFAULT_LOCALE), DEFAULT_LOCALE));
+  return {
+    naturalLanguageStatement: describe(translation.text, text),
+    hint: hint ? describe(translation.hint, hint) : ''
+  };
+}
+
+const NEGATED_COMPARISONS = {
+  equals: 'notEquals',
+  notEquals: 'equals',
+  greaterThan: 'lessOrEqual',
+  lessOrEqual: 'greaterThan',
+  lessThan: 'greaterOrEqual',
+  greaterOrEqual: 'lessThan'
+};
+
+// `a < b` read from the right: `b > a`.
+const FLIPPED_COMPARISONS = {
+  equals: 'equals',
+  notEquals: 'notEquals',
+  greaterThan: 'lessThan',
+  lessThan: 'greaterThan',
+  greaterOrEqual: 'lessOrEqual',
+  lessOrEqual: 'greaterOrEqual'
+};
+
+// Pushes a negation down to the leaves (De Morgan) so the generators can aim for it;
+// leaves without a direct opposite stay wrapped in `not`.
+function negateCondition(condition) {
+  if (!condition) {
+    return { operator: 'not', condition };
+  }
   const op = condition.operator;
   switch (op) {
     case 'all':
-      condition.conditions.forEach((c) => ensureCellSatisfiesCondition(c, cell, details));
-      break;
     case 'any':
-      if (condition.conditions && condition.conditions.length > 0) {
-        const preferred = condition.conditions.find((c) =>
-          evaluateCondition(c, { cell, details })
-        );
-        ensureCellSatisfiesCondition(preferred || condition.conditions[0], cell, details);
-      }
-      break;
-    case 'equals': {
-      const left = condition.left;
-      const rightValue = resolveValue(condition.right, { cell, details });
-      if (left.kind === 'cellProperty') {
-        cell[left.property] = rightValue;
+      return { operator: op === 'all' ? 'any' : 'all', conditions: condition.conditions.map(negateCondition) };
+    case 'not':
+      return condition.condition;
+    default:
+      if (NEGATED_COMPARISONS[op]) {
+        return { ...condition, operator: NEGATED_COMPARISONS[op] };
       }
-      break;
-    }
-    case 'greaterThan': {
-      const threshold = resolveValue(condition.right, { cell, details });
-      cell.number = getValueMeetingComparison('greaterThan', threshold);
-      break;
-    }
-    case 'greaterOrEqual': {
-      const threshold = resolveValue(condition.right, { cell, details });
-      cell.number = getValueMeetingComparison('greaterOrEqual', threshold);
-      break;
-    }
-    case 'lessThan': {
-      const threshold = resolveValue(condition.right, { cell, details });
-      cell.number = getValueMeetingComparison('lessThan', threshold);
-      break;
-    }
-    case 'lessOrEqual': {
-      const threshold = resolveValue(condition.right, { cell, details });
-      cell.number = getValueMeetingComparison('lessOrEqual', threshold);
-      break;
+      return { operator: 'not', condition };
+  }
+}
+
+function copyCell(cell) {
+  return { ...cell, position: { ...cell.position } };
+}
+
+// The value refs a steer may write, by the context key of the cell it edits: rule conditions
+// edit the current cell and neighbor conditions edit the neighbor.
+const EDITABLE_REFS = { cell: 'cellProperty', neighbor: 'neighborProperty' };
+
+function setFromDomain(cell, property, accept, board, random) {
+  const domain = getDomain(property, board).filter(accept);
+  if (domain.length > 0) {
+    cell[property] = getRandomElement(domain, random);
+  }
+}
+
+// Gives the editable side of one comparison or number test a value that makes it `wanted`.
+// Leaves with nothing to edit (a placeholder test, inRegion: cells cannot move) are left as
+// they are; callers check the result.
+function steerLeaf(condition, wanted, context, target, random) {
+  const editable = EDITABLE_REFS[target];
+  const cell = context[target];
+  const board = getBoard(context.details);
+  const op = condition.operator;
+
+  if (COMPARATORS[op]) {
+    const wantedOp = wanted ? op : NEGATED_COMPARISONS[op];
+    const leftEditable = condition.left?.kind === editable;
+    if (!leftEditable && condition.right?.kind !== editable) return;
+    const ref = leftEditable ? condition.left : condition.right;
+    const comparison = leftEditable ? wantedOp : FLIPPED_COMPARISONS[wantedOp];
+    const value = resolveValue(leftEditable ? condition.right : condition.left, context);
+    if (value === undefined || value === null) return;
+    switch (comparison) {
+      case 'equals':
+        cell[ref.property] = value;
+        break;
+      case 'notEquals':
+        cell[ref.property] = pickDistinct(ref.property, value, board, random);
+        break;
+      default:
+        if (ref.property === 'number') {
+          cell.number = getValueMeetingComparison(comparison, value, board);
+        } else {
+          setFromDomain(cell, ref.property, (candidate) => COMPARATORS[comparison](candidate, value), board, random);
+        }
     }
+    return;
+  }
+
+  if (condition.value?.kind !== editable) return;
+  const { property } = condition.value;
+  let test;
+  switch (op) {
     case 'between': {
-      const min = resolveValue(condition.min, { cell, details });
-      const max = resolveValue(condition.max, { cell, details });
-      [cell.number] = [randomIntFromInterval(min, max)];
+      const min = resolveValue(condition.min, context);
+      const max = resolveValue(condition.max, context);
+      if (wanted && property === 'number') {
+        cell.number = randomIntFromInterval(min, max, random);
+        return;
+      }
+      test = (value) => value >= min && value <= max;
       break;
     }
     case 'parity': {
-      const parity = resolveValue(condition.parity, { cell, details });
-      const domain = numbers.filter((n) => (parity === 'even' ? n % 2 === 0 : n % 2 !== 0));
-      cell.number = getRandomElement(domain);
+      const parity = resolveValue(condition.parity, context);
+      test = (value) => (parity === 'even') === (value % 2 === 0);
       break;
     }
-    case 'prime': {
-      const primes = numbers.filter((n) => {
-        if (n < 2) return false;
-        if (n === 2) return true;
-        if (n % 2 === 0) return false;
-        for (let i = 3; i <= Math.sqrt(n); i += 2) {
-          if (n % i === 0) return false;
-        }
-        return true;
-      });
-      cell.number = getRandomElement(primes);
+    case 'prime':
+      test = isPrime;
       break;
-    }
     case 'multipleOf': {
-      const factor = resolveValue(condition.factor, { cell, details });
-      const multiples = numbers.filter((n) => n % factor === 0);
-      cell.number = getRandomElement(multiples);
+      const factor = resolveValue(condition.factor, context);
+      test = (value) => value % factor === 0;
       break;
     }
-    case 'inRegion': {
-      // If region requirement exists in antecedent, ensure by setting position near region boundary.
-      const direction = resolveValue(condition.direction, { cell, details });
-      const size = resolveValue(condition.size, { cell, details });
-      switch (direction) {
-        case 'left':
-          cell.position.col = randomIntFromInterval(0, size - 1);
-          break;
-        case 'right':
-          cell.position.col = randomIntFromInterval(gridSize - size, gridSize - 1);
-          break;
-        case 'top':
-          cell.position.row = randomIntFromInterval(0, size - 1);
-          break;
-        case 'bottom':
-          cell.position.row = randomIntFromInterval(gridSize - size, gridSize - 1);
-          break;
+    default:
+      return;
+  }
+  setFromDomain(cell, property, (value) => test(value) === wanted, board, random);
+}
+
+/**
+ * steerCondition(condition, wanted, context, target, random): edits the cell at
+ * context[target] so `condition`, read in `context` exactly as evaluateCondition would, comes
+ * out `wanted`. Only that cell changes. It is a best effort; callers verify the result.
+ */
+function steerCondition(condition, wanted, context, target, random) {
+  if (!condition) return;
+  const op = condition.operator;
+  switch (op) {
+    case 'not':
+      steerCondition(condition.condition, !wanted, context, target, random);
+      return;
+    case 'all':
+    case 'any': {
+      if ((op === 'all') === wanted) {
+        condition.conditions.forEach((c) => steerCondition(c, wanted, context, target, random));
+        return;
       }
-      break;
+      // One part is enough. Some parts can't be steered at all (e.g. they test a placeholder),
+      // so try each on a copy and keep the first one that comes out right.
+      const branches = condition.conditions || [];
+      const preferred = branches.filter((c) => evaluateCondition(c, context) === wanted);
+      for (const branch of [...preferred, ...branches]) {
+        const attempt = { ...context, [target]: copyCell(context[target]) };
+        steerCondition(branch, wanted, attempt, target, random);
+        if (evaluateCondition(branch, attempt) === wanted) {
+          Object.assign(context[target], attempt[target]);
+          return;
+        }
+      }
+      return;
     }
     default:
-      break;
+      steerLeaf(condition, wanted, context, target, random);
+  }
+}
+
+// `context` carries { details, grid, bindings }; the condition is read with `cell` as the
+// current cell.
+function steerCell(condition, wanted, cell, context, random) {
+  steerCondition(condition, wanted, { ...context, cell }, 'cell', random);
+}
+
+// Rules may leave out how their grids are built. Whatever is missing is derived from the
+// rule's own conditions: `breakAntecedent` falsifies `when`, an implication's `violation`
+// plants a cell where `when` holds and `then` does not, a neighbor's `satisfy` and
+// `violation` steer the neighbor conditions, and `falsify` falsifies `where`.
+
+function applyBreakAntecedent(rule, cell, details, grid, random) {
+  if (rule.breakAntecedent) {
+    applyCellAction(rule.breakAntecedent, cell, details, random);
+    return;
+  }
+  steerCell(rule.when, false, cell, { details, grid }, random);
+}
+
+// Stops `cell` from matching `condition`, with the rule's `falsify` action when it has one.
+function falsifyCell(action, condition, cell, context, random) {
+  if (action) {
+    applyCellAction(action, cell, context.details, random);
+  } else {
+    steerCell(condition, false, cell, context, random);
+  }
+}
+
+// Hand-written actions read as the checks they make true; setCellPropertyDistinct checks nothing.
+function actionToCondition(action) {
+  const left = { kind: 'cellProperty', property: action.property };
+  switch (action.action) {
+    case 'setCellProperty':
+      return { operator: 'equals', left, right: action.value };
+    case 'requireRegion':
+      return { operator: 'inRegion', direction: action.direction, size: action.size };
+    default:
+      return null;
+  }
+}
+
+// The "then" part of an implication: `then`, or the conditions its `actions` establish.
+function getConsequent(rule) {
+  return rule.then ?? { operator: 'all', conditions: rule.actions.map(actionToCondition).filter(Boolean) };
+}
+
+/**
+ * stripRuleActions(definition): a copy of the template that only states its logic. Implication
+ * `actions` become the `then` condition they establish, and `breakAntecedent`, `violation`,
+ * `falsify` and the neighbor's `satisfy` and `violation` are dropped, so every grid is built
+ * by the generators derived from the conditions. The soundness check uses it to test those
+ * generators on the bank.
+ */
+export function stripRuleActions(definition) {
+  const copy = structuredClone(definition);
+  (copy.rules || []).forEach((rule) => {
+    if (rule.actions) {
+      rule.then = getConsequent(rule);
+      delete rule.actions;
+    }
+    delete rule.breakAntecedent;
+    delete rule.violation;
+    delete rule.falsify;
+    if (rule.neighbor) {
+      delete rule.neighbor.satisfy;
+      delete rule.neighbor.violation;
+    }
+  });
+  return copy;
+}
+
+// Makes the consequent hold on `cell`; false when it cannot (a cell outside a required region).
+function applyConsequent(rule, cell, details, grid, random) {
+  if (!rule.actions) {
+    steerCell(rule.then, true, cell, { details, grid }, random);
+    return evaluateCondition(rule.then, { cell, details, grid });
   }
+  return rule.actions.every((action) => applyCellAction(action, cell, details, random).status !== 'needsBreak');
 }
 
-function enforceImplicationRule(rule, grid, details) {
+function consequentHolds(rule, cell, details, grid) {
+  if (!rule.actions) {
+    return evaluateCondition(rule.then, { cell, details, grid });
+  }
+  return rule.actions.every((action) => verifyCellAction(action, cell, details));
+}
+
+function enforceImplicationRule(rule, grid, details, random) {
   grid.forEach((cell) => {
     if (!evaluateCondition(rule.when, { cell, details, grid })) {
       return;
     }
-
-    for (const action of rule.actions) {
-      const result = applyCellAction(action, cell, details);
-      if (result.status === 'needsBreak') {
-        applyBreakAntecedent(rule, cell, details);
-        break;
-      }
+    if (!applyConsequent(rule, cell, details, grid, random)) {
+      applyBreakAntecedent(rule, cell, details, grid, random);
     }
   });
 }
 
-function createImplicationViolation(rule, grid, details) {
-  let targetCell = grid.find((cell) => {
-    if (!evaluateCondition(rule.when, { cell, details, grid })) {
-      return false;
+// Finds a cell that can be made to satisfy `condition`, trying cells in random order and
+// editing a copy so a failed attempt never leaves the grid half-modified.
+function findCellSatisfying(grid, condition, details, random, accept = () => true) {
+  const candidates = [...grid];
+  shuffleArray(candidates, random);
+  for (const cell of candidates) {
+    if (!accept(cell)) continue;
+    const attempt = copyCell(cell);
+    steerCell(condition, true, attempt, { details, grid }, random);
+    if (evaluateCondition(condition, { cell: attempt, details, grid })) {
+      Object.assign(cell, attempt);
+      return cell;
     }
-    return rule.actions.every((action) => verifyCellAction(action, cell, details));
-  });
+  }
+  return null;
+}
+
+function createImplicationViolation(rule, grid, details, random) {
+  if (!rule.violation) {
+    const counterexample = { operator: 'all', conditions: [rule.when, negateCondition(getConsequent(rule))] };
+    findCellSatisfying(grid, counterexample, details, random);
+    return;
+  }
+
+  let targetCell = grid.find((cell) =>
+    evaluateCondition(rule.when, { cell, details, grid }) && consequentHolds(rule, cell, details, grid)
+  );
 
   if (!targetCell) {
-    targetCell = grid.find((cell) => true) || null;
+    targetCell = findCellSatisfying(grid, rule.when, details, random);
     if (targetCell) {
-      ensureCellSatisfiesCondition(rule.when, targetCell, details);
-      rule.actions.forEach((action) => applyCellAction(action, targetCell, details));
+      applyConsequent(rule, targetCell, details, grid, random);
     }
   }
 
-  if (targetCell && rule.violation) {
-    applyCellAction(rule.violation, targetCell, details);
+  if (targetCell) {
+    applyCellAction(rule.violation, targetCell, details, random);
   }
 }
 
@@ -547,23 +799,101 @@ function verifyCellAction(action, cell, details) {
     case 'requireRegion': {
       const direction = resolveValue(action.direction, { cell, details });
       const size = resolveValue(action.size, { cell, details });
-      return isInRegion(cell, direction, size);
+      return isInRegion(cell, direction, size, getBoard(details));
     }
     default:
       return true;
   }
 }
 
+function positionOf(cell) {
+  return { row: cell.position.row, col: cell.position.col };
+}
+
+// Structured reason a consequent check failed on a cell, or null when it holds.
+function describeActionFailure(action, cell, details) {
+  if (verifyCellAction(action, cell, details)) {
+    return null;
+  }
+  switch (action.action) {
+    case 'setCellProperty':
+      return {
+        type: 'property',
+        property: action.property,
+        expected: resolveValue(action.value, { cell, details }),
+        actual: cell[action.property]
+      };
+    case 'requireRegion':
+      return {
+        type: 'region',
+        direction: resolveValue(action.direction, { cell, details }),
+        size: resolveValue(action.size, { cell, details })
+      };
+    default:
+      return { type: 'action', action: action.action };
+  }
+}
+
+const COMPARISON_OPERATORS = ['equals', 'notEquals', 'greaterThan', 'lessThan', 'greaterOrEqual', 'lessOrEqual'];
+
+// Structured reason a single condition failed; comparisons against a property get the
+// expected/actual values, anything else just names the operator.
+function describeConditionFailure(condition, context) {
+  if (evaluateCondition(condition, context)) {
+    return null;
+  }
+  const { left, right } = condition;
+  if (condition.operator === 'inRegion') {
+    return {
+      type: 'region',
+      direction: resolveValue(condition.direction, context),
+      size: resolveValue(condition.size, context)
+    };
+  }
+  if (COMPARISON_OPERATORS.includes(condition.operator) && left && ['cellProperty', 'neighborProperty'].includes(left.kind)) {
+    return {
+      type: condition.operator === 'equals' ? 'property' : 'comparison',
+      operator: condition.operator,
+      property: left.property,
+      expected: resolveValue(right, context),
+      actual: resolveValue(left, context)
+    };
+  }
+  return { type: 'condition', operator: condition.operator };
+}
+
+// One failure per unmet part of a `then` condition.
+function describeConsequentFailures(condition, context) {
+  const parts = condition.operator === 'all' ? condition.conditions : [condition];
+  return parts.map((part) => describeConditionFailure(part, context)).filter(Boolean);
+}
+
+/**
+ * Verifiers return an explanation instead of a bare boolean:
+ *   { ruleType, quantifier, satisfied, instances: [{ position, holds, failures, ... }] }
+ * `instances` lists every cell matching the rule's `when`; the failing ones are the
+ * counterexamples of the ∀, and for neighbor rules `witness` is the cell that makes ∃ true.
+ */
 function verifyImplicationRule(rule, grid, details) {
-  return grid.every((cell) => {
+  const instances = [];
+  grid.forEach((cell) => {
     if (!evaluateCondition(rule.when, { cell, details, grid })) {
-      return true;
+      return;
     }
-    return rule.actions.every((action) => verifyCellAction(action, cell, details));
+    const failures = rule.actions
+      ? rule.actions.map((action) => describeActionFailure(action, cell, details)).filter(Boolean)
+      : describeConsequentFailures(rule.then, { cell, details, grid });
+    instances.push({ position: positionOf(cell), holds: failures.length === 0, failures });
   });
+  return {
+    ruleType: 'implication',
+    quantifier: 'forall',
+    satisfied: instances.every((instance) => instance.holds),
+    instances
+  };
 }
 
-function enforceNeighborRule(rule, grid, details) {
+function enforceNeighborRule(rule, grid, details, random) {
   grid.forEach((cell) => {
     if (!evaluateCondition(rule.when, { cell, details, grid })) {
       return;
@@ -572,24 +902,36 @@ function enforceNeighborRule(rule, grid, details) {
     const direction = resolveValue(rule.neighbor.direction, { cell, details });
     const neighbors = getNeighborCells(grid, cell, direction);
     if (neighbors.length === 0) {
-      applyBreakAntecedent(rule, cell, details);
+      applyBreakAntecedent(rule, cell, details, grid, random);
       return;
     }
 
-    const targetNeighbor = neighbors[0];
-    (rule.neighbor.satisfy || []).forEach((action) => {
-      ensureNeighbor(action, targetNeighbor, details);
-    });
+    satisfyNeighbor(rule, cell, neighbors[0], details, grid, random);
   });
 }
 
+// Steers `neighbor` so the neighbor conditions come out `wanted`; the cell is left alone.
+function steerNeighbor(rule, cell, neighbor, wanted, details, grid, random) {
+  const conditions = { operator: 'all', conditions: rule.neighbor.conditions || [] };
+  steerCondition(conditions, wanted, { cell, neighbor, details, grid }, 'neighbor', random);
+}
+
+function satisfyNeighbor(rule, cell, neighbor, details, grid, random) {
+  const satisfy = rule.neighbor.satisfy || [];
+  if (satisfy.length === 0) {
+    steerNeighbor(rule, cell, neighbor, true, details, grid, random);
+    return;
+  }
+  satisfy.forEach((action) => ensureNeighbor(action, neighbor, details, random));
+}
+
 function neighborConditionsSatisfied(rule, cell, neighbor, details, grid) {
   return (rule.neighbor.conditions || []).every((condition) =>
     evaluateCondition(condition, { cell, neighbor, details, grid })
   );
 }
 
-function createNeighborViolation(rule, grid, details) {
+function createNeighborViolation(rule, grid, details, random) {
   const direction = (cell) => resolveValue(rule.neighbor.direction, { cell, details });
   let candidate = null;
   let neighbor = null;
@@ -610,99 +952,727 @@ function createNeighborViolation(rule, grid, details) {
   }
 
   if (!candidate || !neighbor) {
-    candidate = grid.find((cell) => true) || null;
+    // Only cells that have a neighbor in the required direction can host a violation;
+    // an edge cell would just make the statement vacuously true for that cell.
+    candidate = findCellSatisfying(
+      grid,
+      rule.when,
+      details,
+      random,
+      (cell) => getNeighborCells(grid, cell, direction(cell)).length > 0
+    );
     if (!candidate) return;
-    ensureCellSatisfiesCondition(rule.when, candidate, details);
-    const neighbors = getNeighborCells(grid, candidate, direction(candidate));
-    if (neighbors.length === 0) {
-      applyBreakAntecedent(rule, candidate, details);
-      return;
-    }
-    neighbor = neighbors[0];
-    (rule.neighbor.satisfy || []).forEach((action) => {
-      ensureNeighbor(action, neighbor, details);
-    });
+    neighbor = getNeighborCells(grid, candidate, direction(candidate))[0];
+    satisfyNeighbor(rule, candidate, neighbor, details, grid, random);
   }
 
-  if (neighbor && rule.neighbor.violation) {
-    ensureNeighbor(rule.neighbor.violation, neighbor, details);
+  if (rule.neighbor.violation) {
+    ensureNeighbor(rule.neighbor.violation, neighbor, details, random);
+  } else {
+    steerNeighbor(rule, candidate, neighbor, false, details, grid, random);
   }
 }
 
 function verifyNeighborRule(rule, grid, details) {
-  return grid.every((cell) => {
+  const instances = [];
+  grid.forEach((cell) => {
     if (!evaluateCondition(rule.when, { cell, details, grid })) {
-      return true;
+      return;
     }
     const direction = resolveValue(rule.neighbor.direction, { cell, details });
     const neighbors = getNeighborCells(grid, cell, direction);
-    if (neighbors.length === 0) {
-      return false;
-    }
-    return neighbors.some((neighbor) =>
+    const witness = neighbors.find((neighbor) =>
       neighborConditionsSatisfied(rule, cell, neighbor, details, grid)
     );
+    const instance = {
+      position: positionOf(cell),
+      holds: Boolean(witness),
+      direction,
+      witness: witness ? positionOf(witness) : null,
+      neighbor: neighbors.length > 0 ? positionOf(neighbors[0]) : null,
+      failures: []
+    };
+    if (neighbors.length === 0) {
+      instance.failures.push({ type: 'noNeighbor', direction });
+    } else if (!witness) {
+      instance.failures = (rule.neighbor.conditions || [])
+        .map((condition) => describeConditionFailure(condition, { cell, neighbor: neighbors[0], details, grid }))
+        .filter(Boolean);
+    }
+    instances.push(instance);
   });
+  return {
+    ruleType: 'neighborRequirement',
+    quantifier: 'forallExists',
+    satisfied: instances.every((instance) => instance.holds),
+    instances
+  };
 }
 
-function enforceRules(definition, grid, details) {
-  definition.rules.forEach((rule) => {
-    if (rule.type === 'implication') {
-      enforceImplicationRule(rule, grid, details);
-    } else if (rule.type === 'neighborRequirement') {
-      enforceNeighborRule(rule, grid, details);
-    } else {
-      throw new Error(`Unsupported rule type: ${rule.type}`);
+// Quantifier rules: `exists` (∃x P), `count` (∃=n / ∃≥n / ∃≤n x P) and `notAll` (¬∀x (P → Q)).
+// `where` is P; the optional `falsify` is a cell action that stops a cell from matching P.
+const COUNT_COMPARISONS = {
+  exactly: (actual, expected) => actual === expected,
+  atLeast: (actual, expected) => actual >= expected,
+  atMost: (actual, expected) => actual <= expected
+};
+
+function findMatches(rule, grid, details) {
+  return grid.filter((cell) => evaluateCondition(rule.where, { cell, details, grid }));
+}
+
+// Adds or removes matching cells until exactly `target` cells satisfy `where`, giving up
+// quietly when the actions cannot make progress (the caller's verification catches that).
+function setMatchCount(rule, grid, details, target, random) {
+  let matches = findMatches(rule, grid, details);
+  while (matches.length < target) {
+    const added = findCellSatisfying(grid, rule.where, details, random, (cell) => !matches.includes(cell));
+    if (!added) return;
+    matches = findMatches(rule, grid, details);
+  }
+  while (matches.length > target) {
+    falsifyCell(rule.falsify, rule.where, getRandomElement(matches, random), { details, grid }, random);
+    const remaining = findMatches(rule, grid, details);
+    if (remaining.length >= matches.length) return;
+    matches = remaining;
+  }
+}
+
+function enforceExistsRule(rule, grid, details, random) {
+  if (findMatches(rule, grid, details).length === 0) {
+    setMatchCount(rule, grid, details, 1, random);
+  }
+}
+
+function createExistsViolation(rule, grid, details, random) {
+  setMatchCount(rule, grid, details, 0, random);
+}
+
+function verifyExistsRule(rule, grid, details) {
+  const instances = findMatches(rule, grid, details)
+    .map((cell) => ({ position: positionOf(cell), holds: true, failures: [] }));
+  return { ruleType: 'exists', quantifier: 'exists', satisfied: instances.length > 0, instances };
+}
+
+function enforceCountRule(rule, grid, details, random) {
+  const expected = resolveValue(rule.count, { details });
+  const actual = findMatches(rule, grid, details).length;
+  if (!COUNT_COMPARISONS[rule.comparison](actual, expected)) {
+    setMatchCount(rule, grid, details, expected, random);
+  }
+}
+
+function createCountViolation(rule, grid, details, random) {
+  const expected = resolveValue(rule.count, { details });
+  switch (rule.comparison) {
+    case 'exactly': {
+      const canGoLower = expected > 0;
+      const canGoHigher = expected < grid.length;
+      const lower = canGoLower && (!canGoHigher || random() < 0.5);
+      setMatchCount(rule, grid, details, lower ? expected - 1 : expected + 1, random);
+      break;
     }
-  });
+    case 'atLeast':
+      if (expected > 0) setMatchCount(rule, grid, details, expected - 1, random);
+      break;
+    case 'atMost':
+      setMatchCount(rule, grid, details, expected + 1, random);
+      break;
+    default:
+      break;
+  }
 }
 
-function createViolation(definition, grid, details) {
-  const rule = getRandomElement(definition.rules);
-  if (!rule) return;
+function verifyCountRule(rule, grid, details) {
+  const expected = resolveValue(rule.count, { details });
+  const instances = findMatches(rule, grid, details)
+    .map((cell) => ({ position: positionOf(cell), holds: true, failures: [] }));
+  return {
+    ruleType: 'count',
+    quantifier: rule.comparison,
+    satisfied: COUNT_COMPARISONS[rule.comparison](instances.length, expected),
+    expected,
+    actual: instances.length,
+    instances
+  };
+}
 
-  if (rule.type === 'implication') {
-    createImplicationViolation(rule, grid, details);
-  } else if (rule.type === 'neighborRequirement') {
-    createNeighborViolation(rule, grid, details);
+// ¬∀x (P → Q) is the mirror image of an implication: enforcing it plants a counterexample
+// and breaking it enforces the implication everywhere.
+function verifyNotAllRule(rule, grid, details) {
+  const universal = verifyImplicationRule(rule, grid, details);
+  return {
+    ruleType: 'notAll',
+    quantifier: 'notForall',
+    satisfied: !universal.satisfied,
+    instances: universal.instances
+  };
+}
+
+// Aggregate rules check `condition` once per group of cells: every row, every column, one
+// region or the whole grid. Generators steer a group by nudging the aggregates inside the
+// condition up or down one cell at a time; `falsify`, when given, is how a cell stops matching
+// a count.
+const MAX_STEER_STEPS = 40;
+
+function getGroups(rule, grid, details) {
+  switch (rule.scope) {
+    case 'row':
+    case 'column': {
+      const axis = rule.scope === 'row' ? 'row' : 'col';
+      const groups = [];
+      grid.forEach((cell) => {
+        const index = cell.position[axis];
+        groups[index] = groups[index] || { index, cells: [] };
+        groups[index].cells.push(cell);
+      });
+      return groups.filter(Boolean);
+    }
+    case 'region': {
+      const direction = resolveValue(rule.direction, { details });
+      const size = resolveValue(rule.size, { details });
+      return [{ index: 0, cells: grid.filter((cell) => isInRegion(cell, direction, size, getBoard(details))) }];
+    }
+    case 'grid':
+      return [{ index: 0, cells: grid }];
+    default:
+      throw new Error(`Unsupported aggregate rule scope: ${rule.scope}`);
   }
 }
 
-function verifyRules(definition, grid, details) {
-  return definition.rules.every((rule) => {
-    if (rule.type === 'implication') {
-      return verifyImplicationRule(rule, grid, details);
+// Which ways the left side may move for `left operator right` to start holding.
+function getRequiredDirections(operator, left, right, random) {
+  switch (operator) {
+    case 'greaterThan':
+    case 'greaterOrEqual':
+      return ['up'];
+    case 'lessThan':
+    case 'lessOrEqual':
+      return ['down'];
+    case 'equals':
+      return [left < right ? 'up' : 'down'];
+    default:
+      return random() < 0.5 ? ['up', 'down'] : ['down', 'up'];
+  }
+}
+
+function setNumberBeyond(cell, bound, direction, board, random) {
+  const domain = board.domains.number.filter((n) => (direction === 'up' ? n > bound : n < bound));
+  if (domain.length === 0) return false;
+  cell.number = getRandomElement(domain, random);
+  return true;
+}
+
+// Moves one aggregate a step in `direction`; false when no single edit can move it.
+function nudgeAggregate(ref, direction, context, rule, random) {
+  const cells = getAggregateCells(ref, context);
+  const matches = getAggregateMatches(ref, context);
+  const board = getBoard(context.details);
+  const up = direction === 'up';
+
+  switch (ref.fn) {
+    case 'count': {
+      if (up) {
+        const { grid, details } = context;
+        return Boolean(findCellSatisfying(grid, ref.where, details, random,
+          (cell) => cells.includes(cell) && !matches.includes(cell)));
+      }
+      // Without a `where` every cell counts, and no edit takes one out
+      if (matches.length === 0 || (!rule.falsify && !ref.where)) return false;
+      falsifyCell(rule.falsify, ref.where, getRandomElement(matches, random), context, random);
+      return true;
+    }
+    case 'sum': {
+      const movable = matches.filter((cell) => (up ? cell.number < board.numberRange.max : cell.number > board.numberRange.min));
+      if (movable.length === 0) return false;
+      const cell = getRandomElement(movable, random);
+      return setNumberBeyond(cell, cell.number, direction, board, random);
+    }
+    case 'max':
+    case 'min': {
+      if (matches.length === 0) return false;
+      const extreme = computeAggregate(ref, context);
+      // Pushing the extreme outward takes one cell; pulling it inward moves every cell holding it.
+      const outward = (ref.fn === 'max') === up;
+      if (outward) {
+        return setNumberBeyond(getRandomElement(matches, random), extreme, direction, board, random);
+      }
+      return matches
+        .filter((cell) => cell.number === extreme)
+        .every((cell) => setNumberBeyond(cell, extreme, direction, board, random));
+    }
+    case 'distinct': {
+      const values = matches.map((cell) => cell[ref.property]);
+      if (up) {
+        const duplicate = matches.find((cell, index) => values.indexOf(cell[ref.property]) !== index);
+        const unused = getDomain(ref.property, board).filter((value) => !values.includes(value));
+        if (!duplicate || unused.length === 0) return false;
+        duplicate[ref.property] = getRandomElement(unused, random);
+        return true;
+      }
+      if (new Set(values).size < 2) return false;
+      const cell = getRandomElement(matches, random);
+      const other = matches.find((candidate) => candidate[ref.property] !== cell[ref.property]);
+      cell[ref.property] = other[ref.property];
+      return true;
+    }
+    default:
+      return false;
+  }
+}
+
+function nudgeCondition(condition, wanted, context, rule, random) {
+  const op = condition.operator;
+  switch (op) {
+    case 'not':
+      return nudgeCondition(condition.condition, !wanted, context, rule, random);
+    case 'all':
+    case 'any': {
+      // A true `all` (or false `any`) needs every part; otherwise flipping one part is enough.
+      const needsEvery = (op === 'all') === wanted;
+      const pending = condition.conditions.filter((c) => evaluateCondition(c, context) !== wanted);
+      if (pending.length === 0) return false;
+      const target = needsEvery ? pending[0] : getRandomElement(pending, random);
+      return nudgeCondition(target, wanted, context, rule, random);
     }
-    if (rule.type === 'neighborRequirement') {
-      return verifyNeighborRule(rule, grid, details);
+    default: {
+      if (!COMPARISON_OPERATORS.includes(op)) return false;
+      const operator = wanted ? op : NEGATED_COMPARISONS[op];
+      const directions = getRequiredDirections(
+        operator,
+        resolveValue(condition.left, context),
+        resolveValue(condition.right, context),
+        random
+      );
+      return directions.some((direction) =>
+        (condition.left.kind === 'aggregate' && nudgeAggregate(condition.left, direction, context, rule, random)) ||
+        (condition.right.kind === 'aggregate' &&
+          nudgeAggregate(condition.right, direction === 'up' ? 'down' : 'up', context, rule, random))
+      );
+    }
+  }
+}
+
+function steerGroup(rule, cells, wanted, grid, details, random) {
+  const context = { group: cells, details, grid };
+  for (let step = 0; step < MAX_STEER_STEPS; step++) {
+    if (evaluateCondition(rule.condition, context) === wanted) return true;
+    if (!nudgeCondition(rule.condition, wanted, context, rule, random)) return false;
+  }
+  return evaluateCondition(rule.condition, context) === wanted;
+}
+
+function enforceAggregateRule(rule, grid, details, random) {
+  getGroups(rule, grid, details).forEach(({ cells }) => {
+    steerGroup(rule, cells, true, grid, details, random);
+  });
+}
+
+function createAggregateViolation(rule, grid, details, random) {
+  const groups = getGroups(rule, grid, details);
+  shuffleArray(groups, random);
+  groups.some(({ cells }) => steerGroup(rule, cells, false, grid, details, random));
+}
+
+function describeOperand(ref, context) {
+  const value = resolveValue(ref, context);
+  return ref.kind === 'aggregate' ? { fn: ref.fn, property: ref.property, value } : { value };
+}
+
+// Every comparison inside the condition with both sides evaluated, so explanations can
+// show the numbers ("the sum of the values (18) is not greater than 20").
+function collectAggregateComparisons(condition, context, negated = false) {
+  const op = condition.operator;
+  switch (op) {
+    case 'all':
+    case 'any':
+      return condition.conditions.flatMap((c) => collectAggregateComparisons(c, context, negated));
+    case 'not':
+      return collectAggregateComparisons(condition.condition, context, !negated);
+    default:
+      if (!COMPARISON_OPERATORS.includes(op)) return [];
+      return [{
+        type: 'aggregate',
+        operator: negated ? NEGATED_COMPARISONS[op] : op,
+        holds: evaluateCondition(condition, context) !== negated,
+        left: describeOperand(condition.left, context),
+        right: describeOperand(condition.right, context)
+      }];
+  }
+}
+
+function verifyAggregateRule(rule, grid, details) {
+  const instances = getGroups(rule, grid, details).map(({ index, cells }) => {
+    const context = { group: cells, details, grid };
+    const holds = evaluateCondition(rule.condition, context);
+    const comparisons = collectAggregateComparisons(rule.condition, context);
+    return {
+      index,
+      cells: cells.map(positionOf),
+      holds,
+      comparisons,
+      failures: holds ? [] : comparisons.filter((comparison) => !comparison.holds)
+    };
+  });
+  const explanation = {
+    ruleType: 'aggregate',
+    quantifier: rule.scope === 'row' || rule.scope === 'column' ? 'forall' : 'group',
+    scope: rule.scope,
+    satisfied: instances.every((instance) => instance.holds),
+    instances
+  };
+  if (rule.scope === 'region') {
+    explanation.region = {
+      direction: resolveValue(rule.direction, { details }),
+      size: resolveValue(rule.size, { details })
+    };
+  }
+  return explanation;
+}
+
+// Quantified rules bind a chain of variables, each optionally tied to an earlier one by a
+// relation from relations.js:
+//   ∀x (where₀(x) → ∃y (rel(y, x) ∧ where₁(y) ∧ condition))
+// Inside `where`, `cellProperty` reads the variable being bound and `boundProperty` reads an
+// outer one; `condition` is read with the innermost variable as the cell.
+const MAX_QUANTIFIED_PASSES = 6;
+
+function getRelatedCells(rule, index, grid, bindings, details) {
+  const { relation } = rule.variables[index];
+  if (!relation) {
+    return grid;
+  }
+  const anchor = bindings[relation.of || rule.variables[index - 1].name];
+  const distance = resolveValue(relation.distance, { details });
+  return grid.filter((cell) => relates(relation.type, cell, anchor, distance));
+}
+
+function evaluateQuantified(rule, index, bindings, grid, details) {
+  const levels = rule.variables;
+  if (index === levels.length) {
+    const cell = bindings[levels[levels.length - 1].name];
+    return evaluateCondition(rule.condition, { cell, bindings, details, grid });
+  }
+  const level = levels[index];
+  const passes = (cell) => {
+    const inner = { ...bindings, [level.name]: cell };
+    const restricted = evaluateCondition(level.where, { cell, bindings: inner, details, grid });
+    if (level.quantifier === 'forall') {
+      return !restricted || evaluateQuantified(rule, index + 1, inner, grid, details);
     }
+    return restricted && evaluateQuantified(rule, index + 1, inner, grid, details);
+  };
+  const candidates = getRelatedCells(rule, index, grid, bindings, details);
+  return level.quantifier === 'forall' ? candidates.every(passes) : candidates.some(passes);
+}
+
+// Edits a copy of `cell` until `condition` holds and commits only if `keep` still holds too.
+function editCellToSatisfy(cell, condition, keep, context, random) {
+  const attempt = copyCell(cell);
+  steerCell(condition, true, attempt, context, random);
+  const check = { ...context, cell: attempt };
+  if (!evaluateCondition(condition, check) || !evaluateCondition(keep, check)) {
+    return false;
+  }
+  Object.assign(cell, attempt);
+  return true;
+}
+
+// Makes the formula from variable `index` inward evaluate to `wanted`, recursing through the
+// chain. Cells already bound by an outer variable are never edited from an inner level.
+function steerQuantified(rule, index, bindings, wanted, scope) {
+  const { grid, details, random } = scope;
+  if (evaluateQuantified(rule, index, bindings, grid, details) === wanted) {
     return true;
+  }
+  const levels = rule.variables;
+  if (index === levels.length) {
+    const last = levels[levels.length - 1];
+    const target = wanted ? rule.condition : negateCondition(rule.condition);
+    return editCellToSatisfy(bindings[last.name], target, last.where, { bindings, details, grid }, random);
+  }
+
+  const level = levels[index];
+  const bound = Object.values(bindings);
+  const bind = (cell) => ({ ...bindings, [level.name]: cell });
+  const contextFor = (cell) => ({ bindings: bind(cell), details, grid });
+  const restricted = (cell) => evaluateCondition(level.where, { ...contextFor(cell), cell });
+  const candidates = [...getRelatedCells(rule, index, grid, bindings, details)];
+  if (candidates.length > 0) {
+    shuffleArray(candidates, random);
+  }
+
+  if ((level.quantifier === 'forall') === wanted) {
+    // Every restricted candidate has to go the same way (∀ true, ∃ false); a cell whose inner
+    // part cannot be steered is taken out of the restriction instead. Steering one cell can
+    // undo another, so the final pass (`dropOnly`) just takes out whatever still fails.
+    const settle = (cell) => (scope.dropOnly
+      ? evaluateQuantified(rule, index + 1, bind(cell), grid, details) === wanted
+      : steerQuantified(rule, index + 1, bind(cell), wanted, scope));
+    candidates.filter(restricted).forEach((cell) => {
+      if (!settle(cell) && !bound.includes(cell)) {
+        editCellToSatisfy(cell, negateCondition(level.where), null, contextFor(cell), random);
+      }
+    });
+  } else {
+    // One candidate is enough (∃ true, ∀ false)
+    for (const cell of candidates) {
+      if (bound.includes(cell)) continue;
+      if (!restricted(cell) && !editCellToSatisfy(cell, level.where, null, contextFor(cell), random)) continue;
+      if (steerQuantified(rule, index + 1, bind(cell), wanted, scope)) break;
+    }
+  }
+  return evaluateQuantified(rule, index, bindings, grid, details) === wanted;
+}
+
+function steerQuantifiedRule(rule, grid, details, random, wanted) {
+  for (let pass = 0; pass < MAX_QUANTIFIED_PASSES; pass++) {
+    const dropOnly = pass === MAX_QUANTIFIED_PASSES - 1;
+    if (steerQuantified(rule, 0, {}, wanted, { grid, details, random, dropOnly })) return;
+  }
+}
+
+function enforceQuantifiedRule(rule, grid, details, random) {
+  steerQuantifiedRule(rule, grid, details, random, true);
+}
+
+function createQuantifiedViolation(rule, grid, details, random) {
+  steerQuantifiedRule(rule, grid, details, random, false);
+}
+
+// The inner cell that settles an outer instance: the witness of a true ∃ or the
+// counterexample of a false ∀.
+function findDecisiveCell(rule, bindings, grid, details) {
+  const level = rule.variables[1];
+  const lookingFor = level.quantifier === 'exists';
+  return getRelatedCells(rule, 1, grid, bindings, details).find((cell) => {
+    const inner = { ...bindings, [level.name]: cell };
+    return evaluateCondition(level.where, { cell, bindings: inner, details, grid }) &&
+      evaluateQuantified(rule, 2, inner, grid, details) === lookingFor;
+  });
+}
+
+function verifyQuantifiedRule(rule, grid, details) {
+  const [outer, inner] = rule.variables;
+  const instances = [];
+  grid.forEach((cell) => {
+    const bindings = { [outer.name]: cell };
+    if (!evaluateCondition(outer.where, { cell, bindings, details, grid })) {
+      return;
+    }
+    const holds = evaluateQuantified(rule, 1, bindings, grid, details);
+    const instance = { position: positionOf(cell), holds, failures: [] };
+    if (inner && holds === (inner.quantifier === 'exists')) {
+      const decisive = findDecisiveCell(rule, bindings, grid, details);
+      instance[holds ? 'witness' : 'counterexample'] = decisive ? positionOf(decisive) : null;
+    } else if (inner && !holds) {
+      instance.failures.push({ type: 'noWitness' });
+    }
+    instances.push(instance);
+  });
+  return {
+    ruleType: 'quantified',
+    quantifier: rule.variables
+      .map(({ quantifier }, i) => (i === 0 ? quantifier : quantifier.charAt(0).toUpperCase() + quantifier.slice(1)))
+      .join(''),
+    outer: outer.quantifier,
+    inner: inner ? inner.quantifier : null,
+    relation: inner?.relation
+      ? { type: inner.relation.type, distance: resolveValue(inner.relation.distance, { details }) }
+      : null,
+    satisfied: evaluateQuantified(rule, 0, {}, grid, details),
+    instances
+  };
+}
+
+// The cells a rule is about: those matching the "if" part (`when`) of implication and
+// neighbor rules, the `where` of quantifier rules or the outer variable of a quantified rule,
+// and the region of a region aggregate. Null for aggregates over every row or column, which
+// look at whole groups rather than single cells.
+function findRuleAntecedent(rule, grid, details) {
+  if (rule.type === 'aggregate') {
+    return rule.scope === 'region' ? getGroups(rule, grid, details)[0].cells : null;
+  }
+  if (rule.type === 'quantified') {
+    const outer = rule.variables[0];
+    return grid.filter((cell) =>
+      evaluateCondition(outer.where, { cell, bindings: { [outer.name]: cell }, details, grid })
+    );
+  }
+  const condition = rule.when ?? rule.where;
+  return condition ? grid.filter((cell) => evaluateCondition(condition, { cell, details, grid })) : null;
+}
+
+const ruleHandlers = {
+  implication: {
+    enforce: enforceImplicationRule,
+    violate: createImplicationViolation,
+    verify: verifyImplicationRule
+  },
+  neighborRequirement: {
+    enforce: enforceNeighborRule,
+    violate: createNeighborViolation,
+    verify: verifyNeighborRule
+  },
+  exists: {
+    enforce: enforceExistsRule,
+    violate: createExistsViolation,
+    verify: verifyExistsRule
+  },
+  count: {
+    enforce: enforceCountRule,
+    violate: createCountViolation,
+    verify: verifyCountRule
+  },
+  notAll: {
+    enforce: createImplicationViolation,
+    violate: enforceImplicationRule,
+    verify: verifyNotAllRule
+  },
+  aggregate: {
+    enforce: enforceAggregateRule,
+    violate: createAggregateViolation,
+    verify: verifyAggregateRule
+  },
+  quantified: {
+    enforce: enforceQuantifiedRule,
+    violate: createQuantifiedViolation,
+    verify: verifyQuantifiedRule
+  }
+};
+
+function getRuleHandler(rule) {
+  const handler = ruleHandlers[rule.type];
+  if (!handler) {
+    throw new Error(`Unsupported rule type: ${rule.type}`);
+  }
+  return handler;
+}
+
+function enforceRules(definition, grid, details, random) {
+  definition.rules.forEach((rule) => {
+    getRuleHandler(rule).enforce(rule, grid, details, random);
   });
 }
 
+function createViolation(definition, grid, details, random) {
+  const rule = getRandomElement(definition.rules, random);
+  if (!rule) return;
+  getRuleHandler(rule).violate(rule, grid, details, random);
+}
+
+function verifyRules(definition, grid, details) {
+  const rules = definition.rules.map((rule) => getRuleHandler(rule).verify(rule, grid, details));
+  return { satisfied: rules.every((rule) => rule.satisfied), rules };
+}
+
+// Templates written as FOL alone have no generator rules, so grids are drawn at random
+// until the formula evaluates the way the caller asked for.
+const MAX_FORMULA_SAMPLES = 500;
+
+// Rule-based generation is heuristic, so every grid is verified and regenerated on a miss.
+const MAX_GRID_ATTEMPTS = 25;
+
+function sampleGridForFormula(formula, satisfies, board, random) {
+  for (let attempt = 0; attempt < MAX_FORMULA_SAMPLES; attempt++) {
+    const grid = createRandomGrid(board, random);
+    if (evaluateFormula(formula, grid) === satisfies) {
+      return grid;
+    }
+  }
+  throw new Error(`Could not sample a grid where "${formula}" is ${satisfies}`);
+}
+
 export function createTemplateFromDefinition(definition) {
+  const hasRules = Array.isArray(definition.rules) && definition.rules.length > 0;
+  const fillFormula = (details) => fillTemplate(definition.statement.fol, details);
+
   return {
-    generateStatements() {
-      const details = generateDetails(definition);
-      const naturalLanguageStatement = fillTemplate(definition.statement.text, details);
-      const formalFOLStatement = fillTemplate(definition.statement.fol, details);
-      const hintText = definition.statement.hint
-        ? fillTemplate(definition.statement.hint, details)
-        : '';
-      return { naturalLanguageStatement, formalFOLStatement, hint: hintText, details };
+    id: definition.id,
+
+    // Templates may declare the boards they make sense on, e.g. { "minCols": 5 }.
+    supportsBoard(board) {
+      return supportsBoard(definition.board, board);
     },
 
-    generateGrid(satisfies, details) {
-      const grid = createRandomGrid();
-      enforceRules(definition, grid, details);
+    // `fixedDetails` pins some placeholders, e.g. { shape1: 'circle' }; the rest are drawn.
+    generateStatements(random = Math.random, board = DEFAULT_BOARD, fixedDetails = {}) {
+      const details = generateDetails(definition, board, random, fixedDetails);
+      const { naturalLanguageStatement, hint } = this.describeStatement(details);
+      return { naturalLanguageStatement, formalFOLStatement: fillFormula(details), hint, details };
+    },
+
+    // The statement text and hint for `details` in another language; the formula never changes.
+    describeStatement(details, locale = getLocale()) {
+      return describeStatement(definition, details, locale);
+    },
+
+    // One unverified pass of the generators; the soundness harness measures how often it misses.
+    generateCandidateGrid(satisfies, details, random = Math.random) {
+      if (!hasRules) {
+        return sampleGridForFormula(fillFormula(details), satisfies, getBoard(details), random);
+      }
+      const grid = createRandomGrid(getBoard(details), random);
+      enforceRules(definition, grid, details, random);
       if (!satisfies) {
-        createViolation(definition, grid, details);
+        createViolation(definition, grid, details, random);
+      }
+      return grid;
+    },
+
+    generateGrid(satisfies, details, random = Math.random) {
+      for (let attempt = 0; attempt < MAX_GRID_ATTEMPTS; attempt++) {
+        const grid = this.generateCandidateGrid(satisfies, details, random);
+        if (this.verifyStatementWithGrid(grid, details) === satisfies) {
+          return { grid, satisfies };
+        }
       }
-      return { grid, satisfies };
+      const { board = DEFAULT_BOARD, ...placeholders } = details;
+      throw new Error(
+        `Template ${definition.id} could not generate a ${satisfies ? 'satisfying' : 'violating'} grid ` +
+        `on a ${board.rows}x${board.cols} board ` +
+        `after ${MAX_GRID_ATTEMPTS} attempts (details: ${JSON.stringify(placeholders)})`
+      );
+    },
+
+    // Runs the rule generators over a copy of `grid`; null when the copy still fails or the
+    // template has no rules. "Build the grid" uses it to estimate how few edits a fix needs.
+    repairGrid(grid, details, random = Math.random) {
+      if (!hasRules) {
+        return null;
+      }
+      const repaired = grid.map((cell) => ({ ...cell, position: { ...cell.position } }));
+      enforceRules(definition, repaired, details, random);
+      return this.verifyStatementWithGrid(repaired, details) ? repaired : null;
     },
 
     verifyStatementWithGrid(grid, details) {
+      return this.explainStatementWithGrid(grid, details).satisfied;
+    },
+
+    // { satisfied, rules: [rule explanations] }; FOL-only templates have no rule breakdown.
+    explainStatementWithGrid(grid, details) {
+      if (!hasRules) {
+        return { satisfied: evaluateFormula(fillFormula(details), grid), rules: [] };
+      }
       return verifyRules(definition, grid, details);
+    },
+
+    // Positions of the cells the statement is about (see findRuleAntecedent), or null when no
+    // rule singles out cells. The hint ladder outlines them on the grid.
+    findAntecedentCells(grid, details) {
+      const antecedents = hasRules
+        ? definition.rules.map((rule) => findRuleAntecedent(rule, grid, details)).filter(Boolean)
+        : [];
+      if (antecedents.length === 0) {
+        return null;
+      }
+      return [...new Set(antecedents.flat())].map(positionOf);
+    },
+
+    // Model-checks the filled `statement.fol` directly, independent of the rule tree.
+    evaluateFormulaWithGrid(grid, details) {
+      return evaluateFormula(fillFormula(details), grid);
     }
   };
 }
@@ -0,0 +1,694 @@
+// scripts/templateValidator.js
+// Schema checks for templates.json so typos surface at load time instead of mid-game.
+// Every error carries the template id and a JSON path such as
+// `hard[2].rules[0].neighbor.conditions[1].right.key`. The lists of supported types,
+// operators and actions are exported for the template editor, which offers exactly these.
+
+import { createTemplateFromDefinition } from './templateHandlers.js';
+import { parseFormula, findUnknownSymbols } from './fol.js';
+import { RELATIONS } from './relations.js';
+import { getAttribute, getAttributeNames } from './attributes.js';
+import { createBoard } from './board.js';
+import { getTemplateCodeKey } from './puzzleCode.js';
+import { hasLocale, getPlaceholderKeys, DEFAULT_LOCALE } from './i18n.js';
+
+// Besides these, every registered cell attribute ('shape', 'color', 'fill', ...) is a placeholder type.
+export const PLACEHOLDER_TYPES = ['number', 'int', 'choice', 'comparison', 'parity', 'factor'];
+
+export const COMPUTED_FIELD_KEYS = {
+  colorName: ['source'],
+  regionDescription: ['directionKey', 'sizeKey'],
+  comparisonWord: ['source'],
+  comparisonSymbol: ['source'],
+  parityPredicate: ['source'],
+  stringTemplate: ['template']
+};
+
+// Value refs each operator expects; `all`/`any`/`not` nest conditions instead.
+export const CONDITION_OPERANDS = {
+  equals: ['left', 'right'],
+  notEquals: ['left', 'right'],
+  greaterThan: ['left', 'right'],
+  lessThan: ['left', 'right'],
+  greaterOrEqual: ['left', 'right'],
+  lessOrEqual: ['left', 'right'],
+  between: ['value', 'min', 'max'],
+  parity: ['value', 'parity'],
+  prime: ['value'],
+  multipleOf: ['value', 'factor'],
+  inRegion: ['direction', 'size']
+};
+
+export const VALUE_REF_KINDS = [
+  'placeholder', 'placeholderName', 'cellProperty', 'neighborProperty', 'boundProperty', 'constant', 'number', 'aggregate'
+];
+
+export const RULE_TYPES = ['implication', 'neighborRequirement', 'exists', 'count', 'notAll', 'aggregate', 'quantified'];
+
+export const QUANTIFIERS = ['forall', 'exists'];
+
+export const CELL_ACTIONS = ['setCellProperty', 'setCellPropertyDistinct', 'requireRegion'];
+
+export const NEIGHBOR_ACTIONS = [
+  'setNeighborProperty', 'setNeighborPropertyDistinct', 'ensureNeighborNumber', 'setNeighborNumberBreaking'
+];
+
+const VARIABLE_PATTERN = /^[a-z][0-9]*$/;
+
+// `count` needs no property; `distinct` works on any property, the rest on numbers.
+export const AGGREGATE_FUNCTIONS = ['sum', 'count', 'max', 'min', 'distinct'];
+
+export const AGGREGATE_REF_SCOPES = ['group', 'row', 'column', 'grid'];
+
+export const AGGREGATE_RULE_SCOPES = ['row', 'column', 'region', 'grid'];
+
+export const COMPARISONS = ['greaterThan', 'greaterOrEqual', 'lessThan', 'lessOrEqual'];
+
+export const COUNT_COMPARISONS = ['exactly', 'atLeast', 'atMost'];
+
+// Statement details also carry the board they were generated for.
+const RESERVED_KEYS = ['board'];
+
+const BOARD_REQUIREMENT_KEYS = ['minRows', 'maxRows', 'minCols', 'maxCols', 'minNumbers', 'attributes'];
+
+function isCellProperty(property) {
+  return property === 'number' || Boolean(getAttribute(property));
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function createReporter(templateId, errors) {
+  return (path, message) => errors.push({ templateId, path, message });
+}
+
+function checkPlaceholderOrder(keys, index, refKey, path, report) {
+  const refIndex = keys.indexOf(refKey);
+  if (refIndex === -1) {
+    report(path, `refers to undefined placeholder '${refKey}'`);
+  } else if (refIndex >= index) {
+    report(path, `refers to placeholder '${refKey}', which is not defined before '${keys[index]}'`);
+  }
+}
+
+function validatePlaceholders(placeholders, path, report) {
+  if (placeholders === undefined) return [];
+  if (!isPlainObject(placeholders)) {
+    report(path, 'must be an object keyed by placeholder name');
+    return [];
+  }
+
+  const keys = Object.keys(placeholders);
+  keys.forEach((key, index) => {
+    const def = placeholders[key];
+    const defPath = `${path}.${key}`;
+    if (!isPlainObject(def)) {
+      report(defPath, 'must be an object');
+      return;
+    }
+    if (RESERVED_KEYS.includes(key)) {
+      report(defPath, `'${key}' is reserved and cannot be used as a placeholder name`);
+    }
+    if (!PLACEHOLDER_TYPES.includes(def.type) && !getAttribute(def.type)) {
+      report(`${defPath}.type`, `unsupported placeholder type '${def.type}'`);
+    }
+    if (def.type === 'choice' && (!Array.isArray(def.options) || def.options.length === 0)) {
+      report(`${defPath}.options`, 'choice placeholders need a non-empty options array');
+    }
+    if (def.excludePlaceholders !== undefined) {
+      if (!Array.isArray(def.excludePlaceholders)) {
+        report(`${defPath}.excludePlaceholders`, 'must be an array of placeholder keys');
+      } else {
+        def.excludePlaceholders.forEach((refKey, refIndex) =>
+          checkPlaceholderOrder(keys, index, refKey, `${defPath}.excludePlaceholders[${refIndex}]`, report)
+        );
+      }
+    }
+    ['minRef', 'maxRef'].forEach((field) => {
+      if (def[field] !== undefined) {
+        checkPlaceholderOrder(keys, index, def[field], `${defPath}.${field}`, report);
+      }
+    });
+  });
+  return keys;
+}
+
+function validateComputedFields(computedFields, placeholderKeys, path, report) {
+  const defined = [...placeholderKeys];
+  if (computedFields === undefined) return defined;
+  if (!Array.isArray(computedFields)) {
+    report(path, 'must be an array');
+    return defined;
+  }
+
+  computedFields.forEach((field, index) => {
+    const fieldPath = `${path}[${index}]`;
+    if (!isPlainObject(field)) {
+      report(fieldPath, 'must be an object');
+      return;
+    }
+    if (typeof field.key !== 'string' || !field.key) {
+      report(`${fieldPath}.key`, 'computed fields need a string key');
+    } else if (RESERVED_KEYS.includes(field.key)) {
+      report(`${fieldPath}.key`, `'${field.key}' is reserved and cannot be used as a computed key`);
+    }
+    const requiredKeys = COMPUTED_FIELD_KEYS[field.type];
+    if (!requiredKeys) {
+      report(`${fieldPath}.type`, `unsupported computed field '${field.type}'`);
+    } else if (field.type === 'stringTemplate') {
+      if (typeof field.template !== 'string') {
+        report(`${fieldPath}.template`, 'stringTemplate fields need a template string');
+      } else {
+        checkTextReferences(field.template, defined, `${fieldPath}.template`, report);
+      }
+      if (field.translations !== undefined) {
+        validateTranslations(field.translations, `${fieldPath}.translations`, report, (text, locale, textPath) => {
+          if (typeof text !== 'string') {
+            report(textPath, 'must be a string');
+          } else {
+            checkTextReferences(text, defined, textPath, report, locale);
+          }
+        });
+      }
+    } else {
+      requiredKeys.forEach((refField) => {
+        if (!defined.includes(field[refField])) {
+          report(`${fieldPath}.${refField}`, `refers to undefined key '${field[refField]}'`);
+        }
+      });
+    }
+    if (field.key) defined.push(field.key);
+  });
+  return defined;
+}
+
+// Modifiers name keys too: '{shape1|count}' reads both shape1 and count.
+function checkTextReferences(text, defined, path, report, locale = DEFAULT_LOCALE) {
+  getPlaceholderKeys(text, locale).forEach((key) => {
+    if (!defined.includes(key)) {
+      report(path, `references undefined placeholder '{${key}}'`);
+    }
+  });
+}
+
+// `translations` maps registered locale codes to per-language text, e.g. { "es": ... }.
+function validateTranslations(translations, path, report, validateEntry) {
+  if (!isPlainObject(translations)) {
+    report(path, 'must be an object keyed by locale');
+    return;
+  }
+  Object.entries(translations).forEach(([locale, entry]) => {
+    if (!hasLocale(locale)) {
+      report(`${path}.${locale}`, `unknown locale '${locale}'`);
+      return;
+    }
+    validateEntry(entry, locale, `${path}.${locale}`);
+  });
+}
+
+function validateStatementTranslation(translation, defined, locale, path, report) {
+  if (!isPlainObject(translation)) {
+    report(path, 'must be an object with text and hint strings');
+    return;
+  }
+  if (typeof translation.text !== 'string' || !translation.text) {
+    report(`${path}.text`, 'must be a non-empty string');
+  }
+  ['text', 'hint'].forEach((field) => {
+    if (translation[field] !== undefined && typeof translation[field] !== 'string') {
+      report(`${path}.${field}`, 'must be a string');
+    } else if (typeof translation[field] === 'string') {
+      checkTextReferences(translation[field], defined, `${path}.${field}`, report, locale);
+    }
+  });
+}
+
+// A translated statement filled with an English stringTemplate would mix two languages.
+function checkTranslatedComputedFields(definition, path, report) {
+  const translations = definition.statement?.translations;
+  if (!isPlainObject(translations) || !Array.isArray(definition.computedFields)) return;
+  definition.computedFields.forEach((field, index) => {
+    if (field?.type !== 'stringTemplate') return;
+    Object.keys(translations).filter(hasLocale).forEach((locale) => {
+      if (typeof field.translations?.[locale] !== 'string') {
+        report(`${path}.computedFields[${index}].translations`, `needs a '${locale}' template like the statement`);
+      }
+    });
+  });
+}
+
+function validateStatement(statement, defined, path, report) {
+  if (!isPlainObject(statement)) {
+    report(path, 'is required');
+    return;
+  }
+  ['text', 'fol'].forEach((field) => {
+    if (typeof statement[field] !== 'string' || !statement[field]) {
+      report(`${path}.${field}`, 'must be a non-empty string');
+    }
+  });
+  ['text', 'fol', 'hint'].forEach((field) => {
+    if (typeof statement[field] === 'string') {
+      checkTextReferences(statement[field], defined, `${path}.${field}`, report);
+    }
+  });
+  if (statement.translations !== undefined) {
+    validateTranslations(statement.translations, `${path}.translations`, report, (translation, locale, translationPath) => {
+      validateStatementTranslation(translation, defined, locale, translationPath, report);
+    });
+  }
+}
+
+function validateValueRef(ref, scope, path, report) {
+  if (!isPlainObject(ref)) {
+    report(path, 'must be a value ref object');
+    return;
+  }
+  if (!VALUE_REF_KINDS.includes(ref.kind)) {
+    report(`${path}.kind`, `unsupported value ref kind '${ref.kind}'`);
+    return;
+  }
+  switch (ref.kind) {
+    case 'placeholder':
+    case 'placeholderName':
+      if (!scope.defined.includes(ref.key)) {
+        report(`${path}.key`, `refers to undefined placeholder '${ref.key}'`);
+      }
+      break;
+    case 'neighborProperty':
+      if (!scope.allowNeighbor) {
+        report(`${path}.kind`, 'neighborProperty is only available inside neighbor conditions');
+      }
+    // falls through
+    case 'cellProperty':
+      if (!isCellProperty(ref.property)) {
+        report(`${path}.property`, `unknown cell property '${ref.property}'`);
+      }
+      break;
+    case 'boundProperty':
+      if (!(scope.variables || []).includes(ref.variable)) {
+        report(`${path}.variable`, `'${ref.variable}' is not bound by an enclosing quantifier`);
+      }
+      if (!isCellProperty(ref.property)) {
+        report(`${path}.property`, `unknown cell property '${ref.property}'`);
+      }
+      break;
+    case 'aggregate':
+      validateAggregateRef(ref, scope, path, report);
+      break;
+    default:
+      if (!('value' in ref)) {
+        report(`${path}.value`, `${ref.kind} refs need a value`);
+      }
+  }
+}
+
+function validateAggregateRef(ref, scope, path, report) {
+  if (!AGGREGATE_FUNCTIONS.includes(ref.fn)) {
+    report(`${path}.fn`, `unsupported aggregate '${ref.fn}'`);
+  } else if (ref.fn === 'distinct' && !isCellProperty(ref.property)) {
+    report(`${path}.property`, `unknown cell property '${ref.property}'`);
+  } else if (ref.fn !== 'count' && ref.fn !== 'distinct' && ref.property !== 'number') {
+    report(`${path}.property`, `'${ref.fn}' aggregates only work on 'number'`);
+  }
+
+  const refScope = ref.scope ?? 'group';
+  if (!AGGREGATE_REF_SCOPES.includes(refScope)) {
+    report(`${path}.scope`, `unsupported aggregate scope '${ref.scope}'`);
+  } else if (refScope === 'group' && !scope.allowGroup) {
+    report(`${path}.scope`, 'aggregates without a scope are only available inside aggregate rules');
+  } else if ((refScope === 'row' || refScope === 'column') && scope.allowGroup) {
+    report(`${path}.scope`, `'${refScope}' aggregates need a cell; set the rule scope instead`);
+  }
+
+  if (ref.where !== undefined) {
+    validateCondition(ref.where, { defined: scope.defined, allowNeighbor: false }, `${path}.where`, report);
+  }
+}
+
+function validateCondition(condition, scope, path, report) {
+  if (!isPlainObject(condition)) {
+    report(path, 'must be a condition object');
+    return;
+  }
+  const op = condition.operator;
+  if (op === 'all' || op === 'any') {
+    if (!Array.isArray(condition.conditions) || condition.conditions.length === 0) {
+      report(`${path}.conditions`, `'${op}' needs a non-empty conditions array`);
+      return;
+    }
+    condition.conditions.forEach((c, i) => validateCondition(c, scope, `${path}.conditions[${i}]`, report));
+    return;
+  }
+  if (op === 'not') {
+    validateCondition(condition.condition, scope, `${path}.condition`, report);
+    return;
+  }
+  const operands = CONDITION_OPERANDS[op];
+  if (!operands) {
+    report(`${path}.operator`, `unsupported condition operator '${op}'`);
+    return;
+  }
+  operands.forEach((field) => validateValueRef(condition[field], scope, `${path}.${field}`, report));
+}
+
+function validateCellAction(action, scope, path, report) {
+  if (!isPlainObject(action)) {
+    report(path, 'must be an action object');
+    return;
+  }
+  switch (action.action) {
+    case 'setCellProperty':
+      if (!isCellProperty(action.property)) {
+        report(`${path}.property`, `unknown cell property '${action.property}'`);
+      }
+      validateValueRef(action.value, scope, `${path}.value`, report);
+      break;
+    case 'setCellPropertyDistinct':
+      if (!isCellProperty(action.property)) {
+        report(`${path}.property`, `unknown cell property '${action.property}'`);
+      }
+      if (!scope.defined.includes(action.fromPlaceholder)) {
+        report(`${path}.fromPlaceholder`, `refers to undefined placeholder '${action.fromPlaceholder}'`);
+      }
+      break;
+    case 'requireRegion':
+      validateValueRef(action.direction, scope, `${path}.direction`, report);
+      validateValueRef(action.size, scope, `${path}.size`, report);
+      break;
+    default:
+      report(`${path}.action`, `unsupported cell action '${action.action}'`);
+  }
+}
+
+function validateNeighborAction(action, scope, path, report) {
+  if (!isPlainObject(action)) {
+    report(path, 'must be an action object');
+    return;
+  }
+  switch (action.action) {
+    case 'setNeighborProperty':
+      if (!isCellProperty(action.property)) {
+        report(`${path}.property`, `unknown cell property '${action.property}'`);
+      }
+      validateValueRef(action.value, scope, `${path}.value`, report);
+      break;
+    case 'setNeighborPropertyDistinct':
+      if (!isCellProperty(action.property)) {
+        report(`${path}.property`, `unknown cell property '${action.property}'`);
+      }
+      if (!scope.defined.includes(action.fromPlaceholder)) {
+        report(`${path}.fromPlaceholder`, `refers to undefined placeholder '${action.fromPlaceholder}'`);
+      }
+      break;
+    case 'ensureNeighborNumber':
+    case 'setNeighborNumberBreaking':
+      if (!COMPARISONS.includes(action.comparison)) {
+        report(`${path}.comparison`, `unsupported comparison '${action.comparison}'`);
+      }
+      if (!scope.defined.includes(action.placeholder)) {
+        report(`${path}.placeholder`, `refers to undefined placeholder '${action.placeholder}'`);
+      }
+      break;
+    default:
+      report(`${path}.action`, `unsupported neighbor action '${action.action}'`);
+  }
+}
+
+function validateOptionalCellAction(action, scope, path, report) {
+  if (action !== undefined) {
+    validateCellAction(action, scope, path, report);
+  }
+}
+
+function validateQuantifiedRule(rule, defined, path, report) {
+  if (!Array.isArray(rule.variables) || rule.variables.length === 0) {
+    report(`${path}.variables`, 'quantified rules need a non-empty variables array');
+    return;
+  }
+
+  const names = [];
+  rule.variables.forEach((variable, index) => {
+    const variablePath = `${path}.variables[${index}]`;
+    if (!isPlainObject(variable)) {
+      report(variablePath, 'must be an object');
+      return;
+    }
+    if (typeof variable.name !== 'string' || !VARIABLE_PATTERN.test(variable.name)) {
+      report(`${variablePath}.name`, `'${variable.name}' is not a variable name (a lowercase letter, optionally with digits)`);
+    } else if (names.includes(variable.name)) {
+      report(`${variablePath}.name`, `variable '${variable.name}' is bound twice`);
+    }
+    if (!QUANTIFIERS.includes(variable.quantifier)) {
+      report(`${variablePath}.quantifier`, `unsupported quantifier '${variable.quantifier}'`);
+    }
+
+    const relation = variable.relation;
+    if (relation !== undefined && index === 0) {
+      report(`${variablePath}.relation`, 'the outermost variable has nothing to relate to');
+    } else if (relation !== undefined) {
+      const definition = RELATIONS[relation.type];
+      if (!definition) {
+        report(`${variablePath}.relation.type`, `unknown relation '${relation.type}'`);
+      } else if (definition.takesDistance) {
+        validateValueRef(relation.distance, { defined }, `${variablePath}.relation.distance`, report);
+      }
+      if (relation.of !== undefined && !names.includes(relation.of)) {
+        report(`${variablePath}.relation.of`, `'${relation.of}' is not bound before '${variable.name}'`);
+      }
+    }
+
+    names.push(variable.name);
+    if (variable.where !== undefined) {
+      validateCondition(variable.where, { defined, variables: [...names] }, `${variablePath}.where`, report);
+    }
+  });
+
+  if (rule.condition !== undefined) {
+    validateCondition(rule.condition, { defined, variables: names }, `${path}.condition`, report);
+  }
+}
+
+function validateRule(rule, defined, path, report) {
+  if (!isPlainObject(rule)) {
+    report(path, 'must be a rule object');
+    return;
+  }
+  const cellScope = { defined, allowNeighbor: false };
+  const neighborScope = { defined, allowNeighbor: true };
+
+  switch (rule.type) {
+    case 'implication':
+    case 'notAll':
+      validateCondition(rule.when, cellScope, `${path}.when`, report);
+      // The consequent is a `then` condition, or the hand-written actions that establish it
+      if (rule.then !== undefined && rule.actions !== undefined) {
+        report(`${path}.then`, `${rule.type} rules take either a then condition or actions, not both`);
+      } else if (rule.then !== undefined) {
+        validateCondition(rule.then, cellScope, `${path}.then`, report);
+      } else if (!Array.isArray(rule.actions) || rule.actions.length === 0) {
+        report(`${path}.actions`, `${rule.type} rules need a then condition or a non-empty actions array`);
+      } else {
+        rule.actions.forEach((a, i) => validateCellAction(a, cellScope, `${path}.actions[${i}]`, report));
+      }
+      validateOptionalCellAction(rule.breakAntecedent, cellScope, `${path}.breakAntecedent`, report);
+      validateOptionalCellAction(rule.violation, cellScope, `${path}.violation`, report);
+      break;
+    case 'neighborRequirement': {
+      validateCondition(rule.when, cellScope, `${path}.when`, report);
+      validateOptionalCellAction(rule.breakAntecedent, cellScope, `${path}.breakAntecedent`, report);
+      const neighbor = rule.neighbor;
+      if (!isPlainObject(neighbor)) {
+        report(`${path}.neighbor`, 'neighborRequirement rules need a neighbor object');
+        break;
+      }
+      validateValueRef(neighbor.direction, cellScope, `${path}.neighbor.direction`, report);
+      (neighbor.conditions || []).forEach((c, i) =>
+        validateCondition(c, neighborScope, `${path}.neighbor.conditions[${i}]`, report)
+      );
+      (neighbor.satisfy || []).forEach((a, i) =>
+        validateNeighborAction(a, neighborScope, `${path}.neighbor.satisfy[${i}]`, report)
+      );
+      if (neighbor.violation !== undefined) {
+        validateNeighborAction(neighbor.violation, neighborScope, `${path}.neighbor.violation`, report);
+      }
+      break;
+    }
+    case 'count':
+      if (!COUNT_COMPARISONS.includes(rule.comparison)) {
+        report(`${path}.comparison`, `unsupported count comparison '${rule.comparison}'`);
+      }
+      validateValueRef(rule.count, cellScope, `${path}.count`, report);
+    // falls through
+    case 'exists':
+      validateCondition(rule.where, cellScope, `${path}.where`, report);
+      validateOptionalCellAction(rule.falsify, cellScope, `${path}.falsify`, report);
+      break;
+    case 'aggregate':
+      if (!AGGREGATE_RULE_SCOPES.includes(rule.scope)) {
+        report(`${path}.scope`, `unsupported aggregate rule scope '${rule.scope}'`);
+      } else if (rule.scope === 'region') {
+        validateValueRef(rule.direction, cellScope, `${path}.direction`, report);
+        validateValueRef(rule.size, cellScope, `${path}.size`, report);
+      }
+      validateCondition(rule.condition, { defined, allowNeighbor: false, allowGroup: true }, `${path}.condition`, report);
+      validateOptionalCellAction(rule.falsify, cellScope, `${path}.falsify`, report);
+      break;
+    case 'quantified':
+      validateQuantifiedRule(rule, defined, path, report);
+      break;
+    default:
+      report(`${path}.type`, `unsupported rule type '${rule.type}'; expected one of ${RULE_TYPES.join(', ')}`);
+  }
+}
+
+function validateBoardRequirements(requirements, path, report) {
+  if (requirements === undefined) return;
+  if (!isPlainObject(requirements)) {
+    report(path, 'must be an object such as { "minRows": 4, "maxCols": 7 }');
+    return;
+  }
+  Object.entries(requirements).forEach(([key, value]) => {
+    if (!BOARD_REQUIREMENT_KEYS.includes(key)) {
+      report(`${path}.${key}`, `unknown board requirement; expected one of ${BOARD_REQUIREMENT_KEYS.join(', ')}`);
+    } else if (key === 'attributes') {
+      if (!Array.isArray(value)) {
+        report(`${path}.${key}`, 'must be an array of attribute names');
+      } else {
+        value.filter((name) => !getAttribute(name))
+          .forEach((name) => report(`${path}.${key}`, `unknown attribute '${name}'`));
+      }
+    } else if (!Number.isInteger(value) || value < 1) {
+      report(`${path}.${key}`, 'must be a positive integer');
+    }
+  });
+  [['minRows', 'maxRows'], ['minCols', 'maxCols']].forEach(([min, max]) => {
+    if (requirements[min] > requirements[max]) {
+      report(path, `${min} (${requirements[min]}) is larger than ${max} (${requirements[max]})`);
+    }
+  });
+}
+
+function collectUsedProperties(node, used) {
+  if (Array.isArray(node)) {
+    node.forEach((child) => collectUsedProperties(child, used));
+  } else if (isPlainObject(node)) {
+    if (typeof node.property === 'string') used.add(node.property);
+    Object.values(node).forEach((child) => collectUsedProperties(child, used));
+  }
+  return used;
+}
+
+// Optional attributes (size, fill, ...) only exist on boards that enable them, so a template
+// using one must say so in `board.attributes` to be kept off the other boards.
+function validateAttributeUse(definition, path, report) {
+  const used = collectUsedProperties(definition.rules, new Set());
+  Object.values(definition.placeholders || {}).forEach((def) => used.add(def?.type));
+  const fol = typeof definition.statement?.fol === 'string' ? definition.statement.fol : '';
+  const declared = definition.board?.attributes || [];
+  getAttributeNames()
+    .filter((name) => getAttribute(name).optional && !declared.includes(name))
+    .filter((name) => used.has(name) || new RegExp(`\\b${getAttribute(name).predicate}\\(`).test(fol))
+    .forEach((name) => report(`${path}.board.attributes`, `uses the optional attribute '${name}' but does not list it`));
+}
+
+// Fill the template once and make sure the resulting formula parses with the known vocabulary.
+function validateSampleFormula(definition, path, report) {
+  let statement;
+  try {
+    const attributes = Object.fromEntries((definition.board?.attributes || []).map((name) => [name, true]));
+    statement = createTemplateFromDefinition(definition).generateStatements(Math.random, createBoard({ attributes }));
+  } catch (error) {
+    report(path, `could not generate a sample statement: ${error.message}`);
+    return;
+  }
+  try {
+    const unknown = findUnknownSymbols(parseFormula(statement.formalFOLStatement));
+    if (unknown.length > 0) {
+      report(`${path}.statement.fol`, `uses unknown predicates or functions: ${unknown.join(', ')}`);
+    }
+  } catch (error) {
+    report(`${path}.statement.fol`, `"${statement.formalFOLStatement}" does not parse: ${error.message}`);
+  }
+}
+
+/**
+ * validateTemplate(definition, path): returns the list of { templateId, path, message } errors
+ */
+export function validateTemplate(definition, path = 'template') {
+  const errors = [];
+  const templateId = isPlainObject(definition) && typeof definition.id === 'string' ? definition.id : '(no id)';
+  const report = createReporter(templateId, errors);
+
+  if (!isPlainObject(definition)) {
+    report(path, 'must be an object');
+    return errors;
+  }
+  if (typeof definition.id !== 'string' || !definition.id) {
+    report(`${path}.id`, 'must be a non-empty string');
+  }
+
+  validateBoardRequirements(definition.board, `${path}.board`, report);
+  validateAttributeUse(definition, path, report);
+  const placeholderKeys = validatePlaceholders(definition.placeholders, `${path}.placeholders`, report);
+  const defined = validateComputedFields(definition.computedFields, placeholderKeys, `${path}.computedFields`, report);
+  validateStatement(definition.statement, defined, `${path}.statement`, report);
+  checkTranslatedComputedFields(definition, path, report);
+
+  if (definition.rules !== undefined) {
+    if (!Array.isArray(definition.rules)) {
+      report(`${path}.rules`, 'must be an array');
+    } else {
+      definition.rules.forEach((rule, i) => validateRule(rule, defined, `${path}.rules[${i}]`, report));
+    }
+  }
+
+  if (errors.length === 0) {
+    validateSampleFormula(definition, path, report);
+  }
+  return errors;
+}
+
+/**
+ * validateTemplateBank(bank): validates every template in a { difficulty: [templates] } bank
+ */
+export function validateTemplateBank(bank) {
+  if (!isPlainObject(bank)) {
+    return [{ templateId: '(bank)', path: '$', message: 'must be an object keyed by difficulty' }];
+  }
+
+  const errors = [];
+  const seenIds = new Map();
+  const seenCodeKeys = new Map();
+  Object.entries(bank).forEach(([difficulty, templates]) => {
+    if (!Array.isArray(templates)) {
+      errors.push({ templateId: '(bank)', path: difficulty, message: 'must be an array of templates' });
+      return;
+    }
+    templates.forEach((definition, index) => {
+      const path = `${difficulty}[${index}]`;
+      errors.push(...validateTemplate(definition, path));
+      const id = definition?.id;
+      if (typeof id === 'string') {
+        if (seenIds.has(id)) {
+          errors.push({ templateId: id, path: `${path}.id`, message: `duplicate id, first used at ${seenIds.get(id)}` });
+        } else {
+          seenIds.set(id, path);
+          // Puzzle codes name templates by this key, so two ids must not share one
+          const codeKey = getTemplateCodeKey(id);
+          if (seenCodeKeys.has(codeKey)) {
+            errors.push({ templateId: id, path: `${path}.id`, message: `puzzle code key '${codeKey}' is also used by ${seenCodeKeys.get(codeKey)}; rename one of them` });
+          } else {
+            seenCodeKeys.set(codeKey, id);
+          }
+        }
+      }
+    });
+  });
+  return errors;
+}
+
+export function formatValidationErrors(errors) {
+  return errors.map(({ templateId, path, message }) => `${templateId} @ ${path}: ${message}`).join('\n');
+}
@@ -0,0 +1,75 @@
+// scripts/tools/checkSoundness.js
+// Reports per-template failure rates of the grid generators, with example counter-grids.
+// Exits non-zero when any generator miss is found.
+//
+// Run with --help for the flags.
+
+import { checkBankSoundness, formatGridAscii } from '../soundness.js';
+import { createFileTemplateLoader } from '../node/templateLoader.js';
+import { parseArgs } from '../node/cliArgs.js';
+
+const USAGE = `Usage: node scripts/tools/checkSoundness.js [--samples 1000] [--seed 1] [--template <id>]
+       [--board standard|warmup|challenge|small|extended] [--templates <path>]
+       [--actions written|derived]
+
+--actions derived leaves out the rules' hand-written actions, to check the generators the
+engine derives from the conditions on the real bank.`;
+
+function formatRate(outcome) {
+  const percent = outcome.attempts ? (100 * outcome.failures) / outcome.attempts : 0;
+  return `${outcome.failures}/${outcome.attempts} (${percent.toFixed(2)}%)`;
+}
+
+function printExamples(label, outcome) {
+  outcome.examples.forEach((example, index) => {
+    console.log(`  ${label} counter-example ${index + 1}: ${example.statement}`);
+    console.log(`    FOL: ${example.fol}`);
+    console.log(formatGridAscii(example.grid).replace(/^/gm, '    '));
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2), USAGE);
+  if (args.actions !== undefined && !['written', 'derived'].includes(args.actions)) {
+    throw new Error(`Unknown --actions '${args.actions}'; use written or derived.`);
+  }
+  const bank = await createFileTemplateLoader(args.templates)();
+  const filtered = args.template
+    ? Object.fromEntries(
+      Object.entries(bank).map(([difficulty, defs]) => [difficulty, defs.filter((def) => def.id === args.template)])
+    )
+    : bank;
+
+  const results = checkBankSoundness(filtered, {
+    samples: Number(args.samples ?? 1000),
+    seed: Number(args.seed ?? 1),
+    board: args.board,
+    derived: args.actions === 'derived'
+  });
+  if (results.length === 0) {
+    throw new Error(`No template matched '${args.template ?? '*'}' on board '${args.board ?? 'standard'}'.`);
+  }
+
+  let unsound = 0;
+  results.forEach((result) => {
+    const { satisfies, violates } = result;
+    const misses = satisfies.failures + violates.failures + satisfies.generationErrors + violates.generationErrors;
+    if (misses > 0) unsound += 1;
+
+    console.log(`${misses > 0 ? 'FAIL' : 'ok  '} ${result.difficulty}/${result.templateId}`);
+    console.log(`  satisfies=true  misses ${formatRate(satisfies)}, gave up ${satisfies.generationErrors}`);
+    console.log(`  satisfies=false misses ${formatRate(violates)}, gave up ${violates.generationErrors}`);
+    printExamples('true', satisfies);
+    printExamples('false', violates);
+  });
+
+  console.log(`\n${results.length - unsound}/${results.length} templates sound.`);
+  if (unsound > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
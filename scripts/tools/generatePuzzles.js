@@ -0,0 +1,39 @@
+// scripts/tools/generatePuzzles.js
+// Batch-generates puzzles from Node and prints them as JSON.
+//
+// Run with --help for the flags.
+
+import { setTemplateLoader } from '../statementGenerator.js';
+import { generatePuzzle } from '../puzzleGenerator.js';
+import { createFileTemplateLoader } from '../node/templateLoader.js';
+import { parseArgs } from '../node/cliArgs.js';
+
+const USAGE = `Usage: node scripts/tools/generatePuzzles.js [--difficulty easy] [--count 10]
+       [--template <id>] [--seed <n>] [--code <puzzle code>] [--templates <path>]
+       [--board standard|warmup|challenge|small|extended]`;
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2), USAGE);
+  setTemplateLoader(createFileTemplateLoader(args.templates));
+
+  const count = Number(args.count ?? 1);
+  const firstSeed = args.seed !== undefined ? Number(args.seed) : undefined;
+  const puzzles = [];
+
+  for (let i = 0; i < count; i++) {
+    puzzles.push(await generatePuzzle({
+      difficulty: args.difficulty,
+      templateId: args.template,
+      seed: firstSeed !== undefined ? firstSeed + i : undefined,
+      code: args.code,
+      board: args.board
+    }));
+  }
+
+  process.stdout.write(`${JSON.stringify(puzzles, null, 2)}\n`);
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
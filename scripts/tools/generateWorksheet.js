@@ -0,0 +1,87 @@
+// scripts/tools/generateWorksheet.js
+// Writes a printable worksheet of generated puzzles, or of a puzzle set file, as HTML or SVG.
+//
+// Run with --help for the flags.
+
+import fs from 'fs';
+import { setTemplateLoader } from '../statementGenerator.js';
+import { generatePuzzle } from '../puzzleGenerator.js';
+import { parsePuzzleSet, generatePuzzleSet } from '../puzzleSet.js';
+import { createWorksheetHtml, createWorksheetSvg, createAnswerKeySvg } from '../worksheet.js';
+import { setLocale } from '../i18n.js';
+import { createFileTemplateLoader } from '../node/templateLoader.js';
+import { parseArgs } from '../node/cliArgs.js';
+
+const FORMATS = ['html', 'svg'];
+
+const USAGE = `Usage: node scripts/tools/generateWorksheet.js [--difficulty easy] [--count 6] [--seed <n>]
+       [--template <id>] [--board standard|warmup|challenge|small|extended] [--set <file>]
+       [--format html|svg] [--title <text>] [--fol true] [--patterns true] [--answers false]
+       [--locale en|es] [--out <file>] [--templates <path>]
+
+HTML goes to --out or stdout with the answer key on its last page. SVG writes the answer key
+to a second file next to --out, e.g. week3.svg and week3-answers.svg.`;
+
+async function collectPuzzles(args) {
+  if (args.set) {
+    const set = parsePuzzleSet(fs.readFileSync(args.set, 'utf8'));
+    return { title: set.title, puzzles: await generatePuzzleSet(set) };
+  }
+  const count = Number(args.count ?? 6);
+  const firstSeed = args.seed !== undefined ? Number(args.seed) : undefined;
+  const puzzles = [];
+  for (let i = 0; i < count; i++) {
+    puzzles.push(await generatePuzzle({
+      difficulty: args.difficulty,
+      templateId: args.template,
+      seed: firstSeed !== undefined ? firstSeed + i : undefined,
+      board: args.board
+    }));
+  }
+  return { title: '', puzzles };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2), USAGE);
+  const format = args.format ?? 'html';
+  if (!FORMATS.includes(format)) {
+    throw new Error(`--format must be one of ${FORMATS.join(', ')}, got '${format}'`);
+  }
+  if (args.locale) {
+    setLocale(args.locale);
+  }
+  setTemplateLoader(createFileTemplateLoader(args.templates));
+
+  const { title, puzzles } = await collectPuzzles(args);
+  const options = {
+    title: args.title ?? title,
+    showFol: args.fol === 'true',
+    patterns: args.patterns === 'true',
+    answerKey: args.answers !== 'false'
+  };
+
+  if (format === 'html') {
+    const html = createWorksheetHtml(puzzles, options);
+    if (args.out) {
+      fs.writeFileSync(args.out, html);
+    } else {
+      process.stdout.write(html);
+    }
+    return;
+  }
+
+  const svg = createWorksheetSvg(puzzles, options);
+  if (!args.out) {
+    process.stdout.write(svg);
+    return;
+  }
+  fs.writeFileSync(args.out, svg);
+  if (options.answerKey) {
+    fs.writeFileSync(args.out.replace(/(\.svg)?$/i, '-answers.svg'), createAnswerKeySvg(puzzles, options));
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,33 @@
+// scripts/tools/validateTemplates.js
+// Validates a template bank and exits non-zero on errors.
+//
+// Run with --help for the usage.
+
+import { validateTemplateBank, formatValidationErrors } from '../templateValidator.js';
+import { createFileTemplateLoader } from '../node/templateLoader.js';
+import { exitWithUsageIfAsked } from '../node/cliArgs.js';
+
+const USAGE = 'Usage: node scripts/tools/validateTemplates.js [path/to/templates.json]';
+
+async function main() {
+  exitWithUsageIfAsked(process.argv.slice(2), USAGE);
+  const bank = await createFileTemplateLoader(process.argv[2])();
+  const errors = validateTemplateBank(bank);
+  const templateCount = Object.values(bank).reduce(
+    (total, templates) => total + (Array.isArray(templates) ? templates.length : 0),
+    0
+  );
+
+  if (errors.length > 0) {
+    console.error(formatValidationErrors(errors));
+    console.error(`\n${errors.length} error(s) in ${templateCount} template(s).`);
+    process.exitCode = 1;
+    return;
+  }
+  console.log(`All ${templateCount} templates are valid.`);
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
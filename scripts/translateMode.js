@@ -0,0 +1,198 @@
+// scripts/translateMode.js
+// Translate rounds on the page: pick the formula for a sentence or the sentence for a formula.
+// After answering, every wrong choice shows a grid on which it and the statement disagree.
+
+import { displayGrid } from './grid.js';
+import { getRandomElement } from './utils.js';
+import { t } from './i18n.js';
+
+let round = null;
+let onTranslateAnswer = null;
+
+let translatePanel = null;
+let promptLabelEl = null;
+let promptEl = null;
+let optionsContainer = null;
+let feedbackEl = null;
+
+/**
+ * initTranslateMode({ onAnswer }): wires the translate panel once; onAnswer(isCorrect, pickedText)
+ * runs after each answer
+ */
+export function initTranslateMode({ onAnswer } = {}) {
+    onTranslateAnswer = onAnswer || null;
+    translatePanel = document.getElementById('translate-panel');
+    promptLabelEl = document.getElementById('translate-prompt-label');
+    promptEl = document.getElementById('translate-prompt');
+    optionsContainer = document.getElementById('translate-options');
+    feedbackEl = document.getElementById('translate-feedback');
+}
+
+/**
+ * showTranslateRound(puzzle): shows a puzzle from generateTranslatePuzzle() next to its example grid
+ */
+export function showTranslateRound(puzzle) {
+    round = { puzzle, answered: false, buttons: [] };
+    if (promptEl) {
+        promptEl.classList.toggle('fol-text', puzzle.direction !== 'toFol');
+    }
+    displayGrid(puzzle.grid);
+    renderOptions();
+    refreshTranslateText();
+    showFeedback(t('translate.example'));
+    if (translatePanel) {
+        translatePanel.hidden = false;
+    }
+}
+
+/**
+ * refreshTranslateText(): shows the prompt, the options and their notes again, e.g. after the
+ * sentences were put into another language; formulas read the same in every language
+ */
+export function refreshTranslateText() {
+    if (!round) {
+        return;
+    }
+    const { puzzle } = round;
+    const toFol = puzzle.direction === 'toFol';
+    if (promptLabelEl) {
+        promptLabelEl.textContent = t(toFol ? 'translate.sentence' : 'translate.fol');
+    }
+    if (promptEl) {
+        promptEl.textContent = toFol ? puzzle.statement.naturalLanguageStatement : puzzle.prompt;
+    }
+    round.buttons.forEach((button, index) => {
+        const option = puzzle.options[index];
+        if (!toFol) {
+            option.text = option.naturalLanguageStatement;
+        }
+        button.firstChild.textContent = option.text;
+        const note = button.querySelector('.translate-note');
+        if (note) {
+            note.textContent = describeKind(option);
+        }
+    });
+}
+
+/**
+ * describeKind(option): what kind of option it is, e.g. 'Swapped ∀ and ∃', in the current language
+ */
+export function describeKind(option) {
+    const key = `translate.kind.${option.kind}`;
+    const label = t(key);
+    return label === key ? option.label : label;
+}
+
+/**
+ * stopTranslateMode(): hides the panel when another mode takes over
+ */
+export function stopTranslateMode() {
+    round = null;
+    if (translatePanel) {
+        translatePanel.hidden = true;
+    }
+    if (optionsContainer) {
+        optionsContainer.innerHTML = '';
+    }
+}
+
+/**
+ * eliminateTranslateOption(): the last hint level – crosses out one wrong option that is still
+ * open and returns it, or null once the round is answered or none is left
+ */
+export function eliminateTranslateOption() {
+    if (!round || round.answered) {
+        return null;
+    }
+    const open = round.puzzle.options
+        .map((option, index) => index)
+        .filter((index) => index !== round.puzzle.correctIndex && !round.buttons[index].disabled);
+    if (open.length === 0) {
+        return null;
+    }
+    const index = getRandomElement(open);
+    round.buttons[index].disabled = true;
+    round.buttons[index].classList.add('option-eliminated');
+    return round.puzzle.options[index];
+}
+
+function showFeedback(message) {
+    if (feedbackEl) {
+        feedbackEl.textContent = message;
+    }
+}
+
+function renderOptions() {
+    if (!optionsContainer) {
+        return;
+    }
+    optionsContainer.innerHTML = '';
+    const toFol = round.puzzle.direction === 'toFol';
+
+    round.buttons = round.puzzle.options.map((option, index) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'option-button';
+        button.setAttribute('aria-keyshortcuts', String(index + 1));
+
+        const text = document.createElement('div');
+        text.className = toFol ? 'fol-text' : 'option-headline';
+        text.textContent = option.text;
+        button.appendChild(text);
+
+        button.addEventListener('click', () => {
+            if (round.answered) {
+                reviewOption(index);
+            } else {
+                answer(index);
+            }
+        });
+        optionsContainer.appendChild(button);
+        return button;
+    });
+}
+
+function answer(index) {
+    round.answered = true;
+    const { options, correctIndex } = round.puzzle;
+    const isCorrect = index === correctIndex;
+
+    round.buttons.forEach((button, optionIndex) => {
+        const option = options[optionIndex];
+        button.disabled = false;
+        button.classList.add(optionIndex === correctIndex ? 'option-correct' : 'option-incorrect');
+        if (optionIndex === index) {
+            button.classList.add('option-picked');
+        }
+        const note = document.createElement('div');
+        note.className = 'translate-note';
+        note.textContent = describeKind(option);
+        button.appendChild(note);
+    });
+
+    reviewOption(index);
+    if (onTranslateAnswer) {
+        onTranslateAnswer(isCorrect, options[index].text);
+    }
+}
+
+// Shows why a choice is wrong: a grid on which it and the statement have different truth values.
+function reviewOption(index) {
+    const option = round.puzzle.options[index];
+    const toFol = round.puzzle.direction === 'toFol';
+    round.buttons.forEach((button, optionIndex) => button.classList.toggle('translate-reviewed', optionIndex === index));
+
+    const subject = toFol ? 'formula' : 'sentence';
+    if (!option.disagreement) {
+        displayGrid(round.puzzle.grid);
+        showFeedback(t(`translate.correctReview.${subject}`));
+        return;
+    }
+    const { grid, holdsA: statementHolds, holdsB: optionHolds } = option.disagreement;
+    displayGrid(grid);
+    showFeedback(t(`translate.review.${subject}`, {
+        label: describeKind(option),
+        statementValue: t(`truthValue.${statementHolds}`),
+        optionValue: t(`truthValue.${optionHolds}`)
+    }));
+}
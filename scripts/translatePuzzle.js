@@ -0,0 +1,155 @@
+// scripts/translatePuzzle.js
+// Translate rounds: match a sentence to its FOL formula (distractors are single-mistake
+// mutations from folMutations.js) or a formula to its sentence. DOM-free like puzzleGenerator.js.
+
+import { getRandomElement, createSeededRandom, createRandomSeed, shuffleArray } from './utils.js';
+import { getTemplatesByDifficulty } from './statementGenerator.js';
+import { createBoard, DEFAULT_BOARD_ID } from './board.js';
+import { parseFormula, formatFormula, evaluateFormula } from './fol.js';
+import { mutateFormula } from './folMutations.js';
+import { createSampleGrids, findDisagreement } from './folEquivalence.js';
+
+const OPTION_COUNT = 4;
+const MAX_TRANSLATE_ATTEMPTS = 5;
+const MAX_STATEMENT_DRAWS = 40;
+
+export const TRANSLATE_DIRECTIONS = ['toFol', 'toNatural'];
+
+// Prefers one distractor per kind of mistake before repeating a kind.
+function pickVaried(candidates, count) {
+  const picked = [];
+  const kinds = new Set();
+  candidates.forEach((candidate) => {
+    if (picked.length < count && !kinds.has(candidate.kind)) {
+      picked.push(candidate);
+      kinds.add(candidate.kind);
+    }
+  });
+  candidates.forEach((candidate) => {
+    if (picked.length < count && !picked.includes(candidate)) {
+      picked.push(candidate);
+    }
+  });
+  return picked;
+}
+
+function buildFormulaDistractors(correctAst, grids, random) {
+  const candidates = mutateFormula(correctAst).map((variant) => ({
+    ...variant,
+    disagreement: findDisagreement(correctAst, variant.ast, grids)
+  })).filter((variant) => variant.disagreement);
+  shuffleArray(candidates, random);
+  return pickVaried(candidates, OPTION_COUNT - 1).map((variant) => ({
+    text: variant.formula,
+    formalFOLStatement: variant.formula,
+    kind: variant.kind,
+    label: variant.label,
+    disagreement: variant.disagreement
+  }));
+}
+
+// Tops `distractors` up with other statements, shown as sentences or formulas. Ones from the
+// same template with other details read alike, so they come first; formula rounds only get
+// them when the mutations run short.
+function addStatementDistractors(template, templateBank, statementData, direction, distractors, grids, board, random) {
+  const correctAst = parseFormula(statementData.formalFOLStatement);
+  const textOf = (data) => (direction === 'toFol' ? formatFormula(parseFormula(data.formalFOLStatement)) : data.naturalLanguageStatement);
+  const taken = new Set([textOf(statementData), ...distractors.map((distractor) => distractor.text)]);
+  for (let draw = 0; draw < MAX_STATEMENT_DRAWS && distractors.length < OPTION_COUNT - 1; draw++) {
+    const sameTemplate = draw < MAX_STATEMENT_DRAWS / 2;
+    const source = sameTemplate ? template : getRandomElement(templateBank, random);
+    const candidate = source.generateStatements(random, board);
+    const text = textOf(candidate);
+    if (taken.has(text)) {
+      continue;
+    }
+    const disagreement = findDisagreement(correctAst, candidate.formalFOLStatement, grids);
+    if (!disagreement) {
+      continue;
+    }
+    taken.add(text);
+    distractors.push({
+      text,
+      templateId: source.id,
+      details: candidate.details,
+      naturalLanguageStatement: candidate.naturalLanguageStatement,
+      formalFOLStatement: formatFormula(parseFormula(candidate.formalFOLStatement)),
+      kind: source === template ? 'otherDetails' : 'otherStatement',
+      label: source === template ? 'Same pattern, different details' : 'A different statement',
+      disagreement
+    });
+  }
+}
+
+/**
+ * generateTranslatePuzzle(options): one statement shown as a sentence or a formula, with four
+ * candidate translations.
+ *
+ * Options: { difficulty = 'easy', direction = 'toFol', templateId?, seed?, board? }. 'toFol'
+ * shows the sentence and offers formulas, 'toNatural' the reverse. Resolves to { seed,
+ * difficulty, direction, templateId, board, statement, prompt, grid, options, correctIndex };
+ * `grid` is an example on which the statement holds and every distractor carries the
+ * `disagreement` from findDisagreement() that tells it apart from the answer. Options made from
+ * a statement keep its `templateId` and `details`, so its sentence can be written in another language.
+ */
+export async function generateTranslatePuzzle(options = {}) {
+  const difficulty = options.difficulty || 'easy';
+  const direction = options.direction || 'toFol';
+  if (!TRANSLATE_DIRECTIONS.includes(direction)) {
+    throw new Error(`Unknown translation direction '${direction}'.`);
+  }
+  const board = createBoard(options.board ?? DEFAULT_BOARD_ID);
+  const seed = (options.seed ?? createRandomSeed()) >>> 0;
+  const random = createSeededRandom(seed);
+
+  const templateBank = (await getTemplatesByDifficulty(difficulty))
+    .filter((template) => template.supportsBoard(board));
+  const template = options.templateId !== undefined
+    ? templateBank.find((candidate) => candidate.id === options.templateId)
+    : getRandomElement(templateBank, random);
+  if (!template) {
+    throw new Error(`No '${difficulty}' template ${options.templateId ?? ''} supports a ${board.rows}x${board.cols} board.`);
+  }
+
+  for (let attempt = 0; attempt < MAX_TRANSLATE_ATTEMPTS; attempt++) {
+    const statementData = template.generateStatements(random, board);
+    const correctAst = parseFormula(statementData.formalFOLStatement);
+    // Distractors are printed by formatFormula(), so the answer is too and layout gives nothing away
+    const correctFormula = formatFormula(correctAst);
+    // Distractors must differ from the answer on one of these grids, so none is secretly equivalent
+    const grids = createSampleGrids(template, statementData.details, board, random);
+
+    const distractors = direction === 'toFol' ? buildFormulaDistractors(correctAst, grids, random) : [];
+    addStatementDistractors(template, templateBank, statementData, direction, distractors, grids, board, random);
+    if (distractors.length < OPTION_COUNT - 1) {
+      continue;
+    }
+
+    const correctOption = {
+      text: direction === 'toFol' ? correctFormula : statementData.naturalLanguageStatement,
+      templateId: template.id,
+      details: statementData.details,
+      naturalLanguageStatement: statementData.naturalLanguageStatement,
+      formalFOLStatement: correctFormula,
+      kind: 'correct',
+      label: 'Correct translation',
+      disagreement: null
+    };
+    const choices = [correctOption, ...distractors];
+    shuffleArray(choices, random);
+
+    return {
+      seed,
+      difficulty,
+      direction,
+      templateId: template.id,
+      board,
+      statement: statementData,
+      prompt: direction === 'toFol' ? statementData.naturalLanguageStatement : correctFormula,
+      grid: grids.find((grid) => evaluateFormula(correctAst, grid)) || grids[0],
+      options: choices,
+      correctIndex: choices.indexOf(correctOption)
+    };
+  }
+  throw new Error(`Could not find ${OPTION_COUNT - 1} distinguishable translations for template ${template.id} (seed ${seed}).`);
+}
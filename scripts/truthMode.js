@@ -0,0 +1,237 @@
+// scripts/truthMode.js
+// Timed True/False rounds on the page: decide whether the grid satisfies one statement before
+// the session clock runs out. High scores and best streaks are kept per difficulty and board
+// in the player profile.
+
+import { highlightCells, clearHighlights } from './grid.js';
+import { describeExplanation } from './explanations.js';
+import { getTruthRecord, updateTruthRecord } from './profile.js';
+import { t } from './i18n.js';
+
+const TRUTH_SESSION_SECONDS = 60;
+
+let session = null;
+let round = null;
+let callbacks = {};
+
+let truthPanel = null;
+let statementEl = null;
+let folEl = null;
+let trueButton = null;
+let falseButton = null;
+let feedbackEl = null;
+let timeStatEl = null;
+let highScoreStatEl = null;
+let bestStreakStatEl = null;
+
+function getSessionRecord() {
+    return getTruthRecord(session.recordKey);
+}
+
+function updateSessionRecord(changes) {
+    updateTruthRecord(session.recordKey, changes);
+    updateRecordDisplay();
+}
+
+function updateRecordDisplay() {
+    const record = getSessionRecord();
+    if (highScoreStatEl) {
+        highScoreStatEl.textContent = record.highScore.toString();
+    }
+    if (bestStreakStatEl) {
+        bestStreakStatEl.textContent = record.bestStreak.toString();
+    }
+}
+
+function updateTimeDisplay() {
+    if (timeStatEl) {
+        timeStatEl.textContent = t('truth.seconds', { seconds: session.secondsLeft });
+    }
+}
+
+/**
+ * initTruthMode({ onAnswer, onTimeUp }): wires the True/False panel once.
+ * onAnswer(isCorrect, picked) runs after each answer, onTimeUp({ score, highScore }) when the clock ends.
+ */
+export function initTruthMode({ onAnswer, onTimeUp } = {}) {
+    callbacks = { onAnswer, onTimeUp };
+    truthPanel = document.getElementById('truth-panel');
+    statementEl = document.getElementById('truth-statement');
+    folEl = document.getElementById('truth-fol');
+    trueButton = document.getElementById('truth-true');
+    falseButton = document.getElementById('truth-false');
+    feedbackEl = document.getElementById('truth-feedback');
+    timeStatEl = document.getElementById('stat-time');
+    highScoreStatEl = document.getElementById('stat-high-score');
+    bestStreakStatEl = document.getElementById('stat-best-streak');
+
+    if (trueButton) {
+        trueButton.addEventListener('click', () => answer(true));
+    }
+    if (falseButton) {
+        falseButton.addEventListener('click', () => answer(false));
+    }
+}
+
+/**
+ * startTruthSession(recordKey): restarts the clock and the session score; records are kept
+ * under `recordKey`, e.g. 'easy:standard'
+ */
+export function startTruthSession(recordKey) {
+    stopTruthSession();
+    session = {
+        recordKey,
+        secondsLeft: TRUTH_SESSION_SECONDS,
+        score: 0,
+        streak: 0,
+        running: true,
+        timerId: window.setInterval(tick, 1000)
+    };
+    updateTimeDisplay();
+    updateRecordDisplay();
+}
+
+export function isTruthSessionRunning() {
+    return Boolean(session && session.running);
+}
+
+/**
+ * stopTruthSession(): stops the clock without recording a score, e.g. when the settings change
+ */
+export function stopTruthSession() {
+    if (session) {
+        window.clearInterval(session.timerId);
+        session.running = false;
+    }
+}
+
+/**
+ * stopTruthMode(): ends the session and hides the panel when another mode takes over
+ */
+export function stopTruthMode() {
+    stopTruthSession();
+    round = null;
+    if (truthPanel) {
+        truthPanel.hidden = true;
+    }
+}
+
+/**
+ * showTruthRound(puzzle): shows a puzzle from generateTruthPuzzle(); the grid is drawn by the caller
+ */
+export function showTruthRound(puzzle) {
+    round = { puzzle, answered: false };
+    refreshTruthText();
+    [trueButton, falseButton].forEach((button) => {
+        if (button) {
+            button.disabled = !isTruthSessionRunning();
+            button.classList.remove('option-locked', 'option-correct', 'option-incorrect', 'option-picked');
+        }
+    });
+    showFeedback('', null);
+    if (truthPanel) {
+        truthPanel.hidden = false;
+    }
+}
+
+/**
+ * refreshTruthText(): shows the round's statement again, e.g. after it was put into another language
+ */
+export function refreshTruthText() {
+    if (!round) {
+        return;
+    }
+    if (statementEl) {
+        statementEl.textContent = round.puzzle.statement.naturalLanguageStatement;
+    }
+    if (folEl) {
+        folEl.textContent = round.puzzle.statement.formalFOLStatement || t('game.noFol');
+    }
+}
+
+function showFeedback(message, isCorrect) {
+    if (!feedbackEl) {
+        return;
+    }
+    feedbackEl.textContent = message;
+    feedbackEl.hidden = !message;
+    feedbackEl.classList.toggle('truth-feedback-correct', isCorrect === true);
+    feedbackEl.classList.toggle('truth-feedback-incorrect', isCorrect === false);
+}
+
+function lockAnswerButtons(picked) {
+    [[trueButton, true], [falseButton, false]].forEach(([button, value]) => {
+        if (!button) {
+            return;
+        }
+        button.disabled = true;
+        button.classList.add('option-locked');
+        if (round && value === round.puzzle.satisfies) {
+            button.classList.add('option-correct');
+        }
+        if (value === picked) {
+            button.classList.add('option-picked');
+            if (value !== round.puzzle.satisfies) {
+                button.classList.add('option-incorrect');
+            }
+        }
+    });
+}
+
+function answer(value) {
+    if (!round || round.answered || !isTruthSessionRunning()) {
+        return;
+    }
+    round.answered = true;
+    const isCorrect = value === round.puzzle.satisfies;
+    lockAnswerButtons(value);
+
+    if (isCorrect) {
+        session.score += 1;
+        session.streak += 1;
+        if (session.streak > getSessionRecord().bestStreak) {
+            updateSessionRecord({ bestStreak: session.streak });
+        }
+    } else {
+        session.streak = 0;
+    }
+
+    // Show why: the counterexample for a false statement, the satisfied instances for a true one
+    const description = describeExplanation(round.puzzle.explanation, round.puzzle.grid);
+    clearHighlights();
+    highlightCells(description.highlights.instances, 'cell-instance');
+    highlightCells(description.highlights.witnesses, 'cell-witness');
+    highlightCells(description.highlights.counterexamples, 'cell-counterexample');
+    const verdict = t(isCorrect ? 'truth.correct' : 'truth.incorrect');
+    showFeedback(`${verdict} ${description.summary}`, isCorrect);
+
+    if (callbacks.onAnswer) {
+        callbacks.onAnswer(isCorrect, value);
+    }
+}
+
+function tick() {
+    session.secondsLeft -= 1;
+    updateTimeDisplay();
+    if (session.secondsLeft > 0) {
+        return;
+    }
+    stopTruthSession();
+    const record = getSessionRecord();
+    const isNewHighScore = session.score > record.highScore;
+    if (isNewHighScore) {
+        updateSessionRecord({ highScore: session.score });
+    }
+    if (round && !round.answered) {
+        round.answered = true;
+        lockAnswerButtons(null);
+    }
+    const highScore = Math.max(session.score, record.highScore);
+    showFeedback(t('truth.timeUp', {
+        score: session.score,
+        record: isNewHighScore ? t('truth.newHighScore') : t('truth.highScore', { highScore })
+    }), null);
+    if (callbacks.onTimeUp) {
+        callbacks.onTimeUp({ score: session.score, highScore });
+    }
+}
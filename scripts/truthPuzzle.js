@@ -0,0 +1,71 @@
+// scripts/truthPuzzle.js
+// True/False rounds: one statement with one grid that either satisfies or violates it.
+// DOM-free like puzzleGenerator.js; the timed mode around it lives in truthMode.js.
+
+import { getRandomElement, createSeededRandom, createRandomSeed, shuffleArray } from './utils.js';
+import { getTemplatesByDifficulty } from './statementGenerator.js';
+import { createBoard, DEFAULT_BOARD_ID } from './board.js';
+
+const MAX_TRUTH_ATTEMPTS = 5;
+
+/**
+ * createTruthDeck(random): returns draw(), which yields true and false equally often.
+ * Answers are dealt from shuffled pairs, so no run of rounds drifts more than one off 50/50.
+ */
+export function createTruthDeck(random = Math.random) {
+  let deck = [];
+  return function draw() {
+    if (deck.length === 0) {
+      deck = [true, false];
+      shuffleArray(deck, random);
+    }
+    return deck.pop();
+  };
+}
+
+/**
+ * generateTruthPuzzle(options): one statement and a grid on which it is `satisfies`.
+ *
+ * Options: { difficulty = 'easy', satisfies?, templateId?, seed?, board? }; `satisfies` is drawn
+ * at random when omitted. Resolves to { seed, difficulty, templateId, board, statement, grid,
+ * satisfies, explanation }, where `explanation` is the verifier's account of the grid.
+ */
+export async function generateTruthPuzzle(options = {}) {
+  const difficulty = options.difficulty || 'easy';
+  const board = createBoard(options.board ?? DEFAULT_BOARD_ID);
+  const seed = (options.seed ?? createRandomSeed()) >>> 0;
+  const random = createSeededRandom(seed);
+  const satisfies = options.satisfies ?? random() < 0.5;
+
+  const templateBank = (await getTemplatesByDifficulty(difficulty))
+    .filter((template) => template.supportsBoard(board));
+  const template = options.templateId !== undefined
+    ? templateBank.find((candidate) => candidate.id === options.templateId)
+    : getRandomElement(templateBank, random);
+  if (!template) {
+    throw new Error(`No '${difficulty}' template ${options.templateId ?? ''} supports a ${board.rows}x${board.cols} board.`);
+  }
+
+  const failures = [];
+  for (let attempt = 0; attempt < MAX_TRUTH_ATTEMPTS; attempt++) {
+    const statementData = template.generateStatements(random, board);
+    let grid;
+    try {
+      ({ grid } = template.generateGrid(satisfies, statementData.details, random));
+    } catch (error) {
+      failures.push(`attempt ${attempt + 1}: ${error.message}`);
+      continue;
+    }
+    return {
+      seed,
+      difficulty,
+      templateId: template.id,
+      board,
+      statement: statementData,
+      grid,
+      satisfies,
+      explanation: template.explainStatementWithGrid(grid, statementData.details)
+    };
+  }
+  throw new Error(`Could not build a ${satisfies ? 'satisfying' : 'violating'} grid from template ${template.id} (seed ${seed}):\n${failures.join('\n')}`);
+}
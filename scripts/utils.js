@@ -37,37 +37,107 @@ export const directions = ['left', 'right', 'up', 'down'];
 export const orders = ['first', 'second', 'third'];
 
 /**
- * getRandomElement(array): returns a random element from array
+ * createSeededRandom(seed): deterministic drop-in for Math.random (mulberry32), returns floats in [0, 1)
  */
-export function getRandomElement(array) {
+export function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * createRandomSeed(): fresh unsigned 32-bit seed for a new puzzle
+ */
+export function createRandomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * getRandomElement(array, random): returns a random element from array
+ */
+export function getRandomElement(array, random = Math.random) {
     if (!array || array.length === 0) {
         console.error("Attempted to get a random element from an empty array.");
         return null;
     }
-    return array[Math.floor(Math.random() * array.length)];
+    return array[Math.floor(random() * array.length)];
+}
+
+/**
+ * getWeightedRandomElement(array, weights, random): like getRandomElement, but element i is
+ * drawn with probability proportional to weights[i]
+ */
+export function getWeightedRandomElement(array, weights, random = Math.random) {
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    if (!array || array.length === 0 || !(total > 0)) {
+        console.error("Attempted to get a weighted random element without positive weights.");
+        return null;
+    }
+    let remaining = random() * total;
+    for (let i = 0; i < array.length; i++) {
+        remaining -= weights[i];
+        if (remaining < 0) {
+            return array[i];
+        }
+    }
+    return array[array.length - 1];
 }
 
 /**
- * randomIntFromInterval(min, max): integer in [min, max]
+ * randomIntFromInterval(min, max, random): integer in [min, max]
  */
-export function randomIntFromInterval(min, max) {
+export function randomIntFromInterval(min, max, random = Math.random) {
     if (min > max) {
         console.error("Invalid interval: min is greater than max.");
         return min; // fallback
     }
-    return Math.floor(Math.random() * (max - min + 1) + min);
+    return Math.floor(random() * (max - min + 1) + min);
 }
 
 /**
- * shuffleArray(array): in-place shuffle (Fisher-Yates)
+ * shuffleArray(array, random): in-place shuffle (Fisher-Yates)
  */
-export function shuffleArray(array) {
+export function shuffleArray(array, random = Math.random) {
     if (!array || array.length === 0) {
         console.warn("Attempted to shuffle an empty array.");
         return;
     }
     for (let i = array.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(random() * (i + 1));
         [array[i], array[j]] = [array[j], array[i]];
     }
 }
+
+/**
+ * isInRegion(cell, direction, numUnits, board): true when the cell lies in the first/last numUnits
+ * columns or rows of a board with `rows` x `cols` cells (the default 5x5 when omitted)
+ */
+export function isInRegion(cell, direction, numUnits, board = { rows: gridSize, cols: gridSize }) {
+    switch (direction) {
+        case 'left':
+            return cell.position.col < numUnits;
+        case 'right':
+            return cell.position.col >= (board.cols - numUnits);
+        case 'top':
+            return cell.position.row < numUnits;
+        case 'bottom':
+            return cell.position.row >= (board.rows - numUnits);
+        default:
+            return false;
+    }
+}
+
+/**
+ * getGridDimensions(grid): { rows, cols } read off the cell positions of a grid
+ */
+export function getGridDimensions(grid) {
+    return grid.reduce((dimensions, cell) => ({
+        rows: Math.max(dimensions.rows, cell.position.row + 1),
+        cols: Math.max(dimensions.cols, cell.position.col + 1)
+    }), { rows: 0, cols: 0 });
+}
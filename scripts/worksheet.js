@@ -0,0 +1,353 @@
+// scripts/worksheet.js
+// Printable worksheets: one or more pick-the-statement puzzles drawn into a self-contained
+// HTML page or SVG file, with numbered statements, an optional FOL line under each one and an
+// answer key that names the true statement and why. The HTML is styled for print, so the
+// browser's "Save as PDF" gives a clean sheet. DOM-free; text follows the current language.
+
+import { describeCellPicture, createColorPatternNode } from './cellPicture.js';
+import { describeExplanation } from './explanations.js';
+import { getGridDimensions } from './utils.js';
+import { getLocale, t } from './i18n.js';
+
+const OPTION_LETTERS = 'ABCDEFGHIJ';
+const CELL_SIZE = 48;
+const CELL_GAP = 4;
+const FONT_FAMILY = 'Helvetica, Arial, sans-serif';
+const FOL_FONT_FAMILY = "'DejaVu Sans Mono', Menlo, Consolas, monospace";
+const INK = '#1c2a3a';
+const MUTED_INK = '#5b6878';
+const CELL_BORDER = '#c9d1e0';
+
+// SVG page layout, in pixels
+const PAGE_WIDTH = 800;
+const PAGE_MARGIN = 40;
+const TEXT_SIZE = 15;
+const FOL_SIZE = 12;
+const LINE_HEIGHT = 1.35;
+const PUZZLE_SPACING = 36;
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Numbers are rounded to two decimals so line positions like 219.20000000000002 stay readable.
+function formatAttrs(attrs) {
+  return Object.entries(attrs)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([name, value]) => `${name}="${escapeXml(typeof value === 'number' ? Math.round(value * 100) / 100 : value)}"`)
+    .join(' ');
+}
+
+function element(tag, attrs, content = null) {
+  return content === null ? `<${tag} ${formatAttrs(attrs)}/>` : `<${tag} ${formatAttrs(attrs)}>${content}</${tag}>`;
+}
+
+// Markup for a node of cellPicture.js.
+function renderNode({ tag, attrs, children }) {
+  return element(tag, attrs, children ? children.map(renderNode).join('') : null);
+}
+
+// Breaks text into lines of at most `maxChars` characters, at spaces where it can.
+function wrapText(text, maxChars) {
+  const lines = [];
+  let line = '';
+  String(text).split(/\s+/).filter(Boolean).forEach((word) => {
+    if (line && line.length + 1 + word.length > maxChars) {
+      lines.push(line);
+      line = '';
+    }
+    line = line ? `${line} ${word}` : word;
+  });
+  if (line) {
+    lines.push(line);
+  }
+  return lines;
+}
+
+// A rough character budget for a line of `width` pixels; SVG text does not wrap by itself.
+function charsPerLine(width, fontSize) {
+  return Math.max(10, Math.floor(width / (fontSize * 0.55)));
+}
+
+// Print colors for the number's ink as describeCellPicture() picks it.
+const NUMBER_INK = {
+  light: { fill: '#ffffff', stroke: 'rgba(0, 0, 0, 0.25)', 'stroke-width': 2 },
+  dark: { fill: INK, stroke: '#ffffff', 'stroke-width': 6 }
+};
+
+// The picture grid.js draws on the page, as markup scaled to `size`, with the number in the
+// middle. Pattern definitions it needs are added to `defs`, a Map from id to markup.
+function renderShape(cell, { x, y, size, idPrefix, index, patterns, defs }) {
+  const picture = describeCellPicture(cell, {
+    stripes: `${idPrefix}-stripes-${index}`,
+    colorPattern: (name) => `${idPrefix}-pattern-${name}`
+  });
+  picture.defs.forEach((node) => defs.set(node.attrs.id, renderNode(node)));
+  const parts = [renderNode(picture.shape)];
+
+  if (patterns && picture.overlay) {
+    const patternId = `${idPrefix}-pattern-${picture.pattern}`;
+    if (!defs.has(patternId)) {
+      defs.set(patternId, renderNode(createColorPatternNode(patternId, picture.pattern)));
+    }
+    parts.push(renderNode(picture.overlay));
+  }
+
+  parts.push(element('text', {
+    x: 60, y: 60, 'dominant-baseline': 'central', 'text-anchor': 'middle', 'font-size': 28,
+    'font-weight': 700, 'font-family': FONT_FAMILY, 'paint-order': 'stroke', ...NUMBER_INK[picture.ink]
+  }, escapeXml(cell.number)));
+
+  return element('g', { transform: `translate(${x} ${y}) scale(${size / 120})` }, parts.join(''));
+}
+
+// The grid as a group of cells at (x, y); returns its markup and size.
+function renderGridGroup(grid, { x = 0, y = 0, idPrefix, patterns, defs, cellSize = CELL_SIZE }) {
+  const { rows, cols } = getGridDimensions(grid);
+  const step = cellSize + CELL_GAP;
+  const cells = grid.map((cell, index) => {
+    const cellX = x + cell.position.col * step;
+    const cellY = y + cell.position.row * step;
+    const inset = cellSize * 0.1;
+    return element('rect', {
+      x: cellX, y: cellY, width: cellSize, height: cellSize, rx: cellSize * 0.2,
+      fill: '#ffffff', stroke: CELL_BORDER, 'stroke-width': 1
+    }) + renderShape(cell, {
+      x: cellX + inset, y: cellY + inset, size: cellSize - 2 * inset, idPrefix, index, patterns, defs
+    });
+  });
+  return { markup: cells.join(''), width: cols * step - CELL_GAP, height: rows * step - CELL_GAP };
+}
+
+function renderDefs(defs) {
+  return defs.size > 0 ? `<defs>${[...defs.values()].join('')}</defs>` : '';
+}
+
+/**
+ * renderGridSvg(grid, options): one grid as a standalone <svg> element, e.g. to inline in HTML.
+ * options: { patterns, idPrefix, cellSize } – patterns draws the color patterns over the shapes;
+ * idPrefix keeps pattern ids apart when several grids share a page.
+ */
+export function renderGridSvg(grid, { patterns = false, idPrefix = 'grid', cellSize = CELL_SIZE } = {}) {
+  const defs = new Map();
+  const { markup, width, height } = renderGridGroup(grid, { idPrefix, patterns, defs, cellSize });
+  return element('svg', {
+    xmlns: 'http://www.w3.org/2000/svg',
+    viewBox: `0 0 ${width} ${height}`,
+    width,
+    height,
+    role: 'img',
+    'aria-label': t('grid.label', getGridDimensions(grid))
+  }, renderDefs(defs) + markup);
+}
+
+/**
+ * describeAnswers(puzzles): the answer key, [{ number, letter, statement, justification }],
+ * where the justification is the explanation of why the true statement holds on its grid
+ */
+export function describeAnswers(puzzles) {
+  return puzzles.map((puzzle, index) => {
+    const option = puzzle.options[puzzle.correctIndex];
+    const { summary, steps } = describeExplanation(option.explanation, puzzle.grid);
+    return {
+      number: index + 1,
+      letter: OPTION_LETTERS[puzzle.correctIndex],
+      statement: option.naturalLanguageStatement,
+      justification: [summary, steps[0]].filter(Boolean).join(' ')
+    };
+  });
+}
+
+function getTitle(title) {
+  return title || t('worksheet.title');
+}
+
+const PRINT_STYLES = `
+  @page { margin: 14mm; }
+  * { box-sizing: border-box; }
+  body { margin: 0 auto; max-width: 190mm; padding: 16px; color: ${INK}; font: 11.5pt/1.4 ${FONT_FAMILY};
+    -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  h1 { margin: 0 0 4px; font-size: 18pt; }
+  .sheet-fields { display: flex; gap: 32px; margin: 8px 0; }
+  .sheet-fields span { flex: 1; border-bottom: 1px solid ${INK}; padding-bottom: 2px; }
+  .instructions { margin: 4px 0 16px; color: ${MUTED_INK}; }
+  .puzzle { display: flex; gap: 20px; align-items: flex-start; padding: 14px 0; border-top: 1px solid ${CELL_BORDER};
+    break-inside: avoid; page-break-inside: avoid; }
+  .puzzle svg { flex: none; }
+  .puzzle h2 { margin: 0 0 6px; font-size: 12.5pt; }
+  .puzzle-code { font-weight: normal; color: ${MUTED_INK}; font-size: 9pt; margin-left: 8px; }
+  .options { list-style: none; margin: 0; padding: 0; }
+  .options li { display: flex; gap: 8px; margin: 0 0 7px; }
+  .letter { flex: none; width: 1.7em; height: 1.7em; border: 1px solid ${INK}; border-radius: 50%;
+    text-align: center; line-height: 1.6em; font-weight: bold; font-size: 9.5pt; }
+  .fol { font: 9.5pt ${FOL_FONT_FAMILY}; color: ${MUTED_INK}; }
+  .answer-key { break-before: page; page-break-before: always; }
+  .answer-key ol { padding-left: 1.4em; }
+  .answer-key li { margin: 0 0 10px; break-inside: avoid; }
+  .justification { color: ${MUTED_INK}; }
+`;
+
+function renderPuzzleSection(puzzle, index, { showFol, patterns }) {
+  const number = index + 1;
+  const code = puzzle.code ? `<span class="puzzle-code">${escapeXml(puzzle.code)}</span>` : '';
+  const options = puzzle.options.map((option, optionIndex) => {
+    const fol = showFol && option.formalFOLStatement
+      ? `<div class="fol">${escapeXml(option.formalFOLStatement)}</div>`
+      : '';
+    return `<li><span class="letter">${OPTION_LETTERS[optionIndex]}</span>`
+      + `<div>${escapeXml(option.naturalLanguageStatement)}${fol}</div></li>`;
+  }).join('\n');
+  return `<section class="puzzle">
+${renderGridSvg(puzzle.grid, { patterns, idPrefix: `p${number}` })}
+<div>
+<h2>${escapeXml(t('worksheet.puzzle', { number }))}${code}</h2>
+<ol class="options">
+${options}
+</ol>
+</div>
+</section>`;
+}
+
+/**
+ * createWorksheetHtml(puzzles, options): a self-contained, print-styled HTML page with every
+ * puzzle (from generatePuzzle() or generatePuzzleSet()) and, on a page of its own, the answer key.
+ * options: { title, showFol, answerKey = true, patterns } – showFol prints the formula under each
+ * statement; patterns draws the color patterns, which helps on black-and-white printers.
+ */
+export function createWorksheetHtml(puzzles, { title, showFol = false, answerKey = true, patterns = false } = {}) {
+  const heading = escapeXml(getTitle(title));
+  const sections = puzzles.map((puzzle, index) => renderPuzzleSection(puzzle, index, { showFol, patterns }));
+  const key = answerKey
+    ? `<section class="answer-key">
+<h1>${escapeXml(t('worksheet.answerKey'))}: ${heading}</h1>
+<ol>
+${describeAnswers(puzzles).map(({ letter, statement, justification }) => `<li><strong>${letter}</strong> – ${escapeXml(statement)}`
+    + `<div class="justification">${escapeXml(justification)}</div></li>`).join('\n')}
+</ol>
+</section>`
+    : '';
+  return `<!DOCTYPE html>
+<html lang="${escapeXml(getLocale())}">
+<head>
+<meta charset="UTF-8" />
+<title>${heading}</title>
+<style>${PRINT_STYLES}</style>
+</head>
+<body>
+<header>
+<h1>${heading}</h1>
+<p class="sheet-fields"><span>${escapeXml(t('worksheet.name'))}:</span><span>${escapeXml(t('worksheet.date'))}:</span></p>
+<p class="instructions">${escapeXml(t('worksheet.instructions'))}</p>
+</header>
+${sections.join('\n')}
+${key}
+</body>
+</html>
+`;
+}
+
+// Lines of text from (x, y) downwards; returns the markup and the y below the last line.
+function renderTextLines(lines, { x, y, fontSize, fontFamily = FONT_FAMILY, fill = INK, weight = null }) {
+  const lineHeight = fontSize * LINE_HEIGHT;
+  const markup = lines.map((line, index) => element('text', {
+    x, y: y + fontSize + index * lineHeight, 'font-size': fontSize, 'font-family': fontFamily,
+    'font-weight': weight, fill
+  }, escapeXml(line))).join('');
+  return { markup, bottom: y + lines.length * lineHeight };
+}
+
+function wrapSvgDocument(width, height, title, content) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">
+<title>${escapeXml(title)}</title>
+<rect width="${width}" height="${height}" fill="#ffffff"/>
+${content}
+</svg>
+`;
+}
+
+/**
+ * createWorksheetSvg(puzzles, options): the worksheet as one self-contained SVG file, every
+ * puzzle's grid with its lettered statements beside it. options: { title, showFol, patterns }
+ * as in createWorksheetHtml(); the answer key is a separate file, see createAnswerKeySvg().
+ */
+export function createWorksheetSvg(puzzles, { title, showFol = false, patterns = false } = {}) {
+  const heading = getTitle(title);
+  const defs = new Map();
+  const parts = [];
+  let y = PAGE_MARGIN;
+  parts.push(renderTextLines([heading], { x: PAGE_MARGIN, y, fontSize: 24, weight: 700 }).markup);
+  y += 40;
+  const instructions = renderTextLines(
+    wrapText(t('worksheet.instructions'), charsPerLine(PAGE_WIDTH - 2 * PAGE_MARGIN, TEXT_SIZE)),
+    { x: PAGE_MARGIN, y, fontSize: TEXT_SIZE, fill: MUTED_INK }
+  );
+  parts.push(instructions.markup);
+  y = instructions.bottom + PUZZLE_SPACING / 2;
+
+  puzzles.forEach((puzzle, index) => {
+    const number = index + 1;
+    const label = [t('worksheet.puzzle', { number }), puzzle.code].filter(Boolean).join('  ·  ');
+    parts.push(renderTextLines([label], { x: PAGE_MARGIN, y, fontSize: TEXT_SIZE + 1, weight: 700 }).markup);
+    const top = y + 28;
+    const grid = renderGridGroup(puzzle.grid, { x: PAGE_MARGIN, y: top, idPrefix: `p${number}`, patterns, defs });
+    parts.push(grid.markup);
+
+    const textX = PAGE_MARGIN + grid.width + 28;
+    const textWidth = PAGE_WIDTH - PAGE_MARGIN - textX - 30;
+    let optionY = top;
+    puzzle.options.forEach((option, optionIndex) => {
+      parts.push(element('circle', {
+        cx: textX + 11, cy: optionY + 10, r: 11, fill: 'none', stroke: INK, 'stroke-width': 1
+      }) + element('text', {
+        x: textX + 11, y: optionY + 10, 'dominant-baseline': 'central', 'text-anchor': 'middle',
+        'font-size': 12, 'font-weight': 700, 'font-family': FONT_FAMILY, fill: INK
+      }, OPTION_LETTERS[optionIndex]));
+      const text = renderTextLines(
+        wrapText(option.naturalLanguageStatement, charsPerLine(textWidth, TEXT_SIZE)),
+        { x: textX + 30, y: optionY, fontSize: TEXT_SIZE }
+      );
+      parts.push(text.markup);
+      optionY = text.bottom;
+      if (showFol && option.formalFOLStatement) {
+        const fol = renderTextLines(
+          wrapText(option.formalFOLStatement, charsPerLine(textWidth, FOL_SIZE * 1.1)),
+          { x: textX + 30, y: optionY, fontSize: FOL_SIZE, fontFamily: FOL_FONT_FAMILY, fill: MUTED_INK }
+        );
+        parts.push(fol.markup);
+        optionY = fol.bottom;
+      }
+      optionY += 10;
+    });
+    y = Math.max(top + grid.height, optionY) + PUZZLE_SPACING;
+  });
+
+  return wrapSvgDocument(PAGE_WIDTH, Math.ceil(y), heading, renderDefs(defs) + parts.join('\n'));
+}
+
+/**
+ * createAnswerKeySvg(puzzles, options): the answer key as its own SVG file. options: { title }
+ */
+export function createAnswerKeySvg(puzzles, { title } = {}) {
+  const heading = `${t('worksheet.answerKey')}: ${getTitle(title)}`;
+  const width = PAGE_WIDTH - 2 * PAGE_MARGIN;
+  const parts = [renderTextLines([heading], { x: PAGE_MARGIN, y: PAGE_MARGIN, fontSize: 24, weight: 700 }).markup];
+  let y = PAGE_MARGIN + 48;
+  describeAnswers(puzzles).forEach(({ number, letter, statement, justification }) => {
+    const answer = renderTextLines(
+      wrapText(`${number}. ${letter} – ${statement}`, charsPerLine(width, TEXT_SIZE)),
+      { x: PAGE_MARGIN, y, fontSize: TEXT_SIZE, weight: 700 }
+    );
+    const reason = renderTextLines(
+      wrapText(justification, charsPerLine(width - 20, TEXT_SIZE - 1)),
+      { x: PAGE_MARGIN + 20, y: answer.bottom + 2, fontSize: TEXT_SIZE - 1, fill: MUTED_INK }
+    );
+    parts.push(answer.markup, reason.markup);
+    y = reason.bottom + 16;
+  });
+  return wrapSvgDocument(PAGE_WIDTH, Math.ceil(y + PAGE_MARGIN / 2), heading, parts.join('\n'));
+}
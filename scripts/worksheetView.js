@@ -0,0 +1,241 @@
+// scripts/worksheetView.js
+// The worksheet screen: print the puzzle on screen, a batch of new puzzles or the loaded puzzle
+// set as a paper worksheet with an answer key, or download it as HTML or SVG. The documents
+// themselves are drawn by worksheet.js.
+
+import { generatePuzzle } from './puzzleGenerator.js';
+import { generatePuzzleSet } from './puzzleSet.js';
+import { createWorksheetHtml, createWorksheetSvg, createAnswerKeySvg } from './worksheet.js';
+import { t } from './i18n.js';
+
+const MAX_PUZZLES = 30;
+
+let callbacks = {};
+let isBusy = false;
+
+let worksheetPanel = null;
+let titleInput = null;
+let sourceSelect = null;
+let countInput = null;
+let folToggle = null;
+let keyToggle = null;
+let patternToggle = null;
+let messageEl = null;
+let actionButtons = [];
+
+/**
+ * initWorksheetView({ getCurrentPuzzle, getSettings, getPuzzleSet }): wires the Worksheet button
+ * and screen once. getCurrentPuzzle() returns the pick-the-statement puzzle on screen or null,
+ * getSettings() the { difficulty, board } new puzzles are drawn with, and getPuzzleSet() the
+ * loaded puzzle set or null.
+ */
+export function initWorksheetView({ getCurrentPuzzle, getSettings, getPuzzleSet } = {}) {
+    callbacks = { getCurrentPuzzle, getSettings, getPuzzleSet };
+    worksheetPanel = document.getElementById('worksheet-panel');
+    titleInput = document.getElementById('worksheet-title');
+    sourceSelect = document.getElementById('worksheet-source');
+    countInput = document.getElementById('worksheet-count');
+    folToggle = document.getElementById('worksheet-fol');
+    keyToggle = document.getElementById('worksheet-key');
+    patternToggle = document.getElementById('worksheet-patterns');
+    messageEl = document.getElementById('worksheet-message');
+
+    const openButton = document.getElementById('worksheet-button');
+    if (openButton) {
+        openButton.addEventListener('click', showWorksheetView);
+    }
+    const closeButton = document.getElementById('worksheet-close');
+    if (closeButton) {
+        closeButton.addEventListener('click', hideWorksheetView);
+    }
+    if (sourceSelect) {
+        sourceSelect.addEventListener('change', updateSourceFields);
+    }
+    const actions = {
+        'worksheet-print': printWorksheet,
+        'worksheet-html': downloadHtml,
+        'worksheet-svg': downloadSvg
+    };
+    actionButtons = Object.entries(actions)
+        .map(([id, action]) => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', () => {
+                    action().catch((error) => showMessage(t('worksheet.failed', { error: error.message }), true));
+                });
+            }
+            return button;
+        })
+        .filter(Boolean);
+}
+
+/**
+ * showWorksheetView(): opens the screen, starting from the puzzle on screen when there is one
+ */
+export function showWorksheetView() {
+    if (sourceSelect) {
+        const available = getAvailableSources();
+        Array.from(sourceSelect.options).forEach((option) => {
+            option.disabled = !available.includes(option.value);
+        });
+        if (!available.includes(sourceSelect.value)) {
+            sourceSelect.value = available[0];
+        }
+    }
+    if (titleInput && !titleInput.value && callbacks.getPuzzleSet?.()) {
+        titleInput.value = callbacks.getPuzzleSet().title;
+    }
+    if (patternToggle) {
+        patternToggle.checked = document.body.classList.contains('color-patterns');
+    }
+    updateSourceFields();
+    showMessage('', null);
+    if (worksheetPanel) {
+        worksheetPanel.hidden = false;
+    }
+}
+
+export function hideWorksheetView() {
+    if (worksheetPanel) {
+        worksheetPanel.hidden = true;
+    }
+}
+
+function getAvailableSources() {
+    return [
+        callbacks.getCurrentPuzzle?.() ? 'current' : null,
+        'new',
+        callbacks.getPuzzleSet?.() ? 'set' : null
+    ].filter(Boolean);
+}
+
+// The count only applies to new puzzles
+function updateSourceFields() {
+    if (countInput && sourceSelect) {
+        countInput.disabled = sourceSelect.value !== 'new';
+    }
+}
+
+function showMessage(message, isError) {
+    if (!messageEl) {
+        return;
+    }
+    messageEl.textContent = message;
+    messageEl.hidden = !message;
+    messageEl.classList.toggle('truth-feedback-incorrect', isError === true);
+    messageEl.classList.toggle('truth-feedback-correct', isError === false);
+}
+
+function getCount() {
+    const count = Math.round(Number(countInput ? countInput.value : 1));
+    return Math.min(Math.max(Number.isFinite(count) ? count : 1, 1), MAX_PUZZLES);
+}
+
+async function collectPuzzles() {
+    const source = sourceSelect ? sourceSelect.value : 'new';
+    if (source === 'current') {
+        return [callbacks.getCurrentPuzzle()];
+    }
+    if (source === 'set') {
+        // Built again so the statements come out in the current language
+        return generatePuzzleSet(callbacks.getPuzzleSet());
+    }
+    const { difficulty, board } = callbacks.getSettings();
+    const puzzles = [];
+    for (let i = 0; i < getCount(); i++) {
+        puzzles.push(await generatePuzzle({ difficulty, board }));
+    }
+    return puzzles;
+}
+
+function getOptions() {
+    return {
+        title: titleInput ? titleInput.value.trim() : '',
+        showFol: Boolean(folToggle && folToggle.checked),
+        answerKey: Boolean(keyToggle && keyToggle.checked),
+        patterns: Boolean(patternToggle && patternToggle.checked)
+    };
+}
+
+// Generating a batch takes a moment; the buttons stay disabled until it is done.
+async function buildWorksheet(render) {
+    if (isBusy) {
+        return null;
+    }
+    isBusy = true;
+    actionButtons.forEach((button) => {
+        button.disabled = true;
+    });
+    showMessage(t('worksheet.generating'), null);
+    try {
+        const puzzles = await collectPuzzles();
+        const result = render(puzzles, getOptions());
+        showMessage(t('worksheet.ready', { count: puzzles.length }), false);
+        return result;
+    } finally {
+        isBusy = false;
+        actionButtons.forEach((button) => {
+            button.disabled = false;
+        });
+    }
+}
+
+function getFileName(extension, suffix = '') {
+    const name = (getOptions().title || 'worksheet')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '');
+    return `${name || 'worksheet'}${suffix}.${extension}`;
+}
+
+function downloadFile(text, fileName, type) {
+    const blob = new Blob([text], { type });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(link.href);
+}
+
+// The print window is opened right away: browsers block pop-ups opened after an await.
+async function printWorksheet() {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) {
+        showMessage(t('worksheet.popupBlocked'), true);
+        return;
+    }
+    let html;
+    try {
+        html = await buildWorksheet(createWorksheetHtml);
+    } catch (error) {
+        printWindow.close();
+        throw error;
+    }
+    if (!html) {
+        printWindow.close();
+        return;
+    }
+    printWindow.document.open();
+    printWindow.document.write(html);
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+}
+
+async function downloadHtml() {
+    const html = await buildWorksheet(createWorksheetHtml);
+    if (html) {
+        downloadFile(html, getFileName('html'), 'text/html');
+    }
+}
+
+// The answer key is a second file, so the worksheet can be handed out as it is.
+async function downloadSvg() {
+    const files = await buildWorksheet((puzzles, options) => [
+        { text: createWorksheetSvg(puzzles, options), name: getFileName('svg') },
+        options.answerKey ? { text: createAnswerKeySvg(puzzles, options), name: getFileName('svg', '-answers') } : null
+    ].filter(Boolean));
+    (files || []).forEach(({ text, name }) => downloadFile(text, name, 'image/svg+xml'));
+}
@@ -0,0 +1,208 @@
+// scripts/writeMode.js
+// "Write the formula" rounds on the page: the student types FOL for a sentence, with an
+// on-screen keyboard for the logic symbols. Wrong answers show a grid that tells them apart.
+
+import { displayGrid } from './grid.js';
+import { getVocabulary } from './fol.js';
+import { gradeWrittenFormula } from './writePuzzle.js';
+import { t } from './i18n.js';
+
+const KEYBOARD_SYMBOLS = ['∀', '∃', '∧', '∨', '¬', '→', '≠', '≥', '≤', '(', ')'];
+
+let round = null;
+let onWriteAnswer = null;
+
+let writePanel = null;
+let promptEl = null;
+let inputEl = null;
+let checkButton = null;
+let revealButton = null;
+let feedbackEl = null;
+let vocabularyEl = null;
+
+/**
+ * initWriteMode({ onAnswer }): wires the write panel and its keyboard once; onAnswer(isCorrect,
+ * answer) runs for the first gradable attempt of each round, with the typed formula as
+ * formatFormula() prints it, or with null when the answer is revealed first
+ */
+export function initWriteMode({ onAnswer } = {}) {
+    onWriteAnswer = onAnswer || null;
+    writePanel = document.getElementById('write-panel');
+    promptEl = document.getElementById('write-prompt');
+    inputEl = document.getElementById('write-input');
+    checkButton = document.getElementById('write-check');
+    revealButton = document.getElementById('write-reveal');
+    feedbackEl = document.getElementById('write-feedback');
+
+    const keyboard = document.getElementById('fol-keyboard');
+    if (keyboard && inputEl) {
+        KEYBOARD_SYMBOLS.forEach((symbol) => {
+            const key = document.createElement('button');
+            key.type = 'button';
+            key.className = 'fol-key';
+            key.textContent = symbol;
+            key.addEventListener('click', () => insertSymbol(symbol));
+            keyboard.appendChild(key);
+        });
+    }
+
+    vocabularyEl = document.getElementById('write-vocabulary');
+    renderVocabulary();
+
+    if (inputEl) {
+        inputEl.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                checkAnswer();
+            }
+        });
+    }
+    if (checkButton) {
+        checkButton.addEventListener('click', checkAnswer);
+    }
+    if (revealButton) {
+        revealButton.addEventListener('click', revealAnswer);
+    }
+}
+
+/**
+ * showWriteRound(puzzle): shows a puzzle from generateWritePuzzle() next to its example grid
+ */
+export function showWriteRound(puzzle) {
+    round = { puzzle, graded: false, finished: false };
+    refreshWriteText();
+    if (inputEl) {
+        inputEl.value = '';
+        inputEl.disabled = false;
+    }
+    setButtonsDisabled(false);
+    displayGrid(puzzle.grid);
+    showFeedback(t('write.example'), null);
+    if (writePanel) {
+        writePanel.hidden = false;
+    }
+}
+
+/**
+ * refreshWriteText(): shows the sentence and the vocabulary again, e.g. in another language
+ */
+export function refreshWriteText() {
+    renderVocabulary();
+    if (round && promptEl) {
+        promptEl.textContent = round.puzzle.statement.naturalLanguageStatement;
+    }
+}
+
+function renderVocabulary() {
+    if (!vocabularyEl) {
+        return;
+    }
+    const { predicates, functions, aggregates } = getVocabulary();
+    vocabularyEl.textContent = t('write.vocabulary', {
+        predicates: predicates.join(', '),
+        functions: functions.join(', '),
+        aggregates: aggregates.join(', ')
+    });
+}
+
+/**
+ * stopWriteMode(): hides the panel when another mode takes over
+ */
+export function stopWriteMode() {
+    round = null;
+    if (writePanel) {
+        writePanel.hidden = true;
+    }
+}
+
+function setButtonsDisabled(disabled) {
+    [checkButton, revealButton].forEach((button) => {
+        if (button) {
+            button.disabled = disabled;
+        }
+    });
+}
+
+function insertSymbol(symbol) {
+    if (!round || round.finished) {
+        return;
+    }
+    const start = inputEl.selectionStart ?? inputEl.value.length;
+    const end = inputEl.selectionEnd ?? start;
+    inputEl.setRangeText(symbol, start, end, 'end');
+    inputEl.focus();
+}
+
+function showFeedback(message, isCorrect) {
+    if (!feedbackEl) {
+        return;
+    }
+    feedbackEl.textContent = message;
+    feedbackEl.classList.toggle('truth-feedback-correct', isCorrect === true);
+    feedbackEl.classList.toggle('truth-feedback-incorrect', isCorrect === false);
+}
+
+function describeInvalidAnswer({ reason, near, symbols }) {
+    if (reason === 'unknownSymbol') {
+        return t('write.error.unknownSymbol', { count: symbols.length, symbols: symbols.join(', ') });
+    }
+    return t(`write.error.${reason}`, { near });
+}
+
+// Only the first attempt that parses counts towards the stats; later ones are practice.
+function recordAttempt(isCorrect, answer) {
+    if (round.graded) {
+        return;
+    }
+    round.graded = true;
+    if (onWriteAnswer) {
+        onWriteAnswer(isCorrect, answer);
+    }
+}
+
+function finishRound() {
+    round.finished = true;
+    inputEl.disabled = true;
+    setButtonsDisabled(true);
+}
+
+function checkAnswer() {
+    if (!round || round.finished) {
+        return;
+    }
+    const result = gradeWrittenFormula(round.puzzle, inputEl.value);
+
+    if (result.verdict === 'invalid') {
+        showFeedback(describeInvalidAnswer(result), false);
+        return;
+    }
+    if (result.verdict === 'equivalent') {
+        recordAttempt(true, result.answer);
+        finishRound();
+        displayGrid(round.puzzle.grid);
+        const sameText = result.answer === round.puzzle.formula;
+        showFeedback(
+            sameText ? t('write.correct') : t('write.correctEquivalent', { formula: round.puzzle.formula }),
+            true
+        );
+        return;
+    }
+
+    recordAttempt(false, result.answer);
+    const { grid, holdsA: statementHolds, holdsB: answerHolds } = result.disagreement;
+    displayGrid(grid);
+    showFeedback(t('write.notSame', {
+        statementValue: t(`truthValue.${statementHolds}`),
+        answerValue: t(`truthValue.${answerHolds}`)
+    }), false);
+}
+
+function revealAnswer() {
+    if (!round || round.finished) {
+        return;
+    }
+    recordAttempt(false, null);
+    finishRound();
+    displayGrid(round.puzzle.grid);
+    showFeedback(t('write.answer', { formula: round.puzzle.formula }), null);
+}
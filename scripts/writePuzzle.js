@@ -0,0 +1,131 @@
+// scripts/writePuzzle.js
+// "Write the formula" rounds: the student types FOL for a sentence and the answer is graded by
+// meaning rather than by text, against sample grids from folEquivalence.js. DOM-free like
+// puzzleGenerator.js.
+
+import { getRandomElement, createSeededRandom, createRandomSeed } from './utils.js';
+import { getTemplatesByDifficulty } from './statementGenerator.js';
+import { createBoard, DEFAULT_BOARD_ID } from './board.js';
+import { parseFormula, formatFormula, evaluateFormula, findUnknownSymbols } from './fol.js';
+import { createSampleGrids, findDisagreement, findProbeValues, findBoundaryConstants } from './folEquivalence.js';
+
+// Grading sees far more grids than distractor checks do: a typed formula can go wrong anywhere.
+const GRADING_SAMPLES = { generated: 6, variants: 4, random: 30 };
+
+// ASCII spellings students reach for, rewritten to the notation fol.js reads. `|` alone stays,
+// since aggregates use it: Sum[y | ...].
+const ASCII_SYMBOLS = {
+  forall: '∀',
+  exists: '∃',
+  '->': '→',
+  '=>': '→',
+  '>=': '≥',
+  '<=': '≤',
+  '!=': '≠',
+  '&&': '∧',
+  '&': '∧',
+  '||': '∨',
+  '!': '¬',
+  '~': '¬'
+};
+
+const ASCII_PATTERN = /\bforall\b|\bexists\b|->|=>|>=|<=|!=|&&|\|\||&|!|~/g;
+
+/**
+ * normalizeFormulaInput(source): trims typed input and rewrites ASCII operators, e.g. '->' to '→'
+ * and 'forall x' to '∀ x'
+ */
+export function normalizeFormulaInput(source) {
+  return String(source).trim().replace(ASCII_PATTERN, (symbol) => ASCII_SYMBOLS[symbol]);
+}
+
+/**
+ * generateWritePuzzle(options): a sentence for the student to write as FOL, with the grids the
+ * answer will be graded on.
+ *
+ * Options: { difficulty = 'easy', templateId?, seed?, board? }. Resolves to { seed, difficulty,
+ * templateId, board, statement, formula, grid, sampleGrids }. `formula` is the reference answer,
+ * the template's formula as formatFormula() prints it; `sampleGrids` are the grids
+ * gradeWrittenFormula() checks both formulas on, and `grid` is one of them on which the
+ * reference holds, shown as an example.
+ */
+export async function generateWritePuzzle(options = {}) {
+  const difficulty = options.difficulty || 'easy';
+  const board = createBoard(options.board ?? DEFAULT_BOARD_ID);
+  const seed = (options.seed ?? createRandomSeed()) >>> 0;
+  const random = createSeededRandom(seed);
+
+  const templateBank = (await getTemplatesByDifficulty(difficulty))
+    .filter((template) => template.supportsBoard(board));
+  const template = options.templateId !== undefined
+    ? templateBank.find((candidate) => candidate.id === options.templateId)
+    : getRandomElement(templateBank, random);
+  if (!template) {
+    throw new Error(`No '${difficulty}' template ${options.templateId ?? ''} supports a ${board.rows}x${board.cols} board.`);
+  }
+
+  const statementData = template.generateStatements(random, board);
+  const formula = parseFormula(statementData.formalFOLStatement);
+  const sampleGrids = createSampleGrids(template, statementData.details, board, random, {
+    ...GRADING_SAMPLES,
+    probeValues: findProbeValues(formula),
+    boundaryConstants: findBoundaryConstants(formula)
+  });
+  return {
+    seed,
+    difficulty,
+    templateId: template.id,
+    board,
+    statement: statementData,
+    formula: formatFormula(formula),
+    grid: sampleGrids.find((grid) => evaluateFormula(formula, grid)) || sampleGrids[0],
+    sampleGrids
+  };
+}
+
+// How much of the input to quote after the spot where parsing failed.
+const NEAR_LENGTH = 12;
+
+/**
+ * gradeWrittenFormula(puzzle, source): grades typed FOL against the puzzle's formula by
+ * evaluating both on the puzzle's sample grids. Returns one of
+ *   { verdict: 'invalid', reason, ... }                 – see below
+ *   { verdict: 'different', answer, disagreement }      – a sample grid tells the two apart
+ *   { verdict: 'equivalent', answer }                   – they agree on every sample grid
+ * `answer` is the typed formula as formatFormula() prints it; `disagreement` comes from
+ * findDisagreement() with the puzzle's formula as `holdsA`. Invalid answers carry a `reason` for
+ * the page to word, 'write.error.<reason>' in the catalogs: 'empty'; 'syntax' with `position` and
+ * `near`, the normalized input from there on; 'incomplete' when the input stops too early;
+ * 'unknownSymbol' with `symbols`; or 'evaluation'.
+ */
+export function gradeWrittenFormula(puzzle, source) {
+  const normalized = normalizeFormulaInput(source);
+  if (!normalized) {
+    return { verdict: 'invalid', reason: 'empty' };
+  }
+
+  let answer;
+  try {
+    answer = parseFormula(normalized);
+  } catch (error) {
+    const { position } = error;
+    if (position >= normalized.length) {
+      return { verdict: 'invalid', reason: 'incomplete', position };
+    }
+    return { verdict: 'invalid', reason: 'syntax', position, near: normalized.slice(position, position + NEAR_LENGTH) };
+  }
+  const unknown = findUnknownSymbols(answer);
+  if (unknown.length > 0) {
+    return { verdict: 'invalid', reason: 'unknownSymbol', symbols: unknown };
+  }
+
+  let disagreement;
+  try {
+    disagreement = findDisagreement(puzzle.formula, answer, puzzle.sampleGrids);
+  } catch {
+    return { verdict: 'invalid', reason: 'evaluation' };
+  }
+  return disagreement
+    ? { verdict: 'different', answer: formatFormula(answer), disagreement }
+    : { verdict: 'equivalent', answer: formatFormula(answer) };
+}
@@ -0,0 +1,82 @@
+// tests/fol.test.js
+// Parsing and model checking of FOL strings. Run with `node --test tests/`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFormula, formatFormula, evaluateFormula } from '../scripts/fol.js';
+
+// A 1×3 row: a Pink circle 2, a Sky Blue square 5, a Pink triangle 8.
+const GRID = [
+  { shape: 'circle', color: '#ff82a9', number: 2 },
+  { shape: 'square', color: '#6ecbff', number: 5 },
+  { shape: 'triangle', color: '#ff82a9', number: 8 }
+].map((cell, col) => ({ ...cell, position: { row: 0, col } }));
+
+test('¬ binds tighter than ∧, ∧ than ∨, and ∨ than →', () => {
+  const ast = parseFormula('∀x (¬Shape(x, circle) ∧ Value(x) > 3 ∨ Shape(x, circle) → Value(x) ≥ 2)');
+  const body = ast.body;
+  assert.equal(body.type, 'implies');
+  assert.equal(body.left.type, 'or');
+  assert.equal(body.left.left.type, 'and');
+  assert.equal(body.left.left.left.type, 'not');
+  assert.equal(evaluateFormula(ast, GRID), true);
+});
+
+test('→ groups to the right', () => {
+  const ast = parseFormula('∀x (Shape(x, circle) → Value(x) > 1 → Color(x, Pink))');
+  assert.equal(ast.body.right.type, 'implies');
+  assert.equal(ast.body.left.type, 'predicate');
+});
+
+test('a quantifier scopes over the formula right after it', () => {
+  const ast = parseFormula('∃x Shape(x, square) ∧ ∃y Color(y, Pink)');
+  assert.equal(ast.type, 'and');
+  assert.equal(evaluateFormula(ast, GRID), true);
+});
+
+test('formatFormula prints what parseFormula reads back', () => {
+  const source = '∀x ((Shape(x, circle) ∧ Value(x) > 3) → ∃y (Color(y, Sky Blue) ∧ RightOf(y, x)))';
+  assert.equal(formatFormula(parseFormula(source)), source);
+});
+
+test('attribute predicates match raw values and labels', () => {
+  assert.equal(evaluateFormula('∃x Color(x, Sky Blue)', GRID), true);
+  assert.equal(evaluateFormula('∃x (Color(x) = Pink ∧ Shape(x, square))', GRID), false);
+});
+
+test('counting quantifiers compare the number of matching cells', () => {
+  assert.equal(evaluateFormula('∃=2x Color(x, Pink)', GRID), true);
+  assert.equal(evaluateFormula('∃=1x Color(x, Pink)', GRID), false);
+  assert.equal(evaluateFormula('∃≥3x Value(x) > 1', GRID), true);
+  assert.equal(evaluateFormula('∃≤0x Shape(x, star)', GRID), true);
+  assert.equal(evaluateFormula('∃≤1x Value(x) > 1', GRID), false);
+});
+
+test('counting quantifiers only take =, ≥ and ≤', () => {
+  assert.throws(() => parseFormula('∃>2x Shape(x, circle)'), /position 1: counting quantifiers take =, ≥ or ≤/);
+});
+
+test('aggregates fold over the cells matching their condition', () => {
+  assert.equal(evaluateFormula('Sum[y | Color(y, Pink)] Value(y) = 10', GRID), true);
+  assert.equal(evaluateFormula('Count[y | Value(y) > 3] = 2', GRID), true);
+  assert.equal(evaluateFormula('Max[y] Value(y) = 8', GRID), true);
+  assert.equal(evaluateFormula('Distinct[y] Color(y) = 2', GRID), true);
+  assert.equal(evaluateFormula('∀x Sum[y | Row(y) = Row(x)] Value(y) > 14', GRID), true);
+});
+
+test('aggregates over no cells: sums and counts are 0, max and min fail every comparison but =', () => {
+  assert.equal(evaluateFormula('Sum[y | Shape(y, star)] Value(y) = 0', GRID), true);
+  assert.equal(evaluateFormula('Count[y | Shape(y, star)] = 0', GRID), true);
+  assert.equal(evaluateFormula('Distinct[y | Shape(y, star)] Value(y) = 0', GRID), true);
+  assert.equal(evaluateFormula('Max[y | Shape(y, star)] Value(y) > 0', GRID), false);
+  assert.equal(evaluateFormula('Max[y | Shape(y, star)] Value(y) ≤ 0', GRID), false);
+  assert.equal(evaluateFormula('Min[y | Shape(y, star)] Value(y) < 100', GRID), false);
+});
+
+test('syntax errors name the position of the offending token', () => {
+  assert.throws(() => parseFormula('∀x (Shape(x, circle) →'), /^Error: FOL syntax error at position 22: expected a term but found 'end of input'$/);
+  assert.throws(() => parseFormula('∀x Shape(x, circle))'), /position 19: unexpected '\)'/);
+  assert.throws(() => parseFormula('∀x Shape(y, circle)'), /position 9: variable 'y' is not bound by a quantifier/);
+  assert.throws(() => parseFormula('∀x Shape(x, circle) # 3'), /position 20: unexpected character '#'/);
+  assert.throws(() => parseFormula('∀Shape Shape(x, circle)'), /position 1: 'Shape' is not a variable name/);
+});
@@ -0,0 +1,67 @@
+// tests/puzzleCode.test.js
+// Shareable puzzle codes. Run with `node --test tests/`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodePuzzleCode, decodePuzzleCode, getTemplateCodeKey } from '../scripts/puzzleCode.js';
+import { setTemplateLoader } from '../scripts/statementGenerator.js';
+import { createFileTemplateLoader } from '../scripts/node/templateLoader.js';
+import { generatePuzzle } from '../scripts/puzzleGenerator.js';
+
+setTemplateLoader(createFileTemplateLoader());
+
+test('codes round-trip difficulty, template, seed and board', () => {
+  [
+    { difficulty: 'easy', templateId: 'easy_all_shapes_are_color', seed: 0, boardId: 'standard' },
+    { difficulty: 'medium', templateId: 'medium_shape_parity_region', seed: 123456789, boardId: 'challenge' },
+    { difficulty: 'hard', templateId: 'hard_row_sums_greater', seed: 0xFFFFFFFF, boardId: 'extended' }
+  ].forEach(({ templateId, ...rest }) => {
+    const code = encodePuzzleCode({ templateId, ...rest });
+    assert.deepEqual(decodePuzzleCode(code), { ...rest, templateKey: getTemplateCodeKey(templateId) });
+  });
+});
+
+test('the standard board adds no suffix and other presets add one letter', () => {
+  assert.match(encodePuzzleCode({ difficulty: 'medium', templateId: 't', seed: 35 }), /^M-[0-9a-z]{4}-z$/);
+  assert.match(encodePuzzleCode({ difficulty: 'medium', templateId: 't', seed: 35, boardId: 'warmup' }), /-z-W$/);
+});
+
+test('template keys are four stable base-36 characters', () => {
+  assert.equal(getTemplateCodeKey('easy_all_shapes_are_color'), getTemplateCodeKey('easy_all_shapes_are_color'));
+  assert.match(getTemplateCodeKey(''), /^[0-9a-z]{4}$/);
+  assert.notEqual(getTemplateCodeKey('a'), getTemplateCodeKey('b'));
+});
+
+test('decoding ignores case and surrounding spaces', () => {
+  const code = encodePuzzleCode({ difficulty: 'hard', templateId: 'hard_left_neighbor_less', seed: 99, boardId: 'small' });
+  assert.deepEqual(decodePuzzleCode(`  ${code.toUpperCase()} `), decodePuzzleCode(code));
+});
+
+test('older codes decode to the template index', () => {
+  assert.deepEqual(decodePuzzleCode('M3-1x9k2f'), { difficulty: 'medium', templateIndex: 3, seed: parseInt('1x9k2f', 36), boardId: 'standard' });
+  assert.deepEqual(decodePuzzleCode('E0-a-C'), { difficulty: 'easy', templateIndex: 0, seed: 10, boardId: 'challenge' });
+});
+
+test('malformed codes decode to null', () => {
+  ['', null, undefined, 'M', 'M-abcd', 'X-abcd-1', 'M-abc-1', 'M-abcd-1-Q', 'M-abcd-zzzzzzz', 'M3_1x9k2f', 'M-ab!d-1']
+    .forEach((code) => assert.equal(decodePuzzleCode(code), null, String(code)));
+});
+
+test('encoding rejects difficulties and boards that codes cannot name', () => {
+  assert.throws(() => encodePuzzleCode({ difficulty: 'expert', templateId: 't', seed: 1 }), /difficulty 'expert'/);
+  assert.throws(() => encodePuzzleCode({ difficulty: 'easy', templateId: 't', seed: 1, boardId: 'custom' }), /board 'custom'/);
+});
+
+test('a generated puzzle replays from its code', async () => {
+  const puzzle = await generatePuzzle({ difficulty: 'medium', seed: 2024, board: 'challenge' });
+  const replayed = await generatePuzzle({ code: puzzle.code });
+  assert.equal(replayed.code, puzzle.code);
+  assert.equal(replayed.templateId, puzzle.templateId);
+  assert.deepEqual(replayed.grid, puzzle.grid);
+  assert.deepEqual(replayed.options.map((option) => option.naturalLanguageStatement),
+    puzzle.options.map((option) => option.naturalLanguageStatement));
+});
+
+test('unknown template keys are reported', async () => {
+  await assert.rejects(generatePuzzle({ code: 'E-0000-1' }), /missing template \(0000\)/);
+});
@@ -0,0 +1,102 @@
+// tests/puzzleSet.test.js
+// Reading teacher-authored puzzle sets, carrying them in a URL hash and exporting a student's
+// results. Run with `node --test tests/`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parsePuzzleSet, encodePuzzleSetHash, readPuzzleSetHash, createSetResults, recordSetAnswer, formatResultsCsv
+} from '../scripts/puzzleSet.js';
+
+const GRID = [[{ shape: 'circle', color: 'Pink', number: 3 }]];
+const OPTIONS = [
+  { text: 'Every circle is Pink.', fol: '∀x (Shape(x, circle) → Color(x, Pink))' },
+  { text: 'Every circle is Green.', fol: '∀x (Shape(x, circle) → Color(x, Green))' }
+];
+
+const SET = {
+  title: '  Week 3: implications ',
+  difficulty: 'medium',
+  board: 'warmup',
+  puzzles: [
+    { code: 'E-inoj-1x9k2f' },
+    { templateId: 'easy_all_shapes_have_value', details: { shape1: 'circle', number1: 3 } },
+    { seed: 42, board: 'standard' },
+    { grid: GRID, options: OPTIONS, hint: 'Look at the circles.' }
+  ]
+};
+
+test('each of the four entry kinds is normalized', () => {
+  const set = parsePuzzleSet(JSON.stringify(SET));
+  assert.equal(set.title, 'Week 3: implications');
+  assert.equal(set.difficulty, 'medium');
+  assert.equal(set.board, 'warmup');
+  assert.deepEqual(set.puzzles, [
+    { kind: 'code', code: 'E-inoj-1x9k2f' },
+    // Without a seed an entry takes its position, so every student gets the same puzzle
+    { kind: 'template', templateId: 'easy_all_shapes_have_value', details: { shape1: 'circle', number1: 3 }, seed: 2, board: 'warmup' },
+    { kind: 'seed', difficulty: 'medium', seed: 42, board: 'standard' },
+    { kind: 'explicit', grid: GRID, options: OPTIONS, hint: 'Look at the circles.', board: 'warmup', difficulty: 'medium' }
+  ]);
+});
+
+test('a set without title, difficulty or board gets the defaults', () => {
+  const set = parsePuzzleSet({ puzzles: [{ seed: 1 }] });
+  assert.equal(set.title, 'Untitled set');
+  assert.equal(set.difficulty, 'easy');
+  assert.equal(set.board, 'standard');
+});
+
+test('broken sets are rejected naming the first broken entry', () => {
+  const cases = [
+    ['{"puzzles": [', /^Not valid JSON/],
+    [{ puzzles: [] }, /non-empty "puzzles" list/],
+    [[{ seed: 1 }], /non-empty "puzzles" list/],
+    [{ difficulty: 'expert', puzzles: [{ seed: 1 }] }, /^Set: difficulty must be one of easy, medium, hard, got 'expert'/],
+    [{ board: 'huge', puzzles: [{ seed: 1 }] }, /^Set: unknown board 'huge'/],
+    [{ puzzles: [{ seed: 1 }, 'E-inoj-1x9k2f'] }, /^Puzzle 2: expected an object/],
+    [{ puzzles: [{ seed: -1 }] }, /^Puzzle 1: seed must be a non-negative integer/],
+    [{ puzzles: [{ seed: 1.5 }] }, /^Puzzle 1: seed must be a non-negative integer/],
+    [{ puzzles: [{ seed: 1 }, { title: 'no kind' }] }, /^Puzzle 2: give a code, a templateId, a seed, or a grid with options/],
+    [{ puzzles: [{ templateId: 'easy_all_shapes_have_value', details: 'circle' }] }, /^Puzzle 1: details must be an object/],
+    [{ puzzles: [{ grid: [], options: OPTIONS }] }, /^Puzzle 1: grid must be a list of rows/],
+    [{ puzzles: [{ grid: GRID, options: OPTIONS.slice(0, 1) }] }, /^Puzzle 1: give at least 2 options/],
+    [{ puzzles: [{ grid: GRID, options: [OPTIONS[0], { text: 'No formula' }] }] }, /^Puzzle 1: option 2 needs a "text" and a "fol"/],
+    [{ puzzles: [{ grid: GRID, options: [OPTIONS[0], OPTIONS[0]] }] }, /^Puzzle 1: two options read the same/]
+  ];
+  for (const [source, message] of cases) {
+    assert.throws(() => parsePuzzleSet(source), { message }, JSON.stringify(source));
+  }
+});
+
+test('a set survives the trip through a URL hash', () => {
+  const hash = encodePuzzleSetHash(SET);
+  assert.match(hash, /^#set=[A-Za-z0-9_-]+$/);
+  assert.deepEqual(readPuzzleSetHash(hash), { set: parsePuzzleSet(SET) });
+  assert.deepEqual(readPuzzleSetHash(hash.slice(1)), { set: parsePuzzleSet(SET) });
+});
+
+test('a hash names a set file, nothing, or a damaged set', () => {
+  assert.deepEqual(readPuzzleSetHash('#set-url=scripts/puzzleSets/example.json'), { url: 'scripts/puzzleSets/example.json' });
+  assert.equal(readPuzzleSetHash(''), null);
+  assert.equal(readPuzzleSetHash('#mode=build'), null);
+  assert.throws(() => readPuzzleSetHash('#set=%%%'), /damaged/);
+  assert.throws(() => readPuzzleSetHash(`#set=${btoa('{"puzzles": []}')}`), /non-empty "puzzles" list/);
+});
+
+test('the CSV export keeps spreadsheet formulas as text', () => {
+  const set = parsePuzzleSet(SET);
+  const results = createSetResults(set, '=HYPERLINK("http://example.com", "Ana")', 100);
+  recordSetAnswer(results, 0, {
+    statement: '+1 circle', templateId: 'easy_all_shapes_have_value', chosen: '@SUM(A1)',
+    correct: true, hintsShown: [1, 3], score: 60, timeMs: 4200
+  });
+  recordSetAnswer(results, 1, { statement: '-2', chosen: '\tTrue', correct: false, hintsShown: [], score: 0, timeMs: 900 });
+  recordSetAnswer(results, 2, { statement: '\rCR', chosen: 'Every circle is Pink.', correct: true, score: 100 });
+  const [header, ...rows] = formatResultsCsv(results).trimEnd().split('\n');
+  assert.equal(header, 'student,set,puzzle,statement,template,answer,correct,hint_levels,score,seconds');
+  assert.equal(rows[0], `"'=HYPERLINK(""http://example.com"", ""Ana"")",Week 3: implications,1,'+1 circle,easy_all_shapes_have_value,'@SUM(A1),yes,1 3,60,4`);
+  assert.match(rows[1], /,Week 3: implications,2,'-2,,'\tTrue,no,,0,1$/);
+  assert.match(rows[2], /,Week 3: implications,3,"'\rCR",,Every circle is Pink\.,yes,,100,$/);
+  assert.match(rows[3], /,Week 3: implications,4,,,,skipped,,0,$/);
+});
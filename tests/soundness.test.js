@@ -0,0 +1,47 @@
+// tests/soundness.test.js
+// The bank's generators on every board preset: the hand-written actions, and the generators
+// the engine derives from the conditions once those actions are left out. Run with
+// `node --test tests/`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkBankSoundness } from '../scripts/soundness.js';
+import { stripRuleActions } from '../scripts/templateHandlers.js';
+import { validateTemplate } from '../scripts/templateValidator.js';
+import { BOARD_PRESETS } from '../scripts/board.js';
+import { createFileTemplateLoader } from '../scripts/node/templateLoader.js';
+
+const SAMPLES = 200;
+const ACTION_FIELDS = ['actions', 'breakAntecedent', 'violation', 'falsify'];
+
+const bank = await createFileTemplateLoader()();
+const definitions = Object.values(bank).flat();
+
+function findMisses(results) {
+  return results
+    .filter(({ satisfies, violates }) =>
+      satisfies.failures + violates.failures + satisfies.generationErrors + violates.generationErrors > 0)
+    .map(({ templateId }) => templateId);
+}
+
+test('stripped templates keep only conditions and still validate', () => {
+  definitions.forEach((definition) => {
+    const stripped = stripRuleActions(definition);
+    assert.deepEqual(validateTemplate(stripped), [], definition.id);
+    (stripped.rules || []).forEach((rule) => {
+      ACTION_FIELDS.forEach((field) => assert.equal(rule[field], undefined, `${definition.id} ${field}`));
+      assert.equal(rule.neighbor?.satisfy, undefined, definition.id);
+      assert.equal(rule.neighbor?.violation, undefined, definition.id);
+    });
+  });
+});
+
+for (const board of Object.keys(BOARD_PRESETS)) {
+  test(`hand-written generators never miss on the ${board} board`, () => {
+    assert.deepEqual(findMisses(checkBankSoundness(bank, { samples: SAMPLES, board })), []);
+  });
+
+  test(`derived generators never miss on the ${board} board`, () => {
+    assert.deepEqual(findMisses(checkBankSoundness(bank, { samples: SAMPLES, board, derived: true })), []);
+  });
+}
@@ -0,0 +1,127 @@
+// tests/templateValidator.test.js
+// Schema checks on template definitions: each broken template must be reported at the path
+// of the mistake. Run with `node --test tests/`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { validateTemplate, validateTemplateBank } from '../scripts/templateValidator.js';
+
+const BANK = JSON.parse(readFileSync(new URL('../scripts/templateBanks/templates.json', import.meta.url), 'utf8'));
+const TEMPLATE = BANK.easy.find((definition) => definition.id === 'easy_all_shapes_are_color');
+
+// A copy of TEMPLATE with `change` applied to it.
+function broken(change) {
+  const definition = structuredClone(TEMPLATE);
+  change(definition);
+  return definition;
+}
+
+function assertReported(definition, path, pattern) {
+  const errors = validateTemplate(definition, 'easy[0]');
+  assert.ok(
+    errors.some((error) => error.path === path && pattern.test(error.message)),
+    `expected ${path} to match ${pattern}, got ${JSON.stringify(errors)}`
+  );
+  errors.forEach((error) => assert.equal(error.templateId, definition.id ?? '(no id)'));
+}
+
+test('the bank itself is valid', () => {
+  assert.deepEqual(validateTemplateBank(BANK), []);
+});
+
+test('rejects a template that is not an object or has no id', () => {
+  assert.deepEqual(validateTemplate(null, 'easy[0]'), [{ templateId: '(no id)', path: 'easy[0]', message: 'must be an object' }]);
+  assertReported(broken((definition) => { delete definition.id; }), 'easy[0].id', /non-empty string/);
+});
+
+test('rejects an unknown condition operator', () => {
+  const definition = broken((d) => { d.rules[0].when.operator = 'equalz'; });
+  assertReported(definition, 'easy[0].rules[0].when.operator', /unsupported condition operator 'equalz'/);
+});
+
+test('rejects references to undefined placeholders', () => {
+  assertReported(
+    broken((d) => { d.rules[0].when.right.key = 'shape2'; }),
+    'easy[0].rules[0].when.right.key',
+    /undefined placeholder 'shape2'/
+  );
+  assertReported(
+    broken((d) => { d.statement.text = 'All {shape2|plural} are {color1Name}.'; }),
+    'easy[0].statement.text',
+    /undefined placeholder '\{shape2\}'/
+  );
+  assertReported(
+    broken((d) => { d.computedFields[0].source = 'color2'; }),
+    'easy[0].computedFields[0].source',
+    /undefined key 'color2'/
+  );
+});
+
+test('rejects a placeholder that refers to a later one', () => {
+  const definition = broken((d) => { d.placeholders.shape1.excludePlaceholders = ['color1']; });
+  assertReported(definition, 'easy[0].placeholders.shape1.excludePlaceholders[0]', /not defined before 'shape1'/);
+});
+
+test('rejects an FOL string that does not parse or uses unknown predicates', () => {
+  assertReported(
+    broken((d) => { d.statement.fol = '∀x (Shape(x, {shape1}) →'; }),
+    'easy[0].statement.fol',
+    /does not parse: FOL syntax error at position/
+  );
+  assertReported(
+    broken((d) => { d.statement.fol = '∀x (Shape(x, {shape1}) → Colour(x, {color1Name}))'; }),
+    'easy[0].statement.fol',
+    /unknown predicates or functions: Colour/
+  );
+});
+
+test('implications need exactly one of then and actions', () => {
+  assertReported(
+    broken((d) => { d.rules[0].then = { operator: 'prime', value: { kind: 'cellProperty', property: 'number' } }; }),
+    'easy[0].rules[0].then',
+    /either a then condition or actions, not both/
+  );
+  assertReported(
+    broken((d) => { delete d.rules[0].actions; }),
+    'easy[0].rules[0].actions',
+    /need a then condition or a non-empty actions array/
+  );
+});
+
+test('rejects unknown rule types, actions and cell properties', () => {
+  assertReported(broken((d) => { d.rules[0].type = 'implies'; }), 'easy[0].rules[0].type', /unsupported rule type 'implies'; expected one of implication/);
+  assertReported(
+    broken((d) => { d.rules[0].actions[0].action = 'paintCell'; }),
+    'easy[0].rules[0].actions[0].action',
+    /unsupported cell action 'paintCell'/
+  );
+  assertReported(
+    broken((d) => { d.rules[0].when.left.property = 'hue'; }),
+    'easy[0].rules[0].when.left.property',
+    /unknown cell property 'hue'/
+  );
+});
+
+test('optional attributes must be listed in board.attributes', () => {
+  const definition = broken((d) => { d.rules[0].actions[0].property = 'fill'; });
+  assertReported(definition, 'easy[0].board.attributes', /optional attribute 'fill' but does not list it/);
+});
+
+test('rejects contradictory or unknown board requirements', () => {
+  assertReported(broken((d) => { d.board = { minRows: 6, maxRows: 4 }; }), 'easy[0].board', /minRows \(6\) is larger than maxRows \(4\)/);
+  assertReported(broken((d) => { d.board = { rows: 4 }; }), 'easy[0].board.rows', /unknown board requirement/);
+});
+
+test('rejects translations for unknown locales', () => {
+  const definition = broken((d) => { d.statement.translations.xx = { text: 'x' }; });
+  assertReported(definition, 'easy[0].statement.translations.xx', /unknown locale 'xx'/);
+});
+
+test('a bank rejects duplicate ids and non-array difficulties', () => {
+  const errors = validateTemplateBank({ easy: [TEMPLATE, TEMPLATE], hard: {} });
+  assert.deepEqual(errors, [
+    { templateId: TEMPLATE.id, path: 'easy[1].id', message: 'duplicate id, first used at easy[0]' },
+    { templateId: '(bank)', path: 'hard', message: 'must be an array of templates' }
+  ]);
+});
@@ -0,0 +1,45 @@
+// tests/writePuzzle.test.js
+// Grading typed formulas: answers that differ only on grids where a class is empty must still
+// be told apart, and unreadable ones say why. Run with `node --test tests/`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTemplateLoader } from '../scripts/statementGenerator.js';
+import { createFileTemplateLoader } from '../scripts/node/templateLoader.js';
+import { generateWritePuzzle, gradeWrittenFormula } from '../scripts/writePuzzle.js';
+
+setTemplateLoader(createFileTemplateLoader());
+
+const SEEDS = Array.from({ length: 20 }, (_, index) => index + 1);
+
+for (const board of ['standard', 'warmup']) {
+  test(`existential import is graded different on the ${board} board`, async () => {
+    for (const seed of SEEDS) {
+      const puzzle = await generateWritePuzzle({ templateId: 'easy_all_shapes_are_color', seed, board });
+      const [, shape] = /Shape\(x, ([^)]+)\)/.exec(puzzle.formula);
+      const answer = `${puzzle.formula} ∧ ∃y Shape(y, ${shape})`;
+      assert.equal(gradeWrittenFormula(puzzle, answer).verdict, 'different', `seed ${seed}: ${answer}`);
+    }
+  });
+}
+
+test('the puzzle formula itself is graded equivalent', async () => {
+  for (const seed of SEEDS) {
+    const puzzle = await generateWritePuzzle({ templateId: 'easy_all_shapes_are_color', seed });
+    assert.equal(gradeWrittenFormula(puzzle, puzzle.formula).verdict, 'equivalent', `seed ${seed}`);
+  }
+});
+
+test('invalid answers carry a reason and its details instead of English text', async () => {
+  const puzzle = await generateWritePuzzle({ templateId: 'easy_all_shapes_are_color', seed: 1 });
+  assert.deepEqual(gradeWrittenFormula(puzzle, '   '), { verdict: 'invalid', reason: 'empty' });
+  assert.deepEqual(
+    gradeWrittenFormula(puzzle, 'forall x (Shape(x, circle) -> ) & Color(x, Pink)'),
+    { verdict: 'invalid', reason: 'syntax', position: 24, near: ') ∧ Color(x,' }
+  );
+  assert.deepEqual(gradeWrittenFormula(puzzle, '∀x (Shape(x, circle) →'), { verdict: 'invalid', reason: 'incomplete', position: 22 });
+  assert.deepEqual(
+    gradeWrittenFormula(puzzle, '∀x (Shape(x, circle) → Colour(x, Pink) ∧ Big(x))'),
+    { verdict: 'invalid', reason: 'unknownSymbol', symbols: ['Colour', 'Big'] }
+  );
+});